@@ -0,0 +1,22 @@
+/**
+ * Ashes of the Covenant - AI planner worker
+ *
+ * Runs AIPlanner.chooseAction (planner.js) off the page's main thread so the
+ * board keeps drawing while the AI thinks. ww1game.html posts
+ *
+ *   { id, packs, situation, difficulty }
+ *
+ * with the content packs it has active, so the rules here match its own, and
+ * gets back { id, action } or { id, error }.
+ */
+importScripts('rules.js', 'planner.js');
+
+self.onmessage = (event) => {
+  const { id, packs, situation, difficulty } = event.data;
+  try {
+    GameRules.useContentPacks(packs || []);
+    self.postMessage({ id, action: AIPlanner.chooseAction(situation, difficulty) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
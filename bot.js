@@ -0,0 +1,285 @@
+/**
+ * Ashes of the Covenant - AI commanders for multiplayer lobbies
+ *
+ * Lets the server seat an AI in a multiplayer lobby: in an empty seat, so a
+ * match can be played against it with friends watching, or in a dropped
+ * player's seat once their reconnect grace period runs out, so the match
+ * goes on until they come back. A seat's AI settings are
+ * { personality, difficulty }, plus standIn when it is holding a player's
+ * seat for them.
+ *
+ * The AI plays a turn the way simulator.js does, planning with
+ * AIPlanner.planStrategy and picking each action with AIPlanner.chooseAction,
+ * but every action goes through the same intents a player's client sends
+ * (see gameActionHandlers in match.js) and every die comes from the match
+ * dice. It plans from what its side can see, so fog of war binds it as it
+ * does a player. Artillery, aircraft, gas, fortifications and the
+ * end-of-turn upkeep are only played on the page, so it leaves those out.
+ *
+ * Tests live in test/bot.test.js (`npm test`).
+ */
+const crypto = require('crypto');
+const rules = require('./rules');
+const planner = require('./planner');
+
+const BOT_ID_PREFIX = 'bot_';
+
+// Army id the AI's legion is selected under in game setup
+const BOT_ARMY_ID = 'bot_legion';
+
+// Actions the AI may take in one zone, should the planner never pass; the
+// page and the simulator stop at the same number
+const MAX_ACTIONS_PER_ZONE = 30;
+
+const DEFAULT_BOT = {
+  personality: planner.DEFAULT_AI_PERSONALITY,
+  difficulty: planner.DEFAULT_AI_DIFFICULTY
+};
+
+// Why settings can't seat an AI, or null when they can
+function getBotSettingsError(settings) {
+  if (!settings || typeof settings !== 'object') return 'AI settings are not an object';
+  if (settings.personality !== undefined && !planner.AI_PERSONALITIES[settings.personality]) {
+    return `Unknown AI personality "${settings.personality}"`;
+  }
+  if (settings.difficulty !== undefined && !planner.AI_DIFFICULTIES[settings.difficulty]) {
+    return `Unknown AI difficulty "${settings.difficulty}"`;
+  }
+  return null;
+}
+
+// A lobby player record for an AI, ready from the start
+function createBotPlayer(settings = {}) {
+  const bot = {
+    personality: settings.personality || DEFAULT_BOT.personality,
+    difficulty: settings.difficulty || DEFAULT_BOT.difficulty
+  };
+  return {
+    id: BOT_ID_PREFIX + crypto.randomBytes(8).toString('hex'),
+    name: getBotName(bot),
+    ready: true,
+    connected: true,
+    bot: bot
+  };
+}
+
+function getBotName(bot) {
+  return `${planner.AI_PERSONALITIES[bot.personality].name} AI (${planner.AI_DIFFICULTIES[bot.difficulty].name})`;
+}
+
+// The standard legion, with units dropped from the end until it fits the
+// lobby's point limit
+function createBotArmy(pointLimit) {
+  const units = planner.DEFAULT_AI_ARMY.units.map(unit => ({ ...unit }));
+  while (units.length > 1 && rules.validateArmySelection([{ units }], pointLimit)) {
+    units.pop();
+  }
+  return { id: BOT_ARMY_ID, name: planner.DEFAULT_AI_ARMY.name, units: units };
+}
+
+// Units in armies (armyId -> army) that can still go on the grid. deployed
+// holds the `${armyId}_${name}_${deploymentIndex}` keys already placed, as
+// the server tracks them.
+function getBotReserves(armies, deployed) {
+  const reserves = [];
+  Object.keys(armies).forEach(armyId => {
+    (armies[armyId].units || []).forEach((unit, index) => {
+      if (rules.OFF_GRID_UNIT_TYPES.includes(unit.type)) return;
+      if (deployed.includes(`${armyId}_${unit.name}_${index}`)) return;
+      reserves.push({ ...unit, armyId: armyId, deploymentIndex: index });
+    });
+  });
+  return reserves;
+}
+
+// A stand-in for Math.random that makes AIPlanner.simulateAction roll the
+// match dice. An attack rolls attack and defence, then the defender's
+// survival morale if it falls.
+function createDiceRandom(roll) {
+  const kinds = ['combat', 'combat', 'morale'];
+  let rolled = 0;
+  return () => {
+    const value = roll(kinds[Math.min(rolled++, kinds.length - 1)], 6);
+    return (value - 0.5) / 6;
+  };
+}
+
+function getGrid(zone, gridSize) {
+  const grid = [];
+  for (let pos = 0; pos < gridSize * gridSize; pos++) grid.push(zone.tacticalGrid[pos]);
+  return grid;
+}
+
+function countUnits(zone, gridSize) {
+  const counts = { red: 0, blue: 0 };
+  getGrid(zone, gridSize).forEach(gridData => {
+    if (gridData.unit) counts[gridData.unit.player]++;
+  });
+  return counts;
+}
+
+// Close a zone battle as the page does: the side with more units takes the
+// zone and it is unlocked for the next one
+function finishZoneBattle(zone, gridSize) {
+  const counts = countUnits(zone, gridSize);
+  zone.control = counts.red > counts.blue ? 'red' : counts.blue > counts.red ? 'blue' : 'contested';
+  zone.locked = false;
+}
+
+function countCampaignStat(gameState, player, field, amount) {
+  const stats = gameState.campaignStats && gameState.campaignStats[player];
+  if (stats) stats[field] = (stats[field] || 0) + amount;
+}
+
+// Let the rest of the server run between the AI's actions
+function pause() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Fight one zone for turn.player with up to cpShare command points. Returns
+// the number of actions taken.
+async function fightBotZone(turn, bot, plan, zone, cpShare) {
+  const { gameState, gridSize, player } = turn;
+  const zoneRole = gameState.zoneRoles[zone.id];
+  const hasUnits = countUnits(zone, gridSize)[player] > 0;
+  const orders = planner.getZoneOrders(plan, zone.id, hasUnits, { type: bot.personality });
+  const deployLimit = Math.min(orders.deployLimit, getBotReserves(turn.armies, turn.deployed).length - orders.holdBack);
+  const startingCP = gameState.commandPoints[player];
+  let placed = 0;
+  let actions = 0;
+
+  for (let step = 0; step < MAX_ACTIONS_PER_ZONE && turn.isActive(); step++) {
+    turn.useRules();
+
+    // A unit landing in a zone its side doesn't supply leaves it cut off
+    const cutOff = {};
+    ['red', 'blue'].forEach(side => { cutOff[side] = rules.getCutOffZoneIds(turn.zones, side).includes(zone.id); });
+    const reserves = cutOff[player] ? [] : getBotReserves(turn.armies, turn.deployed);
+    if (orders.cheapestFirst) reserves.sort((a, b) => rules.getUnitPointCost(a) - rules.getUnitPointCost(b));
+
+    const acted = { ...turn.ledger.unitActions };
+    turn.moved.forEach(unitId => { acted[unitId] = { ...acted[unitId], hasMoved: true }; });
+    const situation = {
+      grid: getGrid(turn.view(zone), gridSize),
+      gridSize: gridSize,
+      player: player,
+      role: zoneRole && zoneRole.defender === player ? 'defense' : 'attack',
+      cp: Math.min(gameState.commandPoints[player], cpShare - (startingCP - gameState.commandPoints[player])),
+      cpCosts: gameState.cpCosts || rules.defaultCPCosts,
+      reserves: reserves.slice(0, Math.max(0, deployLimit - placed)),
+      deploymentRows: rules.getValidDeploymentRows(gameState, zone.id, player, gridSize),
+      weatherSystem: gameState.weatherSystem,
+      aerial: gameState.aerial || { red: [], blue: [] },
+      cutOff: cutOff,
+      acted: acted,
+      personality: { type: bot.personality }
+    };
+    const action = await turn.choose(situation, bot.difficulty);
+    if (!action || !turn.isActive()) break;
+
+    // Other matches may have switched the rules while the AI was thinking
+    turn.useRules();
+
+    if (action.type === 'deploy') {
+      const unitId = `${player}_bot_${gameState.turnCount}_${++turn.deployments}`;
+      const unit = situation.reserves[action.reserveIndex];
+      if (turn.act({ type: 'placeUnit', zoneId: zone.id, pos: action.pos, unitId: unitId, unit: unit })) break;
+      placed++;
+      countCampaignStat(gameState, player, 'unitsDeployed', 1);
+      countCampaignStat(gameState, player, 'valueDeployed', rules.getUnitPointCost(unit));
+    } else if (action.type === 'move') {
+      const unitId = situation.grid[action.from].unit.id;
+      if (turn.act({ type: 'moveUnit', zoneId: zone.id, fromPos: action.from, toPos: action.to })) break;
+      turn.moved.add(unitId);
+    } else if (action.type === 'attack') {
+      if (turn.act({ type: 'attack', zoneId: zone.id, fromPos: action.from, toPos: action.to })) break;
+
+      // Roll it out on the whole zone, not the AI's view of it, so a
+      // retreat can't land on a unit it couldn't see
+      const grid = getGrid(zone, gridSize);
+      const defender = grid[action.to].unit;
+      const next = planner.simulateAction({ ...situation, grid: grid }, action, createDiceRandom(turn.roll));
+      next.grid.forEach((gridData, pos) => { zone.tacticalGrid[pos].unit = gridData.unit; });
+      if (!next.grid.some(gridData => gridData.unit && gridData.unit.id === defender.id)) {
+        countCampaignStat(gameState, defender.player, 'unitsLost', 1);
+        countCampaignStat(gameState, defender.player, 'valueLost', rules.getUnitPointCost(defender));
+      }
+    }
+    actions++;
+    await pause();
+  }
+
+  finishZoneBattle(zone, gridSize);
+  return actions;
+}
+
+// Play turn.player's turn, short of ending it. turn holds:
+//   zones, gameState, gridSize  the match, changed in place
+//   player      the side the AI plays
+//   armies      armyId -> army the side brought to the match
+//   deployed    `${armyId}_${name}_${deploymentIndex}` keys already placed
+//   ledger      the server's turn ledger (unitActions)
+//   fogOfWar    whether the AI only sees what its side can
+//   act(action) apply an intent; returns why it was refused, or null
+//   roll(kind, sides)  one die from the match dice
+//   isActive()  whether the AI still holds the seat; it stops once it doesn't
+//   choose(situation, difficulty)  optional; resolves to the planner's
+//               next action, so the search can run off the main thread
+//   useRules()  optional; switches the shared rules tables to the match's
+//               content packs, which other matches may change between steps
+// bot is the seat's AI settings; its enemyStrength is kept there from one
+// turn to the next. options.random stands in for Math.random in the search
+// when the AI chooses its actions here.
+// Resolves to the plan's intents and the number of actions taken.
+async function playBotTurn(turn, bot, options = {}) {
+  const { zones, gameState, gridSize, player } = turn;
+  const random = options.random || Math.random;
+  const state = {
+    isActive: () => true,
+    choose: (situation, difficulty) => planner.chooseAction(situation, difficulty, { random: random }),
+    useRules: () => {},
+    ...turn,
+    view: zone => (turn.fogOfWar ? rules.filterZoneForPlayer(zone, player, gameState, gridSize) : zone),
+    moved: new Set(),
+    deployments: 0
+  };
+
+  state.useRules();
+  const plan = planner.planStrategy({
+    zones: zones.map(state.view),
+    gridSize: gridSize,
+    player: player,
+    cp: gameState.commandPoints[player],
+    personality: { type: bot.personality },
+    enemyStrength: bot.enemyStrength || {}
+  });
+  bot.enemyStrength = plan.enemyStrength;
+
+  const roles = [
+    ...plan.zonesToAttack.map(zoneId => ({ zoneId, role: 'attack' })),
+    ...plan.zonesToDefend.map(zoneId => ({ zoneId, role: 'defend' }))
+  ];
+  const picked = roles.filter(({ zoneId, role }) => !turn.act({ type: 'selectZone', zoneId: zoneId, role: role }));
+
+  let actions = 0;
+  for (const { zoneId } of picked) {
+    const cp = gameState.commandPoints[player];
+    if (cp <= 0 || !state.isActive()) break;
+    const zone = zones.find(z => z.id === zoneId);
+    actions += await fightBotZone(state, bot, plan, zone, planner.getZoneCPShare(plan, zoneId, cp));
+  }
+
+  return { intents: plan.intents, actions: actions };
+}
+
+module.exports = {
+  BOT_ID_PREFIX,
+  BOT_ARMY_ID,
+  DEFAULT_BOT,
+  getBotSettingsError,
+  createBotPlayer,
+  getBotName,
+  createBotArmy,
+  getBotReserves,
+  playBotTurn
+};
@@ -0,0 +1,1084 @@
+/**
+ * Ashes of the Covenant - multiplayer match authority
+ *
+ * The server's half of a multiplayer match that doesn't need a socket: the
+ * intent handlers behind 'gameAction', the checks on the state snapshots
+ * clients push, the match dice and the time controls. Everything here works
+ * on a lobby record (see createLobbyRecord in server.js) and leaves the
+ * sending, saving and timers to server.js, so the tests can play a match
+ * through the same code the server runs.
+ *
+ * Tests live in test/match.test.js (`npm test`).
+ */
+const crypto = require('crypto');
+const rules = require('./rules');
+
+// Match authority
+// Once a multiplayer match is running the server owns the turn order, command
+// points and zone roles. Clients send intents through 'gameAction'; the server
+// checks them with the shared rules in rules.js before applying them. The full
+// state snapshots clients still push are only accepted from the player whose
+// turn it is, and only if they don't contain changes no intent allowed.
+
+// gameState fields a client can never overwrite
+const SERVER_OWNED_FIELDS = [
+  'currentPlayer', 'turnCount', 'commandPoints', 'cpCosts', 'buildPoints', 'zoneRoles', 'scoutedZones',
+  'weatherSystem', 'victoryPoints'
+];
+
+// The stats rules.getUnitPointCost prices, with the value it takes for a missing one
+const PRICED_UNIT_STATS = {
+  attack: 0,
+  defense: 0,
+  armour: 0,
+  morale: 0,
+  range: 1,
+  movement: 0,
+  hitChance: 9,
+  special: 'none'
+};
+
+// Priced stats that wear down in play: defense drops on a road, armour soaks
+// up damage. validateZoneUpdate checks each on its own.
+const WORN_UNIT_STATS = ['defense', 'armour'];
+
+// Unit fields that never change once a unit is on the board
+const FIXED_UNIT_FIELDS = ['name', 'type', 'maxHealth', 'maxArmour',
+  ...Object.keys(PRICED_UNIT_STATS).filter(stat => !WORN_UNIT_STATS.includes(stat))];
+
+// Zone fields only the server's own actions change: control and the hold
+// trackers through its win check at the turn change, locked through selectZone
+const SERVER_OWNED_ZONE_FIELDS = ['control', 'locked', 'holdTracker', 'hqHold'];
+
+// Constructions a trampling unit crushes as it drives over them
+const TRAMPLED_CONSTRUCTIONS = ['barbedWire', 'minefield', 'tankTrap'];
+
+// Under fog of war, the one answer to an order that runs into a unit its
+// sender can't see, so orders can't be used to find them
+const UNSEEN_POSITION_REFUSAL = 'That order cannot be carried out there';
+
+// The host plays red (player1), the second player blue (player2)
+function getPlayerColor(lobby, playerId) {
+  const index = lobby.players.findIndex(p => p.id === playerId);
+  if (index === 0) return 'red';
+  if (index === 1) return 'blue';
+  return null;
+}
+
+function getMatchSettings(lobby) {
+  const settings = (lobby.gameConfig && lobby.gameConfig.gameSettings) || {};
+  let gridSize = settings.gridSize;
+  if (!gridSize && lobby.zones && lobby.zones[0]) {
+    gridSize = Math.round(Math.sqrt(Object.keys(lobby.zones[0].tacticalGrid).length));
+  }
+  return {
+    gridSize: gridSize,
+    startingCP: settings.startingCP,
+    player1CP: settings.player1CP,
+    player2CP: settings.player2CP
+  };
+}
+
+// Actions taken during the current turn, cleared when the turn ends
+function createTurnLedger() {
+  return {
+    unitActions: {}, // unitId -> { hasAttacked, hasMoved }
+    movementLeft: {}, // unitId -> movement points left this turn
+    artilleryUsed: [], // artillery ids that have fired this turn
+    aircraftFlown: [], // aerial unit ids that have scouted or struck this turn
+    atRisk: [], // unit ids an accepted intent may have hurt or pushed back this turn
+    gasReleased: [], // 'zoneId:pos' of gas clouds released this turn
+    rolls: { red: {}, blue: {} } // match dice each side may still roll, by kind
+  };
+}
+
+function getOwnedState(gameState) {
+  const owned = {};
+  SERVER_OWNED_FIELDS.forEach(field => {
+    owned[field] = gameState[field];
+  });
+  return owned;
+}
+
+// Adopt the host's opening snapshot, resetting everything the server owns
+function startAuthoritativeMatch(lobby, gameState, zones) {
+  const settings = getMatchSettings(lobby);
+
+  lobby.gameState = gameState;
+  lobby.zones = zones;
+  Object.assign(lobby.gameState, {
+    currentPlayer: 'red',
+    turnCount: 0,
+    commandPoints: {
+      red: rules.calculateTurnStartCP(settings, [], 'red'),
+      blue: rules.calculateTurnStartCP(settings, [], 'blue')
+    },
+    cpCosts: { ...rules.defaultCPCosts },
+    buildPoints: getStartingBuildPoints(lobby),
+    zoneRoles: {},
+    scoutedZones: { red: {}, blue: {} },
+    weatherSystem: getOpeningWeather(lobby)
+  });
+  lobby.turnLedger = createTurnLedger();
+  lobby.deployedInstances = { red: [], blue: [] };
+  lobby.fogViews = { red: {}, blue: {} };
+  lobby.pendingSync = null;
+  lobby.matchResult = null;
+}
+
+// Each side's build points, as initializeMultiplayerGame reads them: a single
+// buildPoints setting stands for both sides when the two aren't set
+function getStartingBuildPoints(lobby) {
+  const settings = (lobby.gameConfig && lobby.gameConfig.gameSettings) || {};
+  if (settings.player1BuildPoints && settings.player2BuildPoints) {
+    return { red: settings.player1BuildPoints, blue: settings.player2BuildPoints };
+  }
+  return { red: settings.buildPoints || 10, blue: settings.buildPoints || 10 };
+}
+
+// The forecast and time of day the lobby was set up with, and the weather the
+// host's opening roll gave (clear if it hasn't rolled)
+function getOpeningWeather(lobby) {
+  const settings = (lobby.gameConfig && lobby.gameConfig.gameSettings) || {};
+  const weatherType = rules.weatherTypes.hasOwnProperty(settings.weatherType) ? settings.weatherType : 'clear';
+  const openingRoll = lobby.dice && lobby.dice.log.find(roll => roll.kind === 'weather');
+  return {
+    dayNightCycle: settings.dayNightCycle === 'night' ? 'night' : 'day',
+    weatherType: weatherType,
+    currentWeather: openingRoll ? rules.getRolledWeather(weatherType, openingRoll.values[0]) : 'clear',
+    turnCount: 0
+  };
+}
+
+// Record that the match is decided. From then on no intent or pushed state
+// is accepted, whatever the clients still send.
+function finishMatch(lobby, winner, reason) {
+  lobby.matchResult = {
+    winner: winner,
+    reason: reason,
+    turnCount: lobby.gameState ? lobby.gameState.turnCount : null
+  };
+  lobby.pendingSync = null;
+}
+
+// The lobby's game config in the shape the rules take, as the page builds it
+// in initializeMultiplayerGame
+function getRulesConfig(lobby) {
+  const gameConfig = lobby.gameConfig || {};
+  const settings = gameConfig.gameSettings || {};
+  return {
+    player1: gameConfig.player1,
+    player2: gameConfig.player2,
+    winCondition: settings.winCondition,
+    victorySettings: settings.victorySettings || {},
+    gridSize: getMatchSettings(lobby).gridSize
+  };
+}
+
+// Whether a side has won on the server's copy of the board, as
+// rules.checkWinCondition reports it. The check runs on copies: hold trackers
+// and scores only move when a turn ends, and a claim must not move them.
+function checkMatchVictory(lobby) {
+  if (!lobby.gameState || !lobby.zones) return { winner: null, endCondition: '', reason: '', securedZones: [] };
+  const { zones, gameState } = JSON.parse(JSON.stringify({ zones: lobby.zones, gameState: lobby.gameState }));
+  return rules.checkWinCondition(zones, getRulesConfig(lobby), gameState);
+}
+
+function getMatchScenario(lobby) {
+  return (lobby.gameConfig && lobby.gameConfig.gameSettings && lobby.gameConfig.gameSettings.scenario) || null;
+}
+
+// Why the host's opening board can't start the match, or null. It must be
+// empty, or when a scenario is played hold exactly the scenario's terrain and
+// units; the scenario's copies of the units are kept rather than the host's.
+function getOpeningBoardError(lobby, zones) {
+  const scenario = getMatchScenario(lobby);
+  if (!scenario) {
+    const hasUnits = zones.some(zone => zone.tacticalGrid && Object.values(zone.tacticalGrid).some(tile => tile.unit));
+    return hasUnits ? 'units on the board' : null;
+  }
+
+  const expectedZones = rules.createScenarioZones(scenario);
+  if (zones.length !== expectedZones.length) return 'zones differ from the scenario';
+  for (const expected of expectedZones) {
+    const zone = zones.find(z => z && z.id === expected.id);
+    if (!zone || !zone.tacticalGrid) return `zone ${expected.id} is missing`;
+
+    const positions = Object.keys(expected.tacticalGrid);
+    if (Object.keys(zone.tacticalGrid).length !== positions.length) return `zone ${expected.id} is the wrong size`;
+    for (const pos of positions) {
+      const tile = zone.tacticalGrid[pos];
+      const expectedTile = expected.tacticalGrid[pos];
+      if (!tile || tile.terrain !== expectedTile.terrain) return `terrain in zone ${expected.id} differs from the scenario`;
+      if ((tile.unit && tile.unit.id) !== (expectedTile.unit && expectedTile.unit.id)) {
+        return `units in zone ${expected.id} differ from the scenario`;
+      }
+    }
+  }
+
+  expectedZones.forEach(expected => {
+    const zone = zones.find(z => z.id === expected.id);
+    Object.keys(expected.tacticalGrid).forEach(pos => {
+      zone.tacticalGrid[pos].unit = expected.tacticalGrid[pos].unit;
+    });
+  });
+  return null;
+}
+
+
+function findZone(lobby, zoneId) {
+  return (lobby.zones || []).find(z => z.id === zoneId) || null;
+}
+
+// The zone as color sees it: under fog of war, without the enemy units they
+// can't see
+function getSightedZone(lobby, color, zone) {
+  const settings = (lobby.gameConfig && lobby.gameConfig.gameSettings) || {};
+  if (!settings.fogOfWar) return zone;
+  return rules.filterZoneForPlayer(zone, color, lobby.gameState, getMatchSettings(lobby).gridSize);
+}
+
+function findUnitById(lobby, unitId) {
+  for (const zone of lobby.zones || []) {
+    for (const pos of Object.keys(zone.tacticalGrid)) {
+      const unit = zone.tacticalGrid[pos].unit;
+      if (unit && unit.id === unitId) return unit;
+    }
+  }
+  return null;
+}
+
+function getArmyRosters(lobby, color) {
+  const player = lobby.players[color === 'red' ? 0 : 1];
+  const rosters = player && lobby.armyRosters && lobby.armyRosters[player.id];
+  return rosters && Object.keys(rosters).length > 0 ? rosters : null;
+}
+
+// The entry in the owner's army rosters a unit claims to be, or null if none
+// matches its name, type and every priced stat. A unit that names its place in
+// the army (deploymentIndex) is checked against that entry alone.
+function findRosterUnit(lobby, color, unit) {
+  const rosters = getArmyRosters(lobby, color);
+  const army = rosters && rosters[String(unit.armyId)];
+  if (!army || !Array.isArray(army.units)) return null;
+
+  const candidates = Number.isInteger(unit.deploymentIndex) ? [army.units[unit.deploymentIndex]] : army.units;
+  const statOf = (source, stat) => source[stat] === undefined || source[stat] === null ? PRICED_UNIT_STATS[stat] : source[stat];
+  return candidates.find(rosterUnit =>
+    !!rosterUnit &&
+    rosterUnit.name === unit.name &&
+    rosterUnit.type === unit.type &&
+    Object.keys(PRICED_UNIT_STATS).every(stat => statOf(rosterUnit, stat) === statOf(unit, stat))
+  ) || null;
+}
+
+// Check a unit against the army rosters its owner brought to the match
+function matchesArmyRoster(lobby, color, unit) {
+  return findRosterUnit(lobby, color, unit) !== null;
+}
+
+// Number of units of the given types across a player's rosters
+function countRosterUnits(lobby, color, types) {
+  const rosters = getArmyRosters(lobby, color) || {};
+  return Object.values(rosters).reduce((count, army) =>
+    count + (army.units || []).filter(unit => types.includes(unit.type)).length, 0);
+}
+
+const AIRCRAFT_TYPES = ['fighter', 'bomber', 'airship'];
+
+// Why an aircraft can't fly this turn, or null. Like batteries, aircraft are
+// generated per client, so flights are capped at the number the rosters hold.
+function getFlightError(lobby, color, aircraft) {
+  if (!matchesArmyRoster(lobby, color, aircraft)) return `${aircraft.name} is not part of your selected armies`;
+  const flown = lobby.turnLedger.aircraftFlown;
+  if (flown.includes(aircraft.id)) return `${aircraft.name} has already flown this turn`;
+  if (flown.length >= countRosterUnits(lobby, color, AIRCRAFT_TYPES)) return 'All of your aircraft have flown this turn';
+  return null;
+}
+
+// Positions in front of a unit at pos, towards the enemy, where gas can be released
+function getGasDeploymentPositions(lobby, zoneId, color, pos) {
+  const { gridSize } = getMatchSettings(lobby);
+  const zoneRole = lobby.gameState.zoneRoles[zoneId] || {};
+  const row = Math.floor(pos / gridSize) + (zoneRole.attacker === color ? 1 : -1);
+  const col = pos % gridSize;
+  if (row < 0 || row >= gridSize) return [];
+  return [col - 1, col, col + 1].filter(c => c >= 0 && c < gridSize).map(c => row * gridSize + c);
+}
+
+// Note a unit an accepted intent may hurt, so its losses pass validateZoneUpdate
+function markAtRisk(lobby, unit) {
+  if (unit) lobby.turnLedger.atRisk.push(unit.id);
+}
+
+function spendMatchCP(lobby, color, cost) {
+  if (!rules.canSpendCP(lobby.gameState, color, cost)) {
+    return `Not enough Command Points (need ${cost} CP)`;
+  }
+  lobby.gameState.commandPoints[color] -= cost;
+  return null;
+}
+
+// Each handler checks one kind of intent and applies it to the lobby's
+// authoritative state. Returning a string rejects the intent with that reason
+// and leaves the state untouched.
+const gameActionHandlers = {
+  selectZone(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+    if (zone.locked) return 'Zone is already locked this turn';
+    if (action.role !== 'attack' && action.role !== 'defend') return 'Unknown zone role';
+
+    const error = spendMatchCP(lobby, color, 1);
+    if (error) return error;
+
+    const opponent = rules.otherPlayer(color);
+    lobby.gameState.zoneRoles[action.zoneId] = action.role === 'attack'
+      ? { attacker: color, defender: opponent }
+      : { attacker: opponent, defender: color };
+    zone.locked = true;
+    return null;
+  },
+
+  placeUnit(lobby, color, action) {
+    const { gridSize } = getMatchSettings(lobby);
+    const zone = findZone(lobby, action.zoneId);
+    const unit = action.unit;
+    if (!zone) return 'Unknown zone';
+    if (!unit || typeof unit.name !== 'string') return 'No unit given';
+    if (rules.getCutOffZoneIds(lobby.zones, color).includes(zone.id)) return 'Zone is cut off from supply';
+
+    const gridData = zone.tacticalGrid[action.pos];
+    if (!gridData) return 'Position is off the board';
+    const sighted = getSightedZone(lobby, color, zone);
+    if (sighted.tacticalGrid[action.pos].unit) return 'Position is already occupied';
+    if (!rules.isValidDeploymentPosition(lobby.gameState, action.zoneId, color, action.pos, gridSize)) {
+      const validRows = rules.getValidDeploymentRows(lobby.gameState, action.zoneId, color, gridSize);
+      return `Units must be placed in rows ${validRows.join(', ')}`;
+    }
+    if (typeof action.unitId !== 'string' || !action.unitId.startsWith(`${color}_`) || findUnitById(lobby, action.unitId)) {
+      return 'Invalid unit id';
+    }
+    if (!Number.isInteger(unit.deploymentIndex)) return `${unit.name} has no place in your army`;
+    const rosterUnit = findRosterUnit(lobby, color, unit);
+    if (!rosterUnit) {
+      return `${unit.name} is not part of your selected armies`;
+    }
+
+    const instanceKey = `${unit.armyId}_${unit.name}_${unit.deploymentIndex}`;
+    if (lobby.deployedInstances[color].includes(instanceKey)) {
+      return `${unit.name} is already deployed`;
+    }
+    if (gridData.unit) return UNSEEN_POSITION_REFUSAL;
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'placeUnit'));
+    if (error) return error;
+
+    // Built from the roster entry; the client's copy only says which one
+    gridData.unit = {
+      ...rosterUnit,
+      armyId: unit.armyId,
+      deploymentIndex: unit.deploymentIndex,
+      id: action.unitId,
+      position: action.pos,
+      player: color,
+      health: 2 + Math.max(0, rosterUnit.defense),
+      maxHealth: 2 + Math.max(0, rosterUnit.defense),
+      armour: rosterUnit.armour || 0,
+      maxArmour: rosterUnit.armour || 0
+    };
+    lobby.deployedInstances[color].push(instanceKey);
+
+    // Defenders dig in where they land; attackers may move unless stuck on a beach
+    const zoneRole = lobby.gameState.zoneRoles[action.zoneId] || {};
+    const onBeach = gridData.terrain === 'beach' && rosterUnit.special !== 'amphibious';
+    lobby.turnLedger.unitActions[action.unitId] = {
+      hasAttacked: false,
+      hasMoved: !(zoneRole.attacker === color && !onBeach)
+    };
+    return null;
+  },
+
+  moveUnit(lobby, color, action) {
+    const { gridSize } = getMatchSettings(lobby);
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+
+    const startGridData = zone.tacticalGrid[action.fromPos];
+    const targetGridData = zone.tacticalGrid[action.toPos];
+    if (!startGridData || !targetGridData) return 'Position is off the board';
+
+    const unit = startGridData.unit;
+    if (!unit || unit.player !== color) return 'No unit of yours at that position';
+    const sighted = getSightedZone(lobby, color, zone);
+    if (sighted.tacticalGrid[action.toPos].unit) return 'Position is already occupied';
+
+    const ledger = lobby.turnLedger;
+    const unitActions = ledger.unitActions[unit.id] || {};
+    if (unitActions.hasMoved) return `${unit.name} has already moved this turn`;
+    if (unit.beachLanding && unit.beachLandingTurns > 0 && unit.special !== 'amphibious') {
+      return `${unit.name} is still establishing a beachhead`;
+    }
+
+    const movementPoints = ledger.movementLeft[unit.id] !== undefined
+      ? ledger.movementLeft[unit.id]
+      : rules.getMovementPoints(unit, action.fromPos, startGridData, lobby.gameState.weatherSystem);
+    const validPositions = rules.calculateValidMovementPositions(sighted.tacticalGrid, action.fromPos, movementPoints, gridSize);
+    if (!validPositions.includes(action.toPos)) return `${unit.name} cannot reach that position`;
+
+    const restriction = rules.getMovementRestriction(unit, targetGridData);
+    if (restriction) return restriction;
+    // Units it can't see may still stand on the tile or in the way
+    if (sighted !== zone && (targetGridData.unit ||
+        !rules.calculateValidMovementPositions(zone.tacticalGrid, action.fromPos, movementPoints, gridSize).includes(action.toPos))) {
+      return UNSEEN_POSITION_REFUSAL;
+    }
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'moveUnit'));
+    if (error) return error;
+
+    const remaining = rules.getRemainingMovementAfterMove(unit, targetGridData, movementPoints);
+    targetGridData.unit = { ...unit, position: action.toPos };
+    startGridData.unit = null;
+
+    // A trampling unit crushes wire, mines and tank traps; any other sets
+    // off a minefield, which is spent
+    const construction = targetGridData.construction;
+    const tramples = unit.special === 'trample' && construction && construction.completed &&
+      TRAMPLED_CONSTRUCTIONS.includes(construction.type);
+    const setsOffMines = !tramples && rules.hasCompletedConstruction(targetGridData, 'minefield');
+    if (tramples || setsOffMines) targetGridData.construction = null;
+    ledger.movementLeft[unit.id] = remaining;
+    if (remaining <= 0) {
+      ledger.unitActions[unit.id] = { hasAttacked: !!unitActions.hasAttacked, hasMoved: true };
+    }
+
+    // Walking into a minefield, a gas cloud or rough ground can hurt the unit;
+    // the first two cost it a damage roll
+    markAtRisk(lobby, targetGridData.unit);
+    const gasClouds = lobby.gameState.gasClouds && lobby.gameState.gasClouds[action.zoneId];
+    if (setsOffMines) grantRolls(lobby, color, { minefield: 1, morale: 1 });
+    if (gasClouds && gasClouds[action.toPos]) grantRolls(lobby, color, { gas: 1, morale: 1 });
+    return null;
+  },
+
+  attack(lobby, color, action) {
+    const { gridSize } = getMatchSettings(lobby);
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+
+    const fromGridData = zone.tacticalGrid[action.fromPos];
+    if (!fromGridData || !zone.tacticalGrid[action.toPos]) return 'Position is off the board';
+
+    const attacker = fromGridData.unit;
+    if (!attacker || attacker.player !== color) return 'No unit of yours at that position';
+
+    const unitActions = lobby.turnLedger.unitActions[attacker.id] || {};
+    if (unitActions.hasAttacked) return `${attacker.name} has already attacked this turn`;
+    // Under fog of war a tile without a sighted enemy gets the same answer
+    // whether or not one is there
+    const sighted = getSightedZone(lobby, color, zone);
+    if (sighted !== zone && !sighted.tacticalGrid[action.toPos].unit) return UNSEEN_POSITION_REFUSAL;
+    if (!rules.canAttackPosition(zone.tacticalGrid, action.fromPos, action.toPos, color, gridSize, lobby.gameState.weatherSystem)) {
+      return `${attacker.name} cannot attack that position`;
+    }
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'attack'));
+    if (error) return error;
+
+    lobby.turnLedger.unitActions[attacker.id] = { hasMoved: !!unitActions.hasMoved, hasAttacked: true };
+    markAtRisk(lobby, zone.tacticalGrid[action.toPos].unit);
+    grantRolls(lobby, color, { combat: 2, morale: 1 });
+    return null;
+  },
+
+  fireArtillery(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+    if (!zone.tacticalGrid[action.targetPos]) return 'Position is off the board';
+
+    const artillery = action.artillery;
+    if (!artillery || typeof artillery.id !== 'string' || artillery.type !== 'artillery') return 'Unknown artillery unit';
+    if (lobby.turnLedger.artilleryUsed.includes(artillery.id)) return `${artillery.name} has already fired this turn`;
+
+    // Batteries are generated per client, so cap firing at the number the rosters hold
+    if (!matchesArmyRoster(lobby, color, artillery)) return `${artillery.name} is not part of your selected armies`;
+    if (lobby.turnLedger.artilleryUsed.length >= countRosterUnits(lobby, color, ['artillery'])) {
+      return 'All of your artillery has fired this turn';
+    }
+    if (!rules.applyWeatherRestrictions(artillery, lobby.gameState.weatherSystem)) {
+      return `Weather prevents ${artillery.name} from firing`;
+    }
+
+    const targetGridData = zone.tacticalGrid[action.targetPos];
+    if (targetGridData.unit && targetGridData.unit.player !== color &&
+        rules.hasCompletedConstruction(targetGridData, 'bunker') && rules.constructionEffects.bunker.artilleryImmune) {
+      return `${targetGridData.unit.name} is protected by a bunker`;
+    }
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'artilleryAttack'));
+    if (error) return error;
+
+    lobby.turnLedger.artilleryUsed.push(artillery.id);
+    markAtRisk(lobby, targetGridData.unit);
+    grantRolls(lobby, color, { artillery: 3, morale: 1 });
+    return null;
+  },
+
+  // An aircraft strikes a unit on the board (targetPos) or an enemy aircraft
+  // (targetId); the client resolves it with the aerial dice this allows
+  aerialStrike(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+
+    const aircraft = action.aircraft;
+    if (!aircraft || typeof aircraft.id !== 'string' || !AIRCRAFT_TYPES.includes(aircraft.type)) return 'Unknown aircraft';
+    if (aircraft.special === 'recon') return `${aircraft.name} is unarmed`;
+    const flightError = getFlightError(lobby, color, aircraft);
+    if (flightError) return flightError;
+    if (!rules.applyWeatherRestrictions(aircraft, lobby.gameState.weatherSystem)) {
+      return `Weather prevents ${aircraft.name} from flying`;
+    }
+
+    let target = null;
+    if (action.targetPos !== undefined && action.targetPos !== null) {
+      const targetGridData = zone.tacticalGrid[action.targetPos];
+      if (!targetGridData) return 'Position is off the board';
+      if (!targetGridData.unit || targetGridData.unit.player === color) return 'No enemy unit at that position';
+      target = targetGridData.unit;
+    } else if (typeof action.targetId !== 'string') {
+      return 'No target given';
+    }
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'attack'));
+    if (error) return error;
+
+    lobby.turnLedger.aircraftFlown.push(aircraft.id);
+    markAtRisk(lobby, target);
+    grantRolls(lobby, color, { aerial: 2, morale: 1 });
+    return null;
+  },
+
+  // An anti-air unit on the board fires at an enemy aircraft
+  antiAirFire(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+    const gridData = zone.tacticalGrid[action.fromPos];
+    if (!gridData) return 'Position is off the board';
+
+    const unit = gridData.unit;
+    if (!unit || unit.player !== color || unit.special !== 'air_defense') return 'No anti-air unit of yours at that position';
+    if (typeof action.targetId !== 'string') return 'No target given';
+    const unitActions = lobby.turnLedger.unitActions[unit.id] || {};
+    if (unitActions.hasAttacked) return `${unit.name} has already attacked this turn`;
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'attack'));
+    if (error) return error;
+
+    lobby.turnLedger.unitActions[unit.id] = { hasMoved: !!unitActions.hasMoved, hasAttacked: true };
+    grantRolls(lobby, color, { aerial: 2 });
+    return null;
+  },
+
+  // A chemical warfare unit releases gas on one of the three tiles in front of it
+  deployGas(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+    const gridData = zone.tacticalGrid[action.fromPos];
+    if (!gridData || !zone.tacticalGrid[action.targetPos]) return 'Position is off the board';
+
+    const unit = gridData.unit;
+    if (!unit || unit.player !== color || unit.special !== 'chemical_warfare') return 'No gas unit of yours at that position';
+    if (!getGasDeploymentPositions(lobby, action.zoneId, color, action.fromPos).includes(action.targetPos)) {
+      return `${unit.name} cannot release gas there`;
+    }
+
+    const error = spendMatchCP(lobby, color, rules.getCPCost(lobby.gameState, 'gas'));
+    if (error) return error;
+
+    lobby.turnLedger.gasReleased.push(`${action.zoneId}:${action.targetPos}`);
+    markAtRisk(lobby, zone.tacticalGrid[action.targetPos].unit);
+    grantRolls(lobby, color, { gas: 1, morale: 1 });
+    return null;
+  },
+
+  // Bombers, airships and recon aircraft reveal a whole zone under fog of war
+  scoutZone(lobby, color, action) {
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+
+    const scout = action.scout;
+    if (!scout || typeof scout.id !== 'string' || !rules.canScout(scout)) return 'That unit cannot scout';
+    const flightError = getFlightError(lobby, color, scout);
+    if (flightError) return flightError;
+
+    lobby.turnLedger.aircraftFlown.push(scout.id);
+    lobby.gameState.scoutedZones[color][action.zoneId] = lobby.gameState.turnCount;
+    return null;
+  },
+
+  // Start a construction, paid for in build points rather than command points
+  buildConstruction(lobby, color, action) {
+    const { gridSize } = getMatchSettings(lobby);
+    const zone = findZone(lobby, action.zoneId);
+    if (!zone) return 'Unknown zone';
+    const gridData = zone.tacticalGrid[action.pos];
+    if (!gridData) return 'Position is off the board';
+
+    const { buildPoints } = lobby.gameState;
+    const error = rules.getConstructionError(gridData, action.constructionType, buildPoints[color]);
+    if (error) return error;
+
+    buildPoints[color] -= rules.constructionCosts[action.constructionType].cost;
+    gridData.construction = {
+      type: action.constructionType,
+      player: color,
+      turnsRemaining: rules.getConstructionTurns(zone.tacticalGrid, action.pos, action.constructionType, color, gridSize),
+      completed: false,
+      placedThisTurn: true
+    };
+    return null;
+  },
+
+  // Command point spending for actions without a dedicated intent (boarding);
+  // only the standard prices are accepted
+  spendCP(lobby, color, action) {
+    const costs = Object.values(lobby.gameState.cpCosts || rules.defaultCPCosts);
+    if (!costs.includes(action.cost)) return 'Unknown Command Point cost';
+    return spendMatchCP(lobby, color, action.cost);
+  },
+
+  endTurn(lobby, color) {
+    const { gameState } = lobby;
+    const settings = getMatchSettings(lobby);
+    const nextPlayer = rules.otherPlayer(color);
+
+    // The ending side's constructions go up before the turn passes
+    rules.advanceConstructions(lobby.zones, color);
+
+    gameState.currentPlayer = nextPlayer;
+    gameState.turnCount = (gameState.turnCount || 0) + 1;
+    gameState.commandPoints[nextPlayer] = rules.calculateTurnStartCP(settings, lobby.zones, nextPlayer);
+    // Day and night alternate every turn; the ending player's weather roll
+    // sets the new turn's weather
+    gameState.weatherSystem.turnCount++;
+    gameState.weatherSystem.dayNightCycle = gameState.weatherSystem.dayNightCycle === 'day' ? 'night' : 'day';
+    lobby.turnLedger = createTurnLedger();
+    grantUpkeepRolls(lobby, color, nextPlayer);
+
+    // The player who just ended their turn still pushes the end-of-turn
+    // upkeep (terrain damage, weather, construction) once
+    lobby.pendingSync = color;
+    return null;
+  }
+};
+
+function applyGameAction(lobby, color, action) {
+  if (!lobby.gameState || !lobby.zones || !lobby.turnLedger) return 'The match has not started yet';
+  if (lobby.matchResult) return 'The match is over';
+  if (!action || !gameActionHandlers.hasOwnProperty(action.type)) return 'Unknown action';
+  if (lobby.gameState.currentPlayer !== color) return 'It is not your turn';
+
+  // Acting on a new turn closes the previous player's upkeep window
+  if (lobby.pendingSync) closeUpkeepWindow(lobby);
+  return gameActionHandlers[action.type](lobby, color, action);
+}
+
+// Stop waiting for the ending player's upkeep push, counting the turn for the
+// win condition without it
+function closeUpkeepWindow(lobby) {
+  lobby.pendingSync = null;
+  rules.checkWinCondition(lobby.zones, getRulesConfig(lobby), lobby.gameState);
+}
+
+function collectUnits(zone) {
+  const units = new Map();
+  Object.keys(zone.tacticalGrid).forEach(pos => {
+    const unit = zone.tacticalGrid[pos].unit;
+    if (!unit) return;
+    units.set(unit.id, { unit, pos: Number(pos), carrier: null });
+    (unit.transportedUnits || []).forEach(cargo => {
+      if (cargo && cargo.id) units.set(cargo.id, { unit: cargo, pos: Number(pos), carrier: unit });
+    });
+  });
+  return units;
+}
+
+// Whether a unit may have been hurt, pushed back or lost this turn: an
+// accepted intent struck or moved it (or its carrier), it stands in gas, or it
+// was already down and waiting on its survival check
+function isUnitExposed(lobby, zoneId, entry) {
+  const { atRisk } = lobby.turnLedger;
+  const gasClouds = (lobby.gameState.gasClouds && lobby.gameState.gasClouds[zoneId]) || {};
+  return atRisk.includes(entry.unit.id) ||
+    (entry.carrier !== null && atRisk.includes(entry.carrier.id)) ||
+    !!gasClouds[entry.pos] ||
+    entry.unit.health <= 0 || !!entry.unit.needsMoraleCheck;
+}
+
+// Whether the upkeep itself may wear a unit down: damaging terrain, a wound
+// still bleeding, or a rout that reached the board's edge
+function isWornByUpkeep(zone, entry) {
+  const tile = zone.tacticalGrid[entry.pos];
+  const terrain = rules.terrainEffects[tile && tile.terrain];
+  return !!(terrain && terrain.damagePerTurn) ||
+    (!!entry.unit.bleeding && entry.unit.bleedingTurns > 0) ||
+    !!entry.unit.reachedEdgeWhileRouting;
+}
+
+function getOwnedZoneState(zone) {
+  const owned = {};
+  SERVER_OWNED_ZONE_FIELDS.forEach(field => {
+    owned[field] = zone[field];
+  });
+  return owned;
+}
+
+const CONSTRUCTION_FIELDS = ['type', 'player', 'turnsRemaining', 'completed'];
+
+function isSameConstruction(previous, next) {
+  if (!previous || !next) return !previous && !next;
+  return CONSTRUCTION_FIELDS.every(field => previous[field] === next[field]) &&
+    !previous.placedThisTurn === !next.placedThisTurn;
+}
+
+// Compare a zone a client pushed with the server's copy, unit by unit. Moves
+// and placements reach the server as intents, so a unit's position must match
+// its copy there; the exceptions are boarding and leaving a carrier next to
+// it, and falling back a row after a blow. Only units exposed to an accepted
+// intent or worn by the upkeep may lose health, fall back or vanish, and only
+// the upkeep may heal.
+// Constructions, control and locks only change through the server's own
+// actions; owned is what the zone's server-owned fields must be, and on
+// success they are written into nextZone.
+function validateZoneUpdate(lobby, color, previousZone, nextZone, isUpkeep, owned = getOwnedZoneState(previousZone)) {
+  const { gridSize } = getMatchSettings(lobby);
+  if (!nextZone || !nextZone.tacticalGrid) return 'Missing zone grid';
+  if (!nextZone.locked !== !owned.locked) return `Zone ${previousZone.id} was locked or unlocked without an order`;
+  if (nextZone.control !== owned.control) return `Zone ${previousZone.id} changed hands without being held`;
+
+  const positions = Object.keys(previousZone.tacticalGrid);
+  if (Object.keys(nextZone.tacticalGrid).length !== positions.length) return 'Zone grid size changed';
+  for (const pos of positions) {
+    const previousTile = previousZone.tacticalGrid[pos];
+    const nextTile = nextZone.tacticalGrid[pos];
+    if (!nextTile || nextTile.terrain !== previousTile.terrain) {
+      return `Terrain changed in zone ${previousZone.id}`;
+    }
+    if (!isSameConstruction(previousTile.construction, nextTile.construction)) {
+      return `Construction changed in zone ${previousZone.id} without an order`;
+    }
+  }
+
+  const previousUnits = collectUnits(previousZone);
+  const nextUnits = collectUnits(nextZone);
+  const isExposed = entry => isUnitExposed(lobby, previousZone.id, entry) ||
+    (isUpkeep && isWornByUpkeep(previousZone, entry));
+
+  for (const [unitId, previous] of previousUnits) {
+    if (!nextUnits.has(unitId) && !isExposed(previous)) return `Unit ${previous.unit.name} was removed without an order`;
+  }
+
+  for (const [unitId, next] of nextUnits) {
+    const previous = previousUnits.get(unitId);
+    const name = next.unit.name;
+    if (!previous) return next.carrier ? `Unit ${name} was never on the board` : `Unit ${name} was never deployed`;
+    if (previous.unit.player !== next.unit.player) return `Unit ${name} changed sides`;
+
+    for (const field of FIXED_UNIT_FIELDS) {
+      if (previous.unit[field] !== next.unit[field]) return `Unit ${name} changed its ${field}`;
+    }
+    // Entering a road costs a point of defense until the unit leaves it
+    const roadPenalty = unit => (unit.roadMovementBonus ? 1 : 0);
+    if ((next.unit.defense || 0) !== (previous.unit.defense || 0) + roadPenalty(previous.unit) - roadPenalty(next.unit)) {
+      return `Unit ${name} changed its defense`;
+    }
+    // Armour is worn away by blows, salvaged by attacking and repaired in the upkeep
+    const armour = next.unit.armour || 0;
+    const previousArmour = previous.unit.armour || 0;
+    const unitActions = lobby.turnLedger.unitActions[unitId] || {};
+    if (armour > (next.unit.maxArmour || 0)) return `Unit ${name} has more armour than its maximum`;
+    if (armour < previousArmour && !isExposed(previous)) return `Unit ${name} lost armour without an order`;
+    if (armour > previousArmour && !isUpkeep && !unitActions.hasAttacked) return `Unit ${name} regained armour without an order`;
+    if (next.unit.health > next.unit.maxHealth) return `Unit ${name} has more health than its maximum`;
+    if (next.unit.health < previous.unit.health && !isExposed(previous)) return `Unit ${name} was hurt without an order`;
+    // A unit that holds in its survival check falls back at full health
+    const heldOn = isExposed(previous) && next.unit.health === next.unit.maxHealth &&
+      (next.pos !== previous.pos || previous.unit.health <= 0);
+    if (next.unit.health > previous.unit.health && !isUpkeep && !heldOn) {
+      return `Unit ${name} was healed outside the upkeep`;
+    }
+
+    if (!previous.carrier !== !next.carrier) {
+      // Boarding or leaving a carrier: the owner's, between neighbouring tiles
+      if (next.unit.player !== color || !rules.getAdjacentPositions(previous.pos, gridSize).includes(next.pos)) {
+        return `Unit ${name} moved without an order`;
+      }
+    } else if (next.carrier) {
+      if (next.carrier.id !== previous.carrier.id) return `Unit ${name} changed carriers`;
+    } else if (next.pos !== previous.pos) {
+      const rowShift = Math.abs(Math.floor(previous.pos / gridSize) - Math.floor(next.pos / gridSize));
+      if (rowShift > 1 || !isExposed(previous)) return `Unit ${name} moved without an order`;
+    }
+  }
+
+  Object.assign(nextZone, owned);
+  return null;
+}
+
+// Gas clouds appear only where a deployGas intent released them this turn;
+// drifting and clearing are the upkeep's
+function getGasCloudError(lobby, gasClouds, isUpkeep) {
+  if (isUpkeep) return null;
+  const previous = lobby.gameState.gasClouds || {};
+  const next = gasClouds || {};
+  const zoneIds = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const zoneId of zoneIds) {
+    const previousPositions = Object.keys(previous[zoneId] || {});
+    const nextPositions = Object.keys(next[zoneId] || {});
+    if (previousPositions.some(pos => !nextPositions.includes(pos))) return 'Gas clouds only clear in the upkeep';
+    const released = nextPositions.find(pos =>
+      !previousPositions.includes(pos) && !lobby.turnLedger.gasReleased.includes(`${zoneId}:${pos}`));
+    if (released !== undefined) return 'Gas was released without an order';
+  }
+  return null;
+}
+
+// Check a pushed snapshot before it replaces the server's copy. On success the
+// server-owned fields in it are overwritten with the authoritative values.
+function validateStateUpdate(lobby, color, gameState, zones) {
+  if (lobby.matchResult) return 'The match is over';
+  const isUpkeep = lobby.pendingSync === color;
+  if (lobby.gameState.currentPlayer !== color && !isUpkeep) return 'It is not your turn';
+
+  let turnCheck = null;
+  if (zones) {
+    if (!Array.isArray(zones) || zones.length !== lobby.zones.length) return 'Zone list changed';
+    for (const zone of zones) {
+      if (!findZone(lobby, zone && zone.id)) return 'Unknown zone';
+      if (!zone.tacticalGrid) return 'Missing zone grid';
+    }
+    // The upkeep's win check may secure zones; it must agree with the server's
+    if (isUpkeep) turnCheck = checkPushedTurn(lobby, zones);
+    for (const zone of zones) {
+      const previousZone = findZone(lobby, zone.id);
+      const owned = turnCheck ? turnCheck.zones.get(zone.id) : getOwnedZoneState(previousZone);
+      const error = validateZoneUpdate(lobby, color, previousZone, zone, isUpkeep, owned);
+      if (error) return error;
+    }
+  }
+
+  if (gameState) {
+    const gasError = getGasCloudError(lobby, gameState.gasClouds, isUpkeep);
+    if (gasError) return gasError;
+  }
+  if (turnCheck) lobby.gameState.victoryPoints = turnCheck.victoryPoints;
+  if (gameState) Object.assign(gameState, getOwnedState(lobby.gameState));
+  return null;
+}
+
+// The win check the ending player's upkeep runs after the turn passes, run by
+// the server on the board they pushed but with its own control, trackers and
+// scores. Returns the server-owned fields it leaves on each zone, by id, and
+// the victory points.
+function checkPushedTurn(lobby, zones) {
+  const board = JSON.parse(JSON.stringify(zones.map(zone => ({
+    ...zone,
+    ...getOwnedZoneState(findZone(lobby, zone.id))
+  }))));
+  const gameState = JSON.parse(JSON.stringify(lobby.gameState));
+  rules.checkWinCondition(board, getRulesConfig(lobby), gameState);
+  return {
+    zones: new Map(board.map(zone => [zone.id, getOwnedZoneState(zone)])),
+    victoryPoints: gameState.victoryPoints
+  };
+}
+
+
+// Match dice
+// Every roll in a multiplayer match is drawn from one seeded generator per
+// lobby, so neither browser decides its own results. Players get a SHA-256
+// commitment to the seed when the match starts and the seed plus the full
+// roll log when it ends, which lets either of them replay every roll with
+// rules.verifyRollLog.
+
+// What clients may ask to roll, and the dice each kind uses
+const DICE_KINDS = {
+  combat: { sides: [6], maxCount: 2 },
+  morale: { sides: [6], maxCount: 1 },
+  artillery: { sides: [6, 10], maxCount: 2 },
+  aerial: { sides: [6], maxCount: 2 },
+  gas: { sides: [6], maxCount: 1 },
+  minefield: { sides: [6], maxCount: 1 },
+  weather: { sides: [100], maxCount: 1 }
+};
+
+// Dice are only rolled for what the server already accepted: each intent
+// allows the dice its resolution takes (a morale die covers the survival
+// check of a unit it brings down), and ending a turn allows its upkeep. The
+// dice a side may still roll are kept in the turn ledger, by kind, and each
+// roll spends them.
+function grantRolls(lobby, color, dice) {
+  const allowance = lobby.turnLedger.rolls[color];
+  Object.keys(dice).forEach(kind => {
+    allowance[kind] = (allowance[kind] || 0) + dice[kind];
+  });
+}
+
+// The side ending its turn rolls the new weather and the damage of gas clouds
+// drifting onto units; the side starting its turn the damage to units standing
+// in gas as it enters their zones. Either may need a survival check for any
+// unit on the board.
+function grantUpkeepRolls(lobby, endingColor, nextColor) {
+  const gasClouds = lobby.gameState.gasClouds || {};
+  let cloudCount = 0;
+  let unitsInGas = 0;
+  let unitCount = 0;
+  lobby.zones.forEach(zone => {
+    const clouds = gasClouds[zone.id] || {};
+    cloudCount += Object.keys(clouds).length;
+    Object.keys(zone.tacticalGrid).forEach(pos => {
+      if (!zone.tacticalGrid[pos].unit) return;
+      unitCount++;
+      if (clouds[pos]) unitsInGas++;
+    });
+  });
+
+  grantRolls(lobby, endingColor, { weather: 1, gas: cloudCount, morale: unitCount });
+  grantRolls(lobby, nextColor, { gas: unitsInGas, morale: unitCount });
+}
+
+// A new generator and its commitment, for a match about to start. Before
+// the match starts the host may only roll its opening weather.
+function createMatchDice() {
+  const seed = crypto.randomBytes(16).toString('hex');
+  return {
+    seed: seed,
+    commitment: crypto.createHash('sha256').update(seed).digest('hex'),
+    random: rules.createRandom(seed),
+    sequence: 0,
+    log: [],
+    openingRolls: { red: { weather: 1 }, blue: {} }
+  };
+}
+
+// Rebuild a saved match's generator where it left off
+function resumeMatchDice(dice) {
+  const random = rules.createRandom(dice.seed);
+  dice.log.forEach(entry => {
+    entry.values.forEach(() => rules.rollDie(random, entry.sides));
+  });
+  return { ...dice, random: random };
+}
+
+// Returns the logged roll, or a string saying why it was refused
+function rollMatchDice(lobby, color, kind, count, sides) {
+  if (!lobby.dice) return 'No match is running';
+  if (lobby.matchResult) return 'The match is over';
+  if (!color) return 'Only players in the match can roll';
+
+  const spec = DICE_KINDS[kind];
+  if (!spec) return `Unknown roll: ${kind}`;
+  if (!spec.sides.includes(sides)) return `A ${kind} roll can't use a d${sides}`;
+  if (!Number.isInteger(count) || count < 1 || count > spec.maxCount) {
+    return `A ${kind} roll can't use ${count} dice`;
+  }
+
+  const allowance = lobby.turnLedger ? lobby.turnLedger.rolls[color] : (lobby.dice.openingRolls || {})[color] || {};
+  if ((allowance[kind] || 0) < count) return `Nothing you have ordered calls for a ${kind} roll`;
+  allowance[kind] -= count;
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(rules.rollDie(lobby.dice.random, sides));
+  }
+  lobby.dice.sequence++;
+  const roll = {
+    sequence: lobby.dice.sequence,
+    kind: kind,
+    player: color,
+    sides: sides,
+    values: values
+  };
+  lobby.dice.log.push(roll);
+
+  // Weather is only ever what the server rolled
+  if (kind === 'weather' && lobby.gameState && lobby.gameState.weatherSystem) {
+    const { weatherSystem } = lobby.gameState;
+    weatherSystem.currentWeather = rules.getRolledWeather(weatherSystem.weatherType, values[0]);
+  }
+  return roll;
+}
+
+// Time controls
+// The time controls a lobby's game settings ask for (see the turn clock in
+// server.js), or null when the match is untimed
+
+const TIME_CONTROL_LIMITS = {
+  turnSeconds: [15, 3600],
+  totalSeconds: [60, 7200],
+  incrementSeconds: [0, 300]
+};
+
+function getTimeControl(lobby) {
+  const settings = (lobby.gameConfig && lobby.gameConfig.gameSettings) || {};
+  const timeControl = settings.timeControl;
+  if (!timeControl) return null;
+  
+  const seconds = (key) => {
+    const value = Number(timeControl[key]);
+    const [min, max] = TIME_CONTROL_LIMITS[key];
+    return Number.isFinite(value) && value >= min && value <= max ? value : null;
+  };
+  
+  if (timeControl.mode === 'turn' && seconds('turnSeconds')) {
+    return { mode: 'turn', turnSeconds: seconds('turnSeconds') };
+  }
+  if (timeControl.mode === 'clock' && seconds('totalSeconds')) {
+    return { mode: 'clock', totalSeconds: seconds('totalSeconds'), incrementSeconds: seconds('incrementSeconds') || 0 };
+  }
+  return null;
+}
+
+// Milliseconds left for each player right now
+function getTurnClockState(lobby) {
+  const { clock } = lobby;
+  const currentPlayer = lobby.gameState.currentPlayer;
+  const remaining = { ...clock.remaining };
+  remaining[currentPlayer] = Math.max(0, remaining[currentPlayer] - (Date.now() - clock.turnStartedAt));
+  return {
+    mode: clock.mode,
+    currentPlayer: currentPlayer,
+    remaining: remaining,
+    turnSeconds: clock.turnSeconds,
+    incrementSeconds: clock.incrementSeconds
+  };
+}
+
+module.exports = {
+  SERVER_OWNED_FIELDS,
+  FIXED_UNIT_FIELDS,
+  UNSEEN_POSITION_REFUSAL,
+  getPlayerColor,
+  getMatchSettings,
+  createTurnLedger,
+  getOwnedState,
+  startAuthoritativeMatch,
+  finishMatch,
+  checkMatchVictory,
+  getOpeningBoardError,
+  findZone,
+  findUnitById,
+  matchesArmyRoster,
+  gameActionHandlers,
+  applyGameAction,
+  closeUpkeepWindow,
+  validateZoneUpdate,
+  validateStateUpdate,
+  DICE_KINDS,
+  createMatchDice,
+  resumeMatchDice,
+  rollMatchDice,
+  getTimeControl,
+  getTurnClockState
+};
@@ -0,0 +1,24 @@
+/**
+ * Ashes of the Covenant - AI planner thread for the server
+ *
+ * The server's counterpart to ai-worker.js: runs AIPlanner.chooseAction
+ * (planner.js) in a worker thread, so an AI seat thinking over its next
+ * action doesn't hold up every other lobby. server.js posts
+ *
+ *   { id, packs, situation, difficulty }
+ *
+ * with the lobby's content packs, so the rules here match the lobby's, and
+ * gets back { id, action } or { id, error }.
+ */
+const { parentPort } = require('worker_threads');
+const rules = require('./rules');
+const planner = require('./planner');
+
+parentPort.on('message', ({ id, packs, situation, difficulty }) => {
+  try {
+    rules.useContentPacks(packs || []);
+    parentPort.postMessage({ id, action: planner.chooseAction(situation, difficulty) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,1063 @@
+/**
+ * Ashes of the Covenant - AI planner
+ *
+ * Picks the AI's next action in a zone by trying the candidates out. Each
+ * candidate deployment, move or attack is played on a copy of the zone with
+ * the combat, morale and terrain rules from rules.js, the dice are rolled
+ * afresh for every rollout, and the rollout carries on with the best attacks
+ * that follow before the position is scored. The candidate with the best
+ * average score is played, and the page asks again until the planner would
+ * rather pass. The difficulty tiers set how many candidates are searched, how
+ * far ahead and for how long; every tier gets the same command points. The
+ * personalities set what the AI is playing for. Before it fights,
+ * planStrategy picks the zones the AI fights in and shares out its command
+ * points, and getOpponentPatterns reads what it has learnt of the opponent
+ * over earlier matches.
+ *
+ * ww1game.html loads it as AIPlanner and runs it in ai-worker.js so the
+ * board keeps drawing while the AI thinks, and simulator.js plays whole
+ * matches with it. It only reads what it is given, the situation described
+ * at getCandidateActions or the battle at planStrategy, and never changes it.
+ *
+ * Tests live in test/planner.test.js (`npm test`).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./rules'));
+  } else {
+    root.AIPlanner = factory(root.GameRules);
+  }
+})(typeof self !== 'undefined' ? self : this, function (GameRules) {
+  'use strict';
+
+  // Difficulty
+  //   depth      actions played out per rollout: the candidate, then the
+  //              best attacks that follow it
+  //   rollouts   rollouts per candidate when time allows
+  //   breadth    candidates kept after a quick first ranking
+  //   timeBudget milliseconds a decision may take once every candidate has
+  //              had a rollout
+
+  const AI_DIFFICULTIES = {
+    recruit: { name: 'Recruit', depth: 1, rollouts: 4, breadth: 6, timeBudget: 150 },
+    veteran: { name: 'Veteran', depth: 2, rollouts: 12, breadth: 12, timeBudget: 400 },
+    field_marshal: { name: 'Field Marshal', depth: 3, rollouts: 32, breadth: 24, timeBudget: 1200 }
+  };
+
+  const DEFAULT_AI_DIFFICULTY = 'veteran';
+
+  function getDifficulty(difficulty) {
+    return AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+  }
+
+  // Scoring
+  // Positions are scored in army points (see getUnitPointCost), from the
+  // planning side's point of view.
+
+  const SCORE_WEIGHTS = {
+    hold: 12,     // the zone held alone
+    contest: 4,   // a foothold in a zone the enemy also holds
+    advance: 2,   // per attacking unit, scaled by how far it has pushed in
+    threat: 0.5   // share of the losses either side can inflict next turn
+  };
+
+  // Score an action has to gain for every CP it costs to be worth playing
+  const CP_VALUE = 0.5;
+
+  const CP_ACTIONS = { deploy: 'placeUnit', move: 'moveUnit', attack: 'attack' };
+
+  // Personality
+  // The kind of commander the AI plays. The search reads the first four
+  // fields; planStrategy and the page read the rest when they share out
+  // zones, command points and units:
+  //   weights      multipliers on SCORE_WEIGHTS
+  //   eager        specials it wants in the fight from the start, each worth
+  //                EAGER_VALUE while on the grid
+  //   aggression,  where its leanings (0-1) start; the more cautious than
+  //   caution      aggressive it is, the more an action must gain per CP
+  //   attackShare  CP an attacked zone gets for every 1 a defended one gets
+  //   holdBack     reserves kept out of a zone it still has units in
+  //   fortify      digs trenches under its infantry and bunkers its best units
+  //   gasEarly     releases gas as soon as a globadier faces the enemy
+  //   feint        under-commits in a bait zone and counter-attacks the zone
+  //                the enemy commits to
+  // description is shown on the summary screen.
+
+  const AI_PERSONALITIES = {
+    balanced: {
+      name: 'Balanced',
+      description: 'Weighs attack and defence evenly and spends command points where they pay.',
+      weights: {},
+      eager: [],
+      aggression: 0.5,
+      caution: 0.5,
+      attackShare: 1,
+      holdBack: 0,
+      fortify: false,
+      gasEarly: false,
+      feint: false
+    },
+    aggressive: {
+      name: 'Aggressive',
+      description: 'Pours command points into attacks, pushes deep and sends cavalry charges and gas in early.',
+      weights: { advance: 2, threat: 0.5 },
+      eager: ['charge', 'chemical_warfare'],
+      aggression: 0.8,
+      caution: 0.2,
+      attackShare: 2,
+      holdBack: 0,
+      fortify: false,
+      gasEarly: true,
+      feint: false
+    },
+    defensive: {
+      name: 'Defensive',
+      description: 'Digs trenches and bunkers, holds the zones it has and keeps reserves back.',
+      weights: { hold: 1.5, advance: 0.5, threat: 1.5 },
+      eager: [],
+      aggression: 0.2,
+      caution: 0.8,
+      attackShare: 0.5,
+      holdBack: 2,
+      fortify: true,
+      gasEarly: false,
+      feint: false
+    },
+    deceptive: {
+      name: 'Deceptive',
+      description: 'Leaves a zone looking weak to draw you in, then counter-attacks where you commit.',
+      weights: {},
+      eager: [],
+      aggression: 0.5,
+      caution: 0.5,
+      attackShare: 1,
+      holdBack: 0,
+      fortify: false,
+      gasEarly: false,
+      feint: true
+    }
+  };
+
+  const DEFAULT_AI_PERSONALITY = 'balanced';
+
+  // The legion an AI fields when it isn't given one: in simulator.js batches
+  // and in the multiplayer seats bot.js fills
+  const DEFAULT_AI_ARMY = {
+    name: 'Standard Legion',
+    units: [
+      { name: 'Infantry', type: 'infantry', attack: 0, defense: 1, morale: 4, range: 1, movement: 2, special: 'fortified' },
+      { name: 'Infantry', type: 'infantry', attack: 0, defense: 1, morale: 4, range: 1, movement: 2, special: 'fortified' },
+      { name: 'Elite Infantry', type: 'infantry', attack: 2, defense: 1, morale: 5, range: 1, movement: 2, special: 'veteran' },
+      { name: 'Dragoons', type: 'cavalry', attack: 1, defense: 0, morale: 4, range: 1, movement: 3, special: 'charge' },
+      { name: 'Medic', type: 'support', attack: -1, defense: 0, morale: 4, range: 1, movement: 2, special: 'healer' },
+      { name: 'Light Tank', type: 'tank', attack: 2, defense: 2, morale: 3, range: 1, movement: 3, armour: 4, special: 'all_terrain' },
+      { name: 'Light Field Gun', type: 'field_gun', attack: 2, defense: 1, morale: 4, range: 3, movement: 2, special: 'mobile_fire' }
+    ]
+  };
+
+  // Points an eager special is worth on the grid
+  const EAGER_VALUE = 6;
+
+  function getPersonality(type) {
+    return AI_PERSONALITIES[type] || AI_PERSONALITIES[DEFAULT_AI_PERSONALITY];
+  }
+
+  // SCORE_WEIGHTS as situation.personality weighs them
+  function getScoreWeights(situation) {
+    const weights = getPersonality(situation.personality && situation.personality.type).weights;
+    const scaled = {};
+    Object.keys(SCORE_WEIGHTS).forEach(key => {
+      scaled[key] = SCORE_WEIGHTS[key] * (weights[key] === undefined ? 1 : weights[key]);
+    });
+    return scaled;
+  }
+
+  // Score an action has to gain per CP for situation.personality
+  function getCPValue(situation) {
+    const personality = situation.personality || {};
+    const leanings = getPersonality(personality.type);
+    const aggression = personality.aggression === undefined ? leanings.aggression : personality.aggression;
+    const caution = personality.caution === undefined ? leanings.caution : personality.caution;
+    return CP_VALUE * (0.5 + caution) / (0.5 + aggression);
+  }
+
+  // CP an action costs; anything with cpCosts will do for situation,
+  // gameState included
+  function getActionCost(situation, action) {
+    return GameRules.getCPCost(situation, CP_ACTIONS[action.type]);
+  }
+
+  // Point value of a unit at full strength
+  function getUnitValue(unit) {
+    return GameRules.getUnitPointCost({ ...unit, armour: unit.maxArmour || 0 });
+  }
+
+  // Share of its health and armour a unit has left
+  function getUnitCondition(unit) {
+    const durability = (unit.maxHealth || unit.health || 1) + (unit.maxArmour || 0);
+    return Math.min(1, Math.max(0, (unit.health + (unit.armour || 0)) / durability));
+  }
+
+  function getRulesContext(situation) {
+    return {
+      grid: situation.grid,
+      gridSize: situation.gridSize,
+      weatherSystem: situation.weatherSystem,
+      aerial: situation.aerial
+    };
+  }
+
+  // Share of the defender's value an attack from fromPos takes on average
+  function getExpectedLoss(situation, fromPos, toPos) {
+    const grid = situation.grid;
+    const attacker = grid[fromPos].unit;
+    const defender = grid[toPos].unit;
+    const context = getRulesContext(situation);
+    const attackMod = GameRules.getActualCombatValues(attacker, fromPos, grid[fromPos], toPos, grid[toPos], null, context).actualAttack;
+    const defenseMod = GameRules.getActualCombatValues(defender, toPos, grid[toPos], fromPos, grid[fromPos], attacker, context).actualDefense;
+    const abilities = GameRules.applySpecialAbilities(attacker, fromPos, grid[fromPos], toPos, grid[toPos], context);
+    const odds = GameRules.calculateAttackOdds(defender, attackMod, defenseMod, { damageBonus: abilities.damageBonus });
+    const durability = (defender.maxHealth || defender.health || 1) + (defender.maxArmour || 0);
+
+    return Math.min(1, odds.kill + (odds.expectedDamage + odds.expectedArmourLoss) / durability) * getUnitCondition(defender);
+  }
+
+  function getUnitPositions(situation) {
+    const positions = { own: [], enemy: [] };
+    for (let pos = 0; pos < situation.gridSize * situation.gridSize; pos++) {
+      const unit = situation.grid[pos].unit;
+      if (unit) positions[unit.player === situation.player ? 'own' : 'enemy'].push(pos);
+    }
+    return positions;
+  }
+
+  // The worst each unit in targets can expect from any one unit in shooters
+  function getThreatenedValue(situation, shooters, targets) {
+    const { grid, gridSize, weatherSystem } = situation;
+    return targets.reduce((total, toPos) => {
+      let worst = 0;
+      shooters.forEach(fromPos => {
+        const shooter = grid[fromPos].unit;
+        if (!shooter.attack || !GameRules.canAttackPosition(grid, fromPos, toPos, shooter.player, gridSize, weatherSystem)) return;
+        worst = Math.max(worst, getExpectedLoss(situation, fromPos, toPos));
+      });
+      return total + worst * getUnitValue(grid[toPos].unit);
+    }, 0);
+  }
+
+  // How good the zone looks for situation.player: units left and the shape
+  // they're in, who holds the zone, how far an attack has got, and what each
+  // side could shoot at next turn
+  function evaluateSituation(situation) {
+    const { grid, gridSize } = situation;
+    const positions = getUnitPositions(situation);
+    const weights = getScoreWeights(situation);
+    const eager = getPersonality(situation.personality && situation.personality.type).eager;
+    let score = 0;
+
+    positions.own.forEach(pos => {
+      const unit = grid[pos].unit;
+      score += getUnitValue(unit) * getUnitCondition(unit);
+      if (eager.includes(unit.special)) score += EAGER_VALUE;
+      if (situation.role === 'attack') {
+        score += weights.advance * Math.floor(pos / gridSize) / (gridSize - 1);
+      }
+    });
+    positions.enemy.forEach(pos => {
+      const unit = grid[pos].unit;
+      score -= getUnitValue(unit) * getUnitCondition(unit);
+    });
+
+    if (positions.own.length && !positions.enemy.length) score += weights.hold;
+    else if (positions.own.length && positions.enemy.length) score += weights.contest;
+    else if (positions.enemy.length) score -= weights.hold;
+
+    score += weights.threat * getThreatenedValue(situation, positions.own, positions.enemy);
+    score -= weights.threat * getThreatenedValue(situation, positions.enemy, positions.own);
+    return score;
+  }
+
+  // Candidate actions
+  // A situation is the zone as the planning side sees it:
+  //   grid           tactical grid, with the enemy units it can't see taken off
+  //   gridSize       width of that grid
+  //   player         the planning side
+  //   role           'attack' or 'defense' in this zone
+  //   cp             command points it may still spend here
+  //   cpCosts        gameState.cpCosts
+  //   reserves       units it can still deploy here
+  //   deploymentRows rows it may deploy on (getValidDeploymentRows)
+  //   weatherSystem  gameState.weatherSystem
+  //   aerial         gameState.aerial
+  //   cutOff         { red, blue }: whether each side is cut off from supply
+  //                  here, which makes its morale checks harder
+  //   acted          gameState.unitActions
+  //   personality    optional { type, aggression, caution }, the commander
+  //                  it plays (AI_PERSONALITIES); balanced when left out
+  // Actions are { type: 'deploy', reserveIndex, pos }, { type: 'move', from,
+  // to } and { type: 'attack', from, to }. A move takes a unit anywhere it can
+  // reach in one order, as a player's move does.
+
+  function getUnitActions(situation, unit) {
+    return situation.acted[unit.id] || { hasMoved: false, hasAttacked: false };
+  }
+
+  function canAfford(situation, type) {
+    return situation.cp >= getActionCost(situation, { type });
+  }
+
+  function getDeployActions(situation) {
+    const { grid, gridSize } = situation;
+    const actions = [];
+    const seen = new Set();
+
+    situation.reserves.forEach((unit, reserveIndex) => {
+      // Identical units would only repeat the same candidates
+      const key = `${unit.name}|${unit.type}|${unit.attack}|${unit.defense}|${unit.special}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      situation.deploymentRows.forEach(row => {
+        for (let col = 0; col < gridSize; col++) {
+          const pos = row * gridSize + col;
+          if (!grid[pos].unit && !GameRules.getMovementRestriction(unit, grid[pos])) {
+            actions.push({ type: 'deploy', reserveIndex, pos });
+          }
+        }
+      });
+    });
+    return actions;
+  }
+
+  function getMoveActions(situation, from) {
+    const { grid, gridSize } = situation;
+    const unit = grid[from].unit;
+    if (getUnitActions(situation, unit).hasMoved || !unit.movement) return [];
+    if (unit.beachLanding && unit.beachLandingTurns > 0 && unit.special !== 'amphibious') return [];
+
+    const movementPoints = GameRules.getMovementPoints(unit, from, grid[from], situation.weatherSystem);
+    return GameRules.calculateValidMovementPositions(grid, from, movementPoints, gridSize)
+      .filter(to => !GameRules.getMovementRestriction(unit, grid[to]))
+      .map(to => ({ type: 'move', from, to }));
+  }
+
+  function getAttackActions(situation, from) {
+    const { grid, gridSize } = situation;
+    const unit = grid[from].unit;
+    if (getUnitActions(situation, unit).hasAttacked || !unit.attack) return [];
+
+    return getUnitPositions(situation).enemy
+      .filter(to => GameRules.canAttackPosition(grid, from, to, situation.player, gridSize, situation.weatherSystem))
+      .map(to => ({ type: 'attack', from, to }));
+  }
+
+  // Every action situation.player can afford
+  function getCandidateActions(situation) {
+    const own = getUnitPositions(situation).own;
+    let actions = [];
+
+    if (canAfford(situation, 'deploy')) actions = actions.concat(getDeployActions(situation));
+    if (canAfford(situation, 'move')) own.forEach(from => { actions = actions.concat(getMoveActions(situation, from)); });
+    if (canAfford(situation, 'attack')) own.forEach(from => { actions = actions.concat(getAttackActions(situation, from)); });
+    return actions;
+  }
+
+  // Simulation
+
+  function cloneSituation(situation) {
+    const grid = [];
+    for (let pos = 0; pos < situation.gridSize * situation.gridSize; pos++) {
+      const gridData = situation.grid[pos];
+      grid.push({ ...gridData, unit: gridData.unit && { ...gridData.unit } });
+    }
+    return { ...situation, grid, acted: { ...situation.acted }, reserves: situation.reserves.slice() };
+  }
+
+  // The unit a deployment puts on the grid, as placing one in the game does
+  function createDeployedUnit(unitData, id, pos, player) {
+    return {
+      ...unitData,
+      id,
+      player,
+      position: pos,
+      health: 2 + Math.max(0, unitData.defense),
+      maxHealth: 2 + Math.max(0, unitData.defense),
+      armour: unitData.armour || 0,
+      maxArmour: unitData.armour || 0,
+      placedThisTurn: true
+    };
+  }
+
+  // Roll an attack and, if it brings the defender down, its survival morale
+  // check
+  function resolveAttack(next, from, to, random) {
+    const grid = next.grid;
+    const attacker = grid[from].unit;
+    const defender = grid[to].unit;
+    const context = getRulesContext(next);
+    const attackMod = GameRules.getActualCombatValues(attacker, from, grid[from], to, grid[to], null, context).actualAttack;
+    const defenseMod = GameRules.getActualCombatValues(defender, to, grid[to], from, grid[from], attacker, context).actualDefense;
+    const abilities = GameRules.applySpecialAbilities(attacker, from, grid[from], to, grid[to], context);
+    const attackTotal = GameRules.rollDie(random, 6) + attackMod;
+    const defenseTotal = GameRules.rollDie(random, 6) + defenseMod;
+
+    const result = GameRules.processCombatResult(attacker, defender, to, abilities, attackTotal, defenseTotal, context);
+    if (!result.destroyed) return;
+
+    grid[to].unit = null;
+    const moraleTarget = defender.morale + (next.cutOff && next.cutOff[defender.player] ? GameRules.CUT_OFF_MORALE_PENALTY : 0);
+    if (GameRules.rollDie(random, 6) < moraleTarget) return;
+
+    const zoneRole = next.role === 'attack'
+      ? { attacker: next.player, defender: GameRules.otherPlayer(next.player) }
+      : { attacker: GameRules.otherPlayer(next.player), defender: next.player };
+    const retreatPos = GameRules.getSurvivalRetreatPosition(grid, to, defender.player, zoneRole, next.gridSize);
+    if (retreatPos !== -1) {
+      defender.health = defender.maxHealth;
+      defender.position = retreatPos;
+      grid[retreatPos].unit = defender;
+    }
+  }
+
+  // The situation after action, with any dice rolled from random
+  function simulateAction(situation, action, random) {
+    const next = cloneSituation(situation);
+    const grid = next.grid;
+    next.cp -= getActionCost(situation, action);
+
+    if (action.type === 'deploy') {
+      const unitData = next.reserves[action.reserveIndex];
+      const unit = createDeployedUnit(unitData, `planned_${action.reserveIndex}_${action.pos}`, action.pos, next.player);
+      const beached = grid[action.pos].terrain === 'beach' && unit.special !== 'amphibious';
+      grid[action.pos].unit = unit;
+      next.reserves.splice(action.reserveIndex, 1);
+      // Only attackers may move on the turn they deploy, and not off a beach
+      next.acted[unit.id] = { hasMoved: next.role !== 'attack' || beached, hasAttacked: false };
+    } else if (action.type === 'move') {
+      const unit = grid[action.from].unit;
+      unit.position = action.to;
+      grid[action.to].unit = unit;
+      grid[action.from].unit = null;
+      next.acted[unit.id] = { ...getUnitActions(next, unit), hasMoved: true };
+    } else if (action.type === 'attack') {
+      const unit = grid[action.from].unit;
+      next.acted[unit.id] = { ...getUnitActions(next, unit), hasAttacked: true };
+      resolveAttack(next, action.from, action.to, random);
+    }
+    return next;
+  }
+
+  // Search
+
+  // Cheap first guess at what an action is worth, used to pick the
+  // candidates worth rolling out and the attacks that follow in a rollout
+  function getQuickScore(situation, action, baseline) {
+    if (action.type === 'attack') {
+      const defender = situation.grid[action.to].unit;
+      return getExpectedLoss(situation, action.from, action.to) * getUnitValue(defender);
+    }
+    // Deployments and moves don't roll dice
+    return evaluateSituation(simulateAction(situation, action, null)) - baseline;
+  }
+
+  function getFollowUpAttack(situation) {
+    let best = null;
+    getCandidateActions(situation).forEach(action => {
+      if (action.type !== 'attack') return;
+      const score = getQuickScore(situation, action, 0);
+      if (score > 0 && (!best || score > best.score)) best = { action, score };
+    });
+    return best && best.action;
+  }
+
+  function rollout(situation, action, depth, random) {
+    let next = simulateAction(situation, action, random);
+    for (let step = 1; step < depth; step++) {
+      const followUp = getFollowUpAttack(next);
+      if (!followUp) break;
+      next = simulateAction(next, followUp, random);
+    }
+    return evaluateSituation(next);
+  }
+
+  // The action situation.player should play next, or null to stop acting in
+  // this zone. options.random and options.now stand in for Math.random and
+  // Date.now.
+  function chooseAction(situation, difficulty = DEFAULT_AI_DIFFICULTY, options = {}) {
+    const tier = getDifficulty(difficulty);
+    const random = options.random || Math.random;
+    const now = options.now || Date.now;
+    const started = now();
+    const baseline = evaluateSituation(situation);
+    const cpValue = getCPValue(situation);
+
+    const candidates = getCandidateActions(situation)
+      .map(action => ({ action, quickScore: getQuickScore(situation, action, baseline), total: 0, rollouts: 0 }))
+      .sort((a, b) => b.quickScore - a.quickScore)
+      .slice(0, tier.breadth);
+
+    for (let round = 0; round < tier.rollouts; round++) {
+      candidates.forEach(candidate => {
+        candidate.total += rollout(situation, candidate.action, tier.depth, random);
+        candidate.rollouts++;
+      });
+      if (now() - started >= tier.timeBudget) break;
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const gain = candidate.total / candidate.rollouts - baseline - cpValue * getActionCost(situation, candidate.action);
+      if (gain > 0 && (!best || gain > best.gain)) best = { action: candidate.action, gain };
+    });
+    return best && best.action;
+  }
+
+  // Strategy
+  // Which zones the AI fights in on its turn and how its command points are
+  // shared out between them. planStrategy looks at the whole battlefield:
+  //   zones          every zone, with its id, control, terrain, tacticalGrid,
+  //                  locked flag and neighbours (adjacent)
+  //   gridSize       width of the tactical grids
+  //   player         the planning side
+  //   cp             command points it has this turn
+  //   personality    optional { type }, as in a situation
+  //   enemyStrength  zone id -> the enemy's strength there at its last turn,
+  //                  the enemyStrength of the plan it made then; {} at first
+  //   favouredZones  optional zone ids the enemy is expected to fight for,
+  //                  the favouredZones of getOpponentPatterns
+  // It ranks the zones, splits the CP between attack, defense and artillery,
+  // picks the zones and lets the personality bend the picks.
+
+  // What holding each terrain is worth to the AI
+  const ZONE_TERRAIN_VALUES = {
+    plains: 1,
+    forest: 2,
+    hills: 3,
+    mountains: 4,
+    river: 2,
+    swamp: 1,
+    desert: 1,
+    ruins: 3,
+    road: 2,
+    infrastructure: 4,
+    snow: 2
+  };
+
+  // Share of the CP set aside for artillery, and of the rest for attacks
+  const ARTILLERY_CP_SHARE = 0.2;
+  const ATTACK_CP_SHARE = 0.6;
+
+  // Priority a zone gains when the enemy is expected to fight for it
+  const FAVOURED_ZONE_PRIORITY = 4;
+
+  function analyzeZone(battle, zone, index) {
+    const analysis = {
+      strategicValue: 0,
+      unitCount: { own: 0, enemy: 0 },
+      unitStrength: { own: 0, enemy: 0 },
+      terrainValue: ZONE_TERRAIN_VALUES[zone.terrain] || 1,
+      positionValue: 0
+    };
+
+    for (let pos = 0; pos < battle.gridSize * battle.gridSize; pos++) {
+      const unit = zone.tacticalGrid[pos].unit;
+      if (!unit) continue;
+      const side = unit.player === battle.player ? 'own' : 'enemy';
+      analysis.unitCount[side]++;
+      analysis.unitStrength[side] += unit.attack + unit.defense;
+    }
+
+    // Zones in the middle of the line are worth more
+    analysis.positionValue = Math.max(1, 5 - Math.abs(index - battle.zones.length / 2));
+    analysis.strategicValue =
+      analysis.terrainValue * 2 +
+      analysis.positionValue * 3 +
+      (analysis.unitCount.own - analysis.unitCount.enemy) * 5 +
+      (analysis.unitStrength.own - analysis.unitStrength.enemy) * 0.5;
+    return analysis;
+  }
+
+  // Zones where the enemy is strong or borders the AI's own, and the zones
+  // supply lines run through: those whose capture would cut the enemy off,
+  // the AI's own chokepoints, and the zones between its cut-off zones and
+  // its supply
+  function findStrategicThreats(battle, analysis) {
+    const { zones, player } = battle;
+    const enemy = GameRules.otherPlayer(player);
+    const threats = [];
+
+    Object.entries(analysis.zoneValues).forEach(([zoneId, zoneAnalysis]) => {
+      const lead = zoneAnalysis.unitCount.enemy - zoneAnalysis.unitCount.own;
+      if (lead > 2) {
+        threats.push({ zoneId, type: 'unitAdvantage', severity: lead, description: `The enemy has ${lead} more units in Zone ${zoneId}` });
+      }
+    });
+
+    analysis.ownZones.forEach(ownZoneId => {
+      GameRules.getAdjacentZoneIds(zones, ownZoneId)
+        .filter(zoneId => analysis.enemyZones.includes(zoneId))
+        .forEach(zoneId => {
+          threats.push({ zoneId, type: 'adjacentThreat', severity: 3, description: `The enemy holds Zone ${zoneId}, next to Zone ${ownZoneId}` });
+        });
+    });
+
+    Object.entries(GameRules.getSupplyChokepoints(zones, enemy)).forEach(([zoneId, stranded]) => {
+      threats.push({
+        zoneId,
+        type: 'supplyTarget',
+        severity: stranded.length * 2,
+        description: `Taking Zone ${zoneId} would cut the enemy off in Zone ${stranded.join(', ')}`
+      });
+    });
+    Object.entries(GameRules.getSupplyChokepoints(zones, player)).forEach(([zoneId, stranded]) => {
+      threats.push({
+        zoneId,
+        type: 'supplyLine',
+        severity: stranded.length * 2,
+        description: `Losing Zone ${zoneId} would cut the AI off in Zone ${stranded.join(', ')}`
+      });
+    });
+    const supplied = GameRules.getSuppliedZoneIds(zones, player);
+    GameRules.getCutOffZoneIds(zones, player).forEach(cutOffId => {
+      GameRules.getAdjacentZoneIds(zones, cutOffId)
+        .filter(zoneId => !supplied.includes(zoneId) &&
+          GameRules.getAdjacentZoneIds(zones, zoneId).some(id => supplied.includes(id)))
+        .forEach(zoneId => {
+          threats.push({ zoneId, type: 'cutOff', severity: 2, description: `Zone ${cutOffId} is cut off from supply until Zone ${zoneId} is retaken` });
+        });
+    });
+    return threats;
+  }
+
+  // Who holds each zone, the strength each side has there and what the
+  // zones are worth
+  function analyzeBattlefield(battle) {
+    const enemy = GameRules.otherPlayer(battle.player);
+    const analysis = { contestedZones: [], ownZones: [], enemyZones: [], neutralZones: [], zoneValues: {}, threats: [] };
+
+    battle.zones.forEach((zone, index) => {
+      analysis.zoneValues[zone.id] = analyzeZone(battle, zone, index);
+      if (zone.control === 'contested') analysis.contestedZones.push(zone.id);
+      else if (zone.control === battle.player) analysis.ownZones.push(zone.id);
+      else if (zone.control === enemy) analysis.enemyZones.push(zone.id);
+      else analysis.neutralZones.push(zone.id);
+    });
+    analysis.threats = findStrategicThreats(battle, analysis);
+    return analysis;
+  }
+
+  // Every zone worth fighting in, what to do there and why, the most
+  // pressing first
+  function getZonePriorities(analysis, favouredZones) {
+    const priorities = [];
+    const add = (zoneId, action, base, reason) => {
+      priorities.push({ zoneId, action, priority: base + analysis.zoneValues[zoneId].strategicValue, reason });
+    };
+
+    analysis.contestedZones.forEach(zoneId => {
+      const { unitCount } = analysis.zoneValues[zoneId];
+      if (unitCount.own > unitCount.enemy) add(zoneId, 'defend', 10, 'Defend contested zone with advantage');
+    });
+    analysis.contestedZones.forEach(zoneId => {
+      const { unitCount } = analysis.zoneValues[zoneId];
+      if (unitCount.enemy > unitCount.own) add(zoneId, 'attack', 9, 'Attack contested zone to gain advantage');
+    });
+    analysis.enemyZones.forEach(zoneId => add(zoneId, 'attack', 8, 'Attack enemy-controlled zone'));
+    analysis.ownZones.forEach(zoneId => {
+      if (analysis.threats.some(threat => threat.zoneId === zoneId && threat.type === 'adjacentThreat')) {
+        add(zoneId, 'defend', 7, 'Defend AI-controlled zone under threat');
+      }
+    });
+    analysis.neutralZones.forEach(zoneId => add(zoneId, 'attack', 6, 'Attack neutral zone'));
+
+    // Supply lines raise the stakes of the zones they run through: cutting
+    // the enemy's supply is worth more than most zones are on their own
+    const supplyReasons = {
+      supplyTarget: 'Cut the enemy\'s supply lines',
+      supplyLine: 'Hold the AI\'s supply line',
+      cutOff: 'Reopen supply to a zone cut off'
+    };
+    analysis.threats.forEach(threat => {
+      const reason = supplyReasons[threat.type];
+      if (!reason) return;
+
+      const existing = priorities.find(p => p.zoneId === threat.zoneId);
+      if (existing) {
+        existing.priority += threat.severity * 2;
+        existing.reason += ` (${reason.toLowerCase()})`;
+      } else {
+        add(threat.zoneId, threat.type === 'supplyLine' ? 'defend' : 'attack', 8 + threat.severity * 2, reason);
+      }
+    });
+
+    // The AI meets the enemy where it has learnt to expect them
+    priorities.forEach(p => {
+      if (!favouredZones.includes(p.zoneId)) return;
+      p.priority += FAVOURED_ZONE_PRIORITY;
+      p.reason += ' (the enemy favours it)';
+    });
+
+    return priorities.sort((a, b) => b.priority - a.priority);
+  }
+
+  // CP for artillery, then zones to attack and defend, never more zones
+  // than there are worth attacking or defending
+  function allocateCommandPoints(priorities, cp) {
+    const allocation = { attack: 0, defense: 0, artillery: 0 };
+    if (cp <= 0) return allocation;
+
+    allocation.artillery = Math.max(1, Math.floor(cp * ARTILLERY_CP_SHARE));
+    const remaining = cp - allocation.artillery;
+    const attackCP = Math.floor(remaining * ATTACK_CP_SHARE);
+    allocation.attack = Math.min(attackCP, priorities.filter(p => p.action === 'attack').length);
+    allocation.defense = Math.min(remaining - attackCP, priorities.filter(p => p.action === 'defend').length);
+    return allocation;
+  }
+
+  function selectZones(priorities, action, count) {
+    return priorities.filter(p => p.action === action).slice(0, count).map(p => p.zoneId);
+  }
+
+  // Zones to shell: those the enemy leads in, then the enemy's zones next to
+  // the AI's, then wherever the enemy has the most units
+  function selectArtilleryTargets(battle, analysis, artilleryCP) {
+    if (artilleryCP <= 0) return [];
+
+    const leading = analysis.contestedZones.filter(zoneId => {
+      const { unitCount } = analysis.zoneValues[zoneId];
+      return unitCount.enemy > unitCount.own;
+    });
+    const bordering = analysis.enemyZones.filter(zoneId =>
+      GameRules.getAdjacentZoneIds(battle.zones, zoneId).some(id => analysis.ownZones.includes(id)));
+    const occupied = Object.entries(analysis.zoneValues)
+      .filter(([, zoneAnalysis]) => zoneAnalysis.unitCount.enemy > 0)
+      .sort((a, b) => b[1].unitCount.enemy - a[1].unitCount.enemy)
+      .map(([zoneId]) => zoneId);
+
+    return [...new Set([...leading, ...bordering, ...occupied])].slice(0, artilleryCP);
+  }
+
+  // The zone the enemy has put the most strength into since battle.
+  // enemyStrength was taken, or null, and the strength it has everywhere now
+  function findCommittedZone(battle, analysis) {
+    const previous = battle.enemyStrength || {};
+    const strength = {};
+    let zoneId = null;
+    let mostAdded = 0;
+
+    battle.zones.forEach(zone => {
+      strength[zone.id] = analysis.zoneValues[zone.id].unitStrength.enemy;
+      const added = strength[zone.id] - (previous[zone.id] || 0);
+      if (added > mostAdded) {
+        mostAdded = added;
+        zoneId = zone.id;
+      }
+    });
+    return { zoneId, strength };
+  }
+
+  // A deceptive AI counter-attacks the zone the enemy has just committed to,
+  // and puts a token force into a neutral zone to draw the enemy's next push
+  // there (plan.baitZoneId)
+  function applyFeint(battle, plan, analysis, committedZoneId) {
+    const isOpen = zoneId => {
+      const zone = battle.zones.find(z => z.id === zoneId);
+      return zone && !zone.locked;
+    };
+
+    if (committedZoneId !== null && isOpen(committedZoneId)) {
+      plan.zonesToDefend = plan.zonesToDefend.filter(zoneId => zoneId !== committedZoneId);
+      plan.zonesToAttack = [committedZoneId, ...plan.zonesToAttack.filter(zoneId => zoneId !== committedZoneId)];
+      plan.cpWeights[committedZoneId] = 2;
+      plan.intents.push(`Counter-attacked Zone ${committedZoneId}, where you had just committed your forces`);
+    }
+
+    const selected = [...plan.zonesToAttack, ...plan.zonesToDefend];
+    const baitZoneId = analysis.neutralZones.find(zoneId => !selected.includes(zoneId) && isOpen(zoneId));
+    if (baitZoneId !== undefined) {
+      plan.zonesToAttack.push(baitZoneId);
+      plan.cpWeights[baitZoneId] = 0.5;
+      plan.baitZoneId = baitZoneId;
+      plan.intents.push(`Left a token force in Zone ${baitZoneId} as bait`);
+    }
+  }
+
+  // Bend the zone choices to the personality: an aggressive AI trades a zone
+  // it would defend for another attack, a defensive one the reverse, and the
+  // attacked zones get attackShare CP for every 1 a defended zone gets
+  function applyPersonality(battle, plan, priorities, analysis, committedZoneId) {
+    const personality = getPersonality(battle.personality && battle.personality.type);
+    const allocation = plan.cpAllocation;
+    const attackOptions = priorities.filter(p => p.action === 'attack').length;
+    const defenseOptions = priorities.filter(p => p.action === 'defend').length;
+
+    if (personality.attackShare > 1 && allocation.defense > 0 && attackOptions > allocation.attack) {
+      allocation.attack++;
+      allocation.defense--;
+    } else if (personality.attackShare < 1 && allocation.attack > 0 && defenseOptions > allocation.defense) {
+      allocation.defense++;
+      allocation.attack--;
+    }
+    plan.zonesToAttack = selectZones(priorities, 'attack', allocation.attack);
+    plan.zonesToDefend = selectZones(priorities, 'defend', allocation.defense);
+
+    plan.zonesToAttack.forEach(zoneId => {
+      plan.cpWeights[zoneId] = personality.attackShare;
+      if (personality.attackShare > 1) plan.intents.push(`Poured command points into the attack on Zone ${zoneId}`);
+    });
+    if (personality.feint) applyFeint(battle, plan, analysis, committedZoneId);
+  }
+
+  // The AI's plan for its turn:
+  //   zonesToAttack, zonesToDefend  zone ids, in the order to fight them
+  //   cpAllocation      { attack, defense, artillery }
+  //   artilleryTargets  zone ids to shell
+  //   cpWeights         zone id -> share of the CP it gets, 1 unless set
+  //   baitZoneId        the zone a deceptive AI baits, if any
+  //   fallback          whether nothing was worth picking, so the first
+  //                     neutral zone was attacked anyway
+  //   intents           what the personality set out to do, for the player
+  //                     to read once the match is over
+  //   enemyStrength     for the next turn's battle
+  //   analysis, priorities  what the choices were made from
+  function planStrategy(battle) {
+    const favouredZones = battle.favouredZones || [];
+    const analysis = analyzeBattlefield(battle);
+    const priorities = getZonePriorities(analysis, favouredZones);
+    const cpAllocation = allocateCommandPoints(priorities, battle.cp);
+    const committed = findCommittedZone(battle, analysis);
+    const plan = {
+      zonesToAttack: [],
+      zonesToDefend: [],
+      cpAllocation,
+      artilleryTargets: [],
+      cpWeights: {},
+      baitZoneId: null,
+      fallback: false,
+      intents: [],
+      enemyStrength: committed.strength,
+      analysis,
+      priorities
+    };
+
+    applyPersonality(battle, plan, priorities, analysis, committed.zoneId);
+    plan.artilleryTargets = selectArtilleryTargets(battle, analysis, cpAllocation.artillery);
+
+    if (plan.zonesToAttack.length === 0 && plan.zonesToDefend.length === 0 && battle.cp > 0 &&
+        analysis.neutralZones.length > 0) {
+      plan.zonesToAttack.push(analysis.neutralZones[0]);
+      cpAllocation.attack = 1;
+      plan.fallback = true;
+    }
+    [...plan.zonesToAttack, ...plan.zonesToDefend]
+      .filter(zoneId => favouredZones.includes(zoneId))
+      .forEach(zoneId => plan.intents.push(`Expected you in Zone ${zoneId}, where you have fought most`));
+    return plan;
+  }
+
+  // CP the zone gets of the cp left when its turn comes. The zones are
+  // fought in plan order, and CP a zone leaves unspent go to those after it.
+  function getZoneCPShare(plan, zoneId, cp) {
+    const order = [...plan.zonesToAttack, ...plan.zonesToDefend];
+    const weight = id => plan.cpWeights[id] || 1;
+    const weightLeft = order.slice(order.indexOf(zoneId)).reduce((total, id) => total + weight(id), 0);
+    return Math.ceil(cp * weight(zoneId) / weightLeft);
+  }
+
+  // What the personality lets the AI do with its reserves in a zone: deploy
+  // at most deployLimit of them and keep holdBack back, the cheapest first
+  // when cheapestFirst. A bait zone gets one cheap unit, and a defensive AI
+  // keeps some back from a zone it already has units in (hasUnits).
+  function getZoneOrders(plan, zoneId, hasUnits, personality) {
+    const orders = { deployLimit: Infinity, holdBack: 0, cheapestFirst: false };
+    if (zoneId === plan.baitZoneId) return { ...orders, deployLimit: 1, cheapestFirst: true };
+
+    const holdBack = getPersonality(personality && personality.type).holdBack;
+    return hasUnits && holdBack ? { ...orders, holdBack } : orders;
+  }
+
+  // Opponent profiles
+  // What the AI learns of a human opponent and carries from match to match.
+  // A record is one match's worth, filled in by the page as it is played:
+  //   zones      zone id -> units the opponent deployed there
+  //   unitTypes  unit type -> units of it in the armies they brought
+  //   support    { artillery, gas, aerial } strikes, gas clouds and sorties
+  //   attacks    ground attacks they made
+  //   turns      turns they played
+  //   tactics    counter-strategy -> turns the AI played it
+  // A profile adds every record of one opponent up, with its name, matches
+  // and aiWins, and tactics as counter-strategy -> { used, won } matches.
+
+  // How the AI plays against the style it reads in the opponent: each shifts
+  // its aggression and caution for the rest of the match
+  const AI_COUNTER_STRATEGIES = {
+    balanced_approach: { name: 'balanced approach', against: 'balanced', aggression: 0, caution: 0 },
+    defensive_counter: { name: 'defensive counter', against: 'aggressive', aggression: -0.1, caution: 0.2 },
+    aggressive_pressure: { name: 'aggressive pressure', against: 'defensive', aggression: 0.2, caution: -0.1 }
+  };
+
+  const DEFAULT_COUNTER_STRATEGY = 'balanced_approach';
+
+  const SUPPORT_KINDS = ['artillery', 'gas', 'aerial'];
+
+  // Ground attacks a turn above which the opponent plays aggressively, and
+  // below which defensively, once they have played MIN_STYLE_TURNS
+  const AGGRESSIVE_ATTACKS_PER_TURN = 1.5;
+  const DEFENSIVE_ATTACKS_PER_TURN = 0.5;
+  const MIN_STYLE_TURNS = 3;
+
+  // Share of the opponent's deployments that makes a zone one they favour,
+  // and the most zones counted as favoured
+  const FAVOURED_ZONE_SHARE = 0.3;
+  const MAX_FAVOURED_ZONES = 2;
+
+  // Matches a counter-strategy must have been played in before its record
+  // against the opponent is trusted over their style
+  const MIN_TACTIC_MATCHES = 2;
+
+  function createOpponentRecord() {
+    return {
+      zones: {},
+      unitTypes: {},
+      support: { artillery: 0, gas: 0, aerial: 0 },
+      attacks: 0,
+      turns: 0,
+      tactics: {}
+    };
+  }
+
+  function createOpponentProfile(name) {
+    return { ...createOpponentRecord(), name: name, matches: 0, aiWins: 0 };
+  }
+
+  function addCounts(total, counts) {
+    const sum = { ...total };
+    Object.entries(counts).forEach(([key, count]) => {
+      sum[key] = (sum[key] || 0) + count;
+    });
+    return sum;
+  }
+
+  // The profile with a finished match's record added, and whether the AI won
+  function recordOpponentMatch(profile, record, aiWon) {
+    const tactics = { ...profile.tactics };
+    Object.keys(record.tactics).forEach(key => {
+      const played = tactics[key] || { used: 0, won: 0 };
+      tactics[key] = { used: played.used + 1, won: played.won + (aiWon ? 1 : 0) };
+    });
+    return {
+      ...profile,
+      matches: profile.matches + 1,
+      aiWins: profile.aiWins + (aiWon ? 1 : 0),
+      zones: addCounts(profile.zones, record.zones),
+      unitTypes: addCounts(profile.unitTypes, record.unitTypes),
+      support: addCounts(profile.support, record.support),
+      attacks: profile.attacks + record.attacks,
+      turns: profile.turns + record.turns,
+      tactics: tactics
+    };
+  }
+
+  // Why a profile can't be used, e.g. from an imported file, or null
+  function getOpponentProfileError(profile) {
+    if (!profile || typeof profile !== 'object') return 'Opponent profile must be an object';
+    if (typeof profile.name !== 'string' || !profile.name.trim()) return 'Opponent profile has no name';
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const isCountTable = table => table && typeof table === 'object' && Object.values(table).every(isCount);
+
+    for (const field of ['matches', 'aiWins', 'attacks', 'turns']) {
+      if (!isCount(profile[field])) return `${profile.name}: ${field} must be a whole number of at least 0`;
+    }
+    for (const field of ['zones', 'unitTypes', 'support']) {
+      if (!isCountTable(profile[field])) return `${profile.name}: ${field} must map names to whole numbers`;
+    }
+    const tactics = profile.tactics;
+    if (!tactics || typeof tactics !== 'object' || !Object.entries(tactics).every(([key, played]) =>
+      AI_COUNTER_STRATEGIES[key] && played && isCount(played.used) && isCount(played.won) && played.won <= played.used)) {
+      return `${profile.name}: tactics must give the matches each counter-strategy was used and won`;
+    }
+    return null;
+  }
+
+  // What the AI makes of the opponent from their profile (null for one it
+  // hasn't met or isn't to remember) and the match so far:
+  //   style            'aggressive', 'defensive' or 'balanced', also given
+  //                    as the aggressive, defensive and balanced flags
+  //   favouredZones    zone ids they deploy most to, the most used first
+  //   supportRates     { artillery, gas, aerial } uses a turn
+  //   mainUnitType     the unit type they bring most of, or null
+  //   counterStrategy  the AI_COUNTER_STRATEGIES key to play, and whether it
+  //   provenCounter    was picked for having beaten them before rather than
+  //                    for their style
+  function getOpponentPatterns(profile, record) {
+    const history = profile ? recordOpponentMatch(profile, record, false) : { ...record, tactics: {} };
+    const turns = history.turns;
+
+    let style = 'balanced';
+    if (turns >= MIN_STYLE_TURNS) {
+      const attacksPerTurn = history.attacks / turns;
+      if (attacksPerTurn >= AGGRESSIVE_ATTACKS_PER_TURN) style = 'aggressive';
+      else if (attacksPerTurn <= DEFENSIVE_ATTACKS_PER_TURN) style = 'defensive';
+    }
+
+    const deployments = Object.values(history.zones).reduce((total, count) => total + count, 0);
+    const favouredZones = Object.entries(history.zones)
+      .filter(([, count]) => deployments > 0 && count / deployments >= FAVOURED_ZONE_SHARE)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_FAVOURED_ZONES)
+      .map(([zoneId]) => zoneId);
+
+    const supportRates = {};
+    SUPPORT_KINDS.forEach(kind => {
+      supportRates[kind] = turns > 0 ? (history.support[kind] || 0) / turns : 0;
+    });
+
+    const mainUnitType = Object.entries(history.unitTypes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type]) => type)[0] || null;
+
+    // The profile alone says which counter-strategies have worked
+    let proven = null;
+    Object.entries(profile ? profile.tactics : {}).forEach(([key, played]) => {
+      if (played.used < MIN_TACTIC_MATCHES || played.won / played.used < 0.5) return;
+      if (!proven || played.won / played.used > proven.rate) proven = { key, rate: played.won / played.used };
+    });
+    const styleCounter = Object.keys(AI_COUNTER_STRATEGIES).find(key => AI_COUNTER_STRATEGIES[key].against === style);
+
+    return {
+      style: style,
+      aggressive: style === 'aggressive',
+      defensive: style === 'defensive',
+      balanced: style === 'balanced',
+      favouredZones: favouredZones,
+      supportRates: supportRates,
+      mainUnitType: mainUnitType,
+      counterStrategy: proven ? proven.key : styleCounter,
+      provenCounter: proven !== null
+    };
+  }
+
+  return {
+    AI_DIFFICULTIES,
+    DEFAULT_AI_DIFFICULTY,
+    AI_PERSONALITIES,
+    DEFAULT_AI_PERSONALITY,
+    DEFAULT_AI_ARMY,
+    SCORE_WEIGHTS,
+    getActionCost,
+    getCandidateActions,
+    simulateAction,
+    evaluateSituation,
+    chooseAction,
+    planStrategy,
+    getZoneCPShare,
+    getZoneOrders,
+    AI_COUNTER_STRATEGIES,
+    DEFAULT_COUNTER_STRATEGY,
+    createOpponentRecord,
+    createOpponentProfile,
+    recordOpponentMatch,
+    getOpponentProfileError,
+    getOpponentPatterns
+  };
+});
@@ -0,0 +1,3209 @@
+/**
+ * Ashes of the Covenant - shared game rules
+ *
+ * The headless rules engine: terrain and ability tables, movement, line of
+ * sight, combat resolution and victory checks. ww1game.html loads it as
+ * GameRules and the multiplayer server requires it to validate the intents
+ * clients send, so every function takes the state it needs as arguments
+ * instead of reading the page globals (gameState, gameConfig,
+ * currentZoneDetail). Nothing here touches the DOM or removes units from the
+ * grid; the page does that with the results.
+ *
+ * Tests live in test/rules.test.js (`npm test`).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GameRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const NO_EFFECT = { attack: 0, defense: 0, movement: 0, range: 0 };
+
+  const weatherEffects = {
+    'clear': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'light-clouds': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'rain': { attack: 0, defense: 1, movement: 0, range: 0 },
+    'thunderstorm': { attack: 0, defense: 1, movement: 0, range: -1 },
+    'heavy-rain': { attack: 0, defense: 1, movement: 0, range: 0 },
+    'fog': { attack: 0, defense: 0, movement: 0, range: -1 },
+    'cloudy': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'snow': { attack: 0, defense: 0, movement: -1, range: 0 },
+    'overcast': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'blizzard': { attack: 0, defense: -1, movement: -1, range: 0 },
+    'dust-storm': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'ash-storm': { attack: -1, defense: -1, movement: 0, range: 0 },
+    'windy': { attack: 1, defense: 0, movement: 0, range: 0 },
+    'tornado': { attack: 0, defense: -2, movement: 0, range: 0 }
+  };
+
+  // Forecasts: the chance, out of 100, of each weather a turn can roll
+  const weatherTypes = {
+    'clear': {
+      name: 'Clear Skies',
+      probabilities: { 'clear': 90, 'light-clouds': 10 }
+    },
+    'heavy-rain': {
+      name: 'Heavy Rain',
+      probabilities: { 'rain': 80, 'thunderstorm': 10, 'cloudy': 10 }
+    },
+    'monsoon': {
+      name: 'Monsoon',
+      probabilities: { 'heavy-rain': 80, 'clear': 20 }
+    },
+    'foggy': {
+      name: 'Foggy',
+      probabilities: { 'fog': 70, 'cloudy': 20, 'clear': 10 }
+    },
+    'light-snow': {
+      name: 'Light Snowfall',
+      probabilities: { 'snow': 70, 'overcast': 20, 'clear': 10 }
+    },
+    'blizzard': {
+      name: 'Blizzard',
+      probabilities: { 'blizzard': 60, 'snow': 20, 'clear': 20 }
+    },
+    'dust-storm': {
+      name: 'Dust Storm',
+      probabilities: { 'dust-storm': 60, 'windy': 30, 'clear': 10 }
+    },
+    'ash-storm': {
+      name: 'Ash Storm',
+      probabilities: { 'ash-storm': 80, 'clear': 20 }
+    },
+    'tornado': {
+      name: 'Tornado',
+      probabilities: { 'tornado': 20, 'thunderstorm': 40, 'clear': 40 }
+    }
+  };
+
+  const dayNightEffects = {
+    'day': { attack: 0, defense: 0, movement: 0, range: 0 },
+    'night': { attack: 0, defense: -1, movement: 0, range: 0 }
+  };
+
+  // Descriptions and map colours are shown by ww1game.html
+  const terrainEffects = {
+    plains: {
+      moveDelay: 1,
+      defenseBonus: 0,
+      description: 'Open ground with no special effects',
+      color: '#556B2F'
+    },
+    forest: {
+      moveDelay: 2,
+      defenseBonus: 1,
+      description: '+1 Defense',
+      color: '#006400',
+      restrictedUnits: ['vehicle', 'tank']
+    },
+    river: {
+      moveDelay: 2,
+      defenseBonus: 0,
+      description: 'Slows movement and blocks further advancement unless unit has Amphibious ability or crosses via Bridge',
+      color: '#4169E1',
+      restrictedUnits: ['tank', 'vehicle', 'field_gun']
+    },
+    hills: {
+      moveDelay: 2,
+      defenseBonus: 1,
+      description: '+1 Defense, can see over other units',
+      color: '#654321'
+    },
+    mountains: {
+      moveDelay: 999,
+      defenseBonus: 2,
+      description: 'Impassable to all units, +2 Defense, can see over other units',
+      color: '#2F4F4F'
+    },
+    swamp: {
+      moveDelay: 3,
+      defenseBonus: 0,
+      attackBonus: -1,
+      description: 'Slow movement (2 extra turns), -1 to attack rolls',
+      color: '#006400',
+      restrictedUnits: ['vehicle', 'tank', 'field_gun']
+    },
+    jungle: {
+      moveDelay: 3,
+      defenseBonus: 2,
+      attackBonus: -1,
+      description: '+2 Defense, -1 Attack, slow movement',
+      color: '#32CD32',
+      restrictedUnits: ['vehicle', 'tank']
+    },
+    desert: {
+      moveDelay: 2,
+      defenseBonus: -1,
+      description: 'Slowed movement (1 extra turn), -1 Defense',
+      color: '#D2B48C'
+    },
+    ruins: {
+      moveDelay: 2,
+      defenseBonus: 1,
+      attackBonus: 1,
+      description: '+1 Defense, +1 Attack',
+      color: '#A0A0A0'
+    },
+    road: {
+      moveDelay: 1,
+      defenseBonus: -1,
+      movementBonus: 1,
+      description: '+1 Movement while on this tile. -1 To Defense For Units On This Tile.',
+      color: '#696969'
+    },
+    infrastructure: {
+      moveDelay: 1,
+      defenseBonus: 1,
+      movementBonus: 1,
+      description: 'Faster movement, +1 Defense',
+      color: '#404040',
+      restrictedUnits: ['tank', 'vehicle']
+    },
+    snow: {
+      moveDelay: 2,
+      defenseBonus: -1,
+      movementPenalty: -1,
+      vehicleMovementPenalty: -2,
+      description: 'Slowed movement, -1 Defense, -1 Movement (-2 for Vehicles)',
+      color: '#E6F3FF'
+    },
+    volcanic: {
+      moveDelay: 2,
+      defenseBonus: 0,
+      damagePerTurn: 1,
+      description: 'Damages units for 1 HP per turn when standing on it',
+      color: '#8B0000'
+    },
+    beach: {
+      moveDelay: 2,
+      defenseBonus: -2,
+      description: 'Units cannot move for 2 complete rounds after landing on beach (Amphibious units are exempt), -2 Defense',
+      color: '#DEB887'
+    }
+  };
+
+  const constructionEffects = {
+    trenches: { defense: 2 },
+    sandbags: { defense: 1 },
+    bunker: { artilleryImmune: true, bomberImmune: true, airshipImmune: true },
+    barbedWire: { movementBlock: true },
+    minefield: { hidden: true, damage: 'D6' },
+    tankTrap: { vehicleBlock: true },
+    bridge: { riverCrossing: true },
+    road: { movementBonus: 1 },
+    snipersNest: { range: 1, lineOfSight: true },
+    mortarPit: { fieldGunAttack: 2 },
+    barricade: { barricadeDefense: 2 },
+    machineGunNest: { infantryAttack: 2 },
+    antiTankPit: { antiTankAttack: 4 },
+    observationPost: { artilleryRange: 2 },
+    supplyDepot: { healing: 1 },
+    commandCenter: { commandPoints: 1, morale: 1 },
+    antiAirBattery: { antiAir: true },
+    radarStation: { detection: true }
+  };
+
+  // What each construction costs in build points, how many of its builder's
+  // turns it takes to finish, and the terrain it can't (restrictedTerrain) or
+  // can only (onlyTerrain) go on
+  const FORTIFICATION_TERRAIN = ['mountain', 'river', 'swamp', 'jungle', 'ruins', 'infrastructure', 'road'];
+  const EMPLACEMENT_TERRAIN = ['mountain', 'river', 'swamp', 'road'];
+  const constructionCosts = {
+    trenches: { name: 'Trenches', cost: 2, duration: 2, restrictedTerrain: FORTIFICATION_TERRAIN },
+    sandbags: { name: 'Sandbags', cost: 1, duration: 1, restrictedTerrain: ['mountain', 'river'] },
+    bunker: { name: 'Bunker', cost: 5, duration: 3, restrictedTerrain: FORTIFICATION_TERRAIN },
+    barbedWire: { name: 'Barbed Wire', cost: 1, duration: 1, restrictedTerrain: ['river', 'mountain', 'road'] },
+    minefield: { name: 'Minefield', cost: 2, duration: 1, restrictedTerrain: ['mountain', 'swamp', 'river'] },
+    tankTrap: { name: 'Tank Trap', cost: 3, duration: 2, restrictedTerrain: ['mountain', 'river', 'swamp', 'jungle', 'ruins', 'infrastructure'] },
+    bridge: { name: 'Bridge', cost: 3, duration: 2, onlyTerrain: ['river'] },
+    road: { name: 'Road', cost: 2, duration: 2, restrictedTerrain: ['river', 'mountain', 'swamp', 'jungle'] },
+    snipersNest: { name: 'Snipers Nest', cost: 4, duration: 2, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    mortarPit: { name: 'Mortar Pit', cost: 6, duration: 3, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    barricade: { name: 'Barricade', cost: 2, duration: 1, onlyTerrain: ['ruins', 'infrastructure'] },
+    machineGunNest: { name: 'Machine Gun Nest', cost: 5, duration: 3, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    antiTankPit: { name: 'Anti Tank Pit', cost: 5, duration: 3, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    observationPost: { name: 'Observation Post', cost: 3, duration: 2, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    supplyDepot: { name: 'Supply Depot', cost: 4, duration: 2, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    commandCenter: { name: 'Command Center', cost: 8, duration: 4, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    antiAirBattery: { name: 'Anti-Air Battery', cost: 6, duration: 3, restrictedTerrain: EMPLACEMENT_TERRAIN },
+    radarStation: { name: 'Radar Station', cost: 5, duration: 3, restrictedTerrain: EMPLACEMENT_TERRAIN }
+  };
+
+  const defaultCPCosts = {
+    placeUnit: 1,
+    moveUnit: 1,
+    attack: 1,
+    artilleryAttack: 2,
+    embark: 1,
+    disembark: 1,
+    gas: 2
+  };
+
+  function getTerrainEffect(terrain) {
+    return terrainEffects[terrain] || terrainEffects.plains;
+  }
+
+  function hasCompletedConstruction(gridData, type) {
+    return !!(gridData && gridData.construction && gridData.construction.completed &&
+      gridData.construction.type === type);
+  }
+
+  // Why type can't be started on gridData with buildPoints to spend, or null
+  function getConstructionError(gridData, type, buildPoints) {
+    const construction = constructionCosts.hasOwnProperty(type) ? constructionCosts[type] : null;
+    if (!construction) return `Unknown construction "${type}"`;
+    if (gridData.construction) return 'This position already has a structure';
+    if (construction.onlyTerrain && !construction.onlyTerrain.includes(gridData.terrain)) {
+      return `${construction.name} can only be built on ${construction.onlyTerrain.join(' or ')}`;
+    }
+    if (construction.restrictedTerrain && construction.restrictedTerrain.includes(gridData.terrain)) {
+      return `${construction.name} cannot be built on ${gridData.terrain}`;
+    }
+    if (!(buildPoints >= construction.cost)) {
+      return `Not enough build points: ${construction.name} costs ${construction.cost} BP and you have ${buildPoints || 0}`;
+    }
+    return null;
+  }
+
+  // Turns type takes at pos for player; a sapper of theirs next to it saves one
+  function getConstructionTurns(grid, pos, type, player, gridSize) {
+    const hasSapper = getAdjacentPositions(pos, gridSize).some(adjPos => {
+      const unit = grid[adjPos] && grid[adjPos].unit;
+      return unit && unit.player === player && unit.special === 'sapper';
+    });
+    return Math.max(1, constructionCosts[type].duration - (hasSapper ? 1 : 0));
+  }
+
+  // Work player's unfinished constructions forward at the end of their turn.
+  // Ones started this turn wait for the next. Returns the { zone, pos, tile }
+  // of every construction that was finished.
+  function advanceConstructions(zones, player) {
+    const completed = [];
+    zones.forEach(zone => {
+      Object.entries(zone.tacticalGrid).forEach(([pos, tile]) => {
+        const construction = tile.construction;
+        if (!construction) return;
+        if (!construction.completed && construction.player === player && !construction.placedThisTurn) {
+          construction.turnsRemaining--;
+          if (construction.turnsRemaining <= 0) {
+            construction.completed = true;
+            completed.push({ zone, pos: Number(pos), tile });
+          }
+        }
+        construction.placedThisTurn = false;
+      });
+    });
+    return completed;
+  }
+
+  function isMountain(terrain) {
+    return terrain === 'mountain' || terrain === 'mountains';
+  }
+
+  function otherPlayer(player) {
+    return player === 'red' ? 'blue' : 'red';
+  }
+
+  // Special abilities
+  // apply(unit, pos, gridData, targetPos, targetGridData, context) returns the
+  // bonuses and flags a unit's special gives it. context describes the rest of
+  // the battle for the abilities that look beyond their own tile:
+  //
+  //   grid          tactical grid of the zone being fought over
+  //   gridSize      width of that grid
+  //   weatherSystem gameState.weatherSystem
+  //   aerial        gameState.aerial ({ red: [...], blue: [...] })
+
+  const specialAbilities = {
+    // Infantry Abilities
+    those_who_dare: {
+      name: 'Those Who Dare',
+      description: 'Can traverse Mountain tiles and gains +1 Range and +1 Defense while on them.',
+      apply: (unit, pos, gridData) => {
+        if (gridData && isMountain(gridData.terrain)) {
+          return { defenseBonus: 1, rangeBonus: 1, canTraverseMountains: true };
+        }
+        // Even when not on mountain, still allow traversing them
+        return { canTraverseMountains: true };
+      }
+    },
+    stealth: {
+      name: 'Stealth',
+      description: 'Stays hidden on Forest, Swamp, Jungle tiles until they attack.',
+      apply: (unit, pos, gridData) => {
+        if (gridData && ['forest', 'swamp', 'jungle'].includes(gridData.terrain) &&
+            !unit.hasAttacked && !unit.permanentlyUnhidden) {
+          return { hidden: true };
+        }
+        return {};
+      }
+    },
+    amphibious: {
+      name: 'Amphibious',
+      description: 'Ignores River & Coastal Penalties, gains +2 Attack on River & Beach territories.',
+      apply: (unit, pos, gridData) => {
+        if (gridData && (gridData.terrain === 'river' || gridData.terrain === 'beach')) {
+          return { movementBonus: 1, attackBonus: 2 };
+        }
+        return {};
+      }
+    },
+    veteran: {
+      name: 'Veteran',
+      description: 'Gains +1 Attack when targeting enemies on Construction Tiles. Ignores barbed wire.',
+      apply: (unit, pos, gridData, targetPos, targetGridData) => {
+        const bonuses = { ignoreBarbedWire: true };
+        if (targetGridData && targetGridData.construction && targetGridData.construction.completed) {
+          bonuses.attackBonus = 1;
+        }
+        return bonuses;
+      }
+    },
+    charge: {
+      name: 'Charge',
+      description: '+2 Attack when attacking Infantry at range 1.',
+      apply: (unit, pos, gridData, targetPos, targetGridData, context) => {
+        if (targetPos !== null && targetPos !== undefined && targetGridData && targetGridData.unit &&
+            targetGridData.unit.type === 'infantry' && context &&
+            calculateDistance(pos, targetPos, context.gridSize) === 1) {
+          return { attackBonus: 2 };
+        }
+        return {};
+      }
+    },
+
+    // Support Abilities
+    healer: {
+      name: 'Healer',
+      description: 'Can heal adjacent units by 1 HP per turn.',
+      apply: () => ({ canHeal: true, healAmount: 1 })
+    },
+    mechanic: {
+      name: 'Mechanic',
+      description: 'Restores +1 Armor per turn to adjacent units with armor.',
+      apply: () => ({ canRepairArmor: true, armorRepairAmount: 1 })
+    },
+    sapper: {
+      name: 'Sapper',
+      description: 'Can construct fortifications and disable enemy traps. Adjacent constructions build 1 turn faster.',
+      apply: () => ({ canConstruct: true, canDisableTraps: true, constructionSpeedBonus: true })
+    },
+    chemical_warfare: {
+      name: 'Chemical Warfare',
+      description: 'Deploy gas clouds in front, front-left, or front-right. Gas damages units entering (d6). Lasts 3 turns.',
+      apply: () => ({ canDeployGas: true })
+    },
+
+    // Vehicle Abilities
+    mobile_cover: {
+      name: 'Mobile Cover',
+      description: 'Gains +2 Movement while on Roads. Grants +1 Defense aura to adjacent units.',
+      apply: (unit, pos, gridData) => {
+        if (gridData && (gridData.terrain === 'road' || hasCompletedConstruction(gridData, 'road'))) {
+          // Spent by the movement code for this turn only
+          unit.mobileCoverRoadBonus = 2;
+        }
+        return { providesCover: true, coverBonus: 1 };
+      }
+    },
+    carrier: {
+      name: 'Carrier',
+      description: 'Can transport Infantry units. If destroyed while carrying troops, they die instantly.',
+      apply: () => ({ canTransport: true, transportCapacity: 2 })
+    },
+
+    // Tank Abilities
+    all_terrain: {
+      name: 'All Terrain',
+      description: 'Can enter Swamp, Jungle, and Forest tiles but takes 1 damage when entering them.',
+      apply: (unit, pos, gridData) => {
+        // Only take damage when entering these terrains, not when staying
+        if (gridData && ['swamp', 'jungle', 'forest'].includes(gridData.terrain) && unit.justMoved) {
+          return { terrainDamage: 1 };
+        }
+        return {};
+      }
+    },
+    siege_mode: {
+      name: 'Siege Mode',
+      description: 'Gains +1 Attack on the next turn if this unit does not move this turn.',
+      apply: (unit) => (unit.turnsStationary >= 1 ? { attackBonus: 1 } : {})
+    },
+    trample: {
+      name: 'Trample',
+      description: 'Ignores Barbed Wires, Mines, and Tank Traps when moving.',
+      apply: () => ({ ignoreBarbedWire: true, ignoreMines: true, ignoreTankTraps: true })
+    },
+
+    // Mech Abilities
+    fear_pulse: {
+      name: 'Evasion',
+      description: 'Gains +2 Defense against Tanks, Artillery, and Bombers.',
+      // The fourth argument is the attacking unit when there is one
+      apply: (unit, pos, gridData, attacker) => {
+        if (attacker && ['tank', 'artillery', 'bomber'].includes(attacker.type)) {
+          return { defenseBonus: 2 };
+        }
+        return {};
+      }
+    },
+    mode_switch: {
+      name: 'Mech Assault',
+      description: 'Gains +1 Attack for each adjacent Mech unit.',
+      apply: (unit, pos, gridData, targetPos, targetGridData, context) => {
+        if (pos === null || pos === undefined || !context || !context.grid) return {};
+
+        const adjacentMechCount = getAdjacentPositions(pos, context.gridSize).filter(adjPos => {
+          const adjUnit = context.grid[adjPos] && context.grid[adjPos].unit;
+          return adjUnit && adjUnit.type === 'mech' && adjUnit.player === unit.player;
+        }).length;
+        return adjacentMechCount > 0 ? { attackBonus: adjacentMechCount } : {};
+      }
+    },
+    life_steal: {
+      name: 'Salvage Systems',
+      description: 'Gains +2 Armor when attacking units with armor. Immune to Suppression, Artillery, and Bombers.',
+      apply: () => ({ immuneToSuppression: true, immuneToArtillery: true })
+    },
+
+    // Artillery Abilities
+    mobile_fire: {
+      name: 'Defense Buster',
+      description: '+2 to attack rolls firing at any unit on a construction tile.',
+      apply: (unit, pos, gridData, targetPos, targetGridData) => {
+        if (targetGridData && targetGridData.construction && targetGridData.construction.completed) {
+          return { attackBonus: 2 };
+        }
+        return {};
+      }
+    },
+    fortified: {
+      name: 'Fortified',
+      description: 'Gains +1 defense on Construction Tiles.',
+      apply: (unit, pos, gridData) => {
+        if (gridData && gridData.construction && gridData.construction.completed) {
+          return { defenseBonus: 1 };
+        }
+        return {};
+      }
+    },
+    precision: {
+      name: 'Precision',
+      description: 'Gains +1 to hit chance for each consecutive attack on the same target. Resets when changing targets.',
+      apply: (unit, pos, gridData, targetPos) => {
+        if (unit.targetHistory && unit.targetHistory[targetPos] >= 2) {
+          return { accuracyBonus: Math.min(unit.targetHistory[targetPos] - 1, 3) };
+        }
+        return {};
+      }
+    },
+
+    // Air Abilities
+    the_hub_in_the_sky: {
+      name: 'The Hub In The Sky',
+      description: 'While this Airship is alive, all friendly Fighters gain +1 to attack rolls.',
+      // The bonus itself is applied by the aerial combat code
+      apply: () => ({ providesFighterBonus: true })
+    },
+    air_superiority: {
+      name: 'Air Superiority',
+      description: '+1 Attack For Every Fighter You Have Over Your Enemy',
+      apply: (unit, pos, gridData, targetPos, targetGridData, context) => {
+        const fighterCounts = countFightersByPlayer(context && context.aerial);
+        let attackBonus = 0;
+        if (unit.player === 'red') {
+          attackBonus = Math.max(0, fighterCounts.player1 - fighterCounts.player2);
+        } else if (unit.player === 'blue') {
+          attackBonus = Math.max(0, fighterCounts.player2 - fighterCounts.player1);
+        }
+        return { attackBonus: attackBonus, highMobility: true };
+      }
+    },
+    terror_in_skys: {
+      name: 'Terror In The Skys',
+      description: '+2 To Attack Rolls Against Infantry and Support Units on Plains Terrain',
+      apply: (unit, pos, gridData, targetPos, targetGridData) => {
+        if (targetGridData && targetGridData.unit &&
+            (targetGridData.unit.type === 'infantry' || targetGridData.unit.type === 'support') &&
+            targetGridData.terrain === 'plains') {
+          return { attackBonus: 2 };
+        }
+        return {};
+      }
+    },
+    morale_collapse: {
+      name: 'Morale Collapse',
+      description: 'Causes morale collapse in adjacent enemy units after a kill.',
+      apply: () => ({ causesMoraleCollapse: true })
+    },
+    air_defense: {
+      name: 'Air Defense',
+      description: 'Can only attack air units (fighters and bombers).',
+      apply: () => ({ airDefense: true })
+    },
+    armour_penetrating: {
+      name: 'Armour Penetrating Round',
+      description: '+3 To Attack Rolls Against Armoured Units',
+      apply: (unit, pos, gridData, targetPos, targetGridData) => {
+        if (targetGridData && targetGridData.unit && ['vehicle', 'tank', 'mech'].includes(targetGridData.unit.type)) {
+          return { damageBonus: 3 };
+        }
+        return {};
+      }
+    },
+    recon: {
+      name: 'Reconnaissance',
+      description: 'Sees 2 tiles further and through Forest and Jungle. Recon aircraft scout a whole zone instead of attacking.',
+      apply: () => ({ visionBonus: 2, seesThroughCover: true })
+    }
+  };
+
+  function countFightersByPlayer(aerial) {
+    // Recon aircraft fly as fighters but don't fight for air superiority
+    const countFighters = (units) => (Array.isArray(units)
+      ? units.filter(unit => unit.type === 'fighter' && unit.special !== 'recon' && unit.health > 0).length
+      : 0);
+
+    return {
+      player1: countFighters(aerial && aerial.red),
+      player2: countFighters(aerial && aerial.blue)
+    };
+  }
+
+  function applySpecialAbilities(unit, pos, gridData, targetPos = null, targetGridData = null, context = null) {
+    const ability = unit && unit.special && specialAbilities[unit.special];
+    if (!ability) return {};
+    return ability.apply(unit, pos, gridData, targetPos, targetGridData, context);
+  }
+
+  // The specialAbilities table with context filled in by getContext() on
+  // every call, for callers that keep the battle in globals. Passing the
+  // table returned last time refills it after content packs change.
+  function bindSpecialAbilities(getContext, bound = {}) {
+    Object.keys(bound).forEach(key => delete bound[key]);
+    Object.keys(specialAbilities).forEach(key => {
+      const ability = specialAbilities[key];
+      bound[key] = {
+        name: ability.name,
+        description: ability.description,
+        apply: (unit, pos, gridData, targetPos, targetGridData) =>
+          ability.apply(unit, pos, gridData, targetPos, targetGridData, getContext())
+      };
+    });
+    return bound;
+  }
+
+  // The part of specialAbilities that movement and range depend on
+  function getAbilityEffects(unit, gridData) {
+    return applySpecialAbilities(unit, null, gridData);
+  }
+
+  // Defense granted by friendly Mobile Cover units on the eight surrounding tiles
+  function getAdjacentMobileCoverBonus(unit, pos, context) {
+    if (!context || !context.grid) return 0;
+
+    return getAdjacentPositions(pos, context.gridSize).reduce((total, adjPos) => {
+      const adjacentGridData = context.grid[adjPos];
+      const adjUnit = adjacentGridData && adjacentGridData.unit;
+      if (adjUnit && adjUnit.player === unit.player && adjUnit.special === 'mobile_cover') {
+        return total + (specialAbilities.mobile_cover.apply(adjUnit, adjPos, adjacentGridData).coverBonus || 0);
+      }
+      return total;
+    }, 0);
+  }
+
+  // Weather
+
+  function getWeatherEffects(weatherSystem) {
+    const system = weatherSystem || {};
+    const weatherEffect = weatherEffects[system.currentWeather] || NO_EFFECT;
+    const dayNightEffect = dayNightEffects[system.dayNightCycle] || NO_EFFECT;
+
+    return {
+      attack: weatherEffect.attack + dayNightEffect.attack,
+      defense: weatherEffect.defense + dayNightEffect.defense,
+      movement: weatherEffect.movement + dayNightEffect.movement,
+      range: weatherEffect.range + dayNightEffect.range
+    };
+  }
+
+  // The weather a percentage roll (1-100) gives under a forecast. A forecast
+  // from a content pack that is no longer active falls back to clear.
+  function getRolledWeather(weatherType, roll) {
+    const probabilities = (weatherTypes[weatherType] || weatherTypes.clear).probabilities;
+    let cumulative = 0;
+    for (const [weather, probability] of Object.entries(probabilities)) {
+      cumulative += probability;
+      if (roll <= cumulative) return weather;
+    }
+    return 'clear';
+  }
+
+  function applyWeatherRestrictions(unit, weatherSystem) {
+    const currentWeather = weatherSystem && weatherSystem.currentWeather;
+
+    if (currentWeather === 'dust-storm' && unit.type === 'artillery') return false;
+    if (currentWeather === 'overcast' && ['fighter', 'bomber', 'airship'].includes(unit.type)) return false;
+    if (currentWeather === 'cloudy' && unit.type === 'bomber') return false;
+    return true;
+  }
+
+  // Command points
+
+  function getCPCost(gameState, action) {
+    const costs = (gameState && gameState.cpCosts) || defaultCPCosts;
+    return costs[action] !== undefined ? costs[action] : defaultCPCosts[action];
+  }
+
+  function canSpendCP(gameState, player, cost) {
+    return (gameState.commandPoints[player] || 0) >= cost;
+  }
+
+  // Zones a side holds or contests, leaving out those cut off from its
+  // supply lines, which earn nothing
+  function getZoneCPBonuses(zones, gridSize) {
+    const contestedZones = { red: [], blue: [] };
+    const controlledZones = { red: [], blue: [] };
+    const cutOff = {
+      red: getCutOffZoneIds(zones || [], 'red'),
+      blue: getCutOffZoneIds(zones || [], 'blue')
+    };
+
+    (zones || []).forEach(zone => {
+      if (zone.control === 'red') {
+        controlledZones.red.push(zone.id);
+      } else if (zone.control === 'blue') {
+        controlledZones.blue.push(zone.id);
+      } else if (zone.control === 'contested') {
+        let redUnits = 0, blueUnits = 0;
+        for (let pos = 0; pos < gridSize * gridSize; pos++) {
+          const unit = zone.tacticalGrid[pos] && zone.tacticalGrid[pos].unit;
+          if (unit) {
+            if (unit.player === 'red') redUnits++;
+            else blueUnits++;
+          }
+        }
+        if (redUnits > 0) contestedZones.red.push(zone.id);
+        if (blueUnits > 0) contestedZones.blue.push(zone.id);
+      }
+    });
+
+    ['red', 'blue'].forEach(player => {
+      contestedZones[player] = contestedZones[player].filter(id => !cutOff[player].includes(id));
+      controlledZones[player] = controlledZones[player].filter(id => !cutOff[player].includes(id));
+    });
+    return { contestedZones, controlledZones };
+  }
+
+  function calculateTurnStartCP(gameConfig, zones, player) {
+    const baseCP = player === 'red'
+      ? (gameConfig.player1CP || gameConfig.startingCP || 3)
+      : (gameConfig.player2CP || gameConfig.startingCP || 3);
+    const bonuses = getZoneCPBonuses(zones, gameConfig.gridSize);
+
+    return baseCP + bonuses.contestedZones[player].length + bonuses.controlledZones[player].length * 2;
+  }
+
+  // Grid helpers
+
+  function calculateDistance(pos1, pos2, gridSize) {
+    const row1 = Math.floor(pos1 / gridSize);
+    const col1 = pos1 % gridSize;
+    const row2 = Math.floor(pos2 / gridSize);
+    const col2 = pos2 % gridSize;
+
+    return Math.abs(row1 - row2) + Math.abs(col1 - col2);
+  }
+
+  function getAdjacentPositions(pos, gridSize) {
+    const row = Math.floor(pos / gridSize);
+    const col = pos % gridSize;
+    const adjacent = [];
+
+    for (let r = Math.max(0, row - 1); r <= Math.min(gridSize - 1, row + 1); r++) {
+      for (let c = Math.max(0, col - 1); c <= Math.min(gridSize - 1, col + 1); c++) {
+        const adjPos = r * gridSize + c;
+        if (adjPos !== pos) {
+          adjacent.push(adjPos);
+        }
+      }
+    }
+
+    return adjacent;
+  }
+
+  // Deployment
+
+  function getValidDeploymentRows(gameState, zoneId, player, gridSize) {
+    const zoneRole = gameState.zoneRoles && gameState.zoneRoles[zoneId];
+    const isDefender = zoneRole && zoneRole.defender === player;
+
+    if (isDefender) {
+      return [gridSize - 3, gridSize - 2, gridSize - 1];
+    }
+    return [0];
+  }
+
+  function isValidDeploymentPosition(gameState, zoneId, player, pos, gridSize) {
+    const validRows = getValidDeploymentRows(gameState, zoneId, player, gridSize);
+    return validRows.includes(Math.floor(pos / gridSize));
+  }
+
+  // Movement
+
+  // Movement points a unit starts with when selected for movement at pos
+  function getMovementPoints(unit, pos, gridData, weatherSystem) {
+    let temporaryBonus = 0;
+
+    if (hasCompletedConstruction(gridData, 'road') && constructionEffects.road.movementBonus) {
+      temporaryBonus += constructionEffects.road.movementBonus;
+    }
+    if (gridData.terrain === 'road' && terrainEffects.road.movementBonus) {
+      temporaryBonus += terrainEffects.road.movementBonus;
+    }
+    if (gridData.terrain === 'infrastructure' && terrainEffects.infrastructure.movementBonus) {
+      temporaryBonus += terrainEffects.infrastructure.movementBonus;
+    }
+    if (unit.special === 'mobile_cover' && hasCompletedConstruction(gridData, 'road')) {
+      temporaryBonus += 2;
+    }
+    if (unit.special === 'mobile_cover' && gridData.terrain === 'road') {
+      temporaryBonus += 2;
+    }
+    if (gridData.terrain && getTerrainEffect(gridData.terrain).movementBonus) {
+      temporaryBonus += getTerrainEffect(gridData.terrain).movementBonus;
+    }
+    // Amphibious and content pack abilities check the terrain themselves
+    const ability = specialAbilities[unit.special];
+    if (unit.special === 'amphibious' || (ability && ability.pack)) {
+      temporaryBonus += getAbilityEffects(unit, gridData).movementBonus || 0;
+    }
+
+    let totalMovementPoints = unit.movement + temporaryBonus + getWeatherEffects(weatherSystem).movement;
+    if (unit.movement > 0 && totalMovementPoints < 1) {
+      totalMovementPoints = 1;
+    }
+    return totalMovementPoints;
+  }
+
+  function calculateValidMovementPositions(grid, startPos, movementPoints, gridSize) {
+    if (!grid || movementPoints <= 0) return [];
+
+    const movingUnit = grid[startPos].unit;
+    if (!movingUnit) return [];
+
+    const unitAbilities = getAbilityEffects(movingUnit, grid[startPos]);
+    const validPositions = [];
+    const visited = new Set();
+    const directions = [
+      { row: -1, col: 0 },
+      { row: 1, col: 0 },
+      { row: 0, col: -1 },
+      { row: 0, col: 1 }
+    ];
+
+    function explore(currentPos, remainingPoints) {
+      if (remainingPoints < 0) return;
+      if (visited.has(currentPos)) return;
+
+      visited.add(currentPos);
+
+      if (!grid[currentPos].unit) {
+        validPositions.push(currentPos);
+      }
+
+      const row = Math.floor(currentPos / gridSize);
+      const col = currentPos % gridSize;
+
+      for (const dir of directions) {
+        const newRow = row + dir.row;
+        const newCol = col + dir.col;
+        if (newRow < 0 || newRow >= gridSize || newCol < 0 || newCol >= gridSize) continue;
+
+        const newPos = newRow * gridSize + newCol;
+        const targetGridData = grid[newPos];
+        const terrain = targetGridData.terrain;
+
+        if (hasCompletedConstruction(targetGridData, 'barbedWire') && constructionEffects.barbedWire.movementBlock) {
+          if (!targetGridData.unit) {
+            validPositions.push(newPos);
+          }
+          // Barbed wire can be entered but not crossed unless the unit ignores it
+          if (unitAbilities.ignoreBarbedWire) {
+            explore(newPos, remainingPoints - getTerrainEffect(terrain).moveDelay);
+          }
+        } else if (hasCompletedConstruction(targetGridData, 'tankTrap') && constructionEffects.tankTrap.vehicleBlock) {
+          if (!targetGridData.unit) {
+            validPositions.push(newPos);
+          }
+          if (unitAbilities.ignoreTankTraps || (movingUnit.type !== 'tank' && movingUnit.type !== 'vehicle')) {
+            explore(newPos, remainingPoints - getTerrainEffect(terrain).moveDelay);
+          }
+        } else {
+          let cost = getTerrainEffect(terrain).moveDelay;
+
+          if (terrain === 'river') {
+            const hasAmphibious = movingUnit.special === 'amphibious';
+            const hasBridge = hasCompletedConstruction(targetGridData, 'bridge');
+
+            if ((movingUnit.type === 'vehicle' || movingUnit.type === 'tank' || movingUnit.type === 'field_gun') &&
+                !hasBridge && !hasAmphibious) {
+              continue;
+            }
+
+            if (hasAmphibious || hasBridge) {
+              cost = 1;
+            } else {
+              // Units without a bridge can wade in but go no further
+              if (!targetGridData.unit) {
+                validPositions.push(newPos);
+              }
+              continue;
+            }
+          }
+
+          if (isMountain(terrain)) {
+            if (movingUnit.type !== 'mech' && movingUnit.special !== 'those_who_dare') {
+              continue;
+            }
+            if (!targetGridData.unit) {
+              validPositions.push(newPos);
+            }
+          }
+
+          explore(newPos, remainingPoints - cost);
+        }
+      }
+    }
+
+    explore(startPos, movementPoints);
+
+    return validPositions.filter(p => p !== startPos);
+  }
+
+  // Reason a unit may not enter a tile at all, or null when it may
+  function getMovementRestriction(unit, targetGridData) {
+    const terrain = targetGridData.terrain;
+    const terrainEffect = getTerrainEffect(terrain);
+
+    if (terrainEffect.restrictedUnits && terrainEffect.restrictedUnits.includes(unit.type) && unit.special !== 'all_terrain') {
+      return `${unit.name} cannot move through ${terrain} terrain`;
+    }
+    if (isMountain(terrain) && unit.type !== 'mech' && unit.special !== 'those_who_dare') {
+      return 'Only Mech units or units with "Those Who Dare" can traverse mountain terrain';
+    }
+    if (terrain === 'river' && (unit.type === 'vehicle' || unit.type === 'tank' || unit.type === 'field_gun') &&
+        !hasCompletedConstruction(targetGridData, 'bridge') && unit.special !== 'amphibious') {
+      return `${unit.name} cannot cross river terrain without a bridge`;
+    }
+    return null;
+  }
+
+  // Movement points spent by a single move onto targetGridData
+  function getMovementCost(unit, targetGridData) {
+    const terrain = targetGridData.terrain;
+    const terrainEffect = getTerrainEffect(terrain);
+    let cost = terrainEffect.moveDelay;
+
+    if (terrainEffect.movementPenalty) {
+      cost += Math.abs(terrainEffect.movementPenalty);
+    }
+    if (terrainEffect.vehicleMovementPenalty && (unit.type === 'vehicle' || unit.type === 'tank')) {
+      cost += Math.abs(terrainEffect.vehicleMovementPenalty);
+    }
+    if (terrain === 'river' && (unit.special === 'amphibious' || hasCompletedConstruction(targetGridData, 'bridge'))) {
+      cost = 1;
+    }
+    return cost;
+  }
+
+  // Movement points left after a move onto targetGridData, including the
+  // bonuses gained on arrival and the obstacles that stop a unit dead
+  function getRemainingMovementAfterMove(unit, targetGridData, movementPoints) {
+    const terrain = targetGridData.terrain;
+    const terrainEffect = getTerrainEffect(terrain);
+    let remaining = movementPoints - getMovementCost(unit, targetGridData);
+    const mobileCoverBonus = unit.special === 'mobile_cover' ? 2 : 0;
+
+    if (hasCompletedConstruction(targetGridData, 'road') && constructionEffects.road.movementBonus) {
+      remaining += constructionEffects.road.movementBonus + mobileCoverBonus;
+    }
+    if (terrain === 'road' && terrainEffects.road.movementBonus) {
+      remaining += terrainEffects.road.movementBonus + mobileCoverBonus;
+    }
+    if (terrainEffect.movementBonus) {
+      remaining += terrainEffect.movementBonus;
+    }
+
+    const abilities = getAbilityEffects(unit, targetGridData);
+    if (hasCompletedConstruction(targetGridData, 'barbedWire') && !abilities.ignoreBarbedWire) {
+      remaining = 0;
+    }
+    if (hasCompletedConstruction(targetGridData, 'tankTrap') && (unit.type === 'tank' || unit.type === 'vehicle') &&
+        !abilities.ignoreTankTraps) {
+      remaining = 0;
+    }
+    if (terrain === 'river' && unit.special !== 'amphibious' && !hasCompletedConstruction(targetGridData, 'bridge')) {
+      remaining = 0;
+    }
+    return remaining;
+  }
+
+  // Attacks
+
+  function getActualRange(unit, gridData, weatherSystem) {
+    let actualRange = unit.range || 1;
+
+    actualRange += getWeatherEffects(weatherSystem).range;
+    if (unit.range > 0 && actualRange < 1) {
+      actualRange = 1;
+    }
+
+    if (gridData && gridData.construction && gridData.construction.completed) {
+      const effects = constructionEffects[gridData.construction.type];
+      if (effects && effects.range && unit.type === 'infantry') {
+        actualRange += effects.range;
+      }
+    }
+
+    actualRange += getAbilityEffects(unit, gridData).rangeBonus || 0;
+    return actualRange;
+  }
+
+  // Line of sight
+  // Sight lines are traced tile by tile (see getTilesBetween). Anything in
+  // between that is taller than the viewer's own tile gets in the way: units,
+  // mountains, jungle and bunkers block the line outright, while forest, ruins
+  // and barricades only give the target partial cover. Hills, mountains and
+  // snipers nests raise the viewer above low obstacles.
+
+  const SIGHT_OBSTACLES = {
+    unit: { height: 1, cover: 'full' },
+    mountains: { height: 2, cover: 'full' },
+    jungle: { height: 2, cover: 'full' },
+    forest: { height: 1, cover: 'partial' },
+    ruins: { height: 1, cover: 'partial' },
+    bunker: { height: 2, cover: 'full' },
+    barricade: { height: 1, cover: 'partial' }
+  };
+
+  // Defense bonus for a target seen through partial cover
+  const PARTIAL_COVER_DEFENSE = 1;
+
+  function getElevation(gridData) {
+    if (!gridData) return 0;
+    if (gridData.terrain === 'mountains') return 2;
+    if (gridData.terrain === 'hills') return 1;
+    if (hasCompletedConstruction(gridData, 'snipersNest') && gridData.unit && gridData.unit.type === 'infantry') return 1;
+    return 0;
+  }
+
+  // Tallest obstacle on a tile, or null for open ground
+  function getSightObstacle(gridData) {
+    const obstacles = [
+      gridData.unit && SIGHT_OBSTACLES.unit,
+      SIGHT_OBSTACLES[gridData.terrain],
+      gridData.construction && gridData.construction.completed && SIGHT_OBSTACLES[gridData.construction.type]
+    ].filter(Boolean);
+    if (obstacles.length === 0) return null;
+    return obstacles.reduce((tallest, obstacle) => (
+      obstacle.height > tallest.height || (obstacle.height === tallest.height && obstacle.cover === 'full')
+        ? obstacle
+        : tallest
+    ));
+  }
+
+  // 'clear', 'partial' (the target has partial cover) or 'blocked'
+  function getLineOfSight(grid, fromPos, toPos, gridSize) {
+    const elevation = getElevation(grid[fromPos]);
+    let sight = 'clear';
+
+    for (const pos of getTilesBetween(fromPos, toPos, gridSize)) {
+      const obstacle = grid[pos] && getSightObstacle(grid[pos]);
+      if (!obstacle || obstacle.height <= elevation) continue;
+      if (obstacle.cover === 'full') return 'blocked';
+      sight = 'partial';
+    }
+    return sight;
+  }
+
+  function hasLineOfSight(grid, fromPos, toPos, gridSize) {
+    return getLineOfSight(grid, fromPos, toPos, gridSize) !== 'blocked';
+  }
+
+  function canAttackPosition(grid, fromPos, toPos, player, gridSize, weatherSystem) {
+    const fromGridData = grid[fromPos];
+    const toGridData = grid[toPos];
+    if (!fromGridData || !toGridData || !fromGridData.unit) return false;
+    if (!toGridData.unit || toGridData.unit.player === player) return false;
+
+    const unit = fromGridData.unit;
+    const rowDiff = Math.abs(Math.floor(fromPos / gridSize) - Math.floor(toPos / gridSize));
+    const colDiff = Math.abs(fromPos % gridSize - toPos % gridSize);
+    const distance = Math.max(rowDiff, colDiff);
+    const actualRange = getActualRange(unit, fromGridData, weatherSystem);
+
+    if (distance > actualRange) return false;
+
+    // Field guns lob their shells over whatever is in the way
+    if (unit.type !== 'field_gun' && !hasLineOfSight(grid, fromPos, toPos, gridSize)) return false;
+
+    if (unit.special === 'air_defense') {
+      const targetType = toGridData.unit.type;
+      if (targetType !== 'fighter' && targetType !== 'bomber') return false;
+    }
+
+    return true;
+  }
+
+  // Fog of war
+  // Units see tiles within a vision radius that grows with their range and
+  // with high ground and shrinks in fog, blizzards and at night. Forest and
+  // jungle can be seen into but not through. A zone scouted from the air is
+  // seen whole by the scouting side for a few turns. Stealth still hides a
+  // unit on a tile its enemy can see.
+
+  const VISION_TERRAIN_BONUS = { hills: 1, mountains: 2 };
+  const VISION_WEATHER_PENALTY = { fog: 2, blizzard: 2 };
+  const SIGHT_BLOCKING_TERRAIN = ['forest', 'jungle'];
+
+  // Turns a scouted zone stays revealed: the scouting turn, the opponent's
+  // reply and the scouting side's next turn
+  const SCOUTING_TURNS = 3;
+
+  function getVisionRadius(unit, gridData, weatherSystem) {
+    let radius = 1 + Math.min(Math.max(unit.range || 1, 1), 3);
+    radius += VISION_TERRAIN_BONUS[gridData && gridData.terrain] || 0;
+    radius += applySpecialAbilities(unit, null, gridData).visionBonus || 0;
+
+    if (weatherSystem) {
+      radius -= VISION_WEATHER_PENALTY[weatherSystem.currentWeather] || 0;
+      if (weatherSystem.dayNightCycle === 'night') radius -= 1;
+    }
+    return Math.max(1, radius);
+  }
+
+  // Tiles strictly between two positions on the Bresenham line joining them
+  function getTilesBetween(fromPos, toPos, gridSize) {
+    let row = Math.floor(fromPos / gridSize);
+    let col = fromPos % gridSize;
+    const toRow = Math.floor(toPos / gridSize);
+    const toCol = toPos % gridSize;
+    const rowDistance = Math.abs(toRow - row);
+    const colDistance = Math.abs(toCol - col);
+    const rowStep = Math.sign(toRow - row);
+    const colStep = Math.sign(toCol - col);
+    let error = colDistance - rowDistance;
+    const tiles = [];
+
+    while (row !== toRow || col !== toCol) {
+      const doubledError = 2 * error;
+      if (doubledError > -rowDistance) {
+        error -= rowDistance;
+        col += colStep;
+      }
+      if (doubledError < colDistance) {
+        error += colDistance;
+        row += rowStep;
+      }
+      if (row !== toRow || col !== toCol) tiles.push(row * gridSize + col);
+    }
+    return tiles;
+  }
+
+  // Bombers, airships and recon aircraft can scout a zone
+  function canScout(unit) {
+    return !!unit && (unit.type === 'bomber' || unit.type === 'airship' || unit.special === 'recon');
+  }
+
+  function isZoneScouted(gameState, zoneId, player) {
+    const scouted = gameState && gameState.scoutedZones && gameState.scoutedZones[player];
+    if (!scouted || scouted[zoneId] === undefined) return false;
+    return (gameState.turnCount || 0) - scouted[zoneId] < SCOUTING_TURNS;
+  }
+
+  // Set of positions player's units can see on grid
+  function getVisibleTiles(grid, gridSize, player, weatherSystem) {
+    const visible = new Set();
+    const positions = Object.keys(grid).map(Number);
+
+    positions.forEach(fromPos => {
+      const unit = grid[fromPos].unit;
+      if (!unit || unit.player !== player) return;
+
+      const radius = getVisionRadius(unit, grid[fromPos], weatherSystem);
+      const seesThroughCover = !!applySpecialAbilities(unit, fromPos, grid[fromPos]).seesThroughCover;
+
+      positions.forEach(toPos => {
+        if (visible.has(toPos) || calculateDistance(fromPos, toPos, gridSize) > radius) return;
+        const blocked = !seesThroughCover && getTilesBetween(fromPos, toPos, gridSize)
+          .some(pos => SIGHT_BLOCKING_TERRAIN.includes(grid[pos].terrain));
+        if (!blocked) visible.add(toPos);
+      });
+    });
+
+    return visible;
+  }
+
+  // Positions player can see in a zone, taking aerial scouting into account
+  function getZoneVisibility(zone, player, gameState, gridSize) {
+    if (isZoneScouted(gameState, zone.id, player)) {
+      return new Set(Object.keys(zone.tacticalGrid).map(Number));
+    }
+    return getVisibleTiles(zone.tacticalGrid, gridSize, player, gameState && gameState.weatherSystem);
+  }
+
+  // Whether player can see the unit on grid[pos]. visibleTiles comes from
+  // getZoneVisibility, or is null when fog of war is off.
+  function canSeeUnit(grid, pos, player, visibleTiles) {
+    const gridData = grid[pos];
+    const unit = gridData && gridData.unit;
+    if (!unit) return false;
+    if (unit.player === player) return true;
+    if (applySpecialAbilities(unit, pos, gridData).hidden) return false;
+    return !visibleTiles || visibleTiles.has(Number(pos));
+  }
+
+  // Copy of a zone with the enemy units player can't see taken off the board
+  function filterZoneForPlayer(zone, player, gameState, gridSize) {
+    const visibleTiles = getZoneVisibility(zone, player, gameState, gridSize);
+    const tacticalGrid = {};
+
+    Object.keys(zone.tacticalGrid).forEach(pos => {
+      const gridData = zone.tacticalGrid[pos];
+      tacticalGrid[pos] = gridData.unit && !canSeeUnit(zone.tacticalGrid, pos, player, visibleTiles)
+        ? { ...gridData, unit: null }
+        : gridData;
+    });
+
+    return { ...zone, tacticalGrid: tacticalGrid };
+  }
+
+  // Combat
+
+  // Modifiers from a completed construction on the unit's own tile
+  function applyConstructionModifiers(unit, gridData, targetGridData, values, modifiers) {
+    if (!gridData || !gridData.construction || !gridData.construction.completed) return;
+
+    const effects = constructionEffects[gridData.construction.type];
+    if (!effects) return;
+
+    // Snipers Nest range is added by getActualCombatValues
+    if (effects.range && unit.type === 'infantry') {
+      modifiers.push('Snipers Nest: +1 Range');
+    }
+    if (effects.fieldGunAttack && unit.type === 'field_gun') {
+      values.attack += effects.fieldGunAttack;
+      modifiers.push(`Mortar Pit: +${effects.fieldGunAttack} ATK`);
+    }
+    if (effects.infantryAttack && unit.type === 'infantry') {
+      values.attack += effects.infantryAttack;
+      modifiers.push(`Machine Gun Nest: +${effects.infantryAttack} ATK`);
+    }
+    if (effects.defense && ['infantry', 'support', 'field_gun'].includes(unit.type)) {
+      values.defense += effects.defense;
+      modifiers.push(`Trenches: +${effects.defense} DEF`);
+    }
+    if (effects.barricadeDefense && ['ruins', 'infrastructure'].includes(gridData.terrain)) {
+      values.defense += effects.barricadeDefense;
+      modifiers.push(`Barricade: +${effects.barricadeDefense} DEF`);
+    }
+    if (gridData.construction.type === 'road') {
+      values.defense = Math.max(0, values.defense - 1);
+      modifiers.push('Road: -1 DEF');
+    }
+    if (effects.antiTankAttack && unit.type === 'field_gun' && targetGridData && targetGridData.unit &&
+        ['tank', 'vehicle', 'mech'].includes(targetGridData.unit.type)) {
+      values.attack += effects.antiTankAttack;
+      modifiers.push(`Anti Tank Pit: +${effects.antiTankAttack} ATK vs Armoured`);
+    }
+    if (effects.attack && !effects.fieldGunAttack && !effects.infantryAttack) {
+      values.attack += effects.attack;
+      modifiers.push(`Construction: ${formatModifier(effects.attack)} ATK`);
+    }
+    if (effects.defense && !['infantry', 'support', 'field_gun'].includes(unit.type)) {
+      values.defense += effects.defense;
+      modifiers.push(`Construction: ${formatModifier(effects.defense)} DEF`);
+    }
+  }
+
+  function applyStatusModifiers(unit, values, modifiers) {
+    if (unit.bleeding) {
+      values.attack = Math.max(0, values.attack - 1);
+      modifiers.push('Bleeding: -1 ATK');
+    }
+    if (unit.suppressed) {
+      values.attack = Math.max(0, values.attack - 1);
+      values.defense = Math.max(0, values.defense - 1);
+      modifiers.push('Suppressed: -1 ATK, -1 DEF');
+    }
+    if (unit.moraleCollapse) {
+      values.attack = Math.max(0, values.attack - 2);
+      values.defense = Math.max(0, values.defense - 2);
+      modifiers.push('Morale Collapse: -2 ATK, -2 DEF');
+    }
+  }
+
+  function formatModifier(value) {
+    return `${value >= 0 ? '+' : ''}${value}`;
+  }
+
+  // Attack and defense shown on a unit's tooltip, with the modifiers that make
+  // them up. Weather is left out; it is shown separately.
+  function calculateCombatValues(unit, pos, gridData, context = null) {
+    const values = { attack: unit.attack || 0, defense: unit.defense || 0 };
+    const modifiers = [];
+
+    const terrainEffect = terrainEffects[gridData.terrain];
+    if (terrainEffect) {
+      if (terrainEffect.attackBonus) {
+        values.attack += terrainEffect.attackBonus;
+        modifiers.push(`Terrain: ${formatModifier(terrainEffect.attackBonus)} ATK`);
+      }
+      if (terrainEffect.defenseBonus) {
+        values.defense += terrainEffect.defenseBonus;
+        modifiers.push(`Terrain: ${formatModifier(terrainEffect.defenseBonus)} DEF`);
+      }
+    }
+
+    applyConstructionModifiers(unit, gridData, null, values, modifiers);
+
+    const abilityEffects = applySpecialAbilities(unit, pos, gridData, null, null, context);
+    if (abilityEffects.attackBonus) {
+      values.attack += abilityEffects.attackBonus;
+      modifiers.push(unit.special === 'air_superiority'
+        ? `Air Superiority: +${abilityEffects.attackBonus} ATK`
+        : `Special: ${formatModifier(abilityEffects.attackBonus)} ATK`);
+    }
+    if (abilityEffects.defenseBonus) {
+      values.defense += abilityEffects.defenseBonus;
+      modifiers.push(`Special: ${formatModifier(abilityEffects.defenseBonus)} DEF`);
+    }
+
+    applyStatusModifiers(unit, values, modifiers);
+
+    const adjacentCoverBonus = getAdjacentMobileCoverBonus(unit, pos, context);
+    if (adjacentCoverBonus > 0) {
+      values.defense += adjacentCoverBonus;
+      modifiers.push(`Mobile Cover: +${adjacentCoverBonus} DEF`);
+    }
+
+    return {
+      actualAttack: values.attack,
+      actualDefense: values.defense,
+      modifiers
+    };
+  }
+
+  // Attack, defense and range used to resolve a fight, optionally against a
+  // particular target tile. modifiers lists where every point came from, for
+  // the odds preview.
+  function getActualCombatValues(unit, pos, gridData, targetPos = null, targetGridData = null, attacker = null, context = null) {
+    const values = { attack: unit ? (unit.attack || 0) : 0, defense: unit ? (unit.defense || 0) : 0 };
+    const modifiers = [];
+    const addModifier = (source, stat, value) => {
+      if (!value) return;
+      values[stat] += value;
+      modifiers.push(`${source}: ${formatModifier(value)} ${stat === 'attack' ? 'ATK' : 'DEF'}`);
+    };
+
+    const terrainEffect = gridData && terrainEffects[gridData.terrain];
+    if (terrainEffect) {
+      addModifier(`Terrain (${gridData.terrain})`, 'attack', terrainEffect.attackBonus);
+      addModifier(`Terrain (${gridData.terrain})`, 'defense', terrainEffect.defenseBonus);
+    }
+
+    applyConstructionModifiers(unit, gridData, targetGridData, values, modifiers);
+
+    const ability = unit && specialAbilities[unit.special];
+    const abilityEffects = applySpecialAbilities(unit, pos, gridData, targetPos, targetGridData, context);
+    addModifier(ability ? ability.name : 'Special', 'attack', abilityEffects.attackBonus);
+    addModifier(ability ? ability.name : 'Special', 'defense', abilityEffects.defenseBonus);
+
+    // Armour Penetrating Round also adds to the attack roll, on top of its damage bonus
+    if (unit.special === 'armour_penetrating' && targetGridData && targetGridData.unit &&
+        ['vehicle', 'tank', 'mech'].includes(targetGridData.unit.type)) {
+      addModifier('Armour Penetrating Round', 'attack', 3);
+    }
+
+    applyStatusModifiers(unit, values, modifiers);
+
+    const weatherSystem = (context && context.weatherSystem) || {};
+    const weatherEffect = weatherEffects[weatherSystem.currentWeather] || NO_EFFECT;
+    const dayNightEffect = dayNightEffects[weatherSystem.dayNightCycle] || NO_EFFECT;
+    const weather = getWeatherEffects(weatherSystem);
+    addModifier(`Weather (${weatherSystem.currentWeather})`, 'attack', weatherEffect.attack);
+    addModifier(`Weather (${weatherSystem.currentWeather})`, 'defense', weatherEffect.defense);
+    addModifier(weatherSystem.dayNightCycle === 'night' ? 'Night' : 'Day', 'attack', dayNightEffect.attack);
+    addModifier(weatherSystem.dayNightCycle === 'night' ? 'Night' : 'Day', 'defense', dayNightEffect.defense);
+    values.attack = Math.max(0, values.attack);
+    values.defense = Math.max(0, values.defense);
+
+    if (pos !== null) {
+      addModifier('Mobile Cover', 'defense', getAdjacentMobileCoverBonus(unit, pos, context));
+    }
+
+    // A defender shot at through forest, ruins or a barricade is in partial cover
+    if (attacker && attacker.type !== 'field_gun' && pos !== null && targetPos !== null && context && context.grid &&
+        getLineOfSight(context.grid, targetPos, pos, context.gridSize) === 'partial') {
+      addModifier('Partial Cover', 'defense', PARTIAL_COVER_DEFENSE);
+    }
+
+    let actualRange = (unit.range || 1) + weather.range;
+    if (unit.range > 0 && actualRange < 1) {
+      actualRange = 1;
+    }
+    if (gridData && gridData.construction && gridData.construction.completed) {
+      const effects = constructionEffects[gridData.construction.type];
+      if (effects && effects.range && unit.type === 'infantry') {
+        actualRange += effects.range;
+      }
+    }
+    actualRange += abilityEffects.rangeBonus || 0;
+
+    return {
+      actualAttack: values.attack,
+      actualDefense: values.defense,
+      actualRange,
+      modifiers
+    };
+  }
+
+  // Armour soaks up damage before health. Returns false when there was no
+  // damage to apply; removing a destroyed unit from its tile is up to the caller.
+  function applyDamage(unit, damage) {
+    if (damage <= 0) return false;
+
+    let remainingDamage = damage;
+    let armourAbsorbed = 0;
+
+    if (unit.armour && unit.armour > 0) {
+      armourAbsorbed = Math.min(remainingDamage, unit.armour);
+      unit.armour -= armourAbsorbed;
+      remainingDamage -= armourAbsorbed;
+      if (unit.armour < 0) unit.armour = 0;
+    }
+
+    if (remainingDamage > 0) {
+      unit.health -= remainingDamage;
+      if (unit.health < 0) unit.health = 0;
+    }
+
+    return {
+      unitDestroyed: unit.health <= 0,
+      healthLost: remainingDamage > 0,
+      armourAbsorbed
+    };
+  }
+
+  // Apply the outcome of an attack that has already been rolled. attacker and
+  // defender are changed in place; the result says what happened so the caller
+  // can report it and run the defender's survival morale check.
+  function processCombatResult(attacker, defender, toPos, attackerAbilities, attackTotal, defenseTotal, context = null) {
+    const result = {
+      hit: attackTotal > defenseTotal,
+      damage: 0,
+      destroyed: false,
+      bleeding: false,
+      suppressed: false,
+      moraleCollapsed: [],
+      armourGained: null
+    };
+    if (!result.hit) return result;
+
+    result.damage = attackTotal - defenseTotal + (attackerAbilities.damageBonus || 0);
+    applyDamage(defender, result.damage);
+
+    if (attackerAbilities.causesBleeding) {
+      defender.bleeding = true;
+      defender.bleedingTurns = 2;
+      result.bleeding = true;
+    }
+
+    if (attackerAbilities.causesSuppression) {
+      defender.suppressed = true;
+      defender.suppressionTurns = 1;
+      result.suppressed = true;
+    }
+
+    if (attackerAbilities.causesMoraleCollapse && context && context.grid) {
+      getAdjacentPositions(toPos, context.gridSize).forEach(adjPos => {
+        const adjUnit = context.grid[adjPos] && context.grid[adjPos].unit;
+        if (adjUnit && adjUnit.player !== attacker.player) {
+          adjUnit.moraleCollapse = true;
+          result.moraleCollapsed.push(adjUnit);
+        }
+      });
+    }
+
+    // Salvage Systems: +2 Armor when attacking units with armor
+    if (attacker.special === 'life_steal' && defender.maxArmour > 0) {
+      const currentArmor = attacker.armour || 0;
+      const maxArmor = attacker.maxArmour || 0;
+      const gain = Math.min(2, maxArmor - currentArmor);
+      if (gain > 0) {
+        attacker.armour = currentArmor + gain;
+      }
+      result.armourGained = { gain: Math.max(0, gain), from: currentArmor, to: attacker.armour || 0, max: maxArmor };
+    }
+
+    if (defender.health <= 0) {
+      attacker.killsThisTurn = (attacker.killsThisTurn || 0) + 1;
+      attacker.kills = (attacker.kills || 0) + 1; // campaign experience
+      result.destroyed = true;
+    }
+
+    return result;
+  }
+
+  // Where a unit that passes its survival morale check falls back to: one row
+  // towards its own edge of the zone (attackers deploy on row 0, defenders on
+  // the last rows), straight back if that tile is free or else diagonally,
+  // and failing that anywhere free on its own row. -1 when there is nowhere
+  // to go. zoneRole is gameState.zoneRoles[zoneId].
+  function getSurvivalRetreatPosition(grid, pos, player, zoneRole, gridSize) {
+    const row = Math.floor(pos / gridSize);
+    const col = pos % gridSize;
+
+    let targetRow;
+    if (zoneRole && zoneRole.attacker === player) {
+      targetRow = row - 1;
+    } else if (zoneRole && zoneRole.defender === player) {
+      targetRow = row + 1;
+    } else {
+      targetRow = player === 'red' ? row + 1 : row - 1;
+    }
+
+    if (targetRow >= 0 && targetRow < gridSize) {
+      const straightPos = targetRow * gridSize + col;
+      if (!grid[straightPos].unit) return straightPos;
+
+      for (let checkCol = Math.max(0, col - 1); checkCol <= Math.min(gridSize - 1, col + 1); checkCol++) {
+        const checkPos = targetRow * gridSize + checkCol;
+        if (checkCol !== col && !grid[checkPos].unit) return checkPos;
+      }
+    }
+
+    for (let checkCol = 0; checkCol < gridSize; checkCol++) {
+      const checkPos = row * gridSize + checkCol;
+      if (checkPos !== pos && !grid[checkPos].unit) return checkPos;
+    }
+    return -1;
+  }
+
+  // Odds
+  // Every attack is an opposed roll: each side rolls a d6 and adds its
+  // modifiers, and the attack hits when its total is higher. The margin plus
+  // any damage bonus goes through applyDamage. A unit brought down to 0 health
+  // rolls a d6 against its morale: on a success it survives and retreats,
+  // otherwise it is destroyed. Artillery first has to roll its hit chance or
+  // better on a d10.
+
+  // Chance of each outcome for an attack on defender, with the expected health
+  // and armour it loses
+  function calculateAttackOdds(defender, attackMod, defenseMod, options = {}) {
+    const damageBonus = options.damageBonus || 0;
+    const reachChance = options.hitChance ? Math.min(1, Math.max(0, (11 - options.hitChance) / 10)) : 1;
+    const moraleHolds = typeof defender.morale === 'number' ? Math.min(1, Math.max(0, (7 - defender.morale) / 6)) : 0;
+    const odds = { hit: 0, miss: 0, kill: 0, retreat: 0, expectedDamage: 0, expectedArmourLoss: 0 };
+
+    for (let attackRoll = 1; attackRoll <= 6; attackRoll++) {
+      for (let defenseRoll = 1; defenseRoll <= 6; defenseRoll++) {
+        const margin = (attackRoll + attackMod) - (defenseRoll + defenseMod);
+        if (margin <= 0) continue;
+
+        const chance = reachChance / 36;
+        const target = { health: defender.health, armour: defender.armour || 0 };
+        const outcome = applyDamage(target, margin + damageBonus);
+        odds.hit += chance;
+        odds.expectedDamage += chance * (defender.health - target.health);
+        odds.expectedArmourLoss += chance * outcome.armourAbsorbed;
+        if (outcome.unitDestroyed) {
+          odds.kill += chance * (1 - moraleHolds);
+          odds.retreat += chance * moraleHolds;
+        }
+      }
+    }
+
+    odds.miss = 1 - odds.hit;
+    return odds;
+  }
+
+  // Unit data
+  // Units that come from outside this game (imported files, share codes or
+  // the other player's army) are checked against what the game can build
+  // before they are used.
+
+  const UNIT_TYPES = ['infantry', 'cavalry', 'support', 'vehicle', 'tank', 'mech', 'field_gun', 'artillery', 'fighter', 'bomber', 'airship'];
+
+  // Smallest and largest value of each stat; armour and hitChance are optional
+  const UNIT_STAT_RANGES = {
+    attack: [-3, 5],
+    defense: [-3, 5],
+    morale: [0, 6],
+    range: [0, 999],
+    movement: [0, 4],
+    armour: [0, 10],
+    hitChance: [6, 10]
+  };
+  const OPTIONAL_UNIT_STATS = ['armour', 'hitChance'];
+
+  // Why unit isn't a unit the game can field, or null when it is. abilities
+  // is the table its special is looked up in.
+  function getUnitDataError(unit, abilities = specialAbilities) {
+    if (!unit || typeof unit !== 'object') return 'Unit is not an object';
+    if (typeof unit.name !== 'string' || !unit.name.trim()) return 'Unit has no name';
+    if (!UNIT_TYPES.includes(unit.type)) return `${unit.name}: unknown unit type "${unit.type}"`;
+
+    const special = unit.special === undefined ? 'none' : unit.special;
+    if (special !== 'none' && !Object.prototype.hasOwnProperty.call(abilities, special)) {
+      return `${unit.name}: unknown special ability "${special}"`;
+    }
+
+    for (const [stat, [min, max]] of Object.entries(UNIT_STAT_RANGES)) {
+      const value = unit[stat];
+      if ((value === undefined || value === null) && OPTIONAL_UNIT_STATS.includes(stat)) continue;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `${unit.name}: ${stat} must be a whole number from ${min} to ${max}`;
+      }
+    }
+    return null;
+  }
+
+  function getArmyDataError(army) {
+    if (!army || typeof army !== 'object') return 'Army is not an object';
+    if (typeof army.name !== 'string' || !army.name.trim()) return 'Army has no name';
+    if (!Array.isArray(army.units)) return `${army.name}: army has no unit list`;
+
+    for (const unit of army.units) {
+      const error = getUnitDataError(unit);
+      if (error) return `${army.name}: ${error}`;
+    }
+    return null;
+  }
+
+  // Army points
+  // Every unit costs points for its stats and special ability, so a legion
+  // of the strongest units, or a custom unit with every slider maxed out,
+  // costs more than a balanced one. Game setup can cap the points each player
+  // brings, and under a cap an army also has to respect the composition
+  // limits below. Artillery and aircraft don't use morale, range or movement
+  // on the grid, so those aren't charged for.
+
+  // Point limits offered in game setup; null means no limit
+  const ARMY_POINT_LIMITS = [100, 150, 200, 300];
+
+  const ARMY_COMPOSITION_LIMITS = [
+    { label: 'tanks and mechs', types: ['tank', 'mech'], max: 4 },
+    { label: 'aircraft', types: ['fighter', 'bomber', 'airship'], max: 3 },
+    { label: 'artillery batteries', types: ['artillery'], max: 2 }
+  ];
+
+  const UNIT_BASE_POINTS = 4;
+  const SPECIAL_ABILITY_POINTS = 3;
+  const OFF_GRID_UNIT_TYPES = ['artillery', 'fighter', 'bomber', 'airship'];
+
+  function getUnitPointCost(unit) {
+    let cost = UNIT_BASE_POINTS + (unit.attack || 0) * 2 + (unit.defense || 0) * 2 + (unit.armour || 0);
+
+    if (!OFF_GRID_UNIT_TYPES.includes(unit.type)) {
+      cost += Math.max(0, (unit.morale || 0) - 3);
+      cost += Math.max(0, (unit.range || 1) - 1) * 2;
+      cost += unit.movement || 0;
+    }
+    if (unit.type === 'artillery') {
+      cost += Math.max(0, 10 - (unit.hitChance || 9)) * 3;
+    }
+    if (unit.special && unit.special !== 'none') {
+      cost += SPECIAL_ABILITY_POINTS;
+    }
+
+    return Math.max(1, cost);
+  }
+
+  function getArmyPointCost(units) {
+    return (units || []).reduce((total, unit) => total + getUnitPointCost(unit), 0);
+  }
+
+  // Why a set of units can't take the field together, or null when it can.
+  // The composition limits always apply; pointLimit is skipped when null.
+  function validateArmy(units, pointLimit = null) {
+    for (const limit of ARMY_COMPOSITION_LIMITS) {
+      const count = (units || []).filter(unit => limit.types.includes(unit.type)).length;
+      if (count > limit.max) {
+        return `An army may field at most ${limit.max} ${limit.label} (this one has ${count})`;
+      }
+    }
+
+    const cost = getArmyPointCost(units);
+    if (pointLimit && cost > pointLimit) {
+      return `Army costs ${cost} points, over the ${pointLimit} point limit`;
+    }
+    return null;
+  }
+
+  // Check every army a player has selected against the game's point limit.
+  // Without a limit any selection goes, as before point costs existed.
+  function validateArmySelection(armies, pointLimit) {
+    if (!pointLimit) return null;
+    return validateArmy((armies || []).flatMap(army => (army && army.units) || []), pointLimit);
+  }
+
+  // Victory
+  // How a match is won is picked in game setup:
+  //   dominance    - hold a majority of the zones. A zone is secured once one
+  //                  side has held it alone for four checks (two full rounds).
+  //   elimination  - leave the enemy with no units on the battlefield, once
+  //                  both sides have had a turn to deploy.
+  //   hq           - take the enemy's HQ, its home zone (see Supply lines),
+  //                  and hold it alone through the enemy's reply.
+  //   points       - zones score at the end of each of their holder's turns
+  //                  and every kill scores; the most points after the turn
+  //                  limit wins, and a tie goes to the defender.
+  //   breakthrough - the attacker (gameConfig.player1.role) wins by standing
+  //                  enough units on the defender's back row in zones the
+  //                  defender is defending; the defender wins by holding out
+  //                  until the turn limit.
+  //   attrition    - a side that loses a set share of the point value it has
+  //                  deployed loses.
+  // The numbers the modes use come from gameConfig.victorySettings, with
+  // VICTORY_DEFAULTS for anything left out. Turn limits count full rounds.
+
+  const WIN_CONDITIONS = ['dominance', 'elimination', 'hq', 'points', 'breakthrough', 'attrition'];
+
+  const VICTORY_DEFAULTS = {
+    turnLimit: 10,
+    breakthroughUnits: 3,
+    attritionPercent: 50,
+    zonePoints: 2,
+    contestedPoints: 1,
+    killPoints: 1
+  };
+
+  const VICTORY_SETTING_RANGES = {
+    turnLimit: [2, 50],
+    breakthroughUnits: [1, 12],
+    attritionPercent: [10, 90],
+    zonePoints: [0, 10],
+    contestedPoints: [0, 10],
+    killPoints: [0, 10]
+  };
+
+  // The settings each mode uses, for setup screens to offer
+  const VICTORY_MODE_SETTINGS = {
+    dominance: [],
+    elimination: [],
+    hq: [],
+    points: ['turnLimit', 'zonePoints', 'contestedPoints', 'killPoints'],
+    breakthrough: ['turnLimit', 'breakthroughUnits'],
+    attrition: ['attritionPercent']
+  };
+
+  // Player-turns an HQ must be held: the enemy gets one turn to retake it
+  const HQ_HOLD_TURNS = 2;
+
+  function getVictorySettings(gameConfig) {
+    return { ...VICTORY_DEFAULTS, ...((gameConfig && gameConfig.victorySettings) || {}) };
+  }
+
+  // Why settings can't be used as gameConfig.victorySettings, or null
+  function getVictorySettingsError(settings) {
+    if (settings === undefined || settings === null) return null;
+    if (typeof settings !== 'object' || Array.isArray(settings)) return 'Victory settings must be an object';
+    for (const [key, value] of Object.entries(settings)) {
+      const range = VICTORY_SETTING_RANGES[key];
+      if (!range) return `Unknown victory setting "${key}"`;
+      if (!isWholeNumberIn(value, range)) return `${key} must be a whole number from ${range[0]} to ${range[1]}`;
+    }
+    return null;
+  }
+
+  function getSideName(gameConfig, player) {
+    const commander = gameConfig[player === 'red' ? 'player1' : 'player2'];
+    return (commander && commander.name) || (player === 'red' ? 'Red' : 'Blue');
+  }
+
+  function getAttackingSide(gameConfig) {
+    return gameConfig.player1 && gameConfig.player1.role === 'defender' ? 'blue' : 'red';
+  }
+
+  function countZoneUnits(zone, gridSize) {
+    const counts = { red: 0, blue: 0 };
+    for (let pos = 0; pos < gridSize * gridSize; pos++) {
+      const unit = zone.tacticalGrid[pos].unit;
+      if (unit) counts[unit.player === 'red' ? 'red' : 'blue']++;
+    }
+    return counts;
+  }
+
+  // Add the points the side whose turn just ended has earned from zones. A
+  // turn is only scored once however often the win condition is checked,
+  // and zones cut off from supply score nothing, as they earn no CP.
+  function scoreVictoryPoints(zones, gameConfig, gameState) {
+    if (!gameState.victoryPoints) gameState.victoryPoints = { red: 0, blue: 0, scoredTurn: 0 };
+    const points = gameState.victoryPoints;
+    const turnCount = gameState.turnCount || 0;
+    if (turnCount <= points.scoredTurn) return;
+
+    const settings = getVictorySettings(gameConfig);
+    const player = otherPlayer(gameState.currentPlayer);
+    const bonuses = getZoneCPBonuses(zones, gameConfig.gridSize);
+    points[player] += bonuses.controlledZones[player].length * settings.zonePoints +
+      bonuses.contestedZones[player].length * settings.contestedPoints;
+    points.scoredTurn = turnCount;
+  }
+
+  // A side's score: its zone points plus its kills
+  function getVictoryPoints(gameState, gameConfig, player) {
+    const settings = getVictorySettings(gameConfig);
+    const zonePoints = (gameState.victoryPoints && gameState.victoryPoints[player]) || 0;
+    const enemyStats = gameState.campaignStats && gameState.campaignStats[otherPlayer(player)];
+    return zonePoints + ((enemyStats && enemyStats.unitsLost) || 0) * settings.killPoints;
+  }
+
+  // Attacking units on the back row of the zones the defender is defending
+  function getBreakthroughCount(zones, gameConfig, gameState) {
+    const gridSize = gameConfig.gridSize;
+    const attacker = getAttackingSide(gameConfig);
+    const zoneRoles = (gameState && gameState.zoneRoles) || {};
+    let count = 0;
+    zones.forEach(zone => {
+      const zoneRole = zoneRoles[zone.id];
+      if (!zoneRole || zoneRole.attacker !== attacker) return;
+      for (let pos = (gridSize - 1) * gridSize; pos < gridSize * gridSize; pos++) {
+        const unit = zone.tacticalGrid[pos].unit;
+        if (unit && unit.player === attacker) count++;
+      }
+    });
+    return count;
+  }
+
+  // Share of the point value it has deployed that a side has lost, from the
+  // valueDeployed and valueLost the game keeps in gameState.campaignStats
+  function getAttritionLoss(gameState, player) {
+    const stats = gameState && gameState.campaignStats && gameState.campaignStats[player];
+    const deployed = (stats && stats.valueDeployed) || 0;
+    const lost = (stats && stats.valueLost) || 0;
+    return { deployed, lost, share: deployed > 0 ? lost / deployed : 0 };
+  }
+
+  // Zone control and the winner, if any. The result's endCondition names the
+  // way the match was won and reason says exactly what happened. The zones'
+  // holdTracker and control, and gameState.victoryPoints, are updated in
+  // place. gameState is needed for every mode but dominance and elimination.
+  function checkWinCondition(zones, gameConfig, gameState = null) {
+    const gridSize = gameConfig.gridSize;
+    const totalZones = zones.length;
+    const settings = getVictorySettings(gameConfig);
+    const turnCount = (gameState && gameState.turnCount) || 0;
+    const turnLimitReached = turnCount >= settings.turnLimit * 2;
+    const name = player => getSideName(gameConfig, player);
+    const result = { winner: null, endCondition: '', reason: '', securedZones: [] };
+    const win = (winner, endCondition, reason) => Object.assign(result, { winner, endCondition, reason });
+
+    if (gameConfig.winCondition === 'dominance') {
+      zones.forEach(zone => {
+        if (!zone.holdTracker) zone.holdTracker = { holder: null, streak: 0, lastPlayer: null };
+
+        const counts = countZoneUnits(zone, gridSize);
+        const currentHolder = counts.red && !counts.blue ? 'red' : counts.blue && !counts.red ? 'blue' : null;
+
+        // Given the turn count, a turn is only counted once however often the
+        // win condition is checked
+        if (!gameState || zone.holdTracker.turn !== turnCount) {
+          if (currentHolder && zone.holdTracker.holder === currentHolder) {
+            zone.holdTracker.streak = (zone.holdTracker.streak || 0) + 1;
+          } else if (currentHolder) {
+            zone.holdTracker.holder = currentHolder;
+            zone.holdTracker.streak = 1;
+          } else {
+            zone.holdTracker.holder = null;
+            zone.holdTracker.streak = 0;
+          }
+          if (gameState) zone.holdTracker.turn = turnCount;
+        }
+
+        if (zone.holdTracker.holder && zone.holdTracker.streak >= 4) {
+          zone.control = zone.holdTracker.holder;
+          result.securedZones.push(zone);
+        }
+      });
+
+      for (const player of ['red', 'blue']) {
+        const held = zones.filter(z => z.control === player).length;
+        if (held > totalZones / 2) {
+          win(player, 'Dominance Victory', `${name(player)} secured ${held} of the ${totalZones} zones, a majority of the battlefield`);
+          break;
+        }
+      }
+    } else if (gameConfig.winCondition === 'elimination') {
+      let redUnits = 0, blueUnits = 0;
+      zones.forEach(zone => {
+        const counts = countZoneUnits(zone, gridSize);
+        redUnits += counts.red;
+        blueUnits += counts.blue;
+      });
+
+      // Before the second side's first turn it has had no chance to deploy
+      const bothDeployed = !gameState || turnCount >= 2;
+      const beaten = redUnits === 0 ? 'red' : blueUnits === 0 ? 'blue' : null;
+      if (beaten && bothDeployed) {
+        win(otherPlayer(beaten), 'Elimination Victory', `${name(beaten)} has no units left on the battlefield`);
+      }
+    } else if (gameConfig.winCondition === 'hq') {
+      for (const player of ['red', 'blue']) {
+        const enemy = otherPlayer(player);
+        const hq = zones.find(zone => zone.id === getHomeZoneId(zones, enemy));
+        if (!hq) continue;
+
+        // hqHold notes since which turn the HQ has been in the attacker's hands alone
+        const counts = countZoneUnits(hq, gridSize);
+        const holder = counts[player] && !counts[enemy] ? player : null;
+        if (!hq.hqHold || hq.hqHold.holder !== holder) hq.hqHold = { holder, since: turnCount };
+
+        if (holder && turnCount - hq.hqHold.since >= HQ_HOLD_TURNS) {
+          hq.control = player;
+          win(player, 'HQ Victory',
+            `${name(player)} took ${name(enemy)}'s HQ, ${hq.name || `Zone ${hq.id}`}, and held it through ${name(enemy)}'s reply`);
+          break;
+        }
+      }
+    } else if (gameConfig.winCondition === 'points') {
+      if (gameState) scoreVictoryPoints(zones, gameConfig, gameState);
+      if (gameState && turnLimitReached) {
+        const red = getVictoryPoints(gameState, gameConfig, 'red');
+        const blue = getVictoryPoints(gameState, gameConfig, 'blue');
+        const defender = otherPlayer(getAttackingSide(gameConfig));
+        if (red === blue) {
+          win(defender, 'Points Victory', `Both sides scored ${red} points in ${settings.turnLimit} rounds; the tie goes to the defender, ${name(defender)}`);
+        } else {
+          const winner = red > blue ? 'red' : 'blue';
+          win(winner, 'Points Victory',
+            `${name(winner)} led ${Math.max(red, blue)} points to ${Math.min(red, blue)} after ${settings.turnLimit} rounds`);
+        }
+      }
+    } else if (gameConfig.winCondition === 'breakthrough') {
+      const attacker = getAttackingSide(gameConfig);
+      const defender = otherPlayer(attacker);
+      const count = getBreakthroughCount(zones, gameConfig, gameState);
+      if (count >= settings.breakthroughUnits) {
+        win(attacker, 'Breakthrough Victory', `${name(attacker)} broke through with ${count} units on ${name(defender)}'s back row`);
+      } else if (turnLimitReached) {
+        win(defender, 'Defensive Victory',
+          `${name(defender)} held the line for ${settings.turnLimit} rounds; ${name(attacker)} needed ${settings.breakthroughUnits} units on the back row and had ${count}`);
+      }
+    } else if (gameConfig.winCondition === 'attrition') {
+      const losses = { red: getAttritionLoss(gameState, 'red'), blue: getAttritionLoss(gameState, 'blue') };
+      const broken = ['red', 'blue'].filter(player => losses[player].share * 100 >= settings.attritionPercent);
+      if (broken.length > 0) {
+        // Should both break at once, the heavier losses decide, then the attacker's
+        const attacker = getAttackingSide(gameConfig);
+        const loser = broken.length === 1 ? broken[0]
+          : losses.red.share === losses.blue.share ? attacker
+          : losses.red.share > losses.blue.share ? 'red' : 'blue';
+        const loss = losses[loser];
+        win(otherPlayer(loser), 'Attrition Victory',
+          `${name(loser)} lost ${loss.lost} of the ${loss.deployed} points it deployed (${Math.round(loss.share * 100)}%), reaching the ${settings.attritionPercent}% limit`);
+      }
+    }
+
+    return result;
+  }
+
+  // Dice
+  // Multiplayer rolls come from one seeded generator per match on the server.
+  // The seed is revealed when the match ends, so either player can replay the
+  // roll log with these functions and check every result.
+
+  // 32-bit FNV-1a hash of the seed string
+  function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // mulberry32 - returns a function yielding floats in [0, 1)
+  function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function rollDie(random, sides) {
+    return Math.floor(random() * sides) + 1;
+  }
+
+  // Replay a revealed roll log against its seed. Returns the sequence number
+  // of the first roll that doesn't match, or null when every roll checks out.
+  function verifyRollLog(seed, log) {
+    const random = createRandom(seed);
+    for (const entry of log) {
+      for (const value of entry.values) {
+        if (rollDie(random, entry.sides) !== value) return entry.sequence;
+      }
+    }
+    return null;
+  }
+
+  // Content packs
+  // A content pack is a JSON file (packs/ has an example) that adds units,
+  // special abilities, terrain, constructions and weather to the built-in
+  // tables or replaces entries in them. Pack abilities can't carry code, so
+  // they are a list of effects: bonuses that apply while every condition in
+  // `when` holds, for example
+  //
+  //   { "when": { "terrain": ["snow"], "against": ["tank"] }, "attack": 1 }
+  //
+  // useContentPacks swaps the tables above in place, so code holding on to
+  // them (ww1game.html, server.js) sees the packs without reloading. The
+  // checksum lets multiplayer clients show they are playing the same rules.
+
+  const CONTENT_PACK_FORMAT = 'ashes-of-the-covenant-pack';
+  const CONTENT_PACK_VERSION = 1;
+
+  // Pack ids end up in file names and table keys in CSS classes
+  const CONTENT_PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+  const CONTENT_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+  // Conditions an effect can check. Each is given a list and holds when
+  // anything in the list matches.
+  const ABILITY_CONDITIONS = {
+    // Terrain under the unit
+    terrain: (list, { gridData }) => !!gridData && list.includes(gridData.terrain),
+    // Terrain under the unit it is fighting
+    targetTerrain: (list, { targetGridData }) => !!targetGridData && list.includes(targetGridData.terrain),
+    // Type of the unit it is fighting, whether attacking or defending
+    against: (list, { targetGridData }) =>
+      !!(targetGridData && targetGridData.unit) && list.includes(targetGridData.unit.type),
+    // A friendly unit of one of these types on one of the eight surrounding tiles
+    adjacent: (list, { unit, pos, context }) => {
+      if (pos === null || pos === undefined || !context || !context.grid) return false;
+      return getAdjacentPositions(pos, context.gridSize).some(adjPos => {
+        const adjUnit = context.grid[adjPos] && context.grid[adjPos].unit;
+        return !!adjUnit && adjUnit.player === unit.player && list.includes(adjUnit.type);
+      });
+    },
+    // A completed construction of one of these types under the unit
+    construction: (list, { gridData }) => list.some(type => hasCompletedConstruction(gridData, type)),
+    weather: (list, { context }) =>
+      !!(context && context.weatherSystem) && list.includes(context.weatherSystem.currentWeather),
+    time: (list, { context }) =>
+      !!(context && context.weatherSystem) && list.includes(context.weatherSystem.dayNightCycle)
+  };
+
+  // Effect fields and the ability bonus each one adds to
+  const ABILITY_BONUSES = {
+    attack: 'attackBonus',
+    defense: 'defenseBonus',
+    range: 'rangeBonus',
+    movement: 'movementBonus',
+    damage: 'damageBonus',
+    accuracy: 'accuracyBonus'
+  };
+
+  // Ability flags the movement code acts on
+  const ABILITY_FLAGS = ['ignoreBarbedWire', 'ignoreTankTraps'];
+
+  function createPackAbility(definition, packId) {
+    return {
+      pack: packId,
+      name: definition.name,
+      description: definition.description || '',
+      unitTypes: definition.unitTypes || [],
+      apply: (unit, pos, gridData, targetPos, targetGridData, context) => {
+        const state = { unit, pos, gridData, targetGridData, context };
+        const bonuses = {};
+        definition.effects.forEach(effect => {
+          const when = effect.when || {};
+          if (!Object.keys(when).every(condition => ABILITY_CONDITIONS[condition](when[condition], state))) return;
+
+          Object.keys(ABILITY_BONUSES).forEach(field => {
+            if (effect[field]) {
+              const bonus = ABILITY_BONUSES[field];
+              bonuses[bonus] = (bonuses[bonus] || 0) + effect[field];
+            }
+          });
+          (effect.flags || []).forEach(flag => {
+            bonuses[flag] = true;
+          });
+        });
+        return bonuses;
+      }
+    };
+  }
+
+  function isWholeNumber(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+
+  function isListOf(value, allowed = null) {
+    return Array.isArray(value) &&
+      value.every(entry => typeof entry === 'string' && (!allowed || allowed.includes(entry)));
+  }
+
+  function getAbilityDefinitionError(key, ability) {
+    if (typeof ability.name !== 'string' || !ability.name.trim()) return `ability "${key}" has no name`;
+    if (ability.unitTypes !== undefined && !isListOf(ability.unitTypes, UNIT_TYPES)) {
+      return `ability "${key}" lists an unknown unit type`;
+    }
+    if (!Array.isArray(ability.effects) || ability.effects.length === 0) return `ability "${key}" has no effects`;
+
+    for (const effect of ability.effects) {
+      if (!effect || typeof effect !== 'object') return `ability "${key}" has an effect that is not an object`;
+      for (const [condition, list] of Object.entries(effect.when || {})) {
+        if (!ABILITY_CONDITIONS.hasOwnProperty(condition)) return `ability "${key}" has unknown condition "${condition}"`;
+        if (!isListOf(list)) return `ability "${key}": condition "${condition}" must be a list`;
+      }
+      for (const field of Object.keys(effect)) {
+        if (field === 'when' || field === 'flags') continue;
+        if (!ABILITY_BONUSES.hasOwnProperty(field)) return `ability "${key}" has unknown effect "${field}"`;
+        if (!isWholeNumber(effect[field], -5, 5)) return `ability "${key}": ${field} must be a whole number from -5 to 5`;
+      }
+      if (effect.flags !== undefined && !isListOf(effect.flags, ABILITY_FLAGS)) {
+        return `ability "${key}" has an unknown flag`;
+      }
+    }
+    return null;
+  }
+
+  function getTerrainDefinitionError(key, terrain) {
+    if (typeof terrain.description !== 'string') return `terrain "${key}" has no description`;
+    if (!isWholeNumber(terrain.moveDelay, 1, 5)) return `terrain "${key}": moveDelay must be a whole number from 1 to 5`;
+    if (!isWholeNumber(terrain.defenseBonus, -3, 3)) return `terrain "${key}": defenseBonus must be a whole number from -3 to 3`;
+    if (terrain.attackBonus !== undefined && !isWholeNumber(terrain.attackBonus, -3, 3)) {
+      return `terrain "${key}": attackBonus must be a whole number from -3 to 3`;
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(terrain.color)) return `terrain "${key}" needs a #rrggbb colour`;
+    if (terrain.restrictedUnits !== undefined && !isListOf(terrain.restrictedUnits, UNIT_TYPES)) {
+      return `terrain "${key}" restricts an unknown unit type`;
+    }
+    // Battlefield type -> [fewest, most] clusters of this terrain placed on it
+    const clusters = Object.values(terrain.clusters || {});
+    if (!clusters.every(count => Array.isArray(count) && isWholeNumber(count[0], 0, 6) && isWholeNumber(count[1], count[0], 6))) {
+      return `terrain "${key}": clusters must be [fewest, most] counts from 0 to 6`;
+    }
+    return null;
+  }
+
+  function getConstructionDefinitionError(key, construction) {
+    if (['name', 'description', 'icon'].some(field => typeof construction[field] !== 'string')) {
+      return `construction "${key}" needs a name, description and icon`;
+    }
+    if (!isWholeNumber(construction.cost, 0, 10)) return `construction "${key}": cost must be a whole number from 0 to 10`;
+    if (!isWholeNumber(construction.duration, 1, 5)) return `construction "${key}": duration must be a whole number from 1 to 5`;
+    if (!construction.effects || typeof construction.effects !== 'object') return `construction "${key}" has no effects`;
+    if (construction.restrictedTerrain !== undefined && !isListOf(construction.restrictedTerrain)) {
+      return `construction "${key}": restrictedTerrain must be a list`;
+    }
+    return null;
+  }
+
+  function getWeatherDefinitionError(key, weather) {
+    if (typeof weather.name !== 'string') return `weather "${key}" has no name`;
+    for (const stat of Object.keys(NO_EFFECT)) {
+      if (!isWholeNumber(weather[stat], -3, 3)) return `weather "${key}": ${stat} must be a whole number from -3 to 3`;
+    }
+    return null;
+  }
+
+  function getWeatherTypeDefinitionError(key, weatherType, pack) {
+    if (typeof weatherType.name !== 'string') return `weather type "${key}" has no name`;
+    const chances = Object.entries(weatherType.probabilities || {});
+    const knownWeather = Object.keys({ ...BASE_TABLES.weatherEffects, ...pack.weather });
+    const unknown = chances.find(([weather]) => !knownWeather.includes(weather));
+    if (unknown) return `weather type "${key}" has unknown weather "${unknown[0]}"`;
+    if (!chances.every(([, chance]) => isWholeNumber(chance, 0, 100)) ||
+        chances.reduce((total, [, chance]) => total + chance, 0) !== 100) {
+      return `weather type "${key}": chances must be whole numbers adding up to 100`;
+    }
+    return null;
+  }
+
+  function getUnitIconError(key, icon) {
+    if (!UNIT_TYPES.includes(key)) return `icon for unknown unit type "${key}"`;
+    return typeof icon === 'string' && icon ? null : `icon for ${key} must be text`;
+  }
+
+  // Pack fields holding tables, and the check each entry gets
+  const CONTENT_PACK_TABLES = {
+    abilities: getAbilityDefinitionError,
+    terrain: getTerrainDefinitionError,
+    constructions: getConstructionDefinitionError,
+    weather: getWeatherDefinitionError,
+    weatherTypes: getWeatherTypeDefinitionError,
+    unitTypeIcons: getUnitIconError
+  };
+
+  // Why pack can't be loaded, or null when it can. Packs are checked on their
+  // own, so a pack's units can use its own abilities but not another pack's.
+  function getContentPackError(pack) {
+    if (!pack || typeof pack !== 'object') return 'Content pack is not an object';
+    if (pack.format !== CONTENT_PACK_FORMAT) return 'Not an Ashes of the Covenant content pack';
+    if (pack.version !== CONTENT_PACK_VERSION) return `Content pack version ${pack.version} is not supported`;
+    if (typeof pack.id !== 'string' || !CONTENT_PACK_ID_PATTERN.test(pack.id)) {
+      return 'Content pack id must be lower case letters, digits and -';
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) return `${pack.id}: content pack has no name`;
+
+    for (const [field, check] of Object.entries(CONTENT_PACK_TABLES)) {
+      const table = pack[field];
+      if (table === undefined) continue;
+      if (!table || typeof table !== 'object' || Array.isArray(table)) return `${pack.id}: ${field} must be an object`;
+      for (const [key, entry] of Object.entries(table)) {
+        if (!CONTENT_KEY_PATTERN.test(key)) return `${pack.id}: "${key}" is not a valid ${field} key`;
+        if (field !== 'unitTypeIcons' && (!entry || typeof entry !== 'object')) return `${pack.id}: ${field} "${key}" is not an object`;
+        const error = check(key, entry, pack);
+        if (error) return `${pack.id}: ${error}`;
+      }
+    }
+
+    if (pack.units !== undefined) {
+      if (!Array.isArray(pack.units)) return `${pack.id}: units must be a list`;
+      const abilities = { ...BASE_TABLES.specialAbilities, ...pack.abilities };
+      for (const unit of pack.units) {
+        const error = getUnitDataError(unit, abilities);
+        if (error) return `${pack.id}: ${error}`;
+      }
+    }
+    return null;
+  }
+
+  // JSON with object keys in sorted order, so equal packs give equal text
+  function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // Fingerprint of a list of packs in the order they are applied
+  function getContentPackChecksum(packs) {
+    return hashSeed(canonicalJson(packs)).toString(16).padStart(8, '0');
+  }
+
+  // The tables as they are without any packs
+  const BASE_TABLES = {
+    terrainEffects: { ...terrainEffects },
+    constructionEffects: { ...constructionEffects },
+    constructionCosts: { ...constructionCosts },
+    weatherEffects: { ...weatherEffects },
+    weatherTypes: { ...weatherTypes },
+    specialAbilities: { ...specialAbilities }
+  };
+  let activeContentPackChecksum = getContentPackChecksum([]);
+
+  function resetTable(table, base) {
+    Object.keys(table).forEach(key => {
+      if (!base.hasOwnProperty(key)) delete table[key];
+    });
+    Object.assign(table, base);
+  }
+
+  // Make packs the active rules, replacing whatever packs were active before.
+  // Later packs win where two define the same entry. Returns the checksum.
+  function useContentPacks(packs) {
+    const checksum = getContentPackChecksum(packs);
+    if (checksum === activeContentPackChecksum) return checksum;
+
+    resetTable(terrainEffects, BASE_TABLES.terrainEffects);
+    resetTable(constructionEffects, BASE_TABLES.constructionEffects);
+    resetTable(constructionCosts, BASE_TABLES.constructionCosts);
+    resetTable(weatherEffects, BASE_TABLES.weatherEffects);
+    resetTable(weatherTypes, BASE_TABLES.weatherTypes);
+    resetTable(specialAbilities, BASE_TABLES.specialAbilities);
+
+    packs.forEach(pack => {
+      Object.assign(terrainEffects, pack.terrain);
+      Object.assign(weatherEffects, pack.weather);
+      Object.assign(weatherTypes, pack.weatherTypes);
+      Object.entries(pack.constructions || {}).forEach(([key, construction]) => {
+        constructionEffects[key] = construction.effects;
+        constructionCosts[key] = {
+          name: construction.name,
+          cost: construction.cost,
+          duration: construction.duration,
+          restrictedTerrain: construction.restrictedTerrain
+        };
+      });
+      Object.entries(pack.abilities || {}).forEach(([key, ability]) => {
+        specialAbilities[key] = createPackAbility(ability, pack.id);
+      });
+    });
+
+    activeContentPackChecksum = checksum;
+    return checksum;
+  }
+
+  // Battlefield generation
+  // Procedural zones start from the battlefield type's base terrain, may get
+  // a road or river, then have clusters of other terrain placed on them. The
+  // layout only depends on the terrain seed, so every multiplayer client and
+  // the simulator build the same battlefield from it.
+
+  const BATTLEFIELD_TYPES = ['random', 'plains', 'forest', 'desert', 'ruins', 'snow', 'mountainous', 'hilly',
+    'swamp', 'jungle', 'volcanic', 'urban', 'naval'];
+
+  const BASE_TERRAIN = {
+    plains: 'plains',
+    forest: 'forest',
+    desert: 'desert',
+    ruins: 'forest',
+    snow: 'snow',
+    mountainous: 'plains',
+    hilly: 'plains',
+    town: 'plains',
+    swamp: 'swamp',
+    jungle: 'jungle',
+    volcanic: 'volcanic',
+    urban: 'plains',
+    naval: 'plains',
+    random: 'plains'
+  };
+
+  // Battlefield type -> clusters placed on it, as [fewest, most] of each terrain
+  const TERRAIN_CLUSTERS = {
+    plains: [{ type: 'forest', count: [1, 5] }, { type: 'hills', count: [1, 5] }],
+    forest: [{ type: 'plains', count: [1, 5] }, { type: 'hills', count: [1, 5] }],
+    desert: [{ type: 'hills', count: [1, 5] }],
+    ruins: [
+      { type: 'ruins', count: [1, 1] },
+      { type: 'plains', count: [1, 3] },
+      { type: 'hills', count: [1, 3] },
+      { type: 'volcanic', count: [0, 1] }
+    ],
+    snow: [{ type: 'forest', count: [1, 5] }, { type: 'hills', count: [1, 5] }],
+    mountainous: [{ type: 'mountains', count: [4, 6] }, { type: 'hills', count: [1, 3] }],
+    hilly: [{ type: 'hills', count: [2, 4] }, { type: 'mountains', count: [0, 1] }],
+    swamp: [{ type: 'plains', count: [1, 5] }, { type: 'forest', count: [1, 5] }],
+    jungle: [{ type: 'plains', count: [2, 4] }, { type: 'swamp', count: [1, 3] }, { type: 'forest', count: [2, 4] }],
+    volcanic: [{ type: 'plains', count: [1, 1] }, { type: 'hills', count: [1, 1] }, { type: 'mountains', count: [1, 1] }],
+    naval: [{ type: 'forest', count: [1, 3] }, { type: 'hills', count: [1, 3] }],
+    urban: [{ type: 'forest', count: [1, 5] }, { type: 'hills', count: [1, 2] }, { type: 'infrastructure', count: [2, 4] }]
+  };
+
+  // Chance of a road or a river when a zone gets infrastructure
+  const INFRASTRUCTURE_CHANCES = {
+    plains: { road: 0.6, river: 0.4 },
+    forest: { road: 0.2, river: 0.8 },
+    town: { road: 0.6, river: 0.4 },
+    default: { road: 0.5, river: 0.5 }
+  };
+
+  const CLUSTER_SIZE_WEIGHTS = [40, 30, 20, 10];
+
+  // Value in [0, 1] hashed from a string. Each choice the generator makes
+  // hashes the seed with its own key, so choices don't shift one another.
+  function getDeterministicRandom(key) {
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+      hash = ((hash << 5) - hash) + key.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return Math.abs(hash) / 2147483647;
+  }
+
+  // Zones shown in each row of the battlefield. The grid front line layout
+  // borders zones the same way, so it matches what the player sees.
+  function getBattlefieldColumns(zoneCount) {
+    if (zoneCount <= 4) return zoneCount;
+    if (zoneCount <= 6) return 3;
+    if (zoneCount <= 8) return 4;
+    if (zoneCount <= 10) return 5;
+    if (zoneCount <= 12) return 6;
+    if (zoneCount <= 16) return 4;
+    if (zoneCount <= 20) return 5;
+    return 6;
+  }
+
+  function paintRow(grid, gridSize, row, terrain) {
+    for (let col = 0; col < gridSize; col++) {
+      if (grid[row * gridSize + col]) grid[row * gridSize + col].terrain = terrain;
+    }
+  }
+
+  // One to three roads, each running the full width or height of the zone
+  function generateRoads(grid, gridSize, seed, zoneIndex) {
+    const roadCount = Math.floor(getDeterministicRandom(seed + zoneIndex + 'roadCount') * 3) + 1;
+
+    for (let road = 0; road < roadCount; road++) {
+      const isHorizontal = getDeterministicRandom(seed + zoneIndex + 'roadDir' + road) > 0.5;
+
+      if (isHorizontal) {
+        const row = Math.floor(getDeterministicRandom(seed + zoneIndex + 'roadRow' + road) * gridSize);
+        paintRow(grid, gridSize, row, 'road');
+      } else {
+        const col = Math.floor(getDeterministicRandom(seed + zoneIndex + 'roadCol' + road) * gridSize);
+        for (let row = 0; row < gridSize; row++) {
+          if (grid[row * gridSize + col]) grid[row * gridSize + col].terrain = 'road';
+        }
+      }
+    }
+  }
+
+  function generateRiver(grid, gridSize, seed, zoneIndex) {
+    const riverRow = Math.floor(getDeterministicRandom(seed + zoneIndex + 'riverRow') * gridSize);
+    paintRow(grid, gridSize, riverRow, 'river');
+  }
+
+  // Urban zones always get roads, swamp and jungle always a river, and
+  // mountainous, volcanic and naval zones never get either
+  function generateInfrastructure(grid, gridSize, seed, zoneIndex, terrainType) {
+    if (terrainType === 'urban') {
+      generateRoads(grid, gridSize, seed, zoneIndex);
+      return;
+    }
+    if (terrainType === 'swamp' || terrainType === 'jungle') {
+      generateRiver(grid, gridSize, seed, zoneIndex);
+      return;
+    }
+    if (terrainType === 'mountainous' || terrainType === 'volcanic' || terrainType === 'naval') return;
+
+    const chances = INFRASTRUCTURE_CHANCES[terrainType] || INFRASTRUCTURE_CHANCES.default;
+    const roll = getDeterministicRandom(seed + zoneIndex + 'infrastructureType');
+    if (roll <= chances.road) {
+      generateRoads(grid, gridSize, seed, zoneIndex);
+    } else if (roll <= chances.road + chances.river) {
+      generateRiver(grid, gridSize, seed, zoneIndex);
+    }
+  }
+
+  // Roads and rivers are never built over
+  function isValidClusterPosition(grid, startRow, startCol, clusterSize, gridSize) {
+    if (startRow + clusterSize > gridSize || startCol + clusterSize > gridSize) return false;
+
+    for (let row = startRow; row < startRow + clusterSize; row++) {
+      for (let col = startCol; col < startCol + clusterSize; col++) {
+        const tile = grid[row * gridSize + col];
+        if (tile && (tile.terrain === 'road' || tile.terrain === 'river')) return false;
+      }
+    }
+    return true;
+  }
+
+  function placeTerrainCluster(grid, terrainType, startRow, startCol, clusterSize, gridSize) {
+    for (let row = startRow; row < startRow + clusterSize; row++) {
+      for (let col = startCol; col < startCol + clusterSize; col++) {
+        const tile = grid[row * gridSize + col];
+        if (tile && tile.terrain !== 'road' && tile.terrain !== 'river') tile.terrain = terrainType;
+      }
+    }
+  }
+
+  // Each zone favours clusters in its centre, along its edges, in its corners
+  // or scattered anywhere, trying those spots first and anywhere after
+  function findValidClusterPosition(grid, clusterSize, gridSize, seed, zoneIndex, cluster) {
+    const zoneStrategy = Math.floor(getDeterministicRandom(seed + zoneIndex + 'strategy') * 4);
+
+    for (let attempt = 0; attempt < 30; attempt++) {
+      const roll = getDeterministicRandom(seed + zoneIndex + 'pos' + cluster + attempt);
+      const colRoll = getDeterministicRandom(seed + zoneIndex + 'pos' + cluster + attempt + 'col');
+      const far = gridSize - clusterSize - 1;
+      let row = Math.floor(roll * (gridSize - clusterSize + 1));
+      let col = Math.floor(colRoll * (gridSize - clusterSize + 1));
+
+      if (attempt < 15 && zoneStrategy === 0) {
+        const centerStart = Math.floor(gridSize * 0.2);
+        const centerEnd = Math.floor(gridSize * 0.8) - clusterSize;
+        row = centerStart + Math.floor(roll * (centerEnd - centerStart));
+        col = centerStart + Math.floor(colRoll * (centerEnd - centerStart));
+      } else if (attempt < 15 && zoneStrategy === 1) {
+        const along = 1 + Math.floor(roll * (gridSize - clusterSize - 1));
+        const edge = Math.floor(roll * 4);
+        [row, col] = [[1, along], [far, along], [along, 1], [along, far]][edge];
+      } else if (attempt < 15 && zoneStrategy === 2) {
+        const corner = Math.floor(roll * 4);
+        [row, col] = [[1, 1], [1, far], [far, 1], [far, far]][corner];
+      }
+
+      row = Math.max(0, Math.min(row, gridSize - clusterSize));
+      col = Math.max(0, Math.min(col, gridSize - clusterSize));
+      if (isValidClusterPosition(grid, row, col, clusterSize, gridSize)) return { row, col };
+    }
+    return null;
+  }
+
+  // Place one cluster of terrainType, falling back to smaller clusters and
+  // at last to a single tile away from the edges
+  function generateTerrainCluster(grid, terrainType, gridSize, seed, zoneIndex, clusterIndex) {
+    const totalWeight = CLUSTER_SIZE_WEIGHTS.reduce((sum, weight) => sum + weight, 0);
+    const sizeRoll = getDeterministicRandom(seed + zoneIndex + 'clusterSize' + terrainType + clusterIndex);
+    let cumulativeWeight = 0;
+    let clusterSize = 1;
+    for (let i = 0; i < CLUSTER_SIZE_WEIGHTS.length; i++) {
+      cumulativeWeight += CLUSTER_SIZE_WEIGHTS[i];
+      if (sizeRoll <= cumulativeWeight / totalWeight) {
+        clusterSize = i + 1;
+        break;
+      }
+    }
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const position = findValidClusterPosition(grid, clusterSize, gridSize, seed, zoneIndex, clusterIndex + attempt);
+      if (position) {
+        placeTerrainCluster(grid, terrainType, position.row, position.col, clusterSize, gridSize);
+        return;
+      }
+    }
+
+    for (let smallerSize = clusterSize - 1; smallerSize >= 1; smallerSize--) {
+      const position = findValidClusterPosition(grid, smallerSize, gridSize, seed, zoneIndex, clusterIndex + 'small' + smallerSize);
+      if (position) {
+        placeTerrainCluster(grid, terrainType, position.row, position.col, smallerSize, gridSize);
+        return;
+      }
+    }
+
+    const margin = Math.max(1, Math.floor(gridSize * 0.1));
+    const maxPos = gridSize - margin - 1;
+    const forcedRow = margin + Math.floor(getDeterministicRandom(seed + zoneIndex + 'force' + terrainType) * maxPos);
+    const forcedCol = margin + Math.floor(getDeterministicRandom(seed + zoneIndex + 'force' + terrainType + 'col') * maxPos);
+    placeTerrainCluster(grid, terrainType, forcedRow, forcedCol, 1, gridSize);
+  }
+
+  // The built-in clusters for a battlefield type followed by those content
+  // pack terrain asks for
+  function getTerrainClusters(terrainType) {
+    const packClusters = Object.entries(terrainEffects)
+      .filter(([, terrain]) => terrain.clusters && terrain.clusters[terrainType])
+      .map(([type, terrain]) => ({ type: type, count: terrain.clusters[terrainType] }));
+    return [...(TERRAIN_CLUSTERS[terrainType] || []), ...packClusters];
+  }
+
+  // The tactical grid of the zoneIndex-th zone of a battlefield of
+  // terrainType built from seed
+  function generateTacticalGrid(terrainType, seed, zoneIndex, gridSize) {
+    const grid = {};
+    const baseTerrain = BASE_TERRAIN[terrainType] || 'plains';
+    for (let pos = 0; pos < gridSize * gridSize; pos++) {
+      grid[pos] = { terrain: baseTerrain, unit: null, delayedUnits: [] };
+    }
+
+    // Roads and rivers go down first so clusters are placed around them
+    if (terrainType === 'urban' || terrainType === 'swamp' ||
+        getDeterministicRandom(seed + zoneIndex + 'infrastructure') <= 0.3) {
+      generateInfrastructure(grid, gridSize, seed, zoneIndex, terrainType);
+    }
+
+    // Some zones place their clusters in reverse order for variety
+    const clusters = getTerrainClusters(terrainType);
+    if (getDeterministicRandom(seed + zoneIndex + 'shuffle') > 0.5) clusters.reverse();
+    clusters.forEach(cluster => {
+      const [fewest, most] = cluster.count;
+      const clusterCount = Math.floor(getDeterministicRandom(seed + zoneIndex + 'clusterCount' + cluster.type) *
+        (most - fewest + 1)) + fewest;
+      for (let i = 0; i < clusterCount; i++) {
+        generateTerrainCluster(grid, cluster.type, gridSize, seed, zoneIndex, i);
+      }
+    });
+
+    // Naval landings come ashore on a beach along the attacker's row
+    if (terrainType === 'naval') paintRow(grid, gridSize, 0, 'beach');
+
+    return grid;
+  }
+
+  // Scenarios
+  // A scenario is a hand-made battlefield saved as JSON: every zone's tiles,
+  // prebuilt constructions and deployed units, which zones border which, and
+  // the settings the match is played with. It takes the place of the
+  // procedural battlefield and its terrain seed. Tiles are listed row by row.
+
+  const SCENARIO_FORMAT = 'ashes-of-the-covenant-scenario';
+  const SCENARIO_VERSION = 1;
+  const SCENARIO_GRID_SIZES = [6, 8, 10, 12];
+  const SCENARIO_ZONE_IDS = 'ABCDEFGHIJKL';
+  const SCENARIO_COMMAND_POINTS = [1, 10];
+  const SCENARIO_BUILD_POINTS = [0, 30];
+
+  function isWholeNumberIn(value, [min, max]) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+
+  function getScenarioZoneError(zone, index, scenario) {
+    const size = scenario.gridSize;
+    if (!zone || typeof zone !== 'object') return `Zone ${index + 1} is not an object`;
+    if (zone.id !== SCENARIO_ZONE_IDS[index]) return `Zone ${index + 1} must have the id ${SCENARIO_ZONE_IDS[index]}`;
+    if (typeof zone.name !== 'string' || !zone.name.trim()) return `Zone ${zone.id} has no name`;
+
+    if (!Array.isArray(zone.adjacent)) return `Zone ${zone.id}: adjacent must be a list of zone ids`;
+    for (const id of zone.adjacent) {
+      if (id === zone.id || !scenario.zones.some(other => other && other.id === id)) {
+        return `Zone ${zone.id} borders unknown zone "${id}"`;
+      }
+    }
+    if (zone.home !== undefined && zone.home !== 'red' && zone.home !== 'blue') {
+      return `Zone ${zone.id}: home must be red or blue`;
+    }
+
+    if (!Array.isArray(zone.terrain) || zone.terrain.length !== size * size) {
+      return `Zone ${zone.id} must have ${size * size} terrain tiles`;
+    }
+    const unknownTerrain = zone.terrain.find(terrain => !Object.prototype.hasOwnProperty.call(terrainEffects, terrain));
+    if (unknownTerrain !== undefined) return `Zone ${zone.id}: unknown terrain "${unknownTerrain}"`;
+
+    const used = new Set();
+    const checkPlacement = (placement, kind) => {
+      if (!placement || typeof placement !== 'object') return `Zone ${zone.id}: ${kind} is not an object`;
+      if (!Number.isInteger(placement.pos) || placement.pos < 0 || placement.pos >= size * size) {
+        return `Zone ${zone.id}: ${kind} is off the board`;
+      }
+      if (placement.player !== 'red' && placement.player !== 'blue') return `Zone ${zone.id}: ${kind} belongs to neither side`;
+      if (used.has(`${kind}:${placement.pos}`)) return `Zone ${zone.id}: two ${kind}s on tile ${placement.pos}`;
+      used.add(`${kind}:${placement.pos}`);
+      return null;
+    };
+
+    for (const construction of zone.constructions || []) {
+      const error = checkPlacement(construction, 'construction');
+      if (error) return error;
+      if (!Object.prototype.hasOwnProperty.call(constructionEffects, construction.type)) {
+        return `Zone ${zone.id}: unknown construction "${construction.type}"`;
+      }
+    }
+
+    for (const placed of zone.units || []) {
+      const error = checkPlacement(placed, 'unit');
+      if (error) return error;
+      const unitError = getUnitDataError(placed.unit);
+      if (unitError) return `Zone ${zone.id}: ${unitError}`;
+      if (OFF_GRID_UNIT_TYPES.includes(placed.unit.type)) {
+        return `Zone ${zone.id}: ${placed.unit.name} can't be placed on the board`;
+      }
+      const restriction = getMovementRestriction(placed.unit, { terrain: zone.terrain[placed.pos] });
+      if (restriction) return `Zone ${zone.id}: ${restriction}`;
+    }
+    return null;
+  }
+
+  // Why scenario can't be played, or null when it can. Terrain, constructions
+  // and unit specials are checked against the active content packs.
+  function getScenarioError(scenario) {
+    if (!scenario || typeof scenario !== 'object') return 'Scenario is not an object';
+    if (scenario.format !== SCENARIO_FORMAT) return 'Not an Ashes of the Covenant scenario';
+    if (scenario.version !== SCENARIO_VERSION) return `Scenario version ${scenario.version} is not supported`;
+    if (typeof scenario.name !== 'string' || !scenario.name.trim()) return 'Scenario has no name';
+    if (!SCENARIO_GRID_SIZES.includes(scenario.gridSize)) {
+      return `Grid size must be one of ${SCENARIO_GRID_SIZES.join(', ')}`;
+    }
+    if (!WIN_CONDITIONS.includes(scenario.winCondition)) return `Unknown win condition "${scenario.winCondition}"`;
+    if (typeof scenario.weatherType !== 'string' || !CONTENT_KEY_PATTERN.test(scenario.weatherType)) {
+      return 'Scenario has no weather type';
+    }
+    if (scenario.dayNightCycle !== 'day' && scenario.dayNightCycle !== 'night') return 'Time of day must be day or night';
+    const packIds = scenario.contentPacks;
+    if (packIds !== undefined &&
+        !(Array.isArray(packIds) && packIds.every(id => typeof id === 'string' && CONTENT_PACK_ID_PATTERN.test(id)))) {
+      return 'contentPacks must be a list of content pack ids';
+    }
+
+    for (const [field, range] of [['commandPoints', SCENARIO_COMMAND_POINTS], ['buildPoints', SCENARIO_BUILD_POINTS]]) {
+      const points = scenario[field] || {};
+      if (!isWholeNumberIn(points.red, range) || !isWholeNumberIn(points.blue, range)) {
+        return `${field} for each side must be a whole number from ${range[0]} to ${range[1]}`;
+      }
+    }
+
+    if (!Array.isArray(scenario.zones) || scenario.zones.length === 0 || scenario.zones.length > SCENARIO_ZONE_IDS.length) {
+      return `A scenario needs 1 to ${SCENARIO_ZONE_IDS.length} zones`;
+    }
+    for (let index = 0; index < scenario.zones.length; index++) {
+      const error = getScenarioZoneError(scenario.zones[index], index, scenario);
+      if (error) return error;
+    }
+    for (const player of ['red', 'blue']) {
+      const homes = scenario.zones.filter(zone => zone.home === player).length;
+      if (homes > 1) return `${player} has more than one home zone`;
+      if (homes === 0 && scenario.winCondition === 'hq') return `Capture the HQ needs a home zone for ${player}`;
+    }
+    return getVictorySettingsError(scenario.victorySettings);
+  }
+
+  // The game settings a scenario fixes, in the shape of gameConfig
+  function getScenarioSettings(scenario) {
+    return {
+      gridSize: scenario.gridSize,
+      zoneCount: scenario.zones.length,
+      winCondition: scenario.winCondition,
+      weatherType: scenario.weatherType,
+      dayNightCycle: scenario.dayNightCycle,
+      player1CP: scenario.commandPoints.red,
+      player2CP: scenario.commandPoints.blue,
+      player1BuildPoints: scenario.buildPoints.red,
+      player2BuildPoints: scenario.buildPoints.blue,
+      buildPoints: Math.max(scenario.buildPoints.red, scenario.buildPoints.blue),
+      victorySettings: { ...(scenario.victorySettings || {}) }
+    };
+  }
+
+  // Id of a unit the scenario deploys, the same on every client and the server
+  function getScenarioUnitId(zoneId, placed) {
+    return `${placed.player}_scenario_${zoneId}_${placed.pos}`;
+  }
+
+  // The opening battlefield of a valid scenario: each zone's id, name,
+  // neighbours, home side and tactical grid, with constructions complete and units
+  // deployed as though they had been placed before the first turn
+  function createScenarioZones(scenario) {
+    return scenario.zones.map(zone => {
+      const tacticalGrid = {};
+      zone.terrain.forEach((terrain, pos) => {
+        tacticalGrid[pos] = { terrain: terrain, unit: null, delayedUnits: [] };
+      });
+
+      (zone.constructions || []).forEach(construction => {
+        tacticalGrid[construction.pos].construction = {
+          type: construction.type,
+          player: construction.player,
+          turnsRemaining: 0,
+          completed: true
+        };
+      });
+
+      (zone.units || []).forEach(placed => {
+        const health = 2 + Math.max(0, placed.unit.defense);
+        tacticalGrid[placed.pos].unit = {
+          ...placed.unit,
+          id: getScenarioUnitId(zone.id, placed),
+          position: placed.pos,
+          player: placed.player,
+          special: placed.unit.special || 'none',
+          health: health,
+          maxHealth: health,
+          armour: placed.unit.armour || 0,
+          maxArmour: placed.unit.armour || 0,
+          moveDelay: 0,
+          turnsAlive: 0,
+          turnsStationary: 0,
+          killsThisTurn: 0,
+          armorToSalvage: 0,
+          targetHistory: {}
+        };
+      });
+
+      const created = { id: zone.id, name: zone.name, adjacent: zone.adjacent.slice(), tacticalGrid: tacticalGrid };
+      if (zone.home) created.home = zone.home;
+      return created;
+    });
+  }
+
+  // Ids of the zones bordering zoneId. Zones list their neighbours (a border
+  // listed on either side counts for both); zones without a list, as in
+  // battlefields saved before front line layouts, are a line where each zone
+  // borders the one before and after it.
+  function getAdjacentZoneIds(zones, zoneId) {
+    const index = zones.findIndex(zone => zone.id === zoneId);
+    if (index === -1) return [];
+
+    if (!Array.isArray(zones[index].adjacent)) {
+      return [zones[index - 1], zones[index + 1]].filter(Boolean).map(zone => zone.id);
+    }
+    return zones
+      .filter(zone => zone.id !== zoneId &&
+        (zones[index].adjacent.includes(zone.id) || (Array.isArray(zone.adjacent) && zone.adjacent.includes(zoneId))))
+      .map(zone => zone.id);
+  }
+
+  // Supply lines
+  // Each side draws supply from its home zone: the zone a scenario or the
+  // front line layout marks, otherwise the first zone for red and the last
+  // for blue. Supply runs from home along borders through the zones the side
+  // controls, contests or has units in. A zone the side holds or has units in
+  // that supply can't reach is cut off: it earns no command points, can't be
+  // reinforced, its medics and mechanics have nothing to repair with and its
+  // units need a higher roll on morale checks. A side whose home zone the
+  // enemy controls is cut off everywhere.
+
+  // Ways a generated battlefield's zones can border each other: a line from
+  // one side's home to the other's, a ring with the homes opposite each
+  // other, or a grid in the rows the battlefield is drawn in
+  const ZONE_LAYOUTS = ['line', 'ring', 'grid'];
+
+  const CUT_OFF_MORALE_PENALTY = 1;
+
+  // Give generated zones their borders and home zones for layout, in place.
+  // columns is how many zones the battlefield shows in a row.
+  function applyZoneLayout(zones, layout, columns) {
+    const count = zones.length;
+    const width = Math.max(1, Math.min(columns || count, count));
+
+    zones.forEach((zone, index) => {
+      const neighbours = [];
+      if (layout === 'grid') {
+        if (index % width > 0) neighbours.push(index - 1);
+        if (index % width < width - 1 && index + 1 < count) neighbours.push(index + 1);
+        if (index >= width) neighbours.push(index - width);
+        if (index + width < count) neighbours.push(index + width);
+      } else {
+        if (index > 0) neighbours.push(index - 1);
+        if (index < count - 1) neighbours.push(index + 1);
+        if (layout === 'ring' && count > 2 && index === 0) neighbours.push(count - 1);
+        if (layout === 'ring' && count > 2 && index === count - 1) neighbours.push(0);
+      }
+      zone.adjacent = neighbours.map(n => zones[n].id);
+      delete zone.home;
+    });
+
+    if (count > 0) {
+      zones[0].home = 'red';
+      zones[layout === 'ring' ? Math.floor(count / 2) : count - 1].home = 'blue';
+    }
+    return zones;
+  }
+
+  function getHomeZoneId(zones, player) {
+    const marked = zones.find(zone => zone.home === player);
+    if (marked) return marked.id;
+    const fallback = player === 'red' ? zones[0] : zones[zones.length - 1];
+    return fallback ? fallback.id : null;
+  }
+
+  function hasUnitsInZone(zone, player) {
+    return Object.values(zone.tacticalGrid || {}).some(tile => tile && tile.unit && tile.unit.player === player);
+  }
+
+  function carriesSupply(zone, player) {
+    return zone.control === player || zone.control === 'contested' || hasUnitsInZone(zone, player);
+  }
+
+  // Ids of the zones player's supply reaches, home first
+  function getSuppliedZoneIds(zones, player) {
+    const homeId = getHomeZoneId(zones, player);
+    const home = zones.find(zone => zone.id === homeId);
+    if (!home || home.control === otherPlayer(player)) return [];
+
+    const supplied = [homeId];
+    for (let i = 0; i < supplied.length; i++) {
+      getAdjacentZoneIds(zones, supplied[i]).forEach(id => {
+        const zone = zones.find(z => z.id === id);
+        if (!supplied.includes(id) && carriesSupply(zone, player)) supplied.push(id);
+      });
+    }
+    return supplied;
+  }
+
+  // Ids of the zones player holds or has units in that supply can't reach
+  function getCutOffZoneIds(zones, player) {
+    const supplied = getSuppliedZoneIds(zones, player);
+    return zones
+      .filter(zone => !supplied.includes(zone.id) && (zone.control === player || hasUnitsInZone(zone, player)))
+      .map(zone => zone.id);
+  }
+
+  // Zones whose loss to the enemy would cut player off somewhere else, each
+  // with the ids of the zones it would cut off
+  function getSupplyChokepoints(zones, player) {
+    const alreadyCutOff = getCutOffZoneIds(zones, player);
+    const chokepoints = {};
+    getSuppliedZoneIds(zones, player).forEach(zoneId => {
+      const lost = zones.map(zone => (zone.id === zoneId ? { ...zone, control: otherPlayer(player), tacticalGrid: {} } : zone));
+      const stranded = getCutOffZoneIds(lost, player).filter(id => id !== zoneId && !alreadyCutOff.includes(id));
+      if (stranded.length > 0) chokepoints[zoneId] = stranded;
+    });
+    return chokepoints;
+  }
+
+  // The roll unit needs on a morale check in zoneId
+  function getMoraleTarget(unit, zones, zoneId) {
+    const cutOff = getCutOffZoneIds(zones, unit.player).includes(zoneId);
+    return unit.morale + (cutOff ? CUT_OFF_MORALE_PENALTY : 0);
+  }
+
+  // Campaigns
+  // A campaign is a JSON file (campaigns/ has an example) of battles placed on
+  // a strategic map. Winning a battle opens the battles it leads to, and the
+  // campaign is won with a final battle; a lost battle can be fought again.
+  // The player's legion carries over from battle to battle: survivors keep
+  // their damage, armour and experience and are promoted as it grows, the
+  // fallen stay off the roll, and requisition earned in each battle pays for
+  // repairs and reinforcements in between. A battle may bring an enemy army
+  // and a scenario; the scenario is checked in full when the battle is
+  // fought, once its content packs are active.
+
+  const CAMPAIGN_FORMAT = 'ashes-of-the-covenant-campaign';
+  const CAMPAIGN_VERSION = 1;
+  const CAMPAIGN_MAX_BATTLES = 20;
+  const CAMPAIGN_REQUISITION = [0, 1000];
+  const CAMPAIGN_MAP_RANGE = [0, 100]; // battle positions are percentages of the map
+
+  // Experience for each kill, each morale check passed and each battle survived
+  const EXPERIENCE_AWARDS = { kill: 2, moraleCheck: 1, battle: 1 };
+
+  // A unit is promoted when its experience reaches the next rank and gains
+  // that rank's increases. Morale is the roll a unit needs, so lower is better.
+  const VETERAN_RANKS = [
+    { name: 'Recruit', experience: 0, increases: {} },
+    { name: 'Regular', experience: 3, increases: { morale: -1 } },
+    { name: 'Veteran', experience: 7, increases: { attack: 1 } },
+    { name: 'Elite', experience: 12, increases: { defense: 1 } },
+    { name: 'Hero', experience: 20, increases: { attack: 1, morale: -1 } }
+  ];
+
+  function getCampaignBattleError(battle, campaign) {
+    if (!battle || typeof battle !== 'object') return 'Battle is not an object';
+    if (typeof battle.id !== 'string' || !CONTENT_PACK_ID_PATTERN.test(battle.id)) {
+      return 'Battle ids must be lowercase letters, digits and dashes';
+    }
+    if (typeof battle.name !== 'string' || !battle.name.trim()) return `Battle ${battle.id} has no name`;
+
+    const map = battle.map || {};
+    if (!isWholeNumberIn(map.x, CAMPAIGN_MAP_RANGE) || !isWholeNumberIn(map.y, CAMPAIGN_MAP_RANGE)) {
+      return `${battle.name}: map x and y must be whole numbers from 0 to 100`;
+    }
+    if (!Array.isArray(battle.leadsTo)) return `${battle.name}: leadsTo must be a list of battle ids`;
+    for (const id of battle.leadsTo) {
+      if (id === battle.id || !campaign.battles.some(other => other && other.id === id)) {
+        return `${battle.name} leads to unknown battle "${id}"`;
+      }
+    }
+
+    const requisition = battle.requisition || {};
+    if (!isWholeNumberIn(requisition.victory, CAMPAIGN_REQUISITION) || !isWholeNumberIn(requisition.defeat, CAMPAIGN_REQUISITION)) {
+      return `${battle.name}: requisition for victory and defeat must be whole numbers from 0 to 1000`;
+    }
+    if (battle.role !== undefined && battle.role !== 'attacker' && battle.role !== 'defender') {
+      return `${battle.name}: role must be attacker or defender`;
+    }
+
+    if (battle.enemy !== undefined) {
+      const error = getArmyDataError(battle.enemy) || validateArmy(battle.enemy.units);
+      if (error) return `${battle.name}: ${error}`;
+    }
+    if (battle.scenario !== undefined && (!battle.scenario || battle.scenario.format !== SCENARIO_FORMAT)) {
+      return `${battle.name}: scenario is not an Ashes of the Covenant scenario`;
+    }
+    return null;
+  }
+
+  // Why campaign can't be played, or null when it can
+  function getCampaignError(campaign) {
+    if (!campaign || typeof campaign !== 'object') return 'Campaign is not an object';
+    if (campaign.format !== CAMPAIGN_FORMAT) return 'Not an Ashes of the Covenant campaign';
+    if (campaign.version !== CAMPAIGN_VERSION) return `Campaign version ${campaign.version} is not supported`;
+    if (typeof campaign.id !== 'string' || !CONTENT_PACK_ID_PATTERN.test(campaign.id)) {
+      return 'Campaign id must be lowercase letters, digits and dashes';
+    }
+    if (typeof campaign.name !== 'string' || !campaign.name.trim()) return 'Campaign has no name';
+    if (!isWholeNumberIn(campaign.startingRequisition, CAMPAIGN_REQUISITION)) {
+      return 'startingRequisition must be a whole number from 0 to 1000';
+    }
+    if (campaign.legionPointLimit !== undefined && campaign.legionPointLimit !== null &&
+        !isWholeNumberIn(campaign.legionPointLimit, [1, 1000])) {
+      return 'legionPointLimit must be a whole number from 1 to 1000';
+    }
+
+    if (!Array.isArray(campaign.battles) || campaign.battles.length === 0 || campaign.battles.length > CAMPAIGN_MAX_BATTLES) {
+      return `A campaign needs 1 to ${CAMPAIGN_MAX_BATTLES} battles`;
+    }
+    const ids = new Set();
+    for (const battle of campaign.battles) {
+      const error = getCampaignBattleError(battle, campaign);
+      if (error) return error;
+      if (ids.has(battle.id)) return `Two battles have the id ${battle.id}`;
+      ids.add(battle.id);
+    }
+    if (!ids.has(campaign.start)) return `The campaign starts at unknown battle "${campaign.start}"`;
+    if (!campaign.battles.some(battle => battle.final === true)) return 'The campaign has no final battle';
+    return null;
+  }
+
+  // Why units can't set out on campaign as the player's legion, or null
+  function getCampaignLegionError(campaign, units) {
+    if (!Array.isArray(units) || units.length === 0) return 'The legion has no units';
+    for (const unit of units) {
+      const error = getUnitDataError(unit);
+      if (error) return error;
+    }
+    return validateArmy(units, campaign.legionPointLimit || null);
+  }
+
+  function getVeteranMaxHealth(unit) {
+    return 2 + Math.max(0, unit.defense);
+  }
+
+  function getVeteranRank(unit) {
+    return VETERAN_RANKS[unit.veteran.rank];
+  }
+
+  // Add a copy of unit to the roll as an unblooded recruit at full strength
+  function enlistVeteran(progress, unit) {
+    const recruit = { ...unit, id: `veteran_${progress.nextVeteranId++}` };
+    recruit.veteran = {
+      id: recruit.id,
+      experience: 0,
+      rank: 0,
+      battles: 0,
+      health: getVeteranMaxHealth(recruit),
+      armour: recruit.armour || 0
+    };
+    progress.roster.push(recruit);
+    return recruit;
+  }
+
+  // A new campaign for a legion that has passed getCampaignLegionError
+  function createCampaignProgress(campaign, legion) {
+    const progress = {
+      campaign: campaign,
+      legionName: legion.name,
+      roster: [],
+      fallen: [],
+      requisition: campaign.startingRequisition,
+      results: {},
+      open: [campaign.start],
+      status: 'active',
+      battlesFought: 0,
+      nextVeteranId: 1,
+      lastReport: null
+    };
+    legion.units.forEach(unit => enlistVeteran(progress, unit));
+    return progress;
+  }
+
+  function getCampaignBattle(progress, battleId) {
+    return progress.campaign.battles.find(battle => battle.id === battleId) || null;
+  }
+
+  // 'won', 'open' (can be fought now) or 'locked'
+  function getCampaignBattleStatus(progress, battleId) {
+    if (progress.results[battleId] === 'victory') return 'won';
+    return progress.open.includes(battleId) ? 'open' : 'locked';
+  }
+
+  // Promote unit through every rank its experience has reached. Increases
+  // stay inside the stat ranges, and a sturdier unit heals by what its
+  // health grew. Returns the names of the ranks gained.
+  function promoteVeteran(unit) {
+    const gained = [];
+    const veteran = unit.veteran;
+    while (VETERAN_RANKS[veteran.rank + 1] && veteran.experience >= VETERAN_RANKS[veteran.rank + 1].experience) {
+      veteran.rank++;
+      const rank = VETERAN_RANKS[veteran.rank];
+      const maxHealth = getVeteranMaxHealth(unit);
+
+      Object.entries(rank.increases).forEach(([stat, increase]) => {
+        const [min, max] = UNIT_STAT_RANGES[stat];
+        unit[stat] = Math.min(max, Math.max(min, unit[stat] + increase));
+      });
+      veteran.health += getVeteranMaxHealth(unit) - maxHealth;
+      gained.push(rank.name);
+    }
+    return gained;
+  }
+
+  // Settle a fought battle. outcome.fallen lists the ids of the legion's units
+  // that were destroyed; outcome.survivors has { id, kills, moraleChecksPassed }
+  // for each unit still in the field, with its health and armour when it
+  // fought on the grid. Units that stayed in reserve are left as they were.
+  // Returns what happened, which is also kept as progress.lastReport.
+  function recordCampaignBattle(progress, battleId, won, outcome) {
+    const battle = getCampaignBattle(progress, battleId);
+    const report = {
+      battle: battle.name,
+      won: won,
+      requisition: won ? battle.requisition.victory : battle.requisition.defeat,
+      fallen: [],
+      promotions: []
+    };
+
+    progress.roster = progress.roster.filter(unit => {
+      if (!outcome.fallen.includes(unit.veteran.id)) return true;
+      report.fallen.push(unit.name);
+      progress.fallen.push({ name: unit.name, battle: battle.name, rank: getVeteranRank(unit).name });
+      return false;
+    });
+
+    outcome.survivors.forEach(survivor => {
+      const unit = progress.roster.find(member => member.veteran.id === survivor.id);
+      if (!unit) return;
+      const veteran = unit.veteran;
+
+      if (survivor.health !== undefined) {
+        veteran.health = Math.max(1, Math.min(getVeteranMaxHealth(unit), survivor.health));
+      }
+      if (survivor.armour !== undefined) {
+        veteran.armour = Math.max(0, Math.min(unit.armour || 0, survivor.armour));
+      }
+      veteran.battles++;
+      veteran.experience += (survivor.kills || 0) * EXPERIENCE_AWARDS.kill +
+        (survivor.moraleChecksPassed || 0) * EXPERIENCE_AWARDS.moraleCheck +
+        EXPERIENCE_AWARDS.battle;
+      promoteVeteran(unit).forEach(rank => report.promotions.push({ name: unit.name, rank: rank }));
+    });
+
+    progress.requisition += report.requisition;
+    progress.battlesFought++;
+    if (won) {
+      progress.results[battleId] = 'victory';
+      progress.open = progress.open
+        .concat(battle.leadsTo)
+        .filter((id, index, ids) => id !== battleId && progress.results[id] !== 'victory' && ids.indexOf(id) === index);
+      if (battle.final) progress.status = 'won';
+    } else if (!progress.results[battleId]) {
+      progress.results[battleId] = 'defeat';
+    }
+
+    progress.lastReport = report;
+    return report;
+  }
+
+  // Requisition needed to bring unit back to full health and armour
+  function getRepairCost(unit) {
+    return (getVeteranMaxHealth(unit) - unit.veteran.health) + ((unit.armour || 0) - unit.veteran.armour);
+  }
+
+  // Repair a unit on the roll, or say why it can't be repaired
+  function repairVeteran(progress, veteranId) {
+    const unit = progress.roster.find(member => member.veteran.id === veteranId);
+    if (!unit) return 'That unit is not in the legion';
+    const cost = getRepairCost(unit);
+    if (cost === 0) return `${unit.name} needs no repairs`;
+    if (cost > progress.requisition) return `Repairing ${unit.name} costs ${cost} requisition`;
+
+    progress.requisition -= cost;
+    unit.veteran.health = getVeteranMaxHealth(unit);
+    unit.veteran.armour = unit.armour || 0;
+    return null;
+  }
+
+  // Recruit unit into the legion for its point cost in requisition, or say
+  // why it can't join
+  function recruitVeteran(progress, unit) {
+    const error = getUnitDataError(unit) || validateArmy(progress.roster.concat([unit]));
+    if (error) return error;
+    const cost = getUnitPointCost(unit);
+    if (cost > progress.requisition) return `${unit.name} costs ${cost} requisition`;
+
+    progress.requisition -= cost;
+    enlistVeteran(progress, unit);
+    return null;
+  }
+
+  return {
+    weatherEffects,
+    weatherTypes,
+    dayNightEffects,
+    terrainEffects,
+    constructionEffects,
+    constructionCosts,
+    specialAbilities,
+    defaultCPCosts,
+    otherPlayer,
+    hasCompletedConstruction,
+    getConstructionError,
+    getConstructionTurns,
+    advanceConstructions,
+    countFightersByPlayer,
+    applySpecialAbilities,
+    bindSpecialAbilities,
+    getAbilityEffects,
+    getAdjacentMobileCoverBonus,
+    getWeatherEffects,
+    getRolledWeather,
+    applyWeatherRestrictions,
+    getCPCost,
+    canSpendCP,
+    getZoneCPBonuses,
+    calculateTurnStartCP,
+    calculateDistance,
+    getAdjacentPositions,
+    getValidDeploymentRows,
+    isValidDeploymentPosition,
+    getMovementPoints,
+    calculateValidMovementPositions,
+    getMovementRestriction,
+    getMovementCost,
+    getRemainingMovementAfterMove,
+    getActualRange,
+    getLineOfSight,
+    hasLineOfSight,
+    canAttackPosition,
+    getVisionRadius,
+    getTilesBetween,
+    canScout,
+    isZoneScouted,
+    getVisibleTiles,
+    getZoneVisibility,
+    canSeeUnit,
+    filterZoneForPlayer,
+    calculateCombatValues,
+    getActualCombatValues,
+    applyDamage,
+    calculateAttackOdds,
+    processCombatResult,
+    getSurvivalRetreatPosition,
+    UNIT_TYPES,
+    getUnitDataError,
+    getArmyDataError,
+    ARMY_POINT_LIMITS,
+    ARMY_COMPOSITION_LIMITS,
+    OFF_GRID_UNIT_TYPES,
+    getUnitPointCost,
+    getArmyPointCost,
+    validateArmy,
+    validateArmySelection,
+    WIN_CONDITIONS,
+    VICTORY_DEFAULTS,
+    VICTORY_SETTING_RANGES,
+    VICTORY_MODE_SETTINGS,
+    getVictorySettings,
+    getVictorySettingsError,
+    getVictoryPoints,
+    getBreakthroughCount,
+    getAttritionLoss,
+    checkWinCondition,
+    createRandom,
+    rollDie,
+    verifyRollLog,
+    CONTENT_PACK_FORMAT,
+    CONTENT_PACK_VERSION,
+    getContentPackError,
+    getContentPackChecksum,
+    useContentPacks,
+    BATTLEFIELD_TYPES,
+    getBattlefieldColumns,
+    generateTacticalGrid,
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    SCENARIO_GRID_SIZES,
+    getScenarioError,
+    getScenarioSettings,
+    getScenarioUnitId,
+    createScenarioZones,
+    getAdjacentZoneIds,
+    ZONE_LAYOUTS,
+    CUT_OFF_MORALE_PENALTY,
+    applyZoneLayout,
+    getHomeZoneId,
+    getSuppliedZoneIds,
+    getCutOffZoneIds,
+    getSupplyChokepoints,
+    getMoraleTarget,
+    CAMPAIGN_FORMAT,
+    CAMPAIGN_VERSION,
+    EXPERIENCE_AWARDS,
+    VETERAN_RANKS,
+    getCampaignError,
+    getCampaignLegionError,
+    getVeteranMaxHealth,
+    getVeteranRank,
+    createCampaignProgress,
+    getCampaignBattle,
+    getCampaignBattleStatus,
+    recordCampaignBattle,
+    getRepairCost,
+    repairVeteran,
+    recruitVeteran
+  };
+});
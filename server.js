@@ -1,18 +1,81 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const rules = require('./rules');
+const { createStorage } = require('./storage');
+const bots = require('./bot');
+const {
+  UNSEEN_POSITION_REFUSAL,
+  getPlayerColor,
+  getMatchSettings,
+  getOwnedState,
+  startAuthoritativeMatch,
+  closeUpkeepWindow,
+  finishMatch,
+  checkMatchVictory,
+  getOpeningBoardError,
+  findZone,
+  applyGameAction,
+  validateZoneUpdate,
+  validateStateUpdate,
+  createMatchDice,
+  resumeMatchDice,
+  rollMatchDice,
+  getTimeControl,
+  getTurnClockState
+} = require('./match');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Serve the files the page loads, and nothing else from the checkout: the
+// server's code and its saved lobbies, with their dice seeds and reconnect
+// tokens, must stay private
+const PUBLIC_FILES = [
+  'ww1game.html',
+  'server.html',
+  'test_sliders.html',
+  'rules.js',
+  'planner.js',
+  'ai-worker.js',
+  'mixkit-hard-typewriter-click-1119.wav'
+];
+// Music tracks are dropped in next to the page by whoever runs the server
+const PUBLIC_EXTENSIONS = ['.mp3'];
+
+function isPublicFile(urlPath) {
+  let file;
+  try {
+    file = decodeURIComponent(urlPath).replace(/^\//, '');
+  } catch (error) {
+    return false;
+  }
+  if (file.includes('/') || file.includes('\\')) return false;
+  return PUBLIC_FILES.includes(file) || PUBLIC_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+const serveStatic = express.static(__dirname, { index: false, dotfiles: 'ignore' });
+app.use((req, res, next) => (isPublicFile(req.path) ? serveStatic(req, res, next) : next()));
+
+// Lobbies are saved so a restart doesn't end the matches in progress
+// (STORAGE_BACKEND=memory turns this off)
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND,
+  directory: process.env.STORAGE_DIR || path.join(__dirname, 'data', 'lobbies')
+});
 
 // Lobby management
 const lobbies = new Map(); // lobbyCode -> lobby data
 const playerSockets = new Map(); // socketId -> player data
+const reconnectTokens = new Map(); // reconnectToken -> { lobbyCode, playerId }
+
+// How long a dropped player's slot is held for them to reconnect
+const RECONNECT_GRACE_PERIOD = 60000;
 
 // Generate unique 6-digit lobby code
 function generateLobbyCode() {
@@ -23,45 +86,1105 @@ function generateLobbyCode() {
   return code;
 }
 
+// Reconnects
+// Players get a token when they create or join a lobby. If their connection
+// drops they keep their slot, army selections and the match state for
+// RECONNECT_GRACE_PERIOD, and the token lets a new socket take the slot back.
+// Mid-match an AI stands in for them once the grace period runs out, and the
+// token still takes the seat back from it.
+
+function issueReconnectToken(lobbyCode, playerId) {
+  const token = crypto.randomBytes(16).toString('hex');
+  reconnectTokens.set(token, { lobbyCode: lobbyCode, playerId: playerId });
+  return token;
+}
+
+// Keep a player's slot for RECONNECT_GRACE_PERIOD, then give it up, or hand
+// it to an AI if the match is running
+function holdPlayerSlot(lobby, player, reconnectToken) {
+  player.connected = false;
+  lobby.reconnectTimers = lobby.reconnectTimers || {};
+  clearTimeout(lobby.reconnectTimers[player.id]);
+  lobby.reconnectTimers[player.id] = setTimeout(() => {
+    delete lobby.reconnectTimers[player.id];
+    if (canStandIn(lobby, player)) {
+      standInForPlayer(lobby, player);
+      return;
+    }
+    reconnectTokens.delete(reconnectToken);
+    removePlayerFromLobby(lobby, player.id);
+    console.log(`🔌 ${player.name} did not reconnect to lobby ${lobby.id}`);
+  }, RECONNECT_GRACE_PERIOD);
+}
+
+function deleteLobby(lobbyCode) {
+  const lobby = lobbies.get(lobbyCode);
+  if (lobby) stopLobbyTimers(lobby);
+  lobbies.delete(lobbyCode);
+  try {
+    storage.deleteLobby(lobbyCode);
+  } catch (error) {
+    console.error(`❌ Could not delete saved lobby ${lobbyCode}:`, error.message);
+  }
+}
+
+// Nothing may play on in a lobby once it is gone: its clock, its AI's next
+// turn and its held slots would otherwise save it back
+function stopLobbyTimers(lobby) {
+  stopTurnClock(lobby);
+  clearTimeout(lobby.botTimer);
+  lobby.botTimer = null;
+  Object.values(lobby.reconnectTimers || {}).forEach(timer => clearTimeout(timer));
+  lobby.reconnectTimers = {};
+}
+
+function removePlayerFromLobby(lobby, playerId) {
+  lobby.players = lobby.players.filter(p => p.id !== playerId);
+  
+  // If lobby is empty, or only AI seats are left, delete it
+  if (lobby.players.every(p => p.bot)) {
+    if (lobbies.get(lobby.id) === lobby) {
+      deleteLobby(lobby.id);
+    }
+    console.log(`Lobby ${lobby.id} deleted (empty)`);
+  } else {
+    saveLobby(lobby);
+    // Notify remaining players
+    emitLobbyUpdate(lobby);
+  }
+}
+
+// Spectators
+// Observers can watch a lobby but never play in it. They are kept out of
+// playerSockets, so no game handler accepts anything they send, and they sit
+// in a room of their own that game events only reach through
+// relayToSpectators. With a spectator delay set, those events are held back
+// that many turns so spectators can't pass intel to a player. Spectators see
+// both sides' units, so under fog of war the feed always runs at least
+// FOG_SPECTATOR_DELAY turns behind, and players can't watch their own lobby.
+
+const MAX_SPECTATOR_DELAY = 5;
+// A full round: by the time the feed shows a turn, both players have played on
+const FOG_SPECTATOR_DELAY = 2;
+const spectatorSockets = new Map(); // socketId -> { lobbyCode, name }
+
+function spectatorRoom(lobbyCode) {
+  return `${lobbyCode}:spectators`;
+}
+
+// Turns the spectator feed runs behind the match
+function getSpectatorDelay(lobby) {
+  return Math.max(lobby.spectatorDelay || 0, hasFogOfWar(lobby) ? FOG_SPECTATOR_DELAY : 0);
+}
+
+function getLobbySummary(lobby) {
+  return {
+    id: lobby.id,
+    players: lobby.players,
+    spectatorCount: (lobby.spectators || []).length,
+    spectatorDelay: getSpectatorDelay(lobby),
+    settings: lobby.settings,
+    contentPacks: lobby.contentPacks
+  };
+}
+
+function emitLobbyUpdate(lobby) {
+  const summary = getLobbySummary(lobby);
+  io.to(lobby.id).emit('lobbyUpdate', summary);
+  io.to(spectatorRoom(lobby.id)).emit('lobbyUpdate', summary);
+}
+
+function relayToSpectators(lobby, event, data) {
+  if (!getSpectatorDelay(lobby)) {
+    io.to(spectatorRoom(lobby.id)).emit(event, data);
+    return;
+  }
+  
+  // Copy now, the lobby's state keeps changing while the event waits
+  lobby.spectatorFeed = lobby.spectatorFeed || { queue: [], snapshot: null };
+  lobby.spectatorFeed.queue.push({
+    turn: lobby.gameState ? lobby.gameState.turnCount : 0,
+    event: event,
+    data: JSON.parse(JSON.stringify(data))
+  });
+  flushSpectatorFeed(lobby);
+}
+
+// Send the held-back events that are old enough, or all of them once the match is over
+function flushSpectatorFeed(lobby, releaseAll) {
+  const feed = lobby.spectatorFeed;
+  if (!feed) return;
+  
+  const releaseTurn = (lobby.gameState ? lobby.gameState.turnCount : 0) - getSpectatorDelay(lobby);
+  while (feed.queue.length > 0 && (releaseAll || feed.queue[0].turn <= releaseTurn)) {
+    const { event, data } = feed.queue.shift();
+    if (data && data.gameState && data.zones) {
+      feed.snapshot = { gameState: data.gameState, zones: data.zones };
+    }
+    io.to(spectatorRoom(lobby.id)).emit(event, data);
+  }
+}
+
+// The match as a spectator joining now may see it
+function getSpectatorView(lobby) {
+  if (!getSpectatorDelay(lobby)) {
+    return { gameState: lobby.gameState, zones: lobby.zones };
+  }
+  return (lobby.spectatorFeed && lobby.spectatorFeed.snapshot) || { gameState: null, zones: null };
+}
+
+function removeSpectator(socket) {
+  const spectatorData = spectatorSockets.get(socket.id);
+  spectatorSockets.delete(socket.id);
+  socket.leave(spectatorRoom(spectatorData.lobbyCode));
+  
+  const lobby = lobbies.get(spectatorData.lobbyCode);
+  if (lobby) {
+    lobby.spectators = (lobby.spectators || []).filter(s => s.id !== socket.id);
+    emitLobbyUpdate(lobby);
+  }
+  console.log(`👁️ ${spectatorData.name} stopped watching lobby ${spectatorData.lobbyCode}`);
+}
+
+// Lobby browser
+// Hosts can list a lobby publicly with a name and the settings they mean to
+// play. Settings left out (null) are decided later in game setup. Players who
+// don't want to browse can wait in the quick match queue instead, which pairs
+// them with the first waiting player whose settings don't conflict.
+
+const LOBBY_SETTING_OPTIONS = {
+  winCondition: rules.WIN_CONDITIONS,
+  gridSize: [6, 8, 10, 12],
+  zoneCount: [4, 6, 8, 10, 12],
+  armyPointLimit: rules.ARMY_POINT_LIMITS
+};
+
+const quickMatchQueue = []; // { socket, name, settings }, longest waiting first
+
+// Keep the settings we know about, dropping unknown or "any" values
+function normalizeLobbySettings(settings) {
+  const normalized = {};
+  Object.keys(LOBBY_SETTING_OPTIONS).forEach(key => {
+    const value = settings ? settings[key] : null;
+    const option = LOBBY_SETTING_OPTIONS[key].find(o => String(o) === String(value));
+    normalized[key] = option !== undefined ? option : null;
+  });
+  return normalized;
+}
+
+// Two sets of settings conflict only where both name a different value
+function mergeLobbySettings(a, b) {
+  const merged = {};
+  for (const key of Object.keys(LOBBY_SETTING_OPTIONS)) {
+    if (a[key] !== null && b[key] !== null && a[key] !== b[key]) return null;
+    merged[key] = a[key] !== null ? a[key] : b[key];
+  }
+  return merged;
+}
+
+// Public lobbies that still have a free seat and haven't started
+function getPublicLobbies() {
+  return Array.from(lobbies.values())
+    .filter(lobby => lobby.isPublic && !lobby.inGameSetup && !lobby.dice &&
+      lobby.players.length > 0 && lobby.players.length < lobby.maxPlayers)
+    .map(lobby => ({
+      id: lobby.id,
+      name: lobby.name,
+      host: lobby.players[0].name,
+      players: lobby.players.length,
+      maxPlayers: lobby.maxPlayers,
+      spectatorCount: (lobby.spectators || []).length,
+      settings: lobby.settings
+    }));
+}
+
+function createLobbyRecord(options) {
+  return {
+    id: generateLobbyCode(),
+    name: options.name,
+    isPublic: !!options.isPublic,
+    settings: normalizeLobbySettings(options.settings),
+    contentPacks: createContentPackChoice([]),
+    players: [],
+    maxPlayers: 2,
+    spectators: [],
+    spectatorDelay: 0
+  };
+}
+
+// Give a socket a seat in a lobby; returns its reconnect token
+function seatPlayer(socket, lobby, name) {
+  const playerId = socket.id;
+  const reconnectToken = issueReconnectToken(lobby.id, playerId);
+  lobby.players.push({
+    id: playerId,
+    name: name,
+    ready: false,
+    connected: true
+  });
+  playerSockets.set(socket.id, {
+    lobbyCode: lobby.id,
+    playerId: playerId,
+    name: name,
+    reconnectToken: reconnectToken
+  });
+  socket.join(lobby.id);
+  return reconnectToken;
+}
+
+function leaveQuickMatch(socket) {
+  const index = quickMatchQueue.findIndex(entry => entry.socket.id === socket.id);
+  if (index !== -1) {
+    quickMatchQueue.splice(index, 1);
+  }
+}
+
+// Content packs
+// The JSON packs in packs/ (PACKS_DIR) are checked with the shared rules at
+// startup and offered to every lobby. The host picks a lobby's packs; each
+// player's client loads them and reports the rules checksum it got, and the
+// match can't start until every player reports the checksum the server
+// worked out. The rules tables are shared by every lobby, so anything that
+// checks a move against them switches to the lobby's packs first.
+
+function loadContentPacks(directory) {
+  const packs = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    return packs;
+  }
+  
+  files.forEach(file => {
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const error = rules.getContentPackError(pack);
+      if (error) throw new Error(error);
+      packs.set(pack.id, pack);
+    } catch (error) {
+      console.error(`❌ Could not load content pack ${file}:`, error.message);
+    }
+  });
+  
+  if (packs.size > 0) {
+    console.log(`📦 Loaded ${packs.size} content packs`);
+  }
+  return packs;
+}
+
+const contentPacks = loadContentPacks(process.env.PACKS_DIR || path.join(__dirname, 'packs'));
+
+// ids in the order the host ticked them; reported is playerId -> checksum
+function createContentPackChoice(ids) {
+  return {
+    ids: ids,
+    checksum: rules.getContentPackChecksum(ids.map(id => contentPacks.get(id))),
+    reported: {}
+  };
+}
+
+function getLobbyContentPacks(lobby) {
+  const ids = lobby.contentPacks ? lobby.contentPacks.ids : [];
+  return ids.map(id => contentPacks.get(id)).filter(Boolean);
+}
+
+function useLobbyContentPacks(lobby) {
+  rules.useContentPacks(getLobbyContentPacks(lobby));
+}
+
+// Why the players can't start on the lobby's packs yet, or null
+function getContentPackMismatch(lobby) {
+  const { checksum, reported } = lobby.contentPacks;
+  // AI seats play on the server's own copy of the rules
+  const behind = lobby.players.find(player => !player.bot && reported[player.id] !== checksum);
+  return behind ? `${behind.name} is not running the lobby's content packs yet` : null;
+}
+
+// Campaigns
+// Campaigns are played in single-player, so the server only offers the JSON
+// files in campaigns/ (CAMPAIGNS_DIR) after checking them at startup.
+
+function loadCampaigns(directory) {
+  const campaigns = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    return campaigns;
+  }
+
+  files.forEach(file => {
+    try {
+      const campaign = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const error = rules.getCampaignError(campaign);
+      if (error) throw new Error(error);
+      campaigns.set(campaign.id, campaign);
+    } catch (error) {
+      console.error(`❌ Could not load campaign ${file}:`, error.message);
+    }
+  });
+
+  if (campaigns.size > 0) {
+    console.log(`🗺️ Loaded ${campaigns.size} campaigns`);
+  }
+  return campaigns;
+}
+
+const campaigns = loadCampaigns(process.env.CAMPAIGNS_DIR || path.join(__dirname, 'campaigns'));
+
+// Persistence
+// Lobbies are written to storage when their match starts and at every turn
+// change, and read back at startup. Sockets don't survive a restart, so every
+// restored player is treated as dropped and has to come back with their
+// reconnect token.
+
+function snapshotLobby(lobby) {
+  const { reconnectTimers, dice, spectators, spectatorFeed, clockTimer, botTimer, botPlaying, ...data } = lobby;
+  return {
+    ...data,
+    dice: dice ? { seed: dice.seed, commitment: dice.commitment, sequence: dice.sequence, log: dice.log } : null,
+    reconnectTokens: Array.from(reconnectTokens).filter(([, entry]) => entry.lobbyCode === lobby.id)
+  };
+}
+
+function saveLobby(lobby) {
+  try {
+    storage.saveLobby(snapshotLobby(lobby));
+  } catch (error) {
+    console.error(`❌ Could not save lobby ${lobby.id}:`, error.message);
+  }
+}
+
+function restoreLobbies() {
+  let snapshots = [];
+  try {
+    snapshots = storage.loadLobbies();
+  } catch (error) {
+    console.error('❌ Could not load saved lobbies:', error.message);
+  }
+  
+  snapshots.forEach(snapshot => {
+    const { reconnectTokens: tokens, dice, ...lobby } = snapshot;
+    lobby.dice = dice ? resumeMatchDice(dice) : null;
+    lobby.contentPacks = lobby.contentPacks || createContentPackChoice([]);
+    lobby.reconnectTimers = {};
+    lobby.spectators = [];
+    lobbies.set(lobby.id, lobby);
+    
+    // Time the server was down isn't charged to anyone
+    if (lobby.clock && lobby.gameState && !lobby.matchResult) {
+      runTurnClock(lobby);
+    }
+    
+    (tokens || []).forEach(([token, entry]) => reconnectTokens.set(token, entry));
+    lobby.players.forEach(player => {
+      // AI seats need no connection; a stand-in's player rejoins as usual
+      if (player.bot) return;
+      const entry = (tokens || []).find(([, e]) => e.playerId === player.id);
+      holdPlayerSlot(lobby, player, entry && entry[0]);
+    });
+  });
+  
+  if (snapshots.length > 0) {
+    console.log(`💾 Restored ${snapshots.length} saved lobbies`);
+  }
+}
+
+// Match authority
+// Once a multiplayer match is running the server owns the turn order, command
+// points and zone roles. The intent handlers and the checks on pushed state
+// live in match.js; this file feeds them the socket events and sends on what
+// they accept.
+
+// How long the player ending a turn has to push their end-of-turn upkeep
+const UPKEEP_SYNC_TIMEOUT = 5000;
+
+// Apply a player's intent on the lobby's content packs
+function applyLobbyAction(lobby, color, action) {
+  useLobbyContentPacks(lobby);
+  return applyGameAction(lobby, color, action);
+}
+
+function resetAuthoritativeMatch(lobby) {
+  lobby.gameState = null;
+  lobby.zones = null;
+  lobby.turnLedger = null;
+  lobby.deployedInstances = null;
+  lobby.fogViews = null;
+  lobby.pendingSync = null;
+  lobby.matchResult = null;
+  lobby.spectatorFeed = null;
+  lobby.clock = null;
+  stopTurnClock(lobby);
+  clearTimeout(lobby.botTimer);
+  lobby.botTimer = null;
+}
+
+// Send the authoritative match back to a client whose update was refused
+function rejectStateUpdate(socket, lobby, reason) {
+  console.error(`❌ Rejected state update in lobby ${lobby.id}: ${reason}`);
+  socket.emit('gameStateRejected', { reason: reason });
+  sendPlayerView(socket, lobby, getPlayerColor(lobby, playerSockets.get(socket.id).playerId), 'gameStateUpdate', {
+    gameState: lobby.gameState,
+    zones: lobby.zones
+  });
+}
+
+// Fog of war
+// With fog of war on, each player is only sent the enemy units their side can
+// see (rules.getZoneVisibility); spectators still see everything. lobby.fogViews
+// remembers which enemy units each player has been shown in every zone, so the
+// units a player never saw are put back into the zones they push, and units
+// that come into or drop out of sight can be sent on their own.
+
+function hasFogOfWar(lobby) {
+  const settings = lobby.gameConfig && lobby.gameConfig.gameSettings;
+  return !!(settings && settings.fogOfWar && lobby.fogViews);
+}
+
+// Sockets of the players seated in a lobby
+function getSeatedSockets(lobby) {
+  const seated = [];
+  for (const [socketId, playerData] of playerSockets) {
+    if (playerData.lobbyCode !== lobby.id) continue;
+    const playerSocket = io.sockets.sockets.get(socketId);
+    const color = getPlayerColor(lobby, playerData.playerId);
+    if (playerSocket && color) seated.push({ socket: playerSocket, color: color });
+  }
+  return seated;
+}
+
+function getEnemyUnitIds(zone, color) {
+  return Object.values(zone.tacticalGrid)
+    .filter(gridData => gridData.unit && gridData.unit.player !== color)
+    .map(gridData => gridData.unit.id);
+}
+
+// Emit match state to one player, stripped down to what their side can see
+function sendPlayerView(playerSocket, lobby, color, event, data) {
+  useLobbyContentPacks(lobby);
+  if (!hasFogOfWar(lobby) || !color) {
+    playerSocket.emit(event, data);
+    return;
+  }
+
+  const { gridSize } = getMatchSettings(lobby);
+  const view = { ...data };
+  if (data.zones) {
+    view.zones = data.zones.map(zone => rules.filterZoneForPlayer(zone, color, lobby.gameState, gridSize));
+    view.zones.forEach(zone => {
+      lobby.fogViews[color][zone.id] = getEnemyUnitIds(zone, color);
+    });
+  }
+  if (data.currentZoneDetail) {
+    view.currentZoneDetail = rules.filterZoneForPlayer(data.currentZoneDetail, color, lobby.gameState, gridSize);
+    lobby.fogViews[color][view.currentZoneDetail.id] = getEnemyUnitIds(view.currentZoneDetail, color);
+  }
+  playerSocket.emit(event, view);
+}
+
+// socket.to(lobby).emit for match state, one view per player under fog of war
+function emitMatchState(socket, lobby, event, data) {
+  if (!hasFogOfWar(lobby)) {
+    socket.to(lobby.id).emit(event, data);
+    return;
+  }
+  getSeatedSockets(lobby).forEach(seat => {
+    if (seat.socket.id !== socket.id) sendPlayerView(seat.socket, lobby, seat.color, event, data);
+  });
+}
+
+// Put the enemy units a player was never shown back into the zones they
+// pushed; they can't have known about those units, let alone destroyed them
+function restoreHiddenUnits(lobby, color, pushedZones) {
+  useLobbyContentPacks(lobby);
+  if (!hasFogOfWar(lobby)) return null;
+
+  for (const zone of pushedZones) {
+    const previousZone = findZone(lobby, zone && zone.id);
+    if (!previousZone || !zone.tacticalGrid) continue;
+
+    const shownIds = lobby.fogViews[color][zone.id] || [];
+    for (const pos of Object.keys(previousZone.tacticalGrid)) {
+      const unit = previousZone.tacticalGrid[pos].unit;
+      const gridData = zone.tacticalGrid[pos];
+      if (!unit || unit.player === color || shownIds.includes(unit.id) || !gridData) continue;
+      if (gridData.unit && gridData.unit.id !== unit.id) {
+        return UNSEEN_POSITION_REFUSAL;
+      }
+      gridData.unit = unit;
+    }
+  }
+  return null;
+}
+
+// Tell a player about enemy units that came into or dropped out of sight
+// since they were last sent the match. The client acknowledges once it has
+// merged the change, so zones it pushes before then are still read against
+// the old view.
+function sendFogUpdate(playerSocket, lobby, color) {
+  useLobbyContentPacks(lobby);
+  if (!hasFogOfWar(lobby) || !color || !lobby.zones) return;
+
+  const { gridSize } = getMatchSettings(lobby);
+  const changes = [];
+  lobby.zones.forEach(zone => {
+    const shownIds = lobby.fogViews[color][zone.id] || [];
+    const view = rules.filterZoneForPlayer(zone, color, lobby.gameState, gridSize);
+    const visibleIds = getEnemyUnitIds(view, color);
+    const revealed = Object.keys(view.tacticalGrid)
+      .filter(pos => {
+        const unit = view.tacticalGrid[pos].unit;
+        return unit && unit.player !== color && !shownIds.includes(unit.id);
+      })
+      .map(pos => ({ pos: Number(pos), unit: view.tacticalGrid[pos].unit }));
+    const concealed = shownIds.filter(id => !visibleIds.includes(id));
+    if (revealed.length > 0 || concealed.length > 0) {
+      changes.push({ zoneId: zone.id, revealed: revealed, concealed: concealed });
+    }
+  });
+  if (changes.length === 0) return;
+
+  playerSocket.emit('fogUpdate', { zones: changes }, () => {
+    if (!lobby.fogViews) return;
+    changes.forEach(change => {
+      const ids = (lobby.fogViews[color][change.zoneId] || []).filter(id => !change.concealed.includes(id));
+      change.revealed.forEach(({ unit }) => {
+        if (!ids.includes(unit.id)) ids.push(unit.id);
+      });
+      lobby.fogViews[color][change.zoneId] = ids;
+    });
+  });
+}
+
+// After the board changed, bring every seated player's view up to date
+function refreshFogViews(lobby) {
+  if (!hasFogOfWar(lobby)) return;
+  getSeatedSockets(lobby).forEach(seat => sendFogUpdate(seat.socket, lobby, seat.color));
+}
+
+// Match dice
+// Rolls come from the lobby's seeded generator (see match.js). Players get
+// the commitment to its seed when the match starts and the seed with the
+// roll log when it ends.
+
+function startMatchDice(lobby) {
+  lobby.dice = createMatchDice();
+  io.to(lobby.id).emit('diceCommitment', { commitment: lobby.dice.commitment });
+  relayToSpectators(lobby, 'diceCommitment', { commitment: lobby.dice.commitment });
+  console.log(`🎲 Dice seeded for lobby ${lobby.id}`);
+}
+
+// Hand the seed and roll log to both players once the match is over
+function revealMatchDice(lobby) {
+  if (!lobby.dice) return;
+  const reveal = {
+    seed: lobby.dice.seed,
+    commitment: lobby.dice.commitment,
+    log: lobby.dice.log
+  };
+  io.to(lobby.id).emit('diceRevealed', reveal);
+  flushSpectatorFeed(lobby, true);
+  io.to(spectatorRoom(lobby.id)).emit('diceRevealed', reveal);
+  console.log(`🎲 Dice seed revealed for lobby ${lobby.id} after ${lobby.dice.sequence} rolls`);
+  lobby.dice = null;
+}
+
+
+// Turn clock
+// Optional time controls picked in game setup (gameSettings.timeControl):
+//   { mode: 'turn', turnSeconds }                    - a fixed limit per turn
+//   { mode: 'clock', totalSeconds, incrementSeconds } - a chess clock
+// When a turn limit runs out the player is told to end their turn, and the
+// server ends it for them if they don't. When a chess clock runs out the
+// player forfeits through the same path as a surrender.
+
+function emitTurnClock(lobby) {
+  const state = getTurnClockState(lobby);
+  io.to(lobby.id).emit('turnClock', state);
+  relayToSpectators(lobby, 'turnClock', state);
+}
+
+function startTurnClock(lobby) {
+  stopTurnClock(lobby);
+  const timeControl = getTimeControl(lobby);
+  if (!timeControl) {
+    lobby.clock = null;
+    return;
+  }
+  
+  const bank = timeControl.mode === 'clock' ? timeControl.totalSeconds * 1000 : 0;
+  lobby.clock = { ...timeControl, remaining: { red: bank, blue: bank }, turnStartedAt: Date.now() };
+  runTurnClock(lobby);
+}
+
+// Start timing the current player's turn
+function runTurnClock(lobby) {
+  const { clock } = lobby;
+  const color = lobby.gameState.currentPlayer;
+  if (clock.mode === 'turn') {
+    clock.remaining[color] = clock.turnSeconds * 1000;
+  }
+  clock.turnStartedAt = Date.now();
+  
+  clearTimeout(lobby.clockTimer);
+  lobby.clockTimer = setTimeout(() => expireTurnClock(lobby, color), clock.remaining[color]);
+  emitTurnClock(lobby);
+}
+
+// The turn passed normally; charge the time it took and start the next one
+function advanceTurnClock(lobby, color) {
+  const { clock } = lobby;
+  if (!clock) return;
+  
+  clock.remaining[color] = Math.max(0, clock.remaining[color] - (Date.now() - clock.turnStartedAt));
+  if (clock.mode === 'clock') {
+    clock.remaining[color] += clock.incrementSeconds * 1000;
+  }
+  runTurnClock(lobby);
+}
+
+function stopTurnClock(lobby) {
+  clearTimeout(lobby.clockTimer);
+  lobby.clockTimer = null;
+}
+
+function expireTurnClock(lobby, color) {
+  const { clock, gameState } = lobby;
+  if (lobbies.get(lobby.id) !== lobby) return;
+  if (!clock || !gameState || gameState.currentPlayer !== color) return;
+  
+  clock.remaining[color] = 0;
+  
+  if (clock.mode === 'clock') {
+    console.log(`⏱️ ${color} ran out of time in lobby ${lobby.id}`);
+    endMatchBySurrender(lobby, color === 'red' ? 'player1' : 'player2', 'time');
+    return;
+  }
+  
+  // Let the player's own client end the turn so its upkeep still runs
+  const turnCount = gameState.turnCount;
+  io.to(lobby.id).emit('turnTimeExpired', { player: color });
+  console.log(`⏱️ ${color}'s turn timed out in lobby ${lobby.id}`);
+  
+  lobby.clockTimer = setTimeout(() => {
+    if (lobbies.get(lobby.id) !== lobby) return;
+    if (!lobby.gameState || lobby.matchResult || lobby.gameState.turnCount !== turnCount) return;
+    
+    // Their client never did; end the turn here and skip the upkeep
+    endTurnOnServer(lobby, color);
+    runTurnClock(lobby);
+    scheduleBotTurn(lobby);
+  }, UPKEEP_SYNC_TIMEOUT);
+}
+
+// End color's turn without their client, skipping the upkeep only the page
+// runs, and tell everyone whose turn it is
+function endTurnOnServer(lobby, color) {
+  if (lobbies.get(lobby.id) !== lobby) return;
+  applyLobbyAction(lobby, color, { type: 'endTurn' });
+  closeUpkeepWindow(lobby);
+  saveLobby(lobby);
+  
+  const turnChange = {
+    currentPlayer: lobby.gameState.currentPlayer,
+    commandPoints: lobby.gameState.commandPoints
+  };
+  io.to(lobby.id).emit('turnChange', turnChange);
+  relayToSpectators(lobby, 'turnChange', turnChange);
+  flushSpectatorFeed(lobby);
+}
+
+// Ends the match with surrenderingPlayer ('player1' or 'player2') losing.
+// Returns null if the match was already over.
+function endMatchBySurrender(lobby, surrenderingPlayer, reason) {
+  if (lobby.matchResult) return null;
+  
+  const winner = surrenderingPlayer === 'player1' ? 'player2' : 'player1';
+  const winnerName = surrenderingPlayer === 'player1' ? 
+    lobby.players[1]?.name : lobby.players[0]?.name;
+  
+  const surrenderData = {
+    surrenderingPlayer: surrenderingPlayer,
+    winner: winner,
+    winnerName: winnerName,
+    gameState: lobby.gameState,
+    reason: reason || 'surrender'
+  };
+  
+  finishMatch(lobby, winner === 'player1' ? 'red' : 'blue', surrenderData.reason);
+  saveLobby(lobby);
+  stopTurnClock(lobby);
+  io.to(lobby.id).emit('gameSurrender', surrenderData);
+  flushSpectatorFeed(lobby, true);
+  io.to(spectatorRoom(lobby.id)).emit('gameSurrender', surrenderData);
+  revealMatchDice(lobby);
+  
+  return surrenderData;
+}
+
+// AI commanders
+// A host can seat an AI (bot.js) in the lobby's free seat before the match,
+// and an AI stands in for a player who drops mid-match and doesn't come back
+// within RECONNECT_GRACE_PERIOD. An AI seat is a player record with a bot
+// field. It picks its army whenever the human's client opens game setup, plays
+// its turns here through the same intents and match dice a client uses, and
+// ends them without the client-only upkeep, as a timed-out turn does.
+
+// Pause before an AI starts its turn, so the turn change reads on the page
+const BOT_TURN_DELAY = 1500;
+
+// The AI searches for its actions in planner-worker.js, so a Field Marshal
+// thinking for a second at a time doesn't hold up every other lobby. The
+// worker is started when first needed and again after it stops.
+let botPlannerWorker = null;
+let botPlannerRequestId = 0;
+const botPlannerRequests = new Map(); // id -> { resolve, reject }
+
+function getBotPlannerWorker() {
+  if (botPlannerWorker) return botPlannerWorker;
+  
+  const worker = new Worker(path.join(__dirname, 'planner-worker.js'));
+  worker.unref();
+  worker.on('message', ({ id, action, error }) => {
+    const request = botPlannerRequests.get(id);
+    if (!request) return;
+    botPlannerRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(action);
+    }
+  });
+  worker.on('error', error => {
+    console.error('❌ The AI planner worker failed:', error.message);
+  });
+  worker.on('exit', () => {
+    if (botPlannerWorker === worker) botPlannerWorker = null;
+    botPlannerRequests.forEach(request => request.reject(new Error('The AI planner worker stopped')));
+    botPlannerRequests.clear();
+  });
+  botPlannerWorker = worker;
+  return worker;
+}
+
+// The action the planner picks for an AI seat, on the lobby's content packs
+function chooseBotAction(lobby, situation, difficulty) {
+  const worker = getBotPlannerWorker();
+  return new Promise((resolve, reject) => {
+    const id = ++botPlannerRequestId;
+    botPlannerRequests.set(id, { resolve, reject });
+    worker.postMessage({ id: id, packs: getLobbyContentPacks(lobby), situation: situation, difficulty: difficulty });
+  });
+}
+
+function seatBot(lobby, settings) {
+  const player = bots.createBotPlayer(settings);
+  lobby.players.push(player);
+  return player;
+}
+
+// Select the AI seats' armies and mark them ready, as a player would in game
+// setup. Called after the human's client clears the selections on entering it.
+function fieldLobbyBots(lobby) {
+  const player1Id = lobby.players[0]?.id;
+  const player2Id = lobby.players[1]?.id;
+  
+  lobby.players.filter(p => p.bot).forEach(player => {
+    const army = bots.createBotArmy(lobby.settings && lobby.settings.armyPointLimit);
+    lobby.armySelections = lobby.armySelections || {};
+    lobby.armySelectionStatus = lobby.armySelectionStatus || {};
+    lobby.armyRosters = lobby.armyRosters || {};
+    lobby.gameSetupReadyStatus = lobby.gameSetupReadyStatus || {};
+    lobby.armySelections[player.id] = [army.id];
+    lobby.armyRosters[player.id] = { [army.id]: army };
+    lobby.armySelectionStatus[player.id] = true;
+    lobby.gameSetupReadyStatus[player.id] = true;
+    
+    io.to(lobby.id).emit('playerArmySelected', {
+      playerId: player.id,
+      armyId: army.id,
+      action: 'add',
+      armySelections: {
+        player1: lobby.armySelections[player1Id] || [],
+        player2: lobby.armySelections[player2Id] || []
+      },
+      armyData: army
+    });
+    io.to(lobby.id).emit('armySelectionStatusUpdate', {
+      selectionStatus: {
+        player1: !!lobby.armySelectionStatus[player1Id],
+        player2: !!lobby.armySelectionStatus[player2Id]
+      }
+    });
+    io.to(lobby.id).emit('gameSetupReadyStatusUpdate', {
+      playerId: player.id,
+      ready: true,
+      readyStatus: {
+        player1: !!lobby.gameSetupReadyStatus[player1Id],
+        player2: !!lobby.gameSetupReadyStatus[player2Id]
+      }
+    });
+  });
+}
+
+// An AI only takes over a running match that someone is still playing
+function canStandIn(lobby, player) {
+  return !!(lobby.gameState && lobby.dice) &&
+    lobby.players.some(p => p !== player && !p.bot && p.connected);
+}
+
+function standInForPlayer(lobby, player) {
+  player.bot = { ...bots.DEFAULT_BOT, standIn: true };
+  saveLobby(lobby);
+  io.to(lobby.id).emit('playerReplacedByBot', {
+    playerId: player.id,
+    name: player.name,
+    players: lobby.players
+  });
+  emitLobbyUpdate(lobby);
+  console.log(`🤖 An AI stands in for ${player.name} in lobby ${lobby.id}`);
+  scheduleBotTurn(lobby);
+}
+
+// Start the AI's turn shortly if the seat to play is an AI's
+function scheduleBotTurn(lobby) {
+  const { gameState } = lobby;
+  if (lobbies.get(lobby.id) !== lobby) return;
+  if (!gameState || !lobby.dice || lobby.pendingSync || lobby.botTimer || lobby.botPlaying) return;
+  
+  const color = gameState.currentPlayer;
+  const player = lobby.players[color === 'red' ? 0 : 1];
+  if (!player || !player.bot) return;
+  
+  // Nobody is left to play against
+  if (!lobby.players.some(p => !p.bot && p.connected)) return;
+  
+  const turnCount = gameState.turnCount;
+  lobby.botTimer = setTimeout(() => {
+    lobby.botTimer = null;
+    if (lobbies.get(lobby.id) !== lobby || !player.bot) return;
+    if (!lobby.gameState || lobby.gameState.turnCount !== turnCount || lobby.gameState.currentPlayer !== color) return;
+    playLobbyBotTurn(lobby, player, color).catch(error => {
+      console.error(`❌ ${player.name}'s turn failed in lobby ${lobby.id}:`, error.message);
+    });
+  }, BOT_TURN_DELAY);
+}
+
+// Apply an AI's intent and pass it on as a client's would be
+function applyBotAction(lobby, color, action) {
+  const reason = applyLobbyAction(lobby, color, action);
+  if (reason) {
+    console.error(`❌ Rejected ${action.type} from the AI in lobby ${lobby.id}: ${reason}`);
+    return reason;
+  }
+  
+  const state = getOwnedState(lobby.gameState);
+  io.to(lobby.id).emit('gameActionApplied', {
+    player: color,
+    action: hasFogOfWar(lobby) ? { type: action.type } : action,
+    state: state
+  });
+  relayToSpectators(lobby, 'gameActionApplied', {
+    player: color,
+    action: action,
+    state: state
+  });
+  return null;
+}
+
+function rollBotDie(lobby, color, kind, sides) {
+  const roll = rollMatchDice(lobby, color, kind, 1, sides);
+  if (typeof roll === 'string') throw new Error(roll);
+  
+  io.to(lobby.id).emit('diceRolled', roll);
+  relayToSpectators(lobby, 'diceRolled', roll);
+  return roll.values[0];
+}
+
+async function playLobbyBotTurn(lobby, player, color) {
+  const { gridSize } = getMatchSettings(lobby);
+  const { gameState, zones, turnLedger } = lobby;
+  // Stop if the match ends or the turn is ended for us. A player taking
+  // their seat back lets the AI finish the turn it started.
+  const isActive = () => lobbies.get(lobby.id) === lobby && !!lobby.dice &&
+    lobby.gameState === gameState && gameState.currentPlayer === color;
+  
+  lobby.botPlaying = true;
+  let result;
+  try {
+    result = await bots.playBotTurn({
+      zones: zones,
+      gameState: gameState,
+      gridSize: gridSize,
+      player: color,
+      armies: (lobby.armyRosters && lobby.armyRosters[player.id]) || {},
+      deployed: lobby.deployedInstances[color],
+      ledger: turnLedger,
+      fogOfWar: hasFogOfWar(lobby),
+      act: action => {
+        if (!isActive()) return 'The turn is over';
+        return applyBotAction(lobby, color, action);
+      },
+      roll: (kind, sides) => rollBotDie(lobby, color, kind, sides),
+      isActive: isActive,
+      choose: (situation, difficulty) => chooseBotAction(lobby, situation, difficulty),
+      // Other lobbies switch the shared rules tables while the AI waits
+      useRules: () => useLobbyContentPacks(lobby)
+    }, player.bot);
+  } finally {
+    lobby.botPlaying = false;
+  }
+  
+  if (!isActive()) return;
+  
+  getSeatedSockets(lobby).forEach(({ socket, color: seatColor }) => {
+    sendPlayerView(socket, lobby, seatColor, 'gameStateUpdate', { gameState: gameState, zones: zones });
+  });
+  relayToSpectators(lobby, 'gameStateUpdate', { gameState: gameState, zones: zones });
+  
+  console.log(`🤖 ${player.name} took ${result.actions} actions as ${color} in lobby ${lobby.id}`);
+  endTurnOnServer(lobby, color);
+  advanceTurnClock(lobby, color);
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Player connected:', socket.id);
 
   // Create lobby
   socket.on('createLobby', (data) => {
-    const { name } = data;
-    const lobbyCode = generateLobbyCode();
-    const playerId = socket.id;
+    const { name, lobbyName, isPublic, settings, bot } = data;
     
-    const lobby = {
-      id: lobbyCode,
-      players: [{
-        id: playerId,
-        name: name,
-        ready: false
-      }],
-      maxPlayers: 2
-    };
+    if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+      socket.emit('lobbyError', 'Leave your current lobby before creating another');
+      return;
+    }
+    leaveQuickMatch(socket);
     
-    lobbies.set(lobbyCode, lobby);
-    playerSockets.set(socket.id, {
-      lobbyCode: lobbyCode,
-      playerId: playerId,
-      name: name
+    // The host may seat an AI in the other seat from the start
+    const botError = bot ? bots.getBotSettingsError(bot) : null;
+    if (botError) {
+      socket.emit('lobbyError', botError);
+      return;
+    }
+    
+    const lobby = createLobbyRecord({
+      name: (lobbyName || '').trim() || `${name}'s Operation`,
+      isPublic: isPublic,
+      settings: settings
     });
     
-    socket.join(lobbyCode);
+    lobbies.set(lobby.id, lobby);
+    const reconnectToken = seatPlayer(socket, lobby, name);
+    if (bot) seatBot(lobby, bot);
+    
     socket.emit('lobbyCreated', {
+      id: lobby.id,
+      players: lobby.players,
+      myId: socket.id,
+      reconnectToken: reconnectToken
+    });
+    
+    console.log(`Lobby ${lobby.id} created by ${name}${lobby.isPublic ? ' (public)' : ''}`);
+  });
+
+  // Join lobby
+  socket.on('joinLobby', (data) => {
+    const { lobbyCode, name } = data;
+    const lobby = lobbies.get(lobbyCode);
+    
+    if (!lobby) {
+      socket.emit('lobbyError', 'Lobby not found');
+      return;
+    }
+    
+    if (lobby.players.length >= lobby.maxPlayers) {
+      socket.emit('lobbyError', 'Lobby is full');
+      return;
+    }
+    
+    if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+      socket.emit('lobbyError', 'Leave your current lobby before joining another');
+      return;
+    }
+    leaveQuickMatch(socket);
+    
+    const reconnectToken = seatPlayer(socket, lobby, name);
+    socket.emit('lobbyJoined', {
       id: lobbyCode,
       players: lobby.players,
-      myId: playerId
+      myId: socket.id,
+      reconnectToken: reconnectToken
+    });
+    
+    // Notify all players in lobby
+    emitLobbyUpdate(lobby);
+    
+    console.log(`${name} joined lobby ${lobbyCode}`);
+  });
+
+  // List open public lobbies
+  socket.on('listPublicLobbies', () => {
+    socket.emit('publicLobbyList', getPublicLobbies());
+  });
+
+  // Wait for an opponent with compatible settings
+  socket.on('joinQuickMatch', (data) => {
+    const { name } = data;
+    const settings = normalizeLobbySettings(data.settings);
+    
+    if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+      socket.emit('lobbyError', 'Leave your current lobby before joining quick match');
+      return;
+    }
+    leaveQuickMatch(socket);
+    
+    let merged = null;
+    const index = quickMatchQueue.findIndex(entry => (merged = mergeLobbySettings(entry.settings, settings)));
+    if (index === -1) {
+      quickMatchQueue.push({ socket: socket, name: name, settings: settings });
+      socket.emit('quickMatchQueued', { waiting: quickMatchQueue.length });
+      console.log(`⚔️ ${name} is waiting for a quick match`);
+      return;
+    }
+    
+    // The player who waited longest hosts
+    const [opponent] = quickMatchQueue.splice(index, 1);
+    const lobby = createLobbyRecord({
+      name: `${opponent.name} vs ${name}`,
+      isPublic: false,
+      settings: merged
+    });
+    lobbies.set(lobby.id, lobby);
+    
+    const hostToken = seatPlayer(opponent.socket, lobby, opponent.name);
+    const guestToken = seatPlayer(socket, lobby, name);
+    
+    opponent.socket.emit('lobbyCreated', {
+      id: lobby.id,
+      players: lobby.players,
+      myId: opponent.socket.id,
+      reconnectToken: hostToken
+    });
+    socket.emit('lobbyJoined', {
+      id: lobby.id,
+      players: lobby.players,
+      myId: socket.id,
+      reconnectToken: guestToken
     });
+    emitLobbyUpdate(lobby);
     
-    console.log(`Lobby ${lobbyCode} created by ${name}`);
+    console.log(`⚔️ Quick match: ${opponent.name} vs ${name} in lobby ${lobby.id}`);
   });
 
-  // Join lobby
-  socket.on('joinLobby', (data) => {
+  socket.on('leaveQuickMatch', () => {
+    leaveQuickMatch(socket);
+  });
+
+  // Watch a lobby without taking a seat
+  socket.on('spectateLobby', (data) => {
     const { lobbyCode, name } = data;
     const lobby = lobbies.get(lobbyCode);
     
@@ -70,39 +1193,154 @@ io.on('connection', (socket) => {
       return;
     }
     
-    if (lobby.players.length >= lobby.maxPlayers) {
-      socket.emit('lobbyError', 'Lobby is full');
+    // A player watching would see through their own fog of war
+    if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+      socket.emit('lobbyError', 'Leave your current lobby before spectating');
       return;
     }
     
-    const playerId = socket.id;
-    const newPlayer = {
-      id: playerId,
-      name: name,
-      ready: false
-    };
+    // Spectators stay out of playerSockets, so no game event from them is accepted
+    lobby.spectators.push({ id: socket.id, name: name });
+    spectatorSockets.set(socket.id, { lobbyCode: lobbyCode, name: name });
     
-    lobby.players.push(newPlayer);
-    playerSockets.set(socket.id, {
-      lobbyCode: lobbyCode,
-      playerId: playerId,
-      name: name
+    socket.join(spectatorRoom(lobbyCode));
+    socket.emit('spectatorJoined', {
+      ...getLobbySummary(lobby),
+      myId: socket.id,
+      gameConfig: lobby.gameState ? lobby.gameConfig : null,
+      ...getSpectatorView(lobby)
     });
     
-    socket.join(lobbyCode);
-    socket.emit('lobbyJoined', {
-      id: lobbyCode,
-      players: lobby.players,
-      myId: playerId
-    });
+    emitLobbyUpdate(lobby);
     
-    // Notify all players in lobby
-    io.to(lobbyCode).emit('lobbyUpdate', {
-      id: lobbyCode,
-      players: lobby.players
-    });
+    console.log(`👁️ ${name} is watching lobby ${lobbyCode}`);
+  });
+
+  // Host chooses how many turns the spectator feed runs behind the match
+  socket.on('setSpectatorDelay', (data) => {
+    const { lobbyCode, turns } = data;
+    const playerData = playerSockets.get(socket.id);
+    const lobby = lobbies.get(lobbyCode);
     
-    console.log(`${name} joined lobby ${lobbyCode}`);
+    if (!lobby || !playerData || playerData.lobbyCode !== lobbyCode) return;
+    
+    if (lobby.players[0].id !== playerData.playerId) {
+      console.error(`❌ ${playerData.name} is not the host of lobby ${lobbyCode} and cannot change the spectator feed`);
+      return;
+    }
+    
+    // Match dice only exist while a match is being played
+    if (lobby.dice) {
+      console.error(`❌ Spectator feed for lobby ${lobbyCode} cannot change once the battle has started`);
+      return;
+    }
+    
+    if (!Number.isInteger(turns) || turns < 0 || turns > MAX_SPECTATOR_DELAY) {
+      console.error(`❌ Spectator delay must be between 0 and ${MAX_SPECTATOR_DELAY} turns, got ${turns}`);
+      return;
+    }
+    
+    lobby.spectatorDelay = turns;
+    emitLobbyUpdate(lobby);
+    
+    console.log(`👁️ Spectator feed for lobby ${lobbyCode} set to ${turns} turn delay`);
+  });
+
+  // Host seats an AI in the lobby's free seat before the match
+  socket.on('addLobbyBot', (data) => {
+    const { lobbyCode, personality, difficulty } = data || {};
+    const playerData = playerSockets.get(socket.id);
+    const lobby = lobbies.get(lobbyCode);
+    
+    if (!lobby || !playerData || playerData.lobbyCode !== lobbyCode) return;
+    
+    if (lobby.players[0].id !== playerData.playerId) {
+      console.error(`❌ ${playerData.name} is not the host of lobby ${lobbyCode} and cannot add an AI`);
+      return;
+    }
+    
+    if (lobby.players.length >= lobby.maxPlayers || lobby.inGameSetup || lobby.dice) {
+      console.error(`❌ Lobby ${lobbyCode} has no free seat for an AI`);
+      return;
+    }
+    
+    const settings = { personality: personality, difficulty: difficulty };
+    const settingsError = bots.getBotSettingsError(settings);
+    if (settingsError) {
+      console.error(`❌ Cannot add an AI to lobby ${lobbyCode}: ${settingsError}`);
+      return;
+    }
+    
+    const player = seatBot(lobby, settings);
+    emitLobbyUpdate(lobby);
+    
+    console.log(`🤖 ${player.name} joined lobby ${lobbyCode}`);
+  });
+
+  socket.on('removeLobbyBot', (data) => {
+    const { lobbyCode } = data || {};
+    const playerData = playerSockets.get(socket.id);
+    const lobby = lobbies.get(lobbyCode);
+    
+    if (!lobby || !playerData || playerData.lobbyCode !== lobbyCode) return;
+    
+    if (lobby.players[0].id !== playerData.playerId) {
+      console.error(`❌ ${playerData.name} is not the host of lobby ${lobbyCode} and cannot remove an AI`);
+      return;
+    }
+    
+    // A stand-in holds a player's seat; only an AI the host added can go
+    const bot = lobby.players.find(p => p.bot && !p.bot.standIn);
+    if (!bot || lobby.inGameSetup || lobby.dice) {
+      console.error(`❌ Lobby ${lobbyCode} has no AI to remove before the match`);
+      return;
+    }
+    
+    removePlayerFromLobby(lobby, bot.id);
+    console.log(`🤖 ${bot.name} left lobby ${lobbyCode}`);
+  });
+
+  // Host chooses the lobby's content packs; both clients then load them and
+  // report back the rules checksum they ended up with
+  socket.on('selectContentPacks', (data) => {
+    const { lobbyCode, packIds } = data;
+    const playerData = playerSockets.get(socket.id);
+    const lobby = lobbies.get(lobbyCode);
+    
+    if (!lobby || !playerData || playerData.lobbyCode !== lobbyCode) return;
+    
+    if (lobby.players[0].id !== playerData.playerId) {
+      console.error(`❌ ${playerData.name} is not the host of lobby ${lobbyCode} and cannot change its content packs`);
+      return;
+    }
+    
+    if (lobby.dice) {
+      console.error(`❌ Content packs for lobby ${lobbyCode} cannot change once the battle has started`);
+      return;
+    }
+    
+    const ids = Array.isArray(packIds) ? Array.from(new Set(packIds)) : [];
+    const unknown = ids.find(id => !contentPacks.has(id));
+    if (unknown !== undefined) {
+      socket.emit('lobbyError', `Content pack ${unknown} is not available on this server`);
+      return;
+    }
+    
+    lobby.contentPacks = createContentPackChoice(ids);
+    emitLobbyUpdate(lobby);
+    
+    console.log(`📦 Lobby ${lobbyCode} content packs set to [${ids.join(', ')}] (${lobby.contentPacks.checksum})`);
+  });
+
+  socket.on('contentPacksLoaded', (data) => {
+    const { lobbyCode, checksum } = data;
+    const playerData = playerSockets.get(socket.id);
+    const lobby = lobbies.get(lobbyCode);
+    
+    if (!lobby || !playerData || playerData.lobbyCode !== lobbyCode) return;
+    
+    lobby.contentPacks.reported[playerData.playerId] = String(checksum);
+    emitLobbyUpdate(lobby);
   });
 
   // Player ready/unready
@@ -130,7 +1368,8 @@ io.on('connection', (socket) => {
         setTimeout(() => {
           io.to(playerData.lobbyCode).emit('startGame', {
             lobbyCode: playerData.lobbyCode,
-            players: lobby.players
+            players: lobby.players,
+            settings: lobby.settings
           });
           console.log(`Game starting in lobby ${playerData.lobbyCode}`);
         }, 2000);
@@ -152,6 +1391,7 @@ io.on('connection', (socket) => {
     
     const lobby = lobbies.get(lobbyCode);
     if (!lobby) return;
+    useLobbyContentPacks(lobby);
     
     // Store army selection in lobby data
     if (!lobby.armySelections) {
@@ -173,9 +1413,37 @@ io.on('connection', (socket) => {
       } else {
         console.log(`❌ Army ${armyId} not found in player ${playerId}'s selections`);
       }
+      if (lobby.armyRosters && lobby.armyRosters[playerData.playerId]) {
+        delete lobby.armyRosters[playerData.playerId][String(armyId)];
+      }
     } else {
       // Add army to selection (default action)
       console.log('➕ Processing army addition...');
+      
+      // The army may have been imported from a share code rather than built
+      // in the client, so check its units are ones the game knows, then price
+      // it from the same stats placed units are checked against
+      const pointLimit = lobby.settings && lobby.settings.armyPointLimit;
+      const rosters = (lobby.armyRosters && lobby.armyRosters[playerData.playerId]) || {};
+      const otherArmies = Object.keys(rosters).filter(id => id !== String(armyId)).map(id => rosters[id]);
+      // Placed units are built from the roster, so an army can't be selected without one
+      const armyError = armyData
+        ? rules.getArmyDataError(armyData) || rules.validateArmySelection([...otherArmies, armyData], pointLimit)
+        : 'Army details are needed to select an army';
+      if (armyError) {
+        socket.emit('armySelectionRejected', { playerId: playerId, armyId: armyId, reason: armyError });
+        console.log(`❌ Army ${armyId} rejected for player ${playerId}: ${armyError}`);
+        return;
+      }
+      
+      // Keep the roster so units placed during the match can be checked against it
+      if (!lobby.armyRosters) {
+        lobby.armyRosters = {};
+      }
+      if (!lobby.armyRosters[playerData.playerId]) {
+        lobby.armyRosters[playerData.playerId] = {};
+      }
+      lobby.armyRosters[playerData.playerId][String(armyId)] = armyData;
       if (!lobby.armySelections[playerId].includes(armyId)) {
         lobby.armySelections[playerId].push(armyId);
         console.log(`✅ Player ${playerId} selected army ${armyId} in lobby ${lobbyCode}`);
@@ -509,6 +1777,30 @@ io.on('connection', (socket) => {
       return;
     }
     
+    const packMismatch = getContentPackMismatch(lobby);
+    if (packMismatch) {
+      socket.emit('lobbyError', packMismatch);
+      return;
+    }
+    
+    // A scenario is sent in place of the terrain seed and fixes the settings it was made with
+    const scenario = gameConfig && gameConfig.gameSettings && gameConfig.gameSettings.scenario;
+    if (scenario) {
+      useLobbyContentPacks(lobby);
+      const scenarioError = rules.getScenarioError(scenario);
+      if (scenarioError) {
+        socket.emit('lobbyError', `This scenario can't be played: ${scenarioError}`);
+        return;
+      }
+      Object.assign(gameConfig.gameSettings, rules.getScenarioSettings(scenario));
+    }
+    
+    const victoryError = rules.getVictorySettingsError(gameConfig && gameConfig.gameSettings && gameConfig.gameSettings.victorySettings);
+    if (victoryError) {
+      socket.emit('lobbyError', victoryError);
+      return;
+    }
+    
     // Store game configuration
     lobby.gameConfig = gameConfig;
     
@@ -518,39 +1810,38 @@ io.on('connection', (socket) => {
       gameConfig: gameConfig,
       players: lobby.players
     });
+    io.to(spectatorRoom(lobbyCode)).emit('multiplayerGameStarted', {
+      lobbyCode: lobbyCode,
+      gameConfig: gameConfig,
+      players: lobby.players
+    });
     
-    // Store initial game state in lobby for synchronization
-    lobby.gameState = null; // Will be set by the first player
-    lobby.zones = null; // Will be set by the first player
+    // The host's first state update becomes the authoritative match
+    resetAuthoritativeMatch(lobby);
+    revealMatchDice(lobby);
+    startMatchDice(lobby);
     
     console.log(`Multiplayer game started in lobby ${lobbyCode}`);
   });
 
   // Leave lobby
   socket.on('leaveLobby', () => {
+    if (spectatorSockets.has(socket.id)) {
+      removeSpectator(socket);
+      return;
+    }
+    
     const playerData = playerSockets.get(socket.id);
     if (!playerData) return;
     
     const lobby = lobbies.get(playerData.lobbyCode);
     if (lobby) {
-      // Remove player from lobby
-      lobby.players = lobby.players.filter(p => p.id !== playerData.playerId);
-      
-      // If lobby is empty, delete it
-      if (lobby.players.length === 0) {
-        lobbies.delete(playerData.lobbyCode);
-        console.log(`Lobby ${playerData.lobbyCode} deleted (empty)`);
-      } else {
-        // Notify remaining players
-        io.to(playerData.lobbyCode).emit('lobbyUpdate', {
-          id: playerData.lobbyCode,
-          players: lobby.players
-        });
-      }
+      removePlayerFromLobby(lobby, playerData.playerId);
     }
     
     socket.leave(playerData.lobbyCode);
     playerSockets.delete(socket.id);
+    reconnectTokens.delete(playerData.reconnectToken);
     console.log(`${playerData.name} left lobby ${playerData.lobbyCode}`);
   });
 
@@ -619,6 +1910,106 @@ io.on('connection', (socket) => {
   });
 
   // Multiplayer game synchronization handlers
+  socket.on('gameAction', (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const { lobbyCode, action } = data || {};
+    const playerData = playerSockets.get(socket.id);
+    
+    if (!playerData || playerData.lobbyCode !== lobbyCode) {
+      respond({ ok: false, reason: 'Not in this lobby' });
+      return;
+    }
+    
+    const lobby = lobbies.get(lobbyCode);
+    if (!lobby) {
+      respond({ ok: false, reason: 'Lobby not found' });
+      return;
+    }
+    
+    const color = getPlayerColor(lobby, playerData.playerId);
+    const reason = color ? applyLobbyAction(lobby, color, action) : 'You are not playing in this match';
+    
+    if (reason) {
+      console.error(`❌ Rejected ${action && action.type} from ${playerData.name} in lobby ${lobbyCode}: ${reason}`);
+      respond({ ok: false, reason: reason, state: lobby.gameState ? getOwnedState(lobby.gameState) : null });
+      return;
+    }
+    
+    const state = getOwnedState(lobby.gameState);
+    respond({ ok: true, state: state });
+    refreshFogViews(lobby);
+    
+    if (action.type === 'endTurn') {
+      advanceTurnClock(lobby, color);
+      
+      // A new turn may release held-back events to a delayed spectator feed
+      flushSpectatorFeed(lobby);
+      
+      // The ending player's upkeep update hands the turn over; if it never
+      // arrives, tell the opponent directly
+      setTimeout(() => {
+        if (lobbies.get(lobby.id) === lobby && lobby.pendingSync === color &&
+            lobby.gameState && lobby.gameState.turnCount === state.turnCount) {
+          closeUpkeepWindow(lobby);
+          saveLobby(lobby);
+          socket.to(lobbyCode).emit('turnChange', {
+            currentPlayer: state.currentPlayer,
+            commandPoints: state.commandPoints
+          });
+          relayToSpectators(lobby, 'turnChange', {
+            currentPlayer: state.currentPlayer,
+            commandPoints: state.commandPoints
+          });
+          scheduleBotTurn(lobby);
+        }
+      }, UPKEEP_SYNC_TIMEOUT);
+    } else {
+      // Under fog of war the opponent only learns what kind of order it was
+      socket.to(lobbyCode).emit('gameActionApplied', {
+        player: color,
+        action: hasFogOfWar(lobby) ? { type: action.type } : action,
+        state: state
+      });
+      relayToSpectators(lobby, 'gameActionApplied', {
+        player: color,
+        action: action,
+        state: state
+      });
+    }
+  });
+
+  // Dice are rolled here so both players see the same, checkable results
+  socket.on('requestRoll', (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const { lobbyCode, kind, count, sides } = data || {};
+    const playerData = playerSockets.get(socket.id);
+
+    if (!playerData || playerData.lobbyCode !== lobbyCode) {
+      respond({ ok: false, reason: 'Not in this lobby' });
+      return;
+    }
+
+    const lobby = lobbies.get(lobbyCode);
+    if (!lobby) {
+      respond({ ok: false, reason: 'Lobby not found' });
+      return;
+    }
+
+    // A weather roll reads the forecast, which may come from a pack
+    useLobbyContentPacks(lobby);
+    const roll = rollMatchDice(lobby, getPlayerColor(lobby, playerData.playerId), kind, count, sides);
+    if (typeof roll === 'string') {
+      console.error(`❌ Refused ${kind} roll from ${playerData.name} in lobby ${lobbyCode}: ${roll}`);
+      respond({ ok: false, reason: roll });
+      return;
+    }
+
+    console.log(`🎲 Roll #${roll.sequence} (${kind}) for ${roll.player} in lobby ${lobbyCode}:`, roll.values);
+    respond({ ok: true, roll: roll });
+    socket.to(lobbyCode).emit('diceRolled', roll);
+    relayToSpectators(lobby, 'diceRolled', roll);
+  });
+
   socket.on('gameStateUpdate', (data) => {
     const { lobbyCode, gameState, zones } = data;
     const playerData = playerSockets.get(socket.id);
@@ -628,14 +2019,52 @@ io.on('connection', (socket) => {
     const lobby = lobbies.get(lobbyCode);
     if (!lobby) return;
     
-    // Store the game state in the lobby
-    lobby.gameState = gameState;
-    lobby.zones = zones;
+    const color = getPlayerColor(lobby, playerData.playerId);
+    if (!color) return;
+    
+    // Checked and filtered on the lobby's content packs
+    useLobbyContentPacks(lobby);
+    if (!lobby.gameState) {
+      // Only the host's opening state starts the match, and only once the
+      // server accepted its startMultiplayerGame and seeded the dice
+      if (color !== 'red' || !lobby.dice || !lobby.gameConfig || !gameState || !Array.isArray(zones)) return;
+      const openingError = getOpeningBoardError(lobby, zones);
+      if (openingError) {
+        console.error(`❌ Rejected opening state in lobby ${lobbyCode}: ${openingError}`);
+        return;
+      }
+      startAuthoritativeMatch(lobby, gameState, zones);
+      startTurnClock(lobby);
+      saveLobby(lobby);
+    } else {
+      const reason = (zones && restoreHiddenUnits(lobby, color, zones)) || validateStateUpdate(lobby, color, gameState, zones);
+      if (reason) {
+        rejectStateUpdate(socket, lobby, reason);
+        return;
+      }
+      const isUpkeepSync = lobby.pendingSync === color;
+      if (isUpkeepSync) lobby.pendingSync = null;
+      
+      // Store the game state in the lobby
+      if (gameState) lobby.gameState = gameState;
+      if (zones) lobby.zones = zones;
+      
+      // The ending player's upkeep completes the turn change
+      if (isUpkeepSync) {
+        saveLobby(lobby);
+        scheduleBotTurn(lobby);
+      }
+    }
     
     // Broadcast to all other players in the lobby
-    socket.to(lobbyCode).emit('gameStateUpdate', {
-      gameState: gameState,
-      zones: zones
+    emitMatchState(socket, lobby, 'gameStateUpdate', {
+      gameState: lobby.gameState,
+      zones: lobby.zones
+    });
+    sendFogUpdate(socket, lobby, color);
+    relayToSpectators(lobby, 'gameStateUpdate', {
+      gameState: lobby.gameState,
+      zones: lobby.zones
     });
   });
 
@@ -646,16 +2075,31 @@ io.on('connection', (socket) => {
     if (!playerData || playerData.lobbyCode !== lobbyCode) return;
     
     const lobby = lobbies.get(lobbyCode);
-    if (!lobby) return;
+    if (!lobby || !lobby.gameState) return;
+    
+    const color = getPlayerColor(lobby, playerData.playerId);
+    useLobbyContentPacks(lobby);
+    let reason = color ? null : 'You are not playing in this match';
+    if (!reason && zones) reason = restoreHiddenUnits(lobby, color, zones);
+    if (!reason) reason = validateStateUpdate(lobby, color, gameState, zones);
+    if (reason) {
+      rejectStateUpdate(socket, lobby, reason);
+      return;
+    }
     
     // Store the battlefield state in the lobby
-    lobby.zones = zones;
+    if (zones) lobby.zones = zones;
     if (gameState) lobby.gameState = gameState;
     
     // Broadcast to all other players in the lobby
-    socket.to(lobbyCode).emit('battlefieldUpdate', {
-      zones: zones,
-      gameState: gameState
+    emitMatchState(socket, lobby, 'battlefieldUpdate', {
+      zones: lobby.zones,
+      gameState: lobby.gameState
+    });
+    sendFogUpdate(socket, lobby, color);
+    relayToSpectators(lobby, 'battlefieldUpdate', {
+      zones: lobby.zones,
+      gameState: lobby.gameState
     });
   });
 
@@ -666,43 +2110,44 @@ io.on('connection', (socket) => {
     if (!playerData || playerData.lobbyCode !== lobbyCode) return;
     
     const lobby = lobbies.get(lobbyCode);
-    if (!lobby) return;
+    if (!lobby || !lobby.gameState) return;
+    
+    const color = getPlayerColor(lobby, playerData.playerId);
+    const previousZone = findZone(lobby, currentZoneDetail && currentZoneDetail.id);
+    useLobbyContentPacks(lobby);
+    let reason = color ? null : 'You are not playing in this match';
+    if (!reason && !previousZone) reason = 'Unknown zone';
+    if (!reason) reason = restoreHiddenUnits(lobby, color, [currentZoneDetail]);
+    if (!reason) reason = validateStateUpdate(lobby, color, gameState, null);
+    if (!reason) reason = validateZoneUpdate(lobby, color, previousZone, currentZoneDetail, lobby.pendingSync === color);
+    if (reason) {
+      rejectStateUpdate(socket, lobby, reason);
+      return;
+    }
     
     // Store the zone battle state in the lobby
+    lobby.zones[lobby.zones.indexOf(previousZone)] = currentZoneDetail;
     lobby.currentZoneDetail = currentZoneDetail;
     if (gameState) lobby.gameState = gameState;
     
     // Broadcast to all other players in the lobby
-    socket.to(lobbyCode).emit('zoneBattleUpdate', {
+    emitMatchState(socket, lobby, 'zoneBattleUpdate', {
+      currentZoneDetail: currentZoneDetail,
+      gameState: lobby.gameState
+    });
+    sendFogUpdate(socket, lobby, color);
+    relayToSpectators(lobby, 'zoneBattleUpdate', {
       currentZoneDetail: currentZoneDetail,
-      gameState: gameState
+      gameState: lobby.gameState
     });
   });
 
+  // Turn order belongs to the server now; turns only end through the 'endTurn' game action
   socket.on('turnChange', (data) => {
-    const { lobbyCode, currentPlayer, commandPoints } = data;
     const playerData = playerSockets.get(socket.id);
-    
-    if (!playerData || playerData.lobbyCode !== lobbyCode) return;
-    
-    const lobby = lobbies.get(lobbyCode);
-    if (!lobby) return;
-    
-    // Store the turn state in the lobby
-    if (lobby.gameState) {
-      lobby.gameState.currentPlayer = currentPlayer;
-      lobby.gameState.commandPoints = commandPoints;
-    }
-    
-    // Broadcast to all other players in the lobby
-    socket.to(lobbyCode).emit('turnChange', {
-      currentPlayer: currentPlayer,
-      commandPoints: commandPoints
-    });
+    console.error(`❌ Ignored client turnChange from ${playerData ? playerData.name : socket.id}`);
   });
 
-
-
   // Request army selection status
   socket.on('requestArmySelectionStatus', (data) => {
     console.log('🎖️ ===== REQUEST ARMY SELECTION STATUS =====');
@@ -754,11 +2199,10 @@ io.on('connection', (socket) => {
     console.log('🏳️ Socket ID:', socket.id);
     console.log('🏳️ Player data:', playerSockets.get(socket.id));
     
-    const { lobbyCode, surrenderingPlayer, gameState } = data;
+    const { lobbyCode } = data;
     const playerData = playerSockets.get(socket.id);
     
     console.log('🏳️ Lobby code from data:', lobbyCode);
-    console.log('🏳️ Surrendering player:', surrenderingPlayer);
     console.log('🏳️ Player data lobby code:', playerData?.lobbyCode);
     
     if (!playerData || playerData.lobbyCode !== lobbyCode) {
@@ -778,24 +2222,22 @@ io.on('connection', (socket) => {
     console.log('🏳️ Found lobby:', lobby);
     console.log('🏳️ Lobby players:', lobby.players);
     
-    // Determine winner based on who surrendered
-    const winner = surrenderingPlayer === 'player1' ? 'player2' : 'player1';
-    const winnerName = surrenderingPlayer === 'player1' ? 
-      lobby.players[1]?.name : lobby.players[0]?.name;
-    
-    const surrenderData = {
-      surrenderingPlayer: surrenderingPlayer,
-      winner: winner,
-      winnerName: winnerName,
-      gameState: gameState
-    };
-    
-    console.log('📤 Broadcasting surrender to all players in lobby');
-    console.log('🏆 Winner:', winnerName);
-    console.log('🏳️ Surrender data to broadcast:', surrenderData);
+    // The side that surrenders is the one this socket is seated on
+    const color = getPlayerColor(lobby, playerData.playerId);
+    if (!color) {
+      console.error('❌ Only a seated player can surrender');
+      return;
+    }
     
     // Broadcast surrender to all players in the lobby
-    io.to(lobbyCode).emit('gameSurrender', surrenderData);
+    const surrenderData = endMatchBySurrender(lobby, color === 'red' ? 'player1' : 'player2');
+    if (!surrenderData) {
+      console.error('❌ The match is already over');
+      return;
+    }
+    
+    console.log('🏆 Winner:', surrenderData.winnerName);
+    console.log('🏳️ Surrender data broadcast:', surrenderData);
     
     console.log('✅ Surrender broadcast completed');
     console.log('🏳️ ===== PLAYER SURRENDER COMPLETED =====');
@@ -816,10 +2258,10 @@ io.on('connection', (socket) => {
           // Remove player from lobby
           lobby.players = lobby.players.filter(p => p.id !== playerData.playerId);
           
-          // Delete lobby if empty
-          if (lobby.players.length === 0) {
+          // Delete lobby if empty, or only AI seats are left
+          if (lobby.players.every(p => p.bot)) {
             console.log(`Lobby ${playerData.lobbyCode} deleted (disconnect)`);
-            lobbies.delete(playerData.lobbyCode);
+            deleteLobby(playerData.lobbyCode);
           } else {
             // Notify remaining players
             io.to(playerData.lobbyCode).emit('playerLeft', {
@@ -851,21 +2293,19 @@ io.on('connection', (socket) => {
     // Remove player from lobby
     lobby.players = lobby.players.filter(p => p.id !== playerData.playerId);
     
-    // If lobby is empty, delete it
-    if (lobby.players.length === 0) {
-      lobbies.delete(lobbyCode);
+    // If lobby is empty, or only AI seats are left, delete it
+    if (lobby.players.every(p => p.bot)) {
+      deleteLobby(lobbyCode);
       console.log(`🚪 Lobby ${lobbyCode} deleted (all players left)`);
     } else {
       // Notify remaining players
-      io.to(lobbyCode).emit('lobbyUpdate', {
-        id: lobbyCode,
-        players: lobby.players
-      });
+      emitLobbyUpdate(lobby);
       console.log(`🚪 Remaining players in lobby ${lobbyCode}:`, lobby.players.length);
     }
     
     // Remove player from socket tracking
     playerSockets.delete(socket.id);
+    reconnectTokens.delete(playerData.reconnectToken);
     
     console.log('✅ Player left lobby successfully');
     console.log('🚪 ===== PLAYER LEAVE LOBBY COMPLETED =====');
@@ -895,12 +2335,16 @@ io.on('connection', (socket) => {
     // Clear army selections
     lobby.armySelections = {};
     lobby.armySelectionStatus = {};
+    lobby.armyRosters = {};
     
     // Notify all players in the lobby
     io.to(lobbyCode).emit('armySelectionsCleared', {
       lobbyCode: lobbyCode
     });
     
+    // AI seats pick their armies again straight away
+    fieldLobbyBots(lobby);
+    
     console.log('✅ Army selections cleared successfully');
     console.log('🧹 ===== CLEAR ARMY SELECTIONS COMPLETED =====');
   });
@@ -936,8 +2380,9 @@ io.on('connection', (socket) => {
     
     console.log('🔄 Current new game requests:', lobby.newGameRequests);
     
-    // Check if both players have requested new game
-    const allPlayersRequested = lobby.players.every(player => 
+    // Check if both players have requested new game; AI seats always will
+    const humanPlayers = lobby.players.filter(player => !player.bot);
+    const allPlayersRequested = humanPlayers.every(player => 
       lobby.newGameRequests[player.id]
     );
     
@@ -947,6 +2392,9 @@ io.on('connection', (socket) => {
       // Clear army selections
       lobby.armySelections = {};
       lobby.armySelectionStatus = {};
+      lobby.armyRosters = {};
+      resetAuthoritativeMatch(lobby);
+      revealMatchDice(lobby);
       
       // Clear new game requests
       lobby.newGameRequests = {};
@@ -965,7 +2413,7 @@ io.on('connection', (socket) => {
         lobbyCode: lobbyCode,
         requestingPlayer: playerData.name,
         pendingRequests: Object.keys(lobby.newGameRequests).length,
-        totalPlayers: lobby.players.length
+        totalPlayers: humanPlayers.length
       });
     }
     
@@ -1049,9 +2497,9 @@ io.on('connection', (socket) => {
     
     console.log('🏆 Updated victory acceptances:', lobby.victoryAcceptances);
     
-    // Check if all players have accepted
+    // Check if all players have accepted; AI seats don't need to
     const allPlayersAccepted = lobby.players.every(player => 
-      lobby.victoryAcceptances[player.id] === true
+      player.bot || lobby.victoryAcceptances[player.id] === true
     );
     
     if (allPlayersAccepted) {
@@ -1087,7 +2535,7 @@ io.on('connection', (socket) => {
     console.log('🏆 Socket ID:', socket.id);
     console.log('🏆 Player data:', playerSockets.get(socket.id));
     
-    const { lobbyCode, winner, winnerName, endCondition, gameState, zones } = data;
+    const { lobbyCode } = data;
     const playerData = playerSockets.get(socket.id);
     
     if (!playerData || playerData.lobbyCode !== lobbyCode) {
@@ -1101,54 +2549,146 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Update lobby state with the victory data
-    if (gameState) {
-      lobby.gameState = gameState;
+    if (lobby.matchResult) {
+      console.error('❌ The match is already over');
+      return;
+    }
+    
+    // A client only claims the win; the server checks it on its own board,
+    // which already holds the state the claiming client pushed before it
+    if (!getPlayerColor(lobby, playerData.playerId)) {
+      console.error('❌ Only a seated player can claim victory');
+      return;
     }
-    if (zones) {
-      lobby.zones = zones;
-      console.log('🏆 Updated lobby zones with victory state');
+    const { winner, endCondition, reason } = checkMatchVictory(lobby);
+    if (!winner) {
+      console.error('❌ No side has won on the server\'s board');
+      return;
     }
     
     console.log('🏆 Broadcasting victory to all players in lobby');
     
     // Broadcast victory to all players in the lobby
-    io.to(lobbyCode).emit('gameVictory', {
+    const winnerPlayer = lobby.players[winner === 'red' ? 0 : 1];
+    const victoryData = {
       lobbyCode: lobbyCode,
       winner: winner,
-      winnerName: winnerName,
+      winnerName: winnerPlayer ? winnerPlayer.name : winner,
       endCondition: endCondition,
-      gameState: gameState,
-      zones: zones // Include the zones from the victory event
-    });
+      endReason: reason,
+      gameState: lobby.gameState,
+      zones: lobby.zones
+    };
+    finishMatch(lobby, winner, endCondition);
+    saveLobby(lobby);
+    stopTurnClock(lobby);
+    io.to(lobbyCode).emit('gameVictory', victoryData);
+    flushSpectatorFeed(lobby, true);
+    io.to(spectatorRoom(lobbyCode)).emit('gameVictory', victoryData);
+    revealMatchDice(lobby);
     
     console.log('✅ Victory broadcast completed');
     console.log('🏆 ===== GAME VICTORY COMPLETED =====');
   });
 
+  // Reclaim a slot held after a dropped connection
+  socket.on('rejoinLobby', (data) => {
+    const { reconnectToken, lobbyCode } = data || {};
+    const entry = reconnectTokens.get(reconnectToken);
+    if (entry && lobbyCode && lobbyCode !== entry.lobbyCode) {
+      socket.emit('rejoinFailed', { reason: 'That place belongs to another lobby' });
+      return;
+    }
+    const lobby = entry && lobbies.get(entry.lobbyCode);
+    const player = lobby && lobby.players.find(p => p.id === entry.playerId);
+    
+    if (!player) {
+      reconnectTokens.delete(reconnectToken);
+      socket.emit('rejoinFailed', { reason: 'Your place in the lobby has expired' });
+      return;
+    }
+    
+    if (lobby.reconnectTimers && lobby.reconnectTimers[player.id]) {
+      clearTimeout(lobby.reconnectTimers[player.id]);
+      delete lobby.reconnectTimers[player.id];
+    }
+    
+    // The server may not have noticed the old connection drop yet
+    for (const [socketId, other] of playerSockets) {
+      if (other.reconnectToken === reconnectToken && socketId !== socket.id) {
+        playerSockets.delete(socketId);
+        const oldSocket = io.sockets.sockets.get(socketId);
+        if (oldSocket) oldSocket.disconnect(true);
+      }
+    }
+    
+    // Take the seat back from the AI standing in; a turn it already started
+    // is played out
+    if (player.bot) {
+      delete player.bot;
+      clearTimeout(lobby.botTimer);
+      lobby.botTimer = null;
+      console.log(`🤖 ${player.name} took their seat back from the AI in lobby ${lobby.id}`);
+    }
+    
+    player.connected = true;
+    playerSockets.set(socket.id, {
+      lobbyCode: lobby.id,
+      playerId: player.id,
+      name: player.name,
+      reconnectToken: reconnectToken
+    });
+    
+    socket.join(lobby.id);
+    sendPlayerView(socket, lobby, getPlayerColor(lobby, player.id), 'lobbyRejoined', {
+      id: lobby.id,
+      players: lobby.players,
+      myId: player.id,
+      gameConfig: lobby.gameConfig,
+      gameState: lobby.gameState,
+      zones: lobby.zones
+    });
+    socket.to(lobby.id).emit('playerReconnected', {
+      playerId: player.id,
+      name: player.name,
+      players: lobby.players
+    });
+    if (lobby.clock && lobby.gameState) {
+      socket.emit('turnClock', getTurnClockState(lobby));
+    }
+    
+    console.log(`🔌 ${player.name} reconnected to lobby ${lobby.id}`);
+    
+    // A restored match may be waiting on an AI seat
+    scheduleBotTurn(lobby);
+  });
+
   // Disconnect handling
   socket.on('disconnect', () => {
+    leaveQuickMatch(socket);
+    
+    if (spectatorSockets.has(socket.id)) {
+      removeSpectator(socket);
+      return;
+    }
+    
     const playerData = playerSockets.get(socket.id);
     if (playerData) {
+      playerSockets.delete(socket.id);
+      
       const lobby = lobbies.get(playerData.lobbyCode);
-      if (lobby) {
-        // Remove player from lobby
-        lobby.players = lobby.players.filter(p => p.id !== playerData.playerId);
+      const player = lobby && lobby.players.find(p => p.id === playerData.playerId);
+      if (player) {
+        // Hold the slot for a while so a dropped connection doesn't end the match
+        holdPlayerSlot(lobby, player, playerData.reconnectToken);
         
-        // If lobby is empty, delete it
-        if (lobby.players.length === 0) {
-          lobbies.delete(playerData.lobbyCode);
-          console.log(`Lobby ${playerData.lobbyCode} deleted (disconnect)`);
-        } else {
-          // Notify remaining players
-          io.to(playerData.lobbyCode).emit('lobbyUpdate', {
-            id: playerData.lobbyCode,
-            players: lobby.players
-          });
-        }
+        io.to(lobby.id).emit('playerReconnecting', {
+          playerId: player.id,
+          name: player.name,
+          gracePeriod: RECONNECT_GRACE_PERIOD
+        });
       }
       
-      playerSockets.delete(socket.id);
       console.log(`${playerData.name} disconnected from lobby ${playerData.lobbyCode}`);
     }
   });
@@ -1168,9 +2708,61 @@ app.get('/health', (req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🎖️ Multiplayer game server running on port ${PORT}`);
-  console.log(`🎖️ Army selection system enabled`);
-  console.log(`Open http://localhost:${PORT}/ww1game.html in your browser`);
-}); 
\ No newline at end of file
+// Open public lobbies, for the lobby browser
+app.get('/lobbies', (req, res) => {
+  res.json(getPublicLobbies());
+});
+
+// Content packs on offer, and each pack in full
+app.get('/content-packs', (req, res) => {
+  res.json(Array.from(contentPacks.values()).map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description || '',
+    checksum: rules.getContentPackChecksum([pack])
+  })));
+});
+
+app.get('/content-packs/:id', (req, res) => {
+  const pack = contentPacks.get(req.params.id);
+  if (!pack) {
+    res.status(404).json({ error: 'Content pack not found' });
+    return;
+  }
+  res.json(pack);
+});
+
+// Campaigns on offer, and each campaign in full. Not /campaigns, which
+// reads as the campaigns/ directory the files are loaded from.
+app.get('/campaign-files', (req, res) => {
+  res.json(Array.from(campaigns.values()).map(campaign => ({
+    id: campaign.id,
+    name: campaign.name,
+    description: campaign.description || ''
+  })));
+});
+
+app.get('/campaign-files/:id', (req, res) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return;
+  }
+  res.json(campaign);
+});
+
+restoreLobbies();
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`🎖️ Multiplayer game server running on port ${PORT}`);
+    console.log(`🎖️ Army selection system enabled`);
+    console.log(`Open http://localhost:${PORT}/ww1game.html in your browser`);
+  });
+}
+
+module.exports = {
+  lobbies,
+  deleteLobby
+};
@@ -0,0 +1,595 @@
+/**
+ * Ashes of the Covenant - battle simulator
+ *
+ * Plays whole matches between two AI commanders with nothing drawn and no
+ * dice animations, to see how armies and personalities fare against each
+ * other. Each turn a side plans with AIPlanner.planStrategy and fights the
+ * zones it picked with AIPlanner.chooseAction, the pipeline the page's AI
+ * runs (makeStrategicDecisions, then executeAITacticalActions). Actions are
+ * played with AIPlanner.simulateAction, so the dice, morale and retreats are
+ * the ones in rules.js, and zones, command points and the win condition come
+ * from rules.js as they do in a match. Battlefields and dice are seeded, so
+ * a batch run twice gives the same report.
+ *
+ * Artillery, aircraft, gas and fortifications are only played on the page,
+ * so units that don't go on the tactical grid are left out of the armies.
+ *
+ *   node simulator.js --matches 50 --red legions.json --blue aggressive \
+ *     --terrain forest --weather rain --win-condition hq --json report.json
+ *
+ * `node simulator.js --help` lists every option. Tests live in
+ * test/simulator.test.js (`npm test`).
+ */
+const fs = require('fs');
+const rules = require('./rules');
+const planner = require('./planner');
+
+const SIDES = ['red', 'blue'];
+
+// Actions a side may take in one zone, should the planner never pass; the
+// page stops at the same number
+const MAX_ACTIONS_PER_ZONE = 30;
+
+// Settings a batch is run with when not given, a match as game setup starts it
+const DEFAULT_SIMULATION = {
+  matches: 10,
+  seed: 'simulation',
+  terrain: 'random',
+  weather: 'clear',
+  dayNight: 'day',
+  winCondition: 'dominance',
+  victorySettings: {},
+  zoneCount: 6,
+  zoneLayout: 'line',
+  gridSize: 8,
+  startingCP: 3,
+  difficulty: 'recruit',
+  // Rounds after which a match that no one has won is called a draw
+  maxRounds: 30
+};
+
+// The army a side fields when only its personality is given: the AI's
+// standard legion, a mixed force from the game's default units
+const DEFAULT_ARMY = planner.DEFAULT_AI_ARMY;
+
+// Sides
+// A side is { name, personality, armies }, armies being saved legions as
+// the page exports them. The units of all its legions take the field.
+
+// The side a command-line value stands for: a personality, which fields
+// DEFAULT_ARMY, or a legion file exported from the game, which fields every
+// legion in it under the given personality
+function readSide(value, personality = planner.DEFAULT_AI_PERSONALITY) {
+  if (planner.AI_PERSONALITIES[value]) {
+    return { name: planner.AI_PERSONALITIES[value].name, personality: value, armies: [DEFAULT_ARMY] };
+  }
+
+  let collection;
+  try {
+    collection = JSON.parse(fs.readFileSync(value, 'utf8'));
+  } catch (error) {
+    throw new Error(`"${value}" is neither an AI personality nor a legion file you can read: ${error.message}`);
+  }
+  const armies = (collection && collection.armies) || [];
+  return { name: armies.map(army => army.name).join(' + ') || value, personality, armies };
+}
+
+function getRoster(side) {
+  const roster = [];
+  side.armies.forEach(army => {
+    army.units.forEach(unit => {
+      if (!rules.OFF_GRID_UNIT_TYPES.includes(unit.type)) roster.push({ ...unit, rosterIndex: roster.length });
+    });
+  });
+  return roster;
+}
+
+function getSideError(side, player) {
+  if (!planner.AI_PERSONALITIES[side.personality]) return `${player}: unknown AI personality "${side.personality}"`;
+  if (!Array.isArray(side.armies) || side.armies.length === 0) return `${player}: no legions to field`;
+  for (const army of side.armies) {
+    const error = rules.getArmyDataError(army);
+    if (error) return `${player}: ${error}`;
+  }
+  if (getRoster(side).length === 0) return `${player}: none of its units fight on the tactical grid`;
+  return null;
+}
+
+// Why a batch can't be run with settings, or null when it can
+function getSimulationError(settings) {
+  const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (!isWhole(settings.matches, 1, 100000)) return 'matches must be a whole number from 1 to 100000';
+  if (!rules.BATTLEFIELD_TYPES.includes(settings.terrain)) return `Unknown terrain "${settings.terrain}"`;
+  if (!rules.weatherEffects[settings.weather]) return `Unknown weather "${settings.weather}"`;
+  if (!rules.dayNightEffects[settings.dayNight]) return 'Time of day must be day or night';
+  if (!rules.WIN_CONDITIONS.includes(settings.winCondition)) return `Unknown win condition "${settings.winCondition}"`;
+  if (!rules.ZONE_LAYOUTS.includes(settings.zoneLayout)) return `Unknown zone layout "${settings.zoneLayout}"`;
+  if (!rules.SCENARIO_GRID_SIZES.includes(settings.gridSize)) {
+    return `Grid size must be one of ${rules.SCENARIO_GRID_SIZES.join(', ')}`;
+  }
+  if (!isWhole(settings.zoneCount, 1, 12)) return 'zoneCount must be a whole number from 1 to 12';
+  if (!isWhole(settings.startingCP, 1, 10)) return 'startingCP must be a whole number from 1 to 10';
+  if (!isWhole(settings.maxRounds, 1, 500)) return 'maxRounds must be a whole number from 1 to 500';
+  if (!planner.AI_DIFFICULTIES[settings.difficulty]) return `Unknown AI difficulty "${settings.difficulty}"`;
+  for (const player of SIDES) {
+    if (!settings[player]) return `No ${player} side`;
+    const error = getSideError(settings[player], player);
+    if (error) return error;
+  }
+  return rules.getVictorySettingsError(settings.victorySettings);
+}
+
+// Matches
+
+function createBattlefield(settings, seed) {
+  const zones = [];
+  for (let index = 0; index < settings.zoneCount; index++) {
+    const id = 'ABCDEFGHIJKL'[index];
+    zones.push({
+      id: id,
+      name: `Zone ${id}`,
+      control: 'neutral',
+      terrain: settings.terrain,
+      tacticalGrid: rules.generateTacticalGrid(settings.terrain, seed, index, settings.gridSize),
+      locked: false
+    });
+  }
+  rules.applyZoneLayout(zones, settings.zoneLayout, rules.getBattlefieldColumns(zones.length));
+  return zones;
+}
+
+// Everything that happened in a match that the report is built from
+function createMatchStats() {
+  const stats = { units: {}, abilities: {}, terrain: {} };
+  SIDES.forEach(player => {
+    stats.units[player] = {};
+  });
+  return stats;
+}
+
+function countUnit(stats, unit, field) {
+  const units = stats.units[unit.player];
+  if (!units[unit.rosterIndex]) {
+    units[unit.rosterIndex] = { name: unit.name, type: unit.type, special: unit.special || 'none', deployed: 0, kills: 0, losses: 0 };
+  }
+  units[unit.rosterIndex][field]++;
+}
+
+function countEntry(table, key, fields) {
+  if (!table[key]) {
+    table[key] = { attacks: 0, kills: 0, boostedAttacks: 0, boostedKills: 0, defended: 0, survived: 0, boostedDefenses: 0, boostedSurvived: 0 };
+  }
+  fields.forEach(field => { table[key][field]++; });
+}
+
+// Note what an attack did: whether it brought the defender down and kept it
+// down, and whether each side's special ability or the ground had a hand
+function recordAttack(stats, situation, action, next) {
+  const { grid } = situation;
+  const attacker = grid[action.from].unit;
+  const defender = grid[action.to].unit;
+  const context = { grid, gridSize: situation.gridSize, weatherSystem: situation.weatherSystem, aerial: situation.aerial };
+  const attack = rules.applySpecialAbilities(attacker, action.from, grid[action.from], action.to, grid[action.to], context);
+  const defense = rules.applySpecialAbilities(defender, action.to, grid[action.to], action.from, grid[action.from], context);
+  const attackBoosted = (attack.attackBonus || 0) > 0 || (attack.damageBonus || 0) > 0;
+  const defenseBoosted = (defense.defenseBonus || 0) > 0;
+  const killed = !next.grid.some(tile => tile.unit && tile.unit.id === defender.id);
+
+  if (killed) {
+    countUnit(stats, attacker, 'kills');
+    countUnit(stats, defender, 'losses');
+  }
+
+  const attackFields = ['attacks'];
+  if (killed) attackFields.push('kills');
+  if (attackBoosted) attackFields.push('boostedAttacks');
+  if (attackBoosted && killed) attackFields.push('boostedKills');
+  countEntry(stats.abilities, attacker.special || 'none', attackFields);
+
+  const defenseFields = ['defended'];
+  if (!killed) defenseFields.push('survived');
+  if (defenseBoosted) defenseFields.push('boostedDefenses');
+  if (defenseBoosted && !killed) defenseFields.push('boostedSurvived');
+  countEntry(stats.abilities, defender.special || 'none', defenseFields);
+
+  countEntry(stats.terrain, grid[action.to].terrain, killed ? ['defended'] : ['defended', 'survived']);
+  countEntry(stats.terrain, grid[action.from].terrain, killed ? ['attacks', 'kills'] : ['attacks']);
+  return killed ? defender : null;
+}
+
+// Let player's planner spend up to cpShare in zone, an action at a time,
+// until it passes. Returns the CP spent.
+function fightZone(match, player, zone, cpShare, orders) {
+  const { settings, gameState, stats } = match;
+  const gridSize = settings.gridSize;
+  const grid = [];
+  for (let pos = 0; pos < gridSize * gridSize; pos++) grid.push(zone.tacticalGrid[pos]);
+
+  const deployed = match.deployed[zone.id][player];
+  const reserves = match.rosters[player].filter(unit => !deployed.has(unit.rosterIndex));
+  if (orders.cheapestFirst) reserves.sort((a, b) => rules.getUnitPointCost(a) - rules.getUnitPointCost(b));
+  const deployLimit = Math.min(orders.deployLimit, reserves.length - orders.holdBack);
+  const zoneRole = gameState.zoneRoles[zone.id];
+  const cutOff = {};
+  SIDES.forEach(side => { cutOff[side] = rules.getCutOffZoneIds(match.zones, side).includes(zone.id); });
+  let cp = cpShare;
+  let placed = 0;
+
+  for (let step = 0; step < MAX_ACTIONS_PER_ZONE; step++) {
+    const situation = {
+      grid: grid,
+      gridSize: gridSize,
+      player: player,
+      role: zoneRole && zoneRole.defender === player ? 'defense' : 'attack',
+      cp: cp,
+      cpCosts: rules.defaultCPCosts,
+      reserves: cutOff[player] ? [] : reserves.slice(0, Math.max(0, deployLimit - placed)),
+      deploymentRows: rules.getValidDeploymentRows(gameState, zone.id, player, gridSize),
+      weatherSystem: gameState.weatherSystem,
+      aerial: { red: [], blue: [] },
+      cutOff: cutOff,
+      acted: gameState.unitActions,
+      personality: { type: settings[player].personality }
+    };
+    const action = planner.chooseAction(situation, settings.difficulty, { random: match.random, now: () => 0 });
+    if (!action) break;
+
+    const next = planner.simulateAction(situation, action, match.random);
+    if (action.type === 'attack') {
+      const lost = recordAttack(stats, situation, action, next);
+      if (lost) {
+        gameState.campaignStats[lost.player].unitsLost++;
+        gameState.campaignStats[lost.player].valueLost += rules.getUnitPointCost(lost);
+      }
+    } else if (action.type === 'deploy') {
+      // Give the unit an id of its own in place of the planner's placeholder
+      const unit = next.grid[action.pos].unit;
+      const id = `${player}_sim_${++match.unitCount}`;
+      next.acted[id] = next.acted[unit.id];
+      delete next.acted[unit.id];
+      unit.id = id;
+      deployed.add(unit.rosterIndex);
+      reserves.splice(reserves.indexOf(situation.reserves[action.reserveIndex]), 1);
+      placed++;
+      countUnit(stats, unit, 'deployed');
+      gameState.campaignStats[player].valueDeployed += rules.getUnitPointCost(unit);
+    }
+
+    next.grid.forEach((tile, pos) => { grid[pos].unit = tile.unit; });
+    gameState.unitActions = next.acted;
+    cp = next.cp;
+  }
+  return cpShare - cp;
+}
+
+// One side's turn: plan, then fight each zone picked with its share of the CP
+function playTurn(match, player) {
+  const { settings, gameState, zones } = match;
+  const enemy = rules.otherPlayer(player);
+  let cp = rules.calculateTurnStartCP(match.gameConfig, zones, player);
+  gameState.unitActions = {};
+
+  const plan = planner.planStrategy({
+    zones: zones,
+    gridSize: settings.gridSize,
+    player: player,
+    cp: cp,
+    personality: { type: settings[player].personality },
+    enemyStrength: match.enemyStrength[player]
+  });
+  match.enemyStrength[player] = plan.enemyStrength;
+
+  plan.zonesToAttack.forEach(zoneId => { gameState.zoneRoles[zoneId] = { attacker: player, defender: enemy }; });
+  plan.zonesToDefend.forEach(zoneId => { gameState.zoneRoles[zoneId] = { attacker: enemy, defender: player }; });
+
+  [...plan.zonesToAttack, ...plan.zonesToDefend].forEach(zoneId => {
+    if (cp <= 0) return;
+    const zone = zones.find(z => z.id === zoneId);
+    let hasUnits = false;
+    for (let pos = 0; pos < settings.gridSize * settings.gridSize; pos++) {
+      if (zone.tacticalGrid[pos].unit && zone.tacticalGrid[pos].unit.player === player) hasUnits = true;
+    }
+    const orders = planner.getZoneOrders(plan, zoneId, hasUnits, { type: settings[player].personality });
+    cp -= fightZone(match, player, zone, planner.getZoneCPShare(plan, zoneId, cp), orders);
+  });
+
+  zones.forEach(zone => {
+    for (let pos = 0; pos < settings.gridSize * settings.gridSize; pos++) {
+      const unit = zone.tacticalGrid[pos].unit;
+      if (unit) unit.placedThisTurn = false;
+    }
+  });
+}
+
+// Play match number index of a batch to the end. The result has the
+// winner (null for a draw), how and why it was won, the player-turns it
+// took and its stats.
+function runMatch(settings, index = 0) {
+  const seed = `${settings.seed}:${index}`;
+  const gameConfig = {
+    player1: { name: settings.red.name, role: 'attacker' },
+    player2: { name: settings.blue.name, role: 'defender' },
+    gridSize: settings.gridSize,
+    startingCP: settings.startingCP,
+    winCondition: settings.winCondition,
+    victorySettings: settings.victorySettings
+  };
+  const match = {
+    settings: settings,
+    gameConfig: gameConfig,
+    zones: createBattlefield(settings, seed),
+    random: rules.createRandom(seed),
+    rosters: { red: getRoster(settings.red), blue: getRoster(settings.blue) },
+    deployed: {},
+    enemyStrength: { red: {}, blue: {} },
+    unitCount: 0,
+    stats: createMatchStats(),
+    gameState: {
+      currentPlayer: 'red',
+      turnCount: 0,
+      zoneRoles: {},
+      unitActions: {},
+      weatherSystem: { currentWeather: settings.weather, dayNightCycle: settings.dayNight },
+      campaignStats: {
+        red: { unitsLost: 0, valueDeployed: 0, valueLost: 0 },
+        blue: { unitsLost: 0, valueDeployed: 0, valueLost: 0 }
+      }
+    }
+  };
+  match.zones.forEach(zone => {
+    match.deployed[zone.id] = { red: new Set(), blue: new Set() };
+  });
+
+  const { gameState } = match;
+  let outcome = { winner: null, endCondition: 'Draw', reason: `No side had won after ${settings.maxRounds} rounds` };
+  while (gameState.turnCount < settings.maxRounds * 2) {
+    playTurn(match, gameState.currentPlayer);
+    gameState.currentPlayer = rules.otherPlayer(gameState.currentPlayer);
+    gameState.turnCount++;
+
+    const result = rules.checkWinCondition(match.zones, gameConfig, gameState);
+    if (result.winner) {
+      outcome = result;
+      break;
+    }
+  }
+
+  return {
+    match: index + 1,
+    seed: seed,
+    winner: outcome.winner,
+    endCondition: outcome.endCondition,
+    reason: outcome.reason,
+    turns: gameState.turnCount,
+    stats: match.stats
+  };
+}
+
+// Reports
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+function addCounts(total, counts) {
+  Object.keys(counts).forEach(key => {
+    if (typeof counts[key] === 'number') total[key] = (total[key] || 0) + counts[key];
+  });
+}
+
+// Play the batch and sum it up: win rates, game length, how each unit in
+// each roster fared, and how often each ability and terrain turned a fight
+function runBatch(settings, onMatch = () => {}) {
+  const results = [];
+  const units = { red: {}, blue: {} };
+  const abilities = {};
+  const terrain = {};
+
+  for (let index = 0; index < settings.matches; index++) {
+    const result = runMatch(settings, index);
+    results.push(result);
+    SIDES.forEach(player => {
+      Object.entries(result.stats.units[player]).forEach(([rosterIndex, unit]) => {
+        if (!units[player][rosterIndex]) units[player][rosterIndex] = { name: unit.name, type: unit.type, special: unit.special };
+        addCounts(units[player][rosterIndex], unit);
+      });
+    });
+    Object.entries(result.stats.abilities).forEach(([key, counts]) => addCounts(abilities[key] = abilities[key] || {}, counts));
+    Object.entries(result.stats.terrain).forEach(([key, counts]) => addCounts(terrain[key] = terrain[key] || {}, counts));
+    onMatch(result);
+  }
+
+  const wins = { red: 0, blue: 0, draw: 0 };
+  const endConditions = {};
+  results.forEach(result => {
+    wins[result.winner || 'draw']++;
+    endConditions[result.endCondition] = (endConditions[result.endCondition] || 0) + 1;
+  });
+  const totalTurns = results.reduce((total, result) => total + result.turns, 0);
+
+  return {
+    settings: {
+      matches: settings.matches,
+      seed: settings.seed,
+      terrain: settings.terrain,
+      weather: settings.weather,
+      dayNight: settings.dayNight,
+      winCondition: settings.winCondition,
+      victorySettings: rules.getVictorySettings(settings),
+      zoneCount: settings.zoneCount,
+      zoneLayout: settings.zoneLayout,
+      gridSize: settings.gridSize,
+      startingCP: settings.startingCP,
+      difficulty: settings.difficulty,
+      maxRounds: settings.maxRounds
+    },
+    sides: Object.fromEntries(SIDES.map(player => [player, {
+      name: settings[player].name,
+      personality: settings[player].personality,
+      legions: settings[player].armies.map(army => army.name)
+    }])),
+    wins: wins,
+    winRates: { red: ratio(wins.red, results.length), blue: ratio(wins.blue, results.length), draw: ratio(wins.draw, results.length) },
+    averageTurns: ratio(totalTurns, results.length),
+    averageRounds: ratio(totalTurns, results.length * 2),
+    endConditions: endConditions,
+    units: SIDES.flatMap(player => Object.values(units[player]).map(unit => ({
+      side: player,
+      ...unit,
+      killDeathRatio: unit.losses > 0 ? ratio(unit.kills, unit.losses) : unit.kills,
+      survivalRate: ratio(unit.deployed - unit.losses, unit.deployed)
+    }))),
+    abilities: Object.entries(abilities).map(([ability, counts]) => ({
+      ability: ability,
+      ...counts,
+      killRate: ratio(counts.kills || 0, counts.attacks || 0),
+      survivalRate: ratio(counts.survived || 0, counts.defended || 0)
+    })).sort((a, b) => (b.boostedKills + b.boostedSurvived) - (a.boostedKills + a.boostedSurvived)),
+    terrain: Object.entries(terrain).map(([name, counts]) => ({
+      terrain: name,
+      ...counts,
+      killRate: ratio(counts.kills || 0, counts.attacks || 0),
+      survivalRate: ratio(counts.survived || 0, counts.defended || 0)
+    })).sort((a, b) => b.defended - a.defended),
+    matches: results.map(({ stats, ...result }) => result)
+  };
+}
+
+function toCSVRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+function toCSVTable(title, columns, rows) {
+  return [title, toCSVRow(columns), ...rows.map(row => toCSVRow(columns.map(column => row[column])))].join('\n');
+}
+
+// The report as CSV: one table per section, each under its name and
+// separated by a blank line
+function formatReportCSV(report) {
+  const summary = SIDES.map(player => ({
+    side: player,
+    name: report.sides[player].name,
+    personality: report.sides[player].personality,
+    wins: report.wins[player],
+    winRate: report.winRates[player]
+  }));
+  summary.push({ side: 'draw', wins: report.wins.draw, winRate: report.winRates.draw });
+
+  return [
+    toCSVTable('summary', ['side', 'name', 'personality', 'wins', 'winRate'], summary),
+    toCSVTable('units', ['side', 'name', 'type', 'special', 'deployed', 'kills', 'losses', 'killDeathRatio', 'survivalRate'], report.units),
+    toCSVTable('abilities', ['ability', 'attacks', 'kills', 'killRate', 'boostedAttacks', 'boostedKills',
+      'defended', 'survived', 'survivalRate', 'boostedDefenses', 'boostedSurvived'], report.abilities),
+    toCSVTable('terrain', ['terrain', 'attacks', 'kills', 'killRate', 'defended', 'survived', 'survivalRate'], report.terrain),
+    toCSVTable('matches', ['match', 'seed', 'winner', 'endCondition', 'turns', 'reason'], report.matches)
+  ].join('\n\n') + '\n';
+}
+
+// Command line
+
+const USAGE = `Usage: node simulator.js [options]
+
+  --red, --blue SIDE        an AI personality (${Object.keys(planner.AI_PERSONALITIES).join(', ')})
+                            with the standard legion, or a legion file exported
+                            from the game (default ${planner.DEFAULT_AI_PERSONALITY})
+  --red-personality, --blue-personality NAME
+                            personality for a side given as a legion file
+  --matches N               matches to play (${DEFAULT_SIMULATION.matches})
+  --seed TEXT               seed for battlefields and dice (${DEFAULT_SIMULATION.seed})
+  --terrain TYPE            ${rules.BATTLEFIELD_TYPES.join(', ')}
+  --weather TYPE            ${Object.keys(rules.weatherEffects).join(', ')}
+  --time-of-day day|night
+  --win-condition MODE      ${rules.WIN_CONDITIONS.join(', ')}
+  --victory-settings JSON   e.g. '{"turnLimit":8}'
+  --zones N                 zones on the battlefield (${DEFAULT_SIMULATION.zoneCount})
+  --layout LAYOUT           ${rules.ZONE_LAYOUTS.join(', ')}
+  --grid-size N             ${rules.SCENARIO_GRID_SIZES.join(', ')}
+  --cp N                    command points each side starts a turn with
+  --difficulty TIER         ${Object.keys(planner.AI_DIFFICULTIES).join(', ')} (${DEFAULT_SIMULATION.difficulty})
+  --max-rounds N            rounds before an undecided match is a draw
+  --json FILE               write the report as JSON
+  --csv FILE                write the report as CSV
+
+Without --json or --csv the JSON report is printed.`;
+
+const NUMBER_OPTIONS = { matches: 'matches', zones: 'zoneCount', 'grid-size': 'gridSize', cp: 'startingCP', 'max-rounds': 'maxRounds' };
+const TEXT_OPTIONS = {
+  seed: 'seed',
+  terrain: 'terrain',
+  weather: 'weather',
+  'time-of-day': 'dayNight',
+  'win-condition': 'winCondition',
+  layout: 'zoneLayout',
+  difficulty: 'difficulty'
+};
+
+// Settings and output files from command-line arguments
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    if (flag === '--help' || flag === '-h') return { help: true };
+    if (!flag.startsWith('--') || i + 1 >= args.length) throw new Error(`Unexpected argument "${flag}"`);
+    options[flag.slice(2)] = args[++i];
+  }
+
+  const settings = { ...DEFAULT_SIMULATION };
+  Object.entries(options).forEach(([name, value]) => {
+    if (NUMBER_OPTIONS[name]) settings[NUMBER_OPTIONS[name]] = Number(value);
+    else if (TEXT_OPTIONS[name]) settings[TEXT_OPTIONS[name]] = value;
+    else if (name === 'victory-settings') settings.victorySettings = JSON.parse(value);
+    else if (!['red', 'blue', 'red-personality', 'blue-personality', 'json', 'csv'].includes(name)) {
+      throw new Error(`Unknown option --${name}`);
+    }
+  });
+  SIDES.forEach(player => {
+    settings[player] = readSide(options[player] || planner.DEFAULT_AI_PERSONALITY,
+      options[`${player}-personality`] || planner.DEFAULT_AI_PERSONALITY);
+  });
+  return { settings, json: options.json, csv: options.csv };
+}
+
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (parsed.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const error = getSimulationError(parsed.settings);
+  if (error) {
+    console.error(`❌ ${error}`);
+    return 1;
+  }
+
+  const report = runBatch(parsed.settings, result => {
+    console.error(`Match ${result.match}/${parsed.settings.matches}: ${result.winner || 'draw'} (${result.endCondition}, ${result.turns} turns)`);
+  });
+  if (parsed.json) fs.writeFileSync(parsed.json, JSON.stringify(report, null, 2));
+  if (parsed.csv) fs.writeFileSync(parsed.csv, formatReportCSV(report));
+  if (!parsed.json && !parsed.csv) console.log(JSON.stringify(report, null, 2));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  DEFAULT_SIMULATION,
+  DEFAULT_ARMY,
+  readSide,
+  getSimulationError,
+  runMatch,
+  runBatch,
+  formatReportCSV,
+  parseArgs,
+  main
+};
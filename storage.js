@@ -0,0 +1,89 @@
+/**
+ * Ashes of the Covenant - lobby storage
+ *
+ * Keeps lobbies alive across server restarts. server.js only uses the three
+ * methods below, so a different backend can be swapped in by adding a factory
+ * that returns an object with the same shape:
+ *
+ *   loadLobbies()          -> every lobby snapshot saved so far
+ *   saveLobby(snapshot)    -> store or replace the snapshot for snapshot.id
+ *   deleteLobby(lobbyCode) -> forget a lobby
+ *
+ * Snapshots are plain JSON-safe objects (see snapshotLobby in server.js).
+ */
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per lobby, named after its lobby code
+function createFileStorage(directory) {
+  fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+  const fileFor = (lobbyCode) => path.join(directory, `${lobbyCode}.json`);
+
+  return {
+    loadLobbies() {
+      return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+          } catch (error) {
+            console.error(`❌ Could not read saved lobby ${file}:`, error.message);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+
+    saveLobby(snapshot) {
+      // Write a temporary file first so a crash mid-write can't corrupt the
+      // save. Snapshots hold dice seeds and reconnect tokens, so only the
+      // server's own user may read them.
+      const file = fileFor(snapshot.id);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot), { mode: 0o600 });
+      fs.renameSync(`${file}.tmp`, file);
+    },
+
+    deleteLobby(lobbyCode) {
+      fs.rmSync(fileFor(lobbyCode), { force: true });
+    }
+  };
+}
+
+// Nothing survives a restart; for local testing
+function createMemoryStorage() {
+  const snapshots = new Map();
+
+  return {
+    loadLobbies() {
+      return Array.from(snapshots.values());
+    },
+
+    saveLobby(snapshot) {
+      snapshots.set(snapshot.id, JSON.parse(JSON.stringify(snapshot)));
+    },
+
+    deleteLobby(lobbyCode) {
+      snapshots.delete(lobbyCode);
+    }
+  };
+}
+
+const backends = {
+  file: (options) => createFileStorage(options.directory),
+  memory: () => createMemoryStorage()
+};
+
+function createStorage(options = {}) {
+  const backend = options.backend || 'file';
+  if (!backends[backend]) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  return backends[backend](options);
+}
+
+module.exports = {
+  createStorage,
+  createFileStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,200 @@
+/**
+ * Tests for the multiplayer AI commanders in bot.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies). Turns are
+ * refereed by the server's intent handlers in match.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+const bots = require('../bot');
+const planner = require('../planner');
+const match = require('../match');
+
+const GRID_SIZE = 6;
+
+function makeUnit(overrides = {}) {
+  return {
+    name: 'Infantry',
+    type: 'infantry',
+    attack: 0,
+    defense: 1,
+    morale: 4,
+    range: 1,
+    movement: 2,
+    special: 'none',
+    health: 3,
+    maxHealth: 3,
+    armour: 0,
+    maxArmour: 0,
+    ...overrides
+  };
+}
+
+// Three zones in a line, red's home on the left, with red_1 standing in B.
+// Blue is to play with cp command points and armies as its rosters.
+function makeMatch(cp, armies = { [bots.BOT_ARMY_ID]: bots.createBotArmy(null) }) {
+  const zones = ['A', 'B', 'C'].map((id, index) => {
+    const tacticalGrid = {};
+    for (let pos = 0; pos < GRID_SIZE * GRID_SIZE; pos++) {
+      tacticalGrid[pos] = { terrain: 'plains', unit: null };
+    }
+    return { id, name: `Zone ${id}`, control: ['red', 'neutral', 'blue'][index], terrain: 'plains', tacticalGrid, locked: false };
+  });
+  rules.applyZoneLayout(zones, 'line');
+  zones[1].tacticalGrid[2].unit = makeUnit({ id: 'red_1', player: 'red', position: 2 });
+
+  const lobby = {
+    id: '123456',
+    players: [{ id: 'p1', name: 'Host' }, { id: 'p2', name: 'AI' }],
+    gameConfig: { gameSettings: { gridSize: GRID_SIZE } },
+    armyRosters: { p2: armies },
+    zones,
+    gameState: {
+      currentPlayer: 'blue',
+      turnCount: 1,
+      commandPoints: { red: 0, blue: cp },
+      zoneRoles: {},
+      cpCosts: { ...rules.defaultCPCosts },
+      weatherSystem: { currentWeather: 'clear', dayNightCycle: 'day' },
+      scoutedZones: { red: {}, blue: {} },
+      campaignStats: { red: { unitsLost: 0 }, blue: { unitsDeployed: 0 } }
+    },
+    turnLedger: match.createTurnLedger(),
+    deployedInstances: { red: [], blue: [] }
+  };
+  return { lobby, zones, gameState: lobby.gameState, armies, intents: [], refused: [], rolls: [] };
+}
+
+// Intents go through the server's own handlers
+function playTurn(game, bot, overrides = {}) {
+  const { lobby } = game;
+  const dice = rules.createRandom('dice');
+  return bots.playBotTurn({
+    zones: lobby.zones,
+    gameState: lobby.gameState,
+    gridSize: GRID_SIZE,
+    player: 'blue',
+    armies: game.armies,
+    deployed: lobby.deployedInstances.blue,
+    ledger: lobby.turnLedger,
+    fogOfWar: false,
+    act: action => {
+      const reason = match.applyGameAction(lobby, 'blue', action);
+      (reason ? game.refused : game.intents).push(action);
+      return reason;
+    },
+    roll: (kind, sides) => {
+      const value = rules.rollDie(dice, sides);
+      game.rolls.push({ kind, value });
+      return value;
+    },
+    ...overrides
+  }, bot, { random: rules.createRandom('search') });
+}
+
+test('an AI seat is named after its personality and difficulty and turns away settings the planner lacks', () => {
+  const player = bots.createBotPlayer({ personality: 'aggressive' });
+  assert.ok(player.id.startsWith(bots.BOT_ID_PREFIX));
+  assert.equal(player.name, 'Aggressive AI (Veteran)');
+  assert.deepEqual(player.bot, { personality: 'aggressive', difficulty: 'veteran' });
+  assert.equal(player.ready, true);
+  assert.notEqual(bots.createBotPlayer().id, player.id);
+
+  assert.equal(bots.getBotSettingsError({}), null);
+  assert.equal(bots.getBotSettingsError({ personality: 'deceptive', difficulty: 'field_marshal' }), null);
+  assert.match(bots.getBotSettingsError({ personality: 'reckless' }), /personality/);
+  assert.match(bots.getBotSettingsError({ difficulty: 'general' }), /difficulty/);
+  assert.match(bots.getBotSettingsError(null), /not an object/);
+});
+
+test('the AI brings the standard legion, trimmed to the point limit', () => {
+  const full = bots.createBotArmy(null);
+  assert.equal(full.id, bots.BOT_ARMY_ID);
+  assert.equal(rules.getArmyDataError(full), null);
+  assert.deepEqual(bots.createBotArmy(150), full);
+
+  const trimmed = bots.createBotArmy(100);
+  assert.equal(rules.validateArmySelection([trimmed], 100), null);
+  assert.ok(trimmed.units.length < full.units.length);
+  assert.deepEqual(trimmed.units, full.units.slice(0, trimmed.units.length));
+
+  const armies = { [full.id]: full, guns: { name: 'Guns', units: [makeUnit({ name: 'Heavy Artillery', type: 'artillery' })] } };
+  const reserves = bots.getBotReserves(armies, [`${full.id}_Infantry_0`]);
+  assert.equal(reserves.length, full.units.length - 1);
+  assert.deepEqual(reserves[0], { ...full.units[1], armyId: full.id, deploymentIndex: 1 });
+});
+
+test('the AI picks its zones, then deploys its own units within the command points it has', async () => {
+  const game = makeMatch(8);
+  const result = await playTurn(game, { personality: 'aggressive', difficulty: 'recruit' });
+
+  assert.deepEqual(game.refused, []);
+  assert.ok(result.actions > 0);
+  assert.ok(result.intents.length > 0);
+
+  const selected = game.intents.filter(action => action.type === 'selectZone').map(action => action.zoneId);
+  const placed = game.intents.filter(action => action.type === 'placeUnit');
+  assert.ok(selected.length > 0);
+  assert.ok(game.intents.slice(0, selected.length).every(action => action.type === 'selectZone'));
+  assert.ok(placed.every(action => selected.includes(action.zoneId)));
+  assert.ok(placed.every(action => action.unitId.startsWith('blue_') && action.unit.armyId === bots.BOT_ARMY_ID));
+  assert.equal(new Set(placed.map(action => action.unitId)).size, placed.length);
+
+  assert.ok(game.gameState.commandPoints.blue >= 0);
+  assert.equal(game.gameState.campaignStats.blue.unitsDeployed, placed.length);
+  assert.ok(game.zones.every(zone => !zone.locked));
+  selected.forEach(zoneId => assert.equal(game.zones.find(z => z.id === zoneId).control, 'blue'));
+});
+
+test('attacks are rolled with the game dice', async () => {
+  const game = makeMatch(4, {});
+  game.zones[1].tacticalGrid[8].unit = makeUnit({ id: 'blue_1', player: 'blue', position: 8, attack: 3 });
+  await playTurn(game, { personality: 'aggressive', difficulty: 'recruit' });
+
+  const attacks = game.intents.filter(action => action.type === 'attack');
+  assert.ok(attacks.length > 0);
+  assert.deepEqual(game.refused, []);
+  assert.ok(game.rolls.length >= attacks.length * 2);
+  assert.deepEqual(game.rolls.slice(0, 2).map(roll => roll.kind), ['combat', 'combat']);
+  assert.ok(game.rolls.every(roll => roll.value >= 1 && roll.value <= 6));
+});
+
+test('the AI plans from what its side can see and stops once it loses the seat', async () => {
+  const seen = { personality: 'balanced', difficulty: 'recruit' };
+  await playTurn(makeMatch(6), seen);
+  assert.equal(seen.enemyStrength.B, 1);
+
+  const fogged = { personality: 'balanced', difficulty: 'recruit' };
+  const game = makeMatch(6);
+  await playTurn(game, fogged, { fogOfWar: true });
+  assert.equal(fogged.enemyStrength.B, 0);
+  assert.equal(game.zones[1].tacticalGrid[2].unit.id, 'red_1');
+
+  const replaced = makeMatch(6);
+  const result = await playTurn(replaced, { personality: 'balanced', difficulty: 'recruit' }, { isActive: () => false });
+  assert.equal(result.actions, 0);
+  assert.ok(replaced.intents.every(action => action.type === 'selectZone'));
+});
+
+test('the AI can search elsewhere and switches to its match\'s rules before every step', async () => {
+  const game = makeMatch(8);
+  const search = rules.createRandom('search');
+  const events = [];
+  await playTurn(game, { personality: 'aggressive', difficulty: 'recruit' }, {
+    choose: async (situation, difficulty) => {
+      const action = planner.chooseAction(situation, difficulty, { random: search });
+      events.push(action ? 'action' : 'pass');
+      return action;
+    },
+    useRules: () => events.push('rules')
+  });
+
+  assert.deepEqual(game.refused, []);
+  assert.equal(events[0], 'rules');
+  assert.ok(events.includes('action'));
+  events.forEach((event, index) => {
+    if (event === 'action') assert.equal(events[index + 1], 'rules');
+    if (event !== 'rules') assert.equal(events[index - 1], 'rules');
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Tests for the multiplayer match authority in match.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies). Matches are
+ * played on bare lobby records, through the handlers server.js calls.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+const match = require('../match');
+
+const GRID_SIZE = 6;
+
+const ARMY = {
+  name: 'Test Legion',
+  units: [
+    { name: 'Infantry', type: 'infantry', attack: 0, defense: 1, morale: 4, range: 1, movement: 2, special: 'none' },
+    { name: 'Dragoons', type: 'cavalry', attack: 1, defense: 0, morale: 4, range: 1, movement: 3, special: 'charge' }
+  ]
+};
+
+function makeZones() {
+  const zones = ['A', 'B', 'C'].map((id, index) => {
+    const tacticalGrid = {};
+    for (let pos = 0; pos < GRID_SIZE * GRID_SIZE; pos++) {
+      tacticalGrid[pos] = { terrain: 'plains', unit: null };
+    }
+    return { id, name: `Zone ${id}`, control: ['red', 'neutral', 'blue'][index], terrain: 'plains', tacticalGrid, locked: false };
+  });
+  rules.applyZoneLayout(zones, 'line');
+  return zones;
+}
+
+// A started match between p1 (red) and p2 (blue), each with ARMY
+function makeLobby(settings = {}) {
+  const lobby = {
+    id: '123456',
+    players: [{ id: 'p1', name: 'Host' }, { id: 'p2', name: 'Guest' }],
+    gameConfig: { gameSettings: { gridSize: GRID_SIZE, startingCP: 10, ...settings } },
+    armyRosters: { p1: { 1: ARMY }, p2: { 2: ARMY } }
+  };
+  match.startAuthoritativeMatch(lobby, { cpCosts: { ...rules.defaultCPCosts } }, makeZones());
+  return lobby;
+}
+
+function place(lobby, color, pos, overrides = {}) {
+  const armyId = color === 'red' ? 1 : 2;
+  return match.applyGameAction(lobby, color, {
+    type: 'placeUnit',
+    zoneId: 'B',
+    pos: pos,
+    unitId: `${color}_${pos}`,
+    unit: { ...ARMY.units[0], armyId: armyId, deploymentIndex: 0 },
+    ...overrides
+  });
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('the server owns the turn, the command points and who may act', () => {
+  const lobby = makeLobby();
+  assert.equal(lobby.gameState.currentPlayer, 'red');
+  assert.deepEqual(lobby.gameState.commandPoints, { red: 10, blue: 10 });
+  assert.equal(match.getPlayerColor(lobby, 'p2'), 'blue');
+  assert.equal(match.getPlayerColor(lobby, 'stranger'), null);
+
+  assert.equal(match.applyGameAction(lobby, 'blue', { type: 'selectZone', zoneId: 'B', role: 'attack' }), 'It is not your turn');
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'teleport' }), 'Unknown action');
+  assert.equal(match.applyGameAction({ players: [] }, 'red', { type: 'endTurn' }), 'The match has not started yet');
+
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' }), null);
+  assert.deepEqual(lobby.gameState.zoneRoles.B, { attacker: 'red', defender: 'blue' });
+  assert.equal(lobby.gameState.commandPoints.red, 9);
+  assert.match(match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' }), /locked/);
+
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'endTurn' }), null);
+  assert.equal(lobby.gameState.currentPlayer, 'blue');
+  assert.equal(lobby.gameState.turnCount, 1);
+  assert.equal(lobby.pendingSync, 'red');
+});
+
+test('placed units must come from the rosters, on the deployment rows, once each', () => {
+  const lobby = makeLobby();
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+
+  assert.match(place(lobby, 'red', 14), /rows 0/);
+  assert.match(place(lobby, 'red', 1, { unitId: 'blue_1' }), /unit id/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], attack: 99, armyId: 1, deploymentIndex: 0 } }), /not part of your selected armies/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], morale: 9, armyId: 1, deploymentIndex: 0 } }), /not part of your selected armies/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], hitChance: 1, armyId: 1, deploymentIndex: 0 } }), /not part of your selected armies/);
+  // The unit must be the roster entry at its deployment index
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], armyId: 1 } }), /no place in your army/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], armyId: 1, deploymentIndex: '0' } }), /no place in your army/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], armyId: 1, deploymentIndex: 1 } }), /not part of your selected armies/);
+  assert.match(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], armyId: 1, deploymentIndex: 9 } }), /not part of your selected armies/);
+  assert.equal(place(lobby, 'red', 1, { unit: { ...ARMY.units[0], armyId: 1, deploymentIndex: 0, veteran: true } }), null);
+  assert.match(place(lobby, 'red', 2, { unitId: 'red_2' }), /already deployed/);
+
+  const unit = lobby.zones[1].tacticalGrid[1].unit;
+  assert.equal(unit.player, 'red');
+  assert.equal(unit.health, 3);
+  assert.equal(unit.veteran, undefined);
+  assert.deepEqual(lobby.deployedInstances.red, ['1_Infantry_0']);
+  assert.deepEqual(lobby.turnLedger.unitActions.red_1, { hasAttacked: false, hasMoved: false });
+
+  delete lobby.armyRosters.p1;
+  assert.match(place(lobby, 'red', 2, { unitId: 'red_2', unit: { ...ARMY.units[1], armyId: 1, deploymentIndex: 1 } }), /not part of your selected armies/);
+});
+
+test('moves are held to the unit\'s movement points', () => {
+  const lobby = makeLobby();
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  const grid = lobby.zones[1].tacticalGrid;
+
+  assert.match(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 1, toPos: 19 }), /cannot reach/);
+  assert.match(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 2, toPos: 8 }), /No unit of yours/);
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 1, toPos: 13 }), null);
+  assert.equal(grid[1].unit, null);
+  assert.equal(grid[13].unit.position, 13);
+  assert.equal(lobby.turnLedger.movementLeft.red_1, 1);
+  // A minefield goes off under the unit and is spent
+  grid[19].construction = { type: 'minefield', player: 'blue', turnsRemaining: 0, completed: true };
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 13, toPos: 19 }), null);
+  assert.equal(grid[19].construction, null);
+  assert.match(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 19, toPos: 25 }), /already moved/);
+  assert.equal(lobby.gameState.commandPoints.red, 10 - 1 - 1 - 2);
+});
+
+test('under fog of war, orders can\'t be used to find unseen units', () => {
+  // At night an infantry unit sees one tile around it
+  const lobby = makeLobby({ fogOfWar: true, dayNightCycle: 'night' });
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  const grid = lobby.zones[1].tacticalGrid;
+  const enemy = pos => ({ ...ARMY.units[0], id: `blue_${pos}`, player: 'blue', position: pos, health: 3, maxHealth: 3 });
+  grid[3].unit = enemy(3);
+  grid[4].unit = enemy(4);
+  const commandPoints = lobby.gameState.commandPoints.red;
+
+  assert.equal(place(lobby, 'red', 4, { unitId: 'red_4', unit: { ...ARMY.units[1], armyId: 1, deploymentIndex: 1 } }), match.UNSEEN_POSITION_REFUSAL);
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 1, toPos: 3 }), match.UNSEEN_POSITION_REFUSAL);
+  // An attack on an empty tile gets the same answer as one on an unseen unit
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 3 }), match.UNSEEN_POSITION_REFUSAL);
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 5 }), match.UNSEEN_POSITION_REFUSAL);
+  assert.equal(lobby.gameState.commandPoints.red, commandPoints);
+  assert.equal(grid[3].unit.id, 'blue_3');
+
+  // Units in sight are refused as before
+  grid[2].unit = enemy(2);
+  assert.match(match.applyGameAction(lobby, 'red', { type: 'moveUnit', zoneId: 'B', fromPos: 1, toPos: 2 }), /already occupied/);
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 2 }), null);
+});
+
+test('pushed zones can\'t conjure units or move them without an order', () => {
+  const lobby = makeLobby();
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+
+  const zones = copy(lobby.zones);
+  assert.equal(match.validateStateUpdate(lobby, 'red', {}, zones), null);
+  assert.equal(match.validateStateUpdate(lobby, 'blue', {}, zones), 'It is not your turn');
+
+  const conjured = copy(lobby.zones);
+  conjured[1].tacticalGrid[4].unit = { ...conjured[1].tacticalGrid[1].unit, id: 'red_4' };
+  assert.match(match.validateStateUpdate(lobby, 'red', null, conjured), /never deployed/);
+
+  const restatted = copy(lobby.zones);
+  restatted[1].tacticalGrid[1].unit.range = 5;
+  assert.match(match.validateStateUpdate(lobby, 'red', null, restatted), /changed its range/);
+
+  const terraformed = copy(lobby.zones);
+  terraformed[0].tacticalGrid[0].terrain = 'forest';
+  assert.match(match.validateStateUpdate(lobby, 'red', null, terraformed), /Terrain changed/);
+
+  const gameState = { ...lobby.gameState, currentPlayer: 'blue', commandPoints: { red: 99, blue: 99 } };
+  match.validateStateUpdate(lobby, 'red', gameState, null);
+  assert.equal(gameState.currentPlayer, 'red');
+  assert.equal(gameState.commandPoints.red, lobby.gameState.commandPoints.red);
+});
+
+test('pushed losses, healing and retreats must follow from accepted intents', () => {
+  const lobby = makeLobby();
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  lobby.zones[1].tacticalGrid[7].unit = { ...ARMY.units[0], id: 'blue_7', player: 'blue', position: 7, health: 3, maxHealth: 3 };
+  const push = change => {
+    const zones = copy(lobby.zones);
+    change(zones[1].tacticalGrid);
+    return match.validateStateUpdate(lobby, 'red', null, zones);
+  };
+
+  assert.match(push(grid => { grid[7].unit = null; }), /removed without an order/);
+  assert.match(push(grid => { grid[7].unit.health = 1; }), /hurt without an order/);
+  assert.match(push(grid => { grid[5].unit = { ...grid[1].unit, position: 5 }; grid[1].unit = null; }), /moved without an order/);
+  assert.match(push(grid => { grid[1].unit.transportedUnits = [{ ...grid[1].unit, id: 'red_99' }]; }), /never on the board/);
+  lobby.zones[1].tacticalGrid[1].unit.health = 1;
+  assert.match(push(grid => { grid[1].unit.health = 3; }), /healed outside the upkeep/);
+  assert.match(match.validateStateUpdate(lobby, 'red', { gasClouds: { B: { 13: { player: 'red' } } } }, null), /released without an order/);
+
+  // Once attacked, the defender may be hurt, fall back a row or be lost
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 7 }), null);
+  assert.equal(push(grid => { grid[7].unit.health = 1; }), null);
+  assert.equal(push(grid => { grid[13].unit = { ...grid[7].unit, position: 13 }; grid[7].unit = null; }), null);
+  assert.match(push(grid => { grid[19].unit = { ...grid[7].unit, position: 19 }; grid[7].unit = null; }), /moved without an order/);
+  assert.equal(push(grid => { grid[7].unit = null; }), null);
+
+  // The upkeep heals, but only wears down what it exposes
+  match.applyGameAction(lobby, 'red', { type: 'endTurn' });
+  assert.equal(push(grid => { grid[1].unit.health = 3; }), null);
+  assert.match(push(grid => { grid[1].unit = null; }), /removed without an order/);
+  lobby.zones[1].tacticalGrid[1].unit.health = 3;
+  assert.match(push(grid => { grid[1].unit.health = 2; }), /hurt without an order/);
+  lobby.zones[1].tacticalGrid[1].unit.bleeding = true;
+  lobby.zones[1].tacticalGrid[1].unit.bleedingTurns = 1;
+  assert.equal(push(grid => { grid[1].unit.health = 2; }), null);
+  lobby.zones[1].tacticalGrid[2].terrain = 'volcanic';
+  lobby.zones[1].tacticalGrid[2].unit = { ...lobby.zones[1].tacticalGrid[1].unit, id: 'red_8', position: 2, bleeding: false };
+  assert.equal(push(grid => { grid[2].unit.health = 2; }), null);
+  lobby.zones[1].tacticalGrid[3].unit = { ...lobby.zones[1].tacticalGrid[2].unit, id: 'red_9', position: 3, reachedEdgeWhileRouting: true };
+  assert.equal(push(grid => { grid[3].unit = null; }), null);
+});
+
+test('pushed stats may only wear down, on roads and under fire', () => {
+  const lobby = makeLobby();
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  const push = change => {
+    const zones = copy(lobby.zones);
+    change(zones[1].tacticalGrid[1].unit);
+    return match.validateStateUpdate(lobby, 'red', null, zones);
+  };
+
+  assert.match(push(unit => { unit.attack = 4; }), /changed its attack/);
+  assert.match(push(unit => { unit.morale = 9; }), /changed its morale/);
+  assert.match(push(unit => { unit.hitChance = 12; }), /changed its hitChance/);
+  assert.match(push(unit => { unit.maxArmour = 3; }), /changed its maxArmour/);
+  assert.match(push(unit => { unit.defense = 3; }), /changed its defense/);
+  assert.equal(push(unit => { unit.defense = 0; unit.roadMovementBonus = 1; }), null);
+  assert.match(push(unit => { unit.armour = 2; unit.maxArmour = 2; }), /maxArmour/);
+  assert.match(push(unit => { unit.armour = 1; }), /more armour than its maximum/);
+});
+
+test('zones only change hands, lock and get built on through the server', () => {
+  const lobby = makeLobby({ winCondition: 'dominance', player1BuildPoints: 6, player2BuildPoints: 4 });
+  assert.deepEqual(lobby.gameState.buildPoints, { red: 6, blue: 4 });
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  const push = change => {
+    const zones = copy(lobby.zones);
+    change(zones[1]);
+    return match.validateStateUpdate(lobby, 'red', null, zones);
+  };
+
+  assert.match(push(zone => { zone.control = 'red'; }), /changed hands/);
+  assert.match(push(zone => { zone.locked = false; }), /locked or unlocked/);
+  assert.match(push(zone => {
+    zone.tacticalGrid[2].construction = { type: 'bunker', player: 'red', turnsRemaining: 0, completed: true };
+  }), /Construction changed/);
+
+  // Building takes an order and build points, and finishes on the builder's turns
+  const build = (pos, constructionType) => match.applyGameAction(lobby, 'red', { type: 'buildConstruction', zoneId: 'B', pos, constructionType });
+  assert.match(build(2, 'bridge'), /only be built on river/);
+  assert.match(build(2, 'commandCenter'), /Not enough build points/);
+  assert.equal(build(2, 'bunker'), null);
+  assert.equal(lobby.gameState.buildPoints.red, 1);
+  assert.match(build(2, 'sandbags'), /already has a structure/);
+  assert.equal(push(() => {}), null);
+  const bunker = lobby.zones[1].tacticalGrid[2].construction;
+  assert.deepEqual(bunker, { type: 'bunker', player: 'red', turnsRemaining: 3, completed: false, placedThisTurn: true });
+
+  match.applyGameAction(lobby, 'red', { type: 'endTurn' });
+  assert.equal(bunker.turnsRemaining, 3);
+  assert.equal(bunker.placedThisTurn, false);
+  match.applyGameAction(lobby, 'blue', { type: 'endTurn' });
+  match.applyGameAction(lobby, 'red', { type: 'endTurn' });
+  assert.equal(bunker.turnsRemaining, 2);
+
+  // The upkeep's win check runs on the server too. Red has held B alone for
+  // three turns, counted as each upkeep window closed; it takes four.
+  assert.match(push(zone => { zone.control = 'red'; }), /changed hands/);
+  const zones = copy(lobby.zones);
+  zones[1].holdTracker = { holder: 'red', streak: 9 };
+  assert.equal(match.validateStateUpdate(lobby, 'red', null, zones), null);
+  assert.deepEqual(zones[1].holdTracker, { holder: 'red', streak: 3, lastPlayer: null, turn: 3 });
+});
+
+test('an opening board must be empty unless a scenario sets it', () => {
+  const lobby = { players: [], gameConfig: { gameSettings: {} } };
+  assert.equal(match.getOpeningBoardError(lobby, makeZones()), null);
+
+  const zones = makeZones();
+  zones[0].tacticalGrid[0].unit = { id: 'red_0', player: 'red' };
+  assert.equal(match.getOpeningBoardError(lobby, zones), 'units on the board');
+});
+
+test('match dice only roll the kinds and dice the game uses, and replay from the seed', () => {
+  const lobby = makeLobby();
+  assert.equal(match.rollMatchDice(lobby, 'red', 'combat', 2, 6), 'No match is running');
+
+  lobby.dice = match.createMatchDice();
+  assert.equal(lobby.dice.commitment.length, 64);
+  assert.match(match.rollMatchDice(lobby, null, 'combat', 2, 6), /Only players/);
+  assert.match(match.rollMatchDice(lobby, 'red', 'jackpot', 1, 6), /Unknown roll/);
+  assert.match(match.rollMatchDice(lobby, 'red', 'combat', 1, 20), /d20/);
+  assert.match(match.rollMatchDice(lobby, 'red', 'morale', 3, 6), /3 dice/);
+
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  lobby.zones[1].tacticalGrid[7].unit = { ...ARMY.units[0], id: 'blue_7', player: 'blue', position: 7, health: 3 };
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 7 }), null);
+
+  const first = match.rollMatchDice(lobby, 'red', 'combat', 2, 6);
+  assert.equal(first.sequence, 1);
+  assert.equal(first.values.length, 2);
+  const saved = { seed: lobby.dice.seed, commitment: lobby.dice.commitment, sequence: 1, log: copy(lobby.dice.log) };
+
+  const next = match.rollMatchDice(lobby, 'red', 'morale', 1, 6);
+  const resumed = { ...lobby, dice: match.resumeMatchDice(saved) };
+  assert.deepEqual(rules.rollDie(resumed.dice.random, 6), next.values[0]);
+  assert.equal(rules.verifyRollLog(lobby.dice.seed, lobby.dice.log), null);
+});
+
+test('dice are only rolled for accepted intents and upkeep, once each', () => {
+  const lobby = makeLobby();
+  lobby.dice = match.createMatchDice();
+  assert.match(match.rollMatchDice(lobby, 'red', 'combat', 2, 6), /calls for a combat roll/);
+
+  match.applyGameAction(lobby, 'red', { type: 'selectZone', zoneId: 'B', role: 'attack' });
+  place(lobby, 'red', 1);
+  lobby.zones[1].tacticalGrid[7].unit = { ...ARMY.units[0], id: 'blue_7', player: 'blue', position: 7, health: 3 };
+  match.applyGameAction(lobby, 'red', { type: 'attack', zoneId: 'B', fromPos: 1, toPos: 7 });
+  assert.match(match.rollMatchDice(lobby, 'blue', 'combat', 2, 6), /calls for a combat roll/);
+  assert.equal(typeof match.rollMatchDice(lobby, 'red', 'combat', 2, 6), 'object');
+  assert.match(match.rollMatchDice(lobby, 'red', 'combat', 2, 6), /calls for a combat roll/);
+  assert.match(match.rollMatchDice(lobby, 'red', 'weather', 1, 100), /calls for a weather roll/);
+
+  // The ending side rolls the next turn's weather once
+  match.applyGameAction(lobby, 'red', { type: 'endTurn' });
+  assert.equal(typeof match.rollMatchDice(lobby, 'red', 'weather', 1, 100), 'object');
+  assert.match(match.rollMatchDice(lobby, 'red', 'weather', 1, 100), /calls for a weather roll/);
+  assert.match(match.rollMatchDice(lobby, 'red', 'combat', 1, 6), /calls for a combat roll/);
+
+  // Before the match starts only the host's opening weather is rolled
+  const opening = { players: lobby.players, dice: match.createMatchDice() };
+  assert.match(match.rollMatchDice(opening, 'blue', 'weather', 1, 100), /calls for a weather roll/);
+  assert.equal(typeof match.rollMatchDice(opening, 'red', 'weather', 1, 100), 'object');
+  assert.match(match.rollMatchDice(opening, 'red', 'weather', 1, 100), /calls for a weather roll/);
+});
+
+test('command point costs and the weather are the server\'s, rolled on its dice', () => {
+  const lobby = { players: [{ id: 'p1' }, { id: 'p2' }], dice: match.createMatchDice() };
+  lobby.gameConfig = { gameSettings: { gridSize: GRID_SIZE, weatherType: 'monsoon', dayNightCycle: 'night' } };
+  const opening = match.rollMatchDice(lobby, 'red', 'weather', 1, 100);
+  match.startAuthoritativeMatch(lobby, {}, makeZones());
+  assert.deepEqual(lobby.gameState.cpCosts, rules.defaultCPCosts);
+  assert.deepEqual(lobby.gameState.weatherSystem, {
+    dayNightCycle: 'night',
+    weatherType: 'monsoon',
+    currentWeather: rules.getRolledWeather('monsoon', opening.values[0]),
+    turnCount: 0
+  });
+
+  // Pushed prices and weather are replaced by the server's
+  const pushed = { cpCosts: { attack: 0 }, weatherSystem: { currentWeather: 'clear', weatherType: 'clear' } };
+  assert.equal(match.validateStateUpdate(lobby, 'red', pushed, null), null);
+  assert.deepEqual(pushed.cpCosts, rules.defaultCPCosts);
+  assert.equal(pushed.weatherSystem.weatherType, 'monsoon');
+
+  // The turn change brings the day back, and the ending side's roll the weather
+  match.applyGameAction(lobby, 'red', { type: 'endTurn' });
+  assert.equal(lobby.gameState.weatherSystem.dayNightCycle, 'day');
+  assert.equal(lobby.gameState.weatherSystem.turnCount, 1);
+  const roll = match.rollMatchDice(lobby, 'red', 'weather', 1, 100);
+  assert.equal(lobby.gameState.weatherSystem.currentWeather, rules.getRolledWeather('monsoon', roll.values[0]));
+});
+
+test('time controls are read from the game settings within their limits', () => {
+  assert.equal(match.getTimeControl(makeLobby()), null);
+  assert.deepEqual(match.getTimeControl(makeLobby({ timeControl: { mode: 'turn', turnSeconds: 60 } })), { mode: 'turn', turnSeconds: 60 });
+  assert.equal(match.getTimeControl(makeLobby({ timeControl: { mode: 'turn', turnSeconds: 5 } })), null);
+  assert.deepEqual(match.getTimeControl(makeLobby({ timeControl: { mode: 'clock', totalSeconds: 600 } })),
+    { mode: 'clock', totalSeconds: 600, incrementSeconds: 0 });
+
+  const lobby = makeLobby();
+  lobby.clock = { mode: 'clock', remaining: { red: 5000, blue: 5000 }, turnStartedAt: Date.now() - 2000, incrementSeconds: 0 };
+  const state = match.getTurnClockState(lobby);
+  assert.ok(state.remaining.red <= 3000 && state.remaining.red > 2500);
+  assert.equal(state.remaining.blue, 5000);
+});
+
+test('nothing is accepted once the match is decided', () => {
+  const lobby = makeLobby();
+  match.finishMatch(lobby, 'blue', 'time');
+  assert.deepEqual(lobby.matchResult, { winner: 'blue', reason: 'time', turnCount: 0 });
+  assert.equal(match.applyGameAction(lobby, 'red', { type: 'endTurn' }), 'The match is over');
+  assert.equal(match.validateStateUpdate(lobby, 'red', {}, copy(lobby.zones)), 'The match is over');
+  assert.equal(lobby.gameState.currentPlayer, 'red');
+
+  match.startAuthoritativeMatch(lobby, {}, makeZones());
+  assert.equal(lobby.matchResult, null);
+});
+
+test('victory is decided on the server\'s board, without moving its trackers', () => {
+  const lobby = makeLobby({ winCondition: 'elimination' });
+  lobby.gameState.turnCount = 2;
+  lobby.zones[1].tacticalGrid[1].unit = { id: 'red_1', player: 'red' };
+  assert.equal(match.checkMatchVictory(lobby).winner, 'red');
+
+  lobby.zones[1].tacticalGrid[34].unit = { id: 'blue_34', player: 'blue' };
+  assert.equal(match.checkMatchVictory(lobby).winner, null);
+
+  lobby.gameConfig.gameSettings.winCondition = 'dominance';
+  match.checkMatchVictory(lobby);
+  assert.equal(lobby.zones[0].holdTracker, undefined);
+});
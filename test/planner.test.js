@@ -0,0 +1,286 @@
+/**
+ * Tests for the AI planner in planner.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+const planner = require('../planner');
+
+const GRID_SIZE = 5;
+
+function makeUnit(overrides = {}) {
+  return {
+    name: 'Rifles',
+    type: 'infantry',
+    player: 'blue',
+    attack: 3,
+    defense: 2,
+    health: 4,
+    maxHealth: 4,
+    armour: 0,
+    maxArmour: 0,
+    range: 1,
+    movement: 2,
+    morale: 4,
+    special: 'none',
+    ...overrides
+  };
+}
+
+function makeSituation(overrides = {}) {
+  const grid = [];
+  for (let pos = 0; pos < GRID_SIZE * GRID_SIZE; pos++) {
+    grid.push({ terrain: 'plains', unit: null, construction: null });
+  }
+  return {
+    grid,
+    gridSize: GRID_SIZE,
+    player: 'blue',
+    role: 'attack',
+    cp: 3,
+    cpCosts: rules.defaultCPCosts,
+    reserves: [],
+    deploymentRows: [0],
+    weatherSystem: { currentWeather: 'clear', dayNightCycle: 'day' },
+    aerial: { red: [], blue: [] },
+    cutOff: { red: false, blue: false },
+    acted: {},
+    ...overrides
+  };
+}
+
+function place(situation, pos, overrides) {
+  situation.grid[pos].unit = makeUnit({ id: `unit_${pos}`, position: pos, ...overrides });
+  return situation.grid[pos].unit;
+}
+
+const fixedClock = () => 0;
+
+test('difficulty tiers search further rather than granting command points', () => {
+  const { recruit, veteran, field_marshal: fieldMarshal } = planner.AI_DIFFICULTIES;
+  assert.ok(recruit.depth < veteran.depth && veteran.depth < fieldMarshal.depth);
+  assert.ok(recruit.timeBudget < veteran.timeBudget && veteran.timeBudget < fieldMarshal.timeBudget);
+  assert.ok(Object.values(planner.AI_DIFFICULTIES).every(tier => !('commandPoints' in tier)));
+  assert.ok(planner.AI_DIFFICULTIES[planner.DEFAULT_AI_DIFFICULTY]);
+});
+
+test('candidate actions follow deployment rows, unit actions and command points', () => {
+  const situation = makeSituation({ reserves: [makeUnit(), makeUnit()] });
+  const rifles = place(situation, 7);
+  place(situation, 12, { player: 'red' });
+
+  const actions = situation => planner.getCandidateActions(situation);
+  const ofType = (list, type) => list.filter(action => action.type === type);
+
+  // Identical reserves give one set of deployments
+  const deployments = ofType(actions(situation), 'deploy');
+  assert.deepEqual(deployments.map(action => action.pos), [0, 1, 2, 3, 4]);
+  assert.deepEqual(ofType(actions(situation), 'attack'), [{ type: 'attack', from: 7, to: 12 }]);
+  assert.ok(ofType(actions(situation), 'move').length > 0);
+
+  situation.acted[rifles.id] = { hasMoved: true, hasAttacked: true };
+  assert.deepEqual(ofType(actions(situation), 'move'), []);
+  assert.deepEqual(ofType(actions(situation), 'attack'), []);
+
+  assert.deepEqual(actions({ ...situation, acted: {}, cp: 0 }), []);
+});
+
+test('simulated attacks roll the dice and leave the situation they start from alone', () => {
+  const situation = makeSituation();
+  place(situation, 7, { attack: 9 });
+  place(situation, 12, { player: 'red', defense: 0, health: 1, morale: 7 });
+
+  const next = planner.simulateAction(situation, { type: 'attack', from: 7, to: 12 }, rules.createRandom('attack'));
+  assert.equal(next.grid[12].unit, null);
+  assert.equal(next.cp, 2);
+  assert.equal(next.acted.unit_7.hasAttacked, true);
+  assert.equal(situation.grid[12].unit.health, 1);
+  assert.equal(situation.cp, 3);
+  assert.deepEqual(situation.acted, {});
+});
+
+test('a defender that holds its morale falls back at full health', () => {
+  const situation = makeSituation();
+  place(situation, 7, { attack: 9 });
+  place(situation, 12, { player: 'red', defense: 0, health: 1, morale: 1 });
+
+  const next = planner.simulateAction(situation, { type: 'attack', from: 7, to: 12 }, rules.createRandom('morale'));
+  assert.equal(next.grid[12].unit, null);
+  assert.equal(next.grid[17].unit.id, 'unit_12');
+  assert.equal(next.grid[17].unit.health, 4);
+});
+
+test('deployed units can only move on the turn they arrive when attacking', () => {
+  const attacking = makeSituation({ reserves: [makeUnit()] });
+  const deploy = { type: 'deploy', reserveIndex: 0, pos: 2 };
+  const attacked = planner.simulateAction(attacking, deploy, null);
+  const unit = attacked.grid[2].unit;
+  assert.equal(unit.health, 4);
+  assert.equal(attacked.reserves.length, 0);
+  assert.equal(attacked.acted[unit.id].hasMoved, false);
+
+  const defending = makeSituation({ role: 'defense', reserves: [makeUnit()], deploymentRows: [4] });
+  const defended = planner.simulateAction(defending, { ...deploy, pos: 22 }, null);
+  assert.equal(defended.acted[defended.grid[22].unit.id].hasMoved, true);
+});
+
+test('the planner takes a sure kill', () => {
+  const situation = makeSituation({ cp: 1 });
+  place(situation, 7, { attack: 9 });
+  place(situation, 12, { player: 'red', defense: 0, health: 1, morale: 7 });
+
+  for (const difficulty of Object.keys(planner.AI_DIFFICULTIES)) {
+    const action = planner.chooseAction(situation, difficulty, { random: rules.createRandom(difficulty), now: fixedClock });
+    assert.deepEqual(action, { type: 'attack', from: 7, to: 12 }, difficulty);
+  }
+});
+
+test('the planner passes when no action is worth its command points', () => {
+  const situation = makeSituation({ role: 'defense' });
+  place(situation, 22);
+
+  assert.equal(planner.chooseAction(situation, 'veteran', { random: rules.createRandom('pass'), now: fixedClock }), null);
+  assert.equal(planner.chooseAction(makeSituation({ cp: 0, reserves: [makeUnit()] }), 'veteran', { now: fixedClock }), null);
+});
+
+test('the planner brings in reserves to take an empty zone', () => {
+  const situation = makeSituation({ cp: 1, reserves: [makeUnit()] });
+  const action = planner.chooseAction(situation, 'recruit', { random: rules.createRandom('deploy'), now: fixedClock });
+  assert.equal(action.type, 'deploy');
+  assert.ok(action.pos < GRID_SIZE);
+});
+
+test('a defensive commander holds ground an aggressive one would push over', () => {
+  const choose = type => {
+    const situation = makeSituation({ personality: { type } });
+    place(situation, 2);
+    return planner.chooseAction(situation, 'veteran', { random: rules.createRandom(type), now: fixedClock });
+  };
+
+  assert.equal(choose('aggressive').type, 'move');
+  assert.equal(choose('defensive'), null);
+});
+
+test('an aggressive commander sends its cavalry charge in first', () => {
+  const dragoons = makeUnit({ name: 'Dragoons', type: 'cavalry', attack: 1, defense: 0, movement: 3, special: 'charge' });
+  const choose = type => planner.chooseAction(
+    makeSituation({ cp: 1, reserves: [makeUnit(), dragoons], personality: { type } }),
+    'veteran',
+    { random: rules.createRandom(type), now: fixedClock }
+  );
+
+  assert.equal(choose('aggressive').reserveIndex, 1);
+  assert.equal(choose('balanced').reserveIndex, 0);
+});
+
+function makeBattle(controls, occupants = {}, overrides = {}) {
+  const zones = controls.map((control, index) => {
+    const id = 'ABCDEF'[index];
+    const tacticalGrid = {};
+    for (let pos = 0; pos < GRID_SIZE * GRID_SIZE; pos++) {
+      tacticalGrid[pos] = { terrain: 'plains', unit: null };
+    }
+    (occupants[id] || []).forEach((player, pos) => {
+      tacticalGrid[pos].unit = makeUnit({ id: `${id}_${pos}`, player });
+    });
+    return { id, control, terrain: 'plains', tacticalGrid, locked: false };
+  });
+  rules.applyZoneLayout(zones, 'line');
+  return { zones, gridSize: GRID_SIZE, player: 'blue', cp: 5, enemyStrength: {}, ...overrides };
+}
+
+test('the strategy holds its threatened zones and shells where the enemy leads', () => {
+  const battle = makeBattle(['red', 'contested', 'blue'], { B: ['red', 'red', 'blue'], C: ['blue'] });
+  const before = JSON.stringify(battle);
+  const plan = planner.planStrategy(battle);
+
+  assert.deepEqual(plan.cpAllocation, { attack: 2, defense: 1, artillery: 1 });
+  assert.deepEqual(plan.zonesToDefend, ['C']);
+  assert.deepEqual([...plan.zonesToAttack].sort(), ['A', 'B']);
+  assert.deepEqual(plan.artilleryTargets, ['B']);
+  assert.deepEqual(plan.enemyStrength, { A: 0, B: 10, C: 0 });
+  assert.equal(JSON.stringify(battle), before);
+});
+
+test('a deceptive commander counter-attacks where the enemy has just committed and baits a neutral zone', () => {
+  const battle = makeBattle(['red', 'neutral', 'neutral', 'contested', 'blue'], { D: ['red', 'red', 'blue'] }, {
+    cp: 3,
+    personality: { type: 'deceptive' },
+    enemyStrength: { D: 5 }
+  });
+  const plan = planner.planStrategy(battle);
+
+  assert.deepEqual(plan.zonesToAttack, ['D', 'C', 'B']);
+  assert.equal(plan.baitZoneId, 'B');
+  assert.equal(plan.intents.length, 2);
+
+  // The counter-attack gets twice the CP, the bait a single cheap unit
+  assert.equal(planner.getZoneCPShare(plan, 'D', 3), 2);
+  assert.equal(planner.getZoneCPShare(plan, 'E', 3), 3);
+  assert.deepEqual(planner.getZoneOrders(plan, 'B', false, battle.personality),
+    { deployLimit: 1, holdBack: 0, cheapestFirst: true });
+  assert.equal(planner.getZoneOrders(plan, 'E', true, { type: 'defensive' }).holdBack, 2);
+  assert.equal(planner.getZoneOrders(plan, 'E', false, { type: 'defensive' }).holdBack, 0);
+});
+
+test('the AI expects the enemy in the zones it has learnt they favour', () => {
+  const battle = makeBattle(['red', 'neutral', 'neutral', 'neutral', 'blue'], {}, { cp: 3 });
+  assert.deepEqual(planner.planStrategy(battle).zonesToAttack, ['C']);
+
+  const plan = planner.planStrategy({ ...battle, favouredZones: ['B'] });
+  assert.deepEqual(plan.zonesToAttack, ['B']);
+  assert.deepEqual(plan.intents, ['Expected you in Zone B, where you have fought most']);
+});
+
+function makeRecord(overrides = {}) {
+  return { ...planner.createOpponentRecord(), ...overrides };
+}
+
+test('an opponent profile adds up the matches played against them', () => {
+  const first = makeRecord({ zones: { A: 3 }, unitTypes: { infantry: 4 }, support: { artillery: 2, gas: 0, aerial: 1 },
+    attacks: 6, turns: 5, tactics: { defensive_counter: 5 } });
+  const second = makeRecord({ zones: { A: 1, B: 2 }, attacks: 1, turns: 4, tactics: { defensive_counter: 2, aggressive_pressure: 2 } });
+
+  const empty = planner.createOpponentProfile('Haig');
+  const profile = planner.recordOpponentMatch(planner.recordOpponentMatch(empty, first, true), second, false);
+  assert.equal(profile.name, 'Haig');
+  assert.equal(profile.matches, 2);
+  assert.equal(profile.aiWins, 1);
+  assert.deepEqual(profile.zones, { A: 4, B: 2 });
+  assert.deepEqual(profile.support, { artillery: 2, gas: 0, aerial: 1 });
+  assert.equal(profile.turns, 9);
+  assert.deepEqual(profile.tactics, { defensive_counter: { used: 2, won: 1 }, aggressive_pressure: { used: 1, won: 0 } });
+  assert.equal(empty.matches, 0);
+
+  assert.equal(planner.getOpponentProfileError(profile), null);
+  assert.match(planner.getOpponentProfileError({ ...profile, attacks: -1 }), /attacks/);
+  assert.match(planner.getOpponentProfileError({ ...profile, tactics: { bluff: { used: 1, won: 0 } } }), /tactics/);
+  assert.match(planner.getOpponentProfileError({ ...profile, name: '' }), /no name/);
+});
+
+test('the opponent\'s history sets the counter-strategy from the first turn of the next match', () => {
+  const fresh = planner.getOpponentPatterns(null, planner.createOpponentRecord());
+  assert.equal(fresh.style, 'balanced');
+  assert.equal(fresh.counterStrategy, planner.DEFAULT_COUNTER_STRATEGY);
+  assert.deepEqual(fresh.favouredZones, []);
+
+  const aggressive = makeRecord({ zones: { C: 6, A: 1 }, unitTypes: { tank: 3, infantry: 1 }, support: { artillery: 4, gas: 0, aerial: 0 },
+    attacks: 16, turns: 8 });
+  let profile = planner.recordOpponentMatch(planner.createOpponentProfile('Foch'), aggressive, false);
+  const patterns = planner.getOpponentPatterns(profile, planner.createOpponentRecord());
+  assert.equal(patterns.style, 'aggressive');
+  assert.equal(patterns.counterStrategy, 'defensive_counter');
+  assert.equal(patterns.provenCounter, false);
+  assert.deepEqual(patterns.favouredZones, ['C']);
+  assert.equal(patterns.supportRates.artillery, 0.5);
+  assert.equal(patterns.mainUnitType, 'tank');
+
+  // A counter-strategy that has beaten them twice is played again
+  const beaten = makeRecord({ attacks: 16, turns: 8, tactics: { aggressive_pressure: 8 } });
+  profile = planner.recordOpponentMatch(planner.recordOpponentMatch(profile, beaten, true), beaten, true);
+  const learnt = planner.getOpponentPatterns(profile, planner.createOpponentRecord());
+  assert.equal(learnt.counterStrategy, 'aggressive_pressure');
+  assert.equal(learnt.provenCounter, true);
+});
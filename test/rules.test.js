@@ -0,0 +1,1251 @@
+/**
+ * Tests for the shared game rules in rules.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+
+const GRID_SIZE = 5;
+
+function makeGrid(terrain = 'plains', size = GRID_SIZE) {
+  const grid = {};
+  for (let pos = 0; pos < size * size; pos++) {
+    grid[pos] = { terrain, unit: null, construction: null };
+  }
+  return grid;
+}
+
+function makeUnit(overrides = {}) {
+  return {
+    name: 'Rifles',
+    type: 'infantry',
+    player: 'red',
+    attack: 3,
+    defense: 2,
+    health: 3,
+    maxHealth: 3,
+    range: 1,
+    movement: 2,
+    special: 'none',
+    ...overrides
+  };
+}
+
+function built(type) {
+  return { type, completed: true };
+}
+
+function context(grid, extra = {}) {
+  return { grid, gridSize: GRID_SIZE, weatherSystem: { currentWeather: 'clear', dayNightCycle: 'day' }, ...extra };
+}
+
+// Terrain
+
+test('terrain table covers every terrain with a move cost and defense modifier', () => {
+  const terrains = ['plains', 'forest', 'river', 'hills', 'mountains', 'swamp', 'jungle', 'desert',
+    'ruins', 'road', 'infrastructure', 'snow', 'volcanic', 'beach'];
+  assert.deepEqual(Object.keys(rules.terrainEffects).sort(), terrains.sort());
+  terrains.forEach(terrain => {
+    const effect = rules.terrainEffects[terrain];
+    assert.equal(typeof effect.moveDelay, 'number', terrain);
+    assert.equal(typeof effect.defenseBonus, 'number', terrain);
+    assert.match(effect.color, /^#[0-9A-F]{6}$/i, terrain);
+  });
+  assert.equal(rules.terrainEffects.volcanic.damagePerTurn, 1);
+});
+
+test('terrain attack and defense modifiers apply to combat values', () => {
+  const expected = {
+    plains: [3, 2], forest: [3, 3], river: [3, 2], hills: [3, 3], mountains: [3, 4],
+    swamp: [2, 2], jungle: [2, 4], desert: [3, 1], ruins: [4, 3], road: [3, 1],
+    infrastructure: [3, 3], snow: [3, 1], volcanic: [3, 2], beach: [3, 0]
+  };
+  Object.entries(expected).forEach(([terrain, [attack, defense]]) => {
+    const grid = makeGrid(terrain);
+    const unit = makeUnit();
+    grid[12].unit = unit;
+    const values = rules.getActualCombatValues(unit, 12, grid[12], null, null, null, context(grid));
+    assert.deepEqual([values.actualAttack, values.actualDefense], [attack, defense], terrain);
+  });
+});
+
+test('restricted terrain keeps the listed unit types out', () => {
+  const tank = makeUnit({ type: 'tank' });
+  const fieldGun = makeUnit({ type: 'field_gun' });
+  const infantry = makeUnit();
+  assert.ok(rules.getMovementRestriction(tank, { terrain: 'forest' }));
+  assert.ok(rules.getMovementRestriction(tank, { terrain: 'jungle' }));
+  assert.ok(rules.getMovementRestriction(tank, { terrain: 'infrastructure' }));
+  assert.ok(rules.getMovementRestriction(fieldGun, { terrain: 'swamp' }));
+  assert.ok(rules.getMovementRestriction(fieldGun, { terrain: 'river' }));
+  assert.equal(rules.getMovementRestriction(infantry, { terrain: 'swamp' }), null);
+  assert.ok(rules.getMovementRestriction(infantry, { terrain: 'mountains' }));
+  assert.equal(rules.getMovementRestriction(makeUnit({ type: 'mech' }), { terrain: 'mountains' }), null);
+});
+
+test('movement cost follows the terrain move delay and snow penalties', () => {
+  const infantry = makeUnit();
+  const tank = makeUnit({ type: 'tank' });
+  assert.equal(rules.getMovementCost(infantry, { terrain: 'plains' }), 1);
+  assert.equal(rules.getMovementCost(infantry, { terrain: 'desert' }), 2);
+  assert.equal(rules.getMovementCost(infantry, { terrain: 'swamp' }), 3);
+  assert.equal(rules.getMovementCost(infantry, { terrain: 'snow' }), 3);
+  assert.equal(rules.getMovementCost(tank, { terrain: 'snow' }), 5);
+});
+
+test('roads and infrastructure add movement', () => {
+  const unit = makeUnit({ movement: 2 });
+  assert.equal(rules.getMovementPoints(unit, 0, { terrain: 'plains' }), 2);
+  assert.equal(rules.getMovementPoints(unit, 0, { terrain: 'road' }), 4);
+  assert.equal(rules.getMovementPoints(unit, 0, { terrain: 'infrastructure' }), 4);
+  assert.equal(rules.getMovementPoints(unit, 0, { terrain: 'plains', construction: built('road') }), 3);
+});
+
+test('rivers stop units without a bridge and block heavy units entirely', () => {
+  const grid = makeGrid();
+  grid[7].terrain = 'river';
+  grid[12].unit = makeUnit({ movement: 4 });
+  const infantryMoves = rules.calculateValidMovementPositions(grid, 12, 4, GRID_SIZE);
+  assert.ok(infantryMoves.includes(7));
+  assert.equal(rules.getRemainingMovementAfterMove(grid[12].unit, grid[7], 4), 0);
+
+  grid[12].unit = makeUnit({ type: 'tank', movement: 4 });
+  assert.ok(!rules.calculateValidMovementPositions(grid, 12, 4, GRID_SIZE).includes(7));
+
+  grid[7].construction = built('bridge');
+  assert.ok(rules.calculateValidMovementPositions(grid, 12, 4, GRID_SIZE).includes(7));
+  assert.equal(rules.getMovementCost(grid[12].unit, grid[7]), 1);
+});
+
+test('mountains are impassable except to mechs', () => {
+  const grid = makeGrid();
+  grid[7].terrain = 'mountains';
+  grid[12].unit = makeUnit({ movement: 3 });
+  assert.ok(!rules.calculateValidMovementPositions(grid, 12, 3, GRID_SIZE).includes(7));
+  grid[12].unit = makeUnit({ type: 'mech', movement: 3 });
+  assert.ok(rules.calculateValidMovementPositions(grid, 12, 3, GRID_SIZE).includes(7));
+});
+
+test('hills and mountains see over units that block line of sight', () => {
+  const grid = makeGrid();
+  grid[10].unit = makeUnit({ range: 3 });
+  grid[11].unit = makeUnit({ name: 'Friend' });
+  grid[13].unit = makeUnit({ player: 'blue' });
+  assert.equal(rules.hasLineOfSight(grid, 10, 13, GRID_SIZE), false);
+  assert.equal(rules.canAttackPosition(grid, 10, 13, 'red', GRID_SIZE), false);
+  grid[10].terrain = 'hills';
+  assert.equal(rules.canAttackPosition(grid, 10, 13, 'red', GRID_SIZE), true);
+  grid[10].terrain = 'mountains';
+  assert.equal(rules.canAttackPosition(grid, 10, 13, 'red', GRID_SIZE), true);
+});
+
+test('sight lines follow the Bresenham line, diagonals included', () => {
+  assert.deepEqual(rules.getTilesBetween(0, 24, GRID_SIZE), [6, 12, 18]);
+  assert.deepEqual(rules.getTilesBetween(0, 13, GRID_SIZE), [6, 7]);
+  assert.deepEqual(rules.getTilesBetween(0, 1, GRID_SIZE), []);
+
+  const grid = makeGrid();
+  grid[0].unit = makeUnit({ range: 4 });
+  grid[24].unit = makeUnit({ player: 'blue' });
+  assert.equal(rules.canAttackPosition(grid, 0, 24, 'red', GRID_SIZE), true);
+  grid[12].unit = makeUnit({ name: 'Friend' });
+  assert.equal(rules.canAttackPosition(grid, 0, 24, 'red', GRID_SIZE), false);
+  grid[0].unit.type = 'field_gun';
+  assert.equal(rules.canAttackPosition(grid, 0, 24, 'red', GRID_SIZE), true);
+});
+
+test('mountains, jungle and bunkers block sight; forest, ruins and barricades give cover', () => {
+  const grid = makeGrid();
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'clear');
+  grid[11].terrain = 'forest';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'partial');
+  grid[12].construction = built('bunker');
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'blocked');
+  grid[12].construction = { type: 'bunker', completed: false };
+  grid[12].terrain = 'jungle';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'blocked');
+
+  // Hills see over low cover, mountains over everything
+  grid[10].terrain = 'hills';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'blocked');
+  grid[12].terrain = 'ruins';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'clear');
+  grid[10].terrain = 'plains';
+  grid[10].construction = built('snipersNest');
+  grid[10].unit = makeUnit();
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'clear');
+  grid[10].construction = null;
+  grid[12].terrain = 'mountains';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'blocked');
+  grid[10].terrain = 'mountains';
+  assert.equal(rules.getLineOfSight(grid, 10, 13, GRID_SIZE), 'clear');
+});
+
+test('a defender shot at through partial cover gains defense', () => {
+  const grid = makeGrid();
+  const attacker = makeUnit({ range: 3 });
+  const defender = makeUnit({ player: 'blue' });
+  grid[10].unit = attacker;
+  grid[13].unit = defender;
+  const defense = () => rules.getActualCombatValues(defender, 13, grid[13], 10, grid[10], attacker, context(grid)).actualDefense;
+  assert.equal(defense(), 2);
+  grid[12].construction = built('barricade');
+  assert.equal(defense(), 3);
+  attacker.type = 'field_gun';
+  assert.equal(defense(), 2);
+});
+
+// Constructions
+
+test('constructions modify combat values for the unit types they serve', () => {
+  const grid = makeGrid();
+  const check = (unit, construction, terrain, target) => {
+    grid[12] = { terrain: terrain || 'plains', unit, construction: built(construction) };
+    const values = rules.getActualCombatValues(unit, 12, grid[12], target ? 13 : null, target || null, null, context(grid));
+    return [values.actualAttack, values.actualDefense, values.actualRange];
+  };
+  assert.deepEqual(check(makeUnit(), 'trenches'), [3, 4, 1]);
+  assert.deepEqual(check(makeUnit({ type: 'tank' }), 'sandbags'), [3, 3, 1]);
+  assert.deepEqual(check(makeUnit(), 'machineGunNest'), [5, 2, 1]);
+  assert.deepEqual(check(makeUnit({ type: 'field_gun' }), 'mortarPit'), [5, 2, 1]);
+  assert.deepEqual(check(makeUnit(), 'snipersNest'), [3, 2, 2]);
+  assert.deepEqual(check(makeUnit(), 'barricade', 'ruins'), [4, 5, 1]);
+  assert.deepEqual(check(makeUnit(), 'road'), [3, 1, 1]);
+  const armoured = { terrain: 'plains', unit: makeUnit({ type: 'tank', player: 'blue' }) };
+  assert.deepEqual(check(makeUnit({ type: 'field_gun' }), 'antiTankPit', 'plains', armoured), [7, 2, 1]);
+});
+
+test('constructions are paid for, kept to their terrain and built over their owner\'s turns', () => {
+  const grid = makeGrid();
+  assert.equal(rules.getConstructionError(grid[12], 'trenches', 2), null);
+  assert.equal(rules.getConstructionError(grid[12], 'trenches', 1), 'Not enough build points: Trenches costs 2 BP and you have 1');
+  assert.equal(rules.getConstructionError(grid[12], 'bridge', 9), 'Bridge can only be built on river');
+  assert.equal(rules.getConstructionError({ terrain: 'mountain' }, 'bunker', 9), 'Bunker cannot be built on mountain');
+  assert.equal(rules.getConstructionError({ terrain: 'plains', construction: built('road') }, 'sandbags', 9),
+    'This position already has a structure');
+  assert.match(rules.getConstructionError(grid[12], 'moat', 9), /Unknown construction/);
+
+  assert.equal(rules.getConstructionTurns(grid, 12, 'bunker', 'red', GRID_SIZE), 3);
+  grid[13].unit = makeUnit({ special: 'sapper', player: 'blue' });
+  assert.equal(rules.getConstructionTurns(grid, 12, 'bunker', 'red', GRID_SIZE), 3);
+  grid[13].unit.player = 'red';
+  assert.equal(rules.getConstructionTurns(grid, 12, 'bunker', 'red', GRID_SIZE), 2);
+  assert.equal(rules.getConstructionTurns(grid, 12, 'sandbags', 'red', GRID_SIZE), 1);
+
+  grid[12].construction = { type: 'sandbags', player: 'red', turnsRemaining: 1, completed: false, placedThisTurn: true };
+  const zones = [{ id: 'A', tacticalGrid: grid }];
+  assert.deepEqual(rules.advanceConstructions(zones, 'red'), []);
+  assert.deepEqual(rules.advanceConstructions(zones, 'blue'), []);
+  assert.deepEqual(rules.advanceConstructions(zones, 'red').map(({ pos }) => pos), [12]);
+  assert.deepEqual(grid[12].construction, { type: 'sandbags', player: 'red', turnsRemaining: 0, completed: true, placedThisTurn: false });
+});
+
+// Special abilities
+
+test('every special ability has a name, description and apply function', () => {
+  Object.entries(rules.specialAbilities).forEach(([key, ability]) => {
+    assert.equal(typeof ability.name, 'string', key);
+    assert.equal(typeof ability.description, 'string', key);
+    assert.equal(typeof ability.apply, 'function', key);
+  });
+});
+
+test('those_who_dare gains range and defense on mountains', () => {
+  const unit = makeUnit({ special: 'those_who_dare' });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'mountains' }),
+    { defenseBonus: 1, rangeBonus: 1, canTraverseMountains: true });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains' }), { canTraverseMountains: true });
+
+  const grid = makeGrid();
+  grid[7].terrain = 'mountains';
+  grid[12].unit = unit;
+  assert.ok(rules.calculateValidMovementPositions(grid, 12, 3, GRID_SIZE).includes(7));
+});
+
+test('stealth hides units in cover until they attack', () => {
+  const unit = makeUnit({ special: 'stealth' });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'forest' }), { hidden: true });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains' }), {});
+  unit.hasAttacked = true;
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'jungle' }), {});
+});
+
+test('amphibious gains attack and movement on rivers and beaches and crosses rivers', () => {
+  const unit = makeUnit({ special: 'amphibious' });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'beach' }), { movementBonus: 1, attackBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains' }), {});
+  assert.equal(rules.getMovementCost(unit, { terrain: 'river' }), 1);
+  assert.equal(rules.getMovementPoints(unit, 0, { terrain: 'river' }), 3);
+});
+
+test('veteran ignores barbed wire and hits fortified targets harder', () => {
+  const unit = makeUnit({ special: 'veteran' });
+  const target = { terrain: 'plains', unit: makeUnit({ player: 'blue' }), construction: built('sandbags') };
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains' }, 1, target), { ignoreBarbedWire: true, attackBonus: 1 });
+
+  const grid = makeGrid();
+  grid[7].construction = built('barbedWire');
+  grid[12].unit = unit;
+  assert.ok(rules.calculateValidMovementPositions(grid, 12, 2, GRID_SIZE).includes(2));
+  grid[12].unit = makeUnit();
+  assert.ok(!rules.calculateValidMovementPositions(grid, 12, 2, GRID_SIZE).includes(2));
+});
+
+test('charge gains attack against adjacent infantry only', () => {
+  const grid = makeGrid();
+  const unit = makeUnit({ type: 'cavalry', special: 'charge' });
+  grid[13].unit = makeUnit({ player: 'blue' });
+  grid[14].unit = makeUnit({ player: 'blue' });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 12, grid[12], 13, grid[13], context(grid)), { attackBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 12, grid[12], 14, grid[14], context(grid)), {});
+});
+
+test('support, engineering and transport abilities report their capabilities', () => {
+  const effects = (special) => rules.applySpecialAbilities(makeUnit({ special }), 0, { terrain: 'plains' });
+  assert.deepEqual(effects('healer'), { canHeal: true, healAmount: 1 });
+  assert.deepEqual(effects('mechanic'), { canRepairArmor: true, armorRepairAmount: 1 });
+  assert.deepEqual(effects('sapper'), { canConstruct: true, canDisableTraps: true, constructionSpeedBonus: true });
+  assert.deepEqual(effects('chemical_warfare'), { canDeployGas: true });
+  assert.deepEqual(effects('carrier'), { canTransport: true, transportCapacity: 2 });
+  assert.deepEqual(effects('morale_collapse'), { causesMoraleCollapse: true });
+  assert.deepEqual(effects('air_defense'), { airDefense: true });
+  assert.deepEqual(effects('the_hub_in_the_sky'), { providesFighterBonus: true });
+  assert.deepEqual(effects('life_steal'), { immuneToSuppression: true, immuneToArtillery: true });
+});
+
+test('mobile_cover shields adjacent friendly units and speeds up on roads', () => {
+  const grid = makeGrid();
+  const cover = makeUnit({ type: 'vehicle', special: 'mobile_cover' });
+  const infantry = makeUnit();
+  grid[12].unit = cover;
+  grid[13].unit = infantry;
+  grid[14].unit = makeUnit({ player: 'blue' });
+  assert.equal(rules.getAdjacentMobileCoverBonus(infantry, 13, context(grid)), 1);
+  assert.equal(rules.getAdjacentMobileCoverBonus(grid[14].unit, 14, context(grid)), 0);
+
+  rules.applySpecialAbilities(cover, 12, { terrain: 'road' });
+  assert.equal(cover.mobileCoverRoadBonus, 2);
+  assert.equal(rules.getMovementPoints(makeUnit({ special: 'mobile_cover', movement: 2 }), 0, { terrain: 'road' }), 6);
+});
+
+test('all_terrain enters restricted cover but takes damage on entry', () => {
+  const tank = makeUnit({ type: 'tank', special: 'all_terrain' });
+  assert.equal(rules.getMovementRestriction(tank, { terrain: 'forest' }), null);
+  assert.deepEqual(rules.applySpecialAbilities(tank, 0, { terrain: 'swamp' }), {});
+  tank.justMoved = true;
+  assert.deepEqual(rules.applySpecialAbilities(tank, 0, { terrain: 'swamp' }), { terrainDamage: 1 });
+});
+
+test('siege_mode rewards a tank that held still', () => {
+  const tank = makeUnit({ type: 'tank', special: 'siege_mode', turnsStationary: 0 });
+  assert.deepEqual(rules.applySpecialAbilities(tank, 0, {}), {});
+  tank.turnsStationary = 1;
+  assert.deepEqual(rules.applySpecialAbilities(tank, 0, {}), { attackBonus: 1 });
+});
+
+test('trample drives through barbed wire and tank traps', () => {
+  const grid = makeGrid();
+  grid[7].construction = built('tankTrap');
+  grid[12].unit = makeUnit({ type: 'tank', special: 'trample' });
+  assert.ok(rules.calculateValidMovementPositions(grid, 12, 2, GRID_SIZE).includes(2));
+  grid[12].unit = makeUnit({ type: 'tank' });
+  assert.ok(!rules.calculateValidMovementPositions(grid, 12, 2, GRID_SIZE).includes(2));
+  assert.equal(rules.getRemainingMovementAfterMove(grid[12].unit, grid[7], 3), 0);
+});
+
+test('fear_pulse evades tanks, artillery and bombers', () => {
+  const mech = makeUnit({ type: 'mech', special: 'fear_pulse' });
+  assert.deepEqual(rules.applySpecialAbilities(mech, 0, {}, makeUnit({ type: 'tank' })), { defenseBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(mech, 0, {}, makeUnit()), {});
+});
+
+test('mode_switch counts adjacent friendly mechs', () => {
+  const grid = makeGrid();
+  const mech = makeUnit({ type: 'mech', special: 'mode_switch' });
+  grid[12].unit = mech;
+  grid[6].unit = makeUnit({ type: 'mech' });
+  grid[8].unit = makeUnit({ type: 'mech' });
+  grid[16].unit = makeUnit({ type: 'mech', player: 'blue' });
+  assert.deepEqual(rules.applySpecialAbilities(mech, 12, grid[12], null, null, context(grid)), { attackBonus: 2 });
+});
+
+test('life_steal salvages armour from armoured targets', () => {
+  const attacker = makeUnit({ type: 'mech', special: 'life_steal', armour: 1, maxArmour: 4 });
+  const defender = makeUnit({ type: 'tank', player: 'blue', health: 5, armour: 0, maxArmour: 2 });
+  const result = rules.processCombatResult(attacker, defender, 13, {}, 6, 4);
+  assert.deepEqual(result.armourGained, { gain: 2, from: 1, to: 3, max: 4 });
+  assert.equal(attacker.armour, 3);
+});
+
+test('mobile_fire and veteran punish fortified targets', () => {
+  const target = { terrain: 'plains', unit: makeUnit({ player: 'blue' }), construction: built('trenches') };
+  const artillery = makeUnit({ type: 'artillery', special: 'mobile_fire' });
+  assert.deepEqual(rules.applySpecialAbilities(artillery, 0, {}, 1, target), { attackBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(artillery, 0, {}, 1, { terrain: 'plains', unit: target.unit }), {});
+});
+
+test('fortified defends better on a completed construction', () => {
+  const unit = makeUnit({ special: 'fortified' });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains', construction: built('sandbags') }), { defenseBonus: 1 });
+  assert.deepEqual(rules.applySpecialAbilities(unit, 0, { terrain: 'plains', construction: { type: 'sandbags', completed: false } }), {});
+});
+
+test('precision improves with repeated shots at the same target, capped at +3', () => {
+  const artillery = makeUnit({ type: 'artillery', special: 'precision', targetHistory: { 4: 1, 5: 3, 6: 9 } });
+  assert.deepEqual(rules.applySpecialAbilities(artillery, 0, {}, 4), {});
+  assert.deepEqual(rules.applySpecialAbilities(artillery, 0, {}, 5), { accuracyBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(artillery, 0, {}, 6), { accuracyBonus: 3 });
+});
+
+test('air_superiority scales with the fighter advantage', () => {
+  const fighter = makeUnit({ type: 'fighter', special: 'air_superiority' });
+  const aerial = {
+    red: [{ type: 'fighter', health: 2 }, { type: 'fighter', health: 1 }, { type: 'fighter', health: 0 }],
+    blue: [{ type: 'bomber', health: 2 }]
+  };
+  assert.deepEqual(rules.countFightersByPlayer(aerial), { player1: 2, player2: 0 });
+  assert.deepEqual(rules.applySpecialAbilities(fighter, null, null, null, null, { aerial }), { attackBonus: 2, highMobility: true });
+  assert.equal(rules.applySpecialAbilities({ ...fighter, player: 'blue' }, null, null, null, null, { aerial }).attackBonus, 0);
+});
+
+test('terror_in_skys targets infantry and support on plains', () => {
+  const bomber = makeUnit({ type: 'bomber', special: 'terror_in_skys' });
+  assert.deepEqual(rules.applySpecialAbilities(bomber, null, null, 1, { terrain: 'plains', unit: makeUnit({ type: 'support' }) }), { attackBonus: 2 });
+  assert.deepEqual(rules.applySpecialAbilities(bomber, null, null, 1, { terrain: 'forest', unit: makeUnit() }), {});
+});
+
+test('air_defense may only fire at aircraft', () => {
+  const grid = makeGrid();
+  grid[12].unit = makeUnit({ type: 'field_gun', special: 'air_defense' });
+  grid[13].unit = makeUnit({ player: 'blue' });
+  assert.equal(rules.canAttackPosition(grid, 12, 13, 'red', GRID_SIZE), false);
+  grid[13].unit = makeUnit({ type: 'fighter', player: 'blue' });
+  assert.equal(rules.canAttackPosition(grid, 12, 13, 'red', GRID_SIZE), true);
+});
+
+test('armour_penetrating adds attack and damage against armoured units', () => {
+  const grid = makeGrid();
+  const gun = makeUnit({ type: 'field_gun', special: 'armour_penetrating' });
+  grid[12].unit = gun;
+  grid[13].unit = makeUnit({ type: 'tank', player: 'blue' });
+  assert.deepEqual(rules.applySpecialAbilities(gun, 12, grid[12], 13, grid[13]), { damageBonus: 3 });
+  assert.equal(rules.getActualCombatValues(gun, 12, grid[12], 13, grid[13], null, context(grid)).actualAttack, 6);
+});
+
+test('bound abilities fill in the battle context on every call', () => {
+  const grid = makeGrid();
+  const mech = makeUnit({ type: 'mech', special: 'mode_switch' });
+  grid[12].unit = mech;
+  grid[13].unit = makeUnit({ type: 'mech' });
+  const bound = rules.bindSpecialAbilities(() => context(grid));
+  assert.equal(bound.mode_switch.name, 'Mech Assault');
+  assert.deepEqual(bound.mode_switch.apply(mech, 12, grid[12]), { attackBonus: 1 });
+});
+
+// Combat
+
+test('tooltip combat values list their modifiers', () => {
+  const grid = makeGrid('ruins');
+  const unit = makeUnit({ suppressed: true });
+  grid[12].unit = unit;
+  const values = rules.calculateCombatValues(unit, 12, grid[12], context(grid));
+  assert.deepEqual(values, {
+    actualAttack: 3,
+    actualDefense: 2,
+    modifiers: ['Terrain: +1 ATK', 'Terrain: +1 DEF', 'Suppressed: -1 ATK, -1 DEF']
+  });
+});
+
+test('status effects lower attack and defense', () => {
+  const grid = makeGrid();
+  const unit = makeUnit({ bleeding: true, moraleCollapse: true });
+  grid[12].unit = unit;
+  const values = rules.getActualCombatValues(unit, 12, grid[12], null, null, null, context(grid));
+  assert.deepEqual([values.actualAttack, values.actualDefense], [0, 0]);
+});
+
+test('armour absorbs damage before health', () => {
+  const unit = makeUnit({ health: 3, armour: 2 });
+  assert.equal(rules.applyDamage(unit, 0), false);
+  assert.deepEqual(rules.applyDamage(unit, 1), { unitDestroyed: false, healthLost: false, armourAbsorbed: 1 });
+  assert.deepEqual(rules.applyDamage(unit, 3), { unitDestroyed: false, healthLost: true, armourAbsorbed: 1 });
+  assert.equal(unit.health, 1);
+  assert.deepEqual(rules.applyDamage(unit, 5), { unitDestroyed: true, healthLost: true, armourAbsorbed: 0 });
+  assert.equal(unit.health, 0);
+});
+
+test('combat results deal the margin plus damage bonuses and apply status effects', () => {
+  const grid = makeGrid();
+  const attacker = makeUnit({ type: 'bomber' });
+  const defender = makeUnit({ player: 'blue', health: 5 });
+  const bystander = makeUnit({ player: 'blue' });
+  grid[13].unit = defender;
+  grid[14].unit = bystander;
+
+  const miss = rules.processCombatResult(attacker, defender, 13, {}, 3, 3, context(grid));
+  assert.equal(miss.hit, false);
+  assert.equal(defender.health, 5);
+
+  const abilities = { damageBonus: 1, causesBleeding: true, causesSuppression: true, causesMoraleCollapse: true };
+  const hit = rules.processCombatResult(attacker, defender, 13, abilities, 5, 3, context(grid));
+  assert.equal(hit.damage, 3);
+  assert.equal(defender.health, 2);
+  assert.ok(defender.bleeding && defender.suppressed);
+  assert.deepEqual(hit.moraleCollapsed, [bystander]);
+  assert.equal(hit.destroyed, false);
+
+  const kill = rules.processCombatResult(attacker, defender, 13, {}, 9, 1, context(grid));
+  assert.equal(kill.destroyed, true);
+  assert.equal(attacker.killsThisTurn, 1);
+});
+
+test('units surviving their morale check fall back towards their own edge', () => {
+  const grid = makeGrid();
+  const role = { attacker: 'red', defender: 'blue' };
+  assert.equal(rules.getSurvivalRetreatPosition(grid, 12, 'red', role, GRID_SIZE), 7);
+  assert.equal(rules.getSurvivalRetreatPosition(grid, 12, 'blue', role, GRID_SIZE), 17);
+
+  grid[17].unit = makeUnit();
+  assert.equal(rules.getSurvivalRetreatPosition(grid, 12, 'blue', role, GRID_SIZE), 16);
+  grid[16].unit = makeUnit();
+  grid[18].unit = makeUnit();
+  assert.equal(rules.getSurvivalRetreatPosition(grid, 12, 'blue', role, GRID_SIZE), 10);
+
+  for (let pos = 10; pos < 15; pos++) grid[pos].unit = makeUnit();
+  assert.equal(rules.getSurvivalRetreatPosition(grid, 12, 'blue', role, GRID_SIZE), -1);
+});
+
+test('combat values name the source of every modifier', () => {
+  const grid = makeGrid('forest');
+  const unit = makeUnit({ suppressed: true });
+  grid[12].unit = unit;
+  const values = rules.getActualCombatValues(unit, 12, grid[12], null, null, null,
+    { ...context(grid), weatherSystem: { currentWeather: 'rain', dayNightCycle: 'night' } });
+  assert.deepEqual(values.modifiers, [
+    'Terrain (forest): +1 DEF',
+    'Suppressed: -1 ATK, -1 DEF',
+    'Weather (rain): +1 DEF',
+    'Night: -1 DEF'
+  ]);
+  assert.deepEqual([values.actualAttack, values.actualDefense], [2, 2]);
+});
+
+test('attack odds cover every pair of rolls', () => {
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+  const defender = makeUnit({ health: 3 });
+
+  const even = rules.calculateAttackOdds(defender, 0, 0);
+  close(even.hit, 15 / 36);
+  close(even.miss, 21 / 36);
+  // Margins 3, 4 and 5 (6 of the 36 pairs) take all three health
+  close(even.kill, 6 / 36);
+  close(even.expectedDamage, (5 * 1 + 4 * 2 + 6 * 3) / 36);
+  assert.equal(defender.health, 3);
+
+  const armoured = rules.calculateAttackOdds(makeUnit({ health: 3, armour: 1 }), 0, 0);
+  assert.ok(armoured.expectedDamage < even.expectedDamage);
+  close(armoured.expectedArmourLoss, 15 / 36);
+
+  // Morale 4 survives half the time, so half the kills become retreats
+  const steady = rules.calculateAttackOdds(makeUnit({ health: 3, morale: 4 }), 0, 0);
+  close(steady.kill, 3 / 36);
+  close(steady.retreat, 3 / 36);
+
+  const shelled = rules.calculateAttackOdds(defender, 0, 0, { hitChance: 9 });
+  close(shelled.hit, 0.2 * 15 / 36);
+  close(rules.calculateAttackOdds(defender, 0, 0, { damageBonus: 2 }).kill, 15 / 36);
+});
+
+// Unit data
+
+// Saved and shared units carry morale but no battlefield state
+function saved(overrides = {}) {
+  return makeUnit({ morale: 4, ...overrides });
+}
+
+test('imported units must use known types, specials and stat ranges', () => {
+  assert.equal(rules.getUnitDataError(saved()), null);
+  assert.equal(rules.getUnitDataError(saved({ name: ' ' })), 'Unit has no name');
+  assert.equal(rules.getUnitDataError(saved({ type: 'dragon' })), 'Rifles: unknown unit type "dragon"');
+  assert.equal(rules.getUnitDataError(saved({ special: 'grenadier' })), 'Rifles: unknown special ability "grenadier"');
+  assert.equal(rules.getUnitDataError(saved({ attack: 9 })), 'Rifles: attack must be a whole number from -3 to 5');
+  assert.match(rules.getUnitDataError(saved({ movement: 1.5 })), /movement must be a whole number/);
+
+  // Armour and accuracy only matter to some units, so they may be left out
+  const { armour, hitChance, ...plain } = saved();
+  assert.equal(rules.getUnitDataError(plain), null);
+});
+
+test('imported armies name the unit that is wrong', () => {
+  assert.equal(rules.getArmyDataError({ name: 'Iron', units: [] }), null);
+  assert.equal(rules.getArmyDataError({ name: '', units: [] }), 'Army has no name');
+  assert.equal(rules.getArmyDataError({ name: 'Iron' }), 'Iron: army has no unit list');
+  assert.equal(rules.getArmyDataError({ name: 'Iron', units: [saved(), saved({ type: 'dragon' })] }),
+    'Iron: Rifles: unknown unit type "dragon"');
+});
+
+// Army points
+
+test('unit point costs charge for stats and specials but not unused stats', () => {
+  assert.equal(rules.getUnitPointCost(makeUnit({ attack: 0, defense: 1, morale: 4, movement: 2 })), 9);
+  assert.equal(rules.getUnitPointCost(makeUnit({ special: 'fortified', attack: 0, defense: 1, morale: 4, movement: 2 })), 12);
+  assert.ok(rules.getUnitPointCost(makeUnit({ attack: 5 })) > rules.getUnitPointCost(makeUnit({ attack: 3 })));
+  assert.ok(rules.getUnitPointCost(makeUnit({ type: 'tank', armour: 8 })) > rules.getUnitPointCost(makeUnit({ type: 'tank' })));
+
+  // Custom aircraft get range 999 and artillery pays for accuracy instead
+  const fighter = { type: 'fighter', attack: 3, defense: 1, morale: 0, range: 999, movement: 0, special: 'none' };
+  assert.equal(rules.getUnitPointCost(fighter), 12);
+  const gun = { type: 'artillery', attack: 4, defense: 1, hitChance: 6, special: 'none' };
+  assert.equal(rules.getUnitPointCost(gun), 4 + 8 + 2 + 12);
+  assert.equal(rules.getUnitPointCost(makeUnit({ attack: -3, defense: -3, morale: 2, movement: 1 })), 1);
+});
+
+test('armies are checked against the point limit and composition caps', () => {
+  const infantry = makeUnit({ attack: 0, defense: 1, morale: 4, movement: 2 });
+  const army = { id: 1, units: Array(5).fill(infantry) };
+  assert.equal(rules.getArmyPointCost(army.units), 45);
+  assert.equal(rules.validateArmy(army.units, 45), null);
+  assert.equal(rules.validateArmy(army.units, 40), 'Army costs 45 points, over the 40 point limit');
+
+  const tanks = Array(5).fill(makeUnit({ type: 'tank' }));
+  assert.match(rules.validateArmy(tanks), /at most 4 tanks and mechs/);
+
+  // Without a limit any selection goes; with one, every army counts
+  assert.equal(rules.validateArmySelection([{ units: tanks }], null), null);
+  assert.equal(rules.validateArmySelection([army, army], 80), 'Army costs 90 points, over the 80 point limit');
+  assert.equal(rules.validateArmySelection([army], 80), null);
+});
+
+// Weather
+
+test('weather and night combine into one set of effects', () => {
+  assert.deepEqual(rules.getWeatherEffects({ currentWeather: 'rain', dayNightCycle: 'night' }),
+    { attack: 0, defense: 0, movement: 0, range: 0 });
+  assert.deepEqual(rules.getWeatherEffects({ currentWeather: 'blizzard', dayNightCycle: 'day' }),
+    { attack: 0, defense: -1, movement: -1, range: 0 });
+  assert.deepEqual(rules.getWeatherEffects({ currentWeather: 'unknown' }),
+    { attack: 0, defense: 0, movement: 0, range: 0 });
+});
+
+test('a percentage roll picks the weather from the forecast', () => {
+  assert.equal(rules.getRolledWeather('foggy', 1), 'fog');
+  assert.equal(rules.getRolledWeather('foggy', 70), 'fog');
+  assert.equal(rules.getRolledWeather('foggy', 71), 'cloudy');
+  assert.equal(rules.getRolledWeather('foggy', 100), 'clear');
+  assert.equal(rules.getRolledWeather('monsoon', 81), 'clear');
+  assert.equal(rules.getRolledWeather('unknown', 95), 'light-clouds');
+});
+
+test('weather changes combat values and range', () => {
+  const grid = makeGrid();
+  const unit = makeUnit({ range: 2 });
+  grid[12].unit = unit;
+  const fog = context(grid, { weatherSystem: { currentWeather: 'fog', dayNightCycle: 'day' } });
+  assert.equal(rules.getActualCombatValues(unit, 12, grid[12], null, null, null, fog).actualRange, 1);
+  const windy = context(grid, { weatherSystem: { currentWeather: 'windy', dayNightCycle: 'day' } });
+  assert.equal(rules.getActualCombatValues(unit, 12, grid[12], null, null, null, windy).actualAttack, 4);
+});
+
+// Fog of war
+
+test('vision grows with range and high ground and shrinks in fog and at night', () => {
+  const clear = { currentWeather: 'clear', dayNightCycle: 'day' };
+  assert.equal(rules.getVisionRadius(makeUnit(), { terrain: 'plains' }, clear), 2);
+  assert.equal(rules.getVisionRadius(makeUnit({ range: 5 }), { terrain: 'mountains' }, clear), 6);
+  assert.equal(rules.getVisionRadius(makeUnit({ special: 'recon' }), { terrain: 'hills' }, clear), 5);
+  assert.equal(rules.getVisionRadius(makeUnit(), { terrain: 'plains' }, { currentWeather: 'fog', dayNightCycle: 'night' }), 1);
+});
+
+test('forest and jungle block sight beyond them unless the unit is recon', () => {
+  const grid = makeGrid();
+  grid[0].unit = makeUnit();
+  grid[1].terrain = 'forest';
+  let visible = rules.getVisibleTiles(grid, GRID_SIZE, 'red', null);
+  assert.ok(visible.has(1));
+  assert.ok(!visible.has(2));
+  assert.ok(visible.has(10));
+  assert.ok(!visible.has(3));
+
+  grid[0].unit.special = 'recon';
+  visible = rules.getVisibleTiles(grid, GRID_SIZE, 'red', null);
+  assert.ok(visible.has(2));
+  assert.ok(visible.has(3));
+});
+
+test('scouted zones are fully visible for three turns', () => {
+  const zone = { id: 'A', tacticalGrid: makeGrid() };
+  zone.tacticalGrid[0].unit = makeUnit();
+  const gameState = { turnCount: 6, scoutedZones: { red: { A: 4 }, blue: {} } };
+  assert.equal(rules.getZoneVisibility(zone, 'red', gameState, GRID_SIZE).size, GRID_SIZE * GRID_SIZE);
+  assert.ok(!rules.isZoneScouted(gameState, 'A', 'blue'));
+  gameState.turnCount = 7;
+  assert.ok(!rules.isZoneScouted(gameState, 'A', 'red'));
+  assert.ok(rules.getZoneVisibility(zone, 'red', gameState, GRID_SIZE).size < GRID_SIZE * GRID_SIZE);
+});
+
+test('only bombers, airships and recon aircraft can scout', () => {
+  assert.ok(rules.canScout(makeUnit({ type: 'bomber' })));
+  assert.ok(rules.canScout(makeUnit({ type: 'airship' })));
+  assert.ok(rules.canScout(makeUnit({ type: 'fighter', special: 'recon' })));
+  assert.ok(!rules.canScout(makeUnit({ type: 'fighter' })));
+});
+
+test('recon aircraft do not count towards air superiority', () => {
+  const aerial = { red: [makeUnit({ type: 'fighter' }), makeUnit({ type: 'fighter', special: 'recon' })], blue: [] };
+  assert.deepEqual(rules.countFightersByPlayer(aerial), { player1: 1, player2: 0 });
+});
+
+test('enemy units outside vision are taken off the board for that player', () => {
+  const zone = { id: 'A', tacticalGrid: makeGrid() };
+  zone.tacticalGrid[0].unit = makeUnit();
+  zone.tacticalGrid[1].unit = makeUnit({ player: 'blue' });
+  zone.tacticalGrid[24].unit = makeUnit({ player: 'blue' });
+  const gameState = { turnCount: 1, scoutedZones: { red: {}, blue: {} } };
+  const visible = rules.getZoneVisibility(zone, 'red', gameState, GRID_SIZE);
+
+  assert.ok(rules.canSeeUnit(zone.tacticalGrid, 1, 'red', visible));
+  assert.ok(!rules.canSeeUnit(zone.tacticalGrid, 24, 'red', visible));
+  assert.ok(rules.canSeeUnit(zone.tacticalGrid, 24, 'red', null));
+  assert.ok(rules.canSeeUnit(zone.tacticalGrid, 24, 'blue', visible));
+
+  const filtered = rules.filterZoneForPlayer(zone, 'red', gameState, GRID_SIZE);
+  assert.ok(filtered.tacticalGrid[1].unit);
+  assert.equal(filtered.tacticalGrid[24].unit, null);
+  assert.ok(zone.tacticalGrid[24].unit, 'the original zone is left alone');
+});
+
+// Victory
+
+function makeZones(count, occupants) {
+  return Array.from({ length: count }, (_, i) => {
+    const zone = { id: String.fromCharCode(65 + i), control: 'neutral', tacticalGrid: makeGrid() };
+    (occupants[i] || []).forEach((player, pos) => {
+      zone.tacticalGrid[pos].unit = makeUnit({ player });
+    });
+    return zone;
+  });
+}
+
+test('elimination is won when one side has no units left', () => {
+  const config = { winCondition: 'elimination', gridSize: GRID_SIZE };
+  assert.equal(rules.checkWinCondition(makeZones(2, [['red'], ['blue']]), config).winner, null);
+  assert.deepEqual(rules.checkWinCondition(makeZones(2, [['red'], []]), config), {
+    winner: 'red',
+    endCondition: 'Elimination Victory',
+    reason: 'Blue has no units left on the battlefield',
+    securedZones: []
+  });
+
+  // Blue has yet to take its first turn
+  const opening = makeZones(2, [['red'], []]);
+  assert.equal(rules.checkWinCondition(opening, config, { turnCount: 1 }).winner, null);
+  assert.equal(rules.checkWinCondition(opening, config, { turnCount: 2 }).winner, 'red');
+});
+
+test('dominance secures zones held alone for two full rounds', () => {
+  const config = { winCondition: 'dominance', gridSize: GRID_SIZE };
+  const zones = makeZones(3, [['red'], ['red'], ['red', 'blue']]);
+  for (let check = 1; check < 4; check++) {
+    assert.equal(rules.checkWinCondition(zones, config).winner, null);
+  }
+  const result = rules.checkWinCondition(zones, config);
+  assert.deepEqual(result.securedZones.map(zone => zone.id), ['A', 'B']);
+  assert.equal(result.winner, 'red');
+  assert.equal(result.endCondition, 'Dominance Victory');
+  assert.equal(zones[2].holdTracker.holder, null);
+
+  // Given the turn count, checking again in the same turn counts nothing
+  const counted = makeZones(3, [['red'], ['red'], ['red', 'blue']]);
+  for (let turnCount = 1; turnCount <= 3; turnCount++) {
+    rules.checkWinCondition(counted, config, { turnCount });
+    assert.equal(rules.checkWinCondition(counted, config, { turnCount }).winner, null);
+  }
+  assert.equal(rules.checkWinCondition(counted, config, { turnCount: 4 }).winner, 'red');
+});
+
+test('victory settings fill in defaults and reject values out of range', () => {
+  assert.equal(rules.getVictorySettings({ victorySettings: { turnLimit: 4 } }).turnLimit, 4);
+  assert.equal(rules.getVictorySettings({}).attritionPercent, rules.VICTORY_DEFAULTS.attritionPercent);
+  assert.equal(rules.getVictorySettingsError(undefined), null);
+  assert.equal(rules.getVictorySettingsError({ killPoints: 3 }), null);
+  assert.equal(rules.getVictorySettingsError({ turnLimit: 1 }), 'turnLimit must be a whole number from 2 to 50');
+  assert.equal(rules.getVictorySettingsError({ morale: 2 }), 'Unknown victory setting "morale"');
+  rules.WIN_CONDITIONS.forEach(condition => {
+    rules.VICTORY_MODE_SETTINGS[condition].forEach(key => assert.ok(key in rules.VICTORY_SETTING_RANGES));
+  });
+});
+
+test('the HQ falls once held alone through the enemy reply', () => {
+  const config = { winCondition: 'hq', gridSize: GRID_SIZE, player1: { name: 'Haig' }, player2: { name: 'Ludendorff' } };
+  const zones = laidOut(3, 'line', null, [['red'], [], ['red']]);
+  const check = turnCount => rules.checkWinCondition(zones, config, { turnCount });
+
+  assert.equal(check(3).winner, null);
+  assert.equal(check(4).winner, null);
+  const result = check(5);
+  assert.equal(result.winner, 'red');
+  assert.equal(result.endCondition, 'HQ Victory');
+  assert.equal(result.reason, "Haig took Ludendorff's HQ, Zone C, and held it through Ludendorff's reply");
+
+  // Retaken in the reply, the clock starts again
+  zones[2].tacticalGrid[1].unit = makeUnit({ player: 'blue' });
+  assert.equal(check(6).winner, null);
+  zones[2].tacticalGrid[1].unit = null;
+  assert.equal(check(7).winner, null);
+  assert.equal(check(9).winner, 'red');
+});
+
+test('victory points score each turn once and the leader wins at the turn limit', () => {
+  const config = {
+    winCondition: 'points',
+    gridSize: GRID_SIZE,
+    victorySettings: { turnLimit: 2, zonePoints: 3, killPoints: 2 },
+    player1: { role: 'attacker' }
+  };
+  const zones = makeZones(3, [['red'], ['red', 'blue'], ['blue']]);
+  zones[0].control = 'red';
+  zones[1].control = 'contested';
+  zones[2].control = 'blue';
+  const gameState = { turnCount: 1, currentPlayer: 'blue', campaignStats: { blue: { unitsLost: 1 } } };
+
+  // Red's turn has ended: one held zone and one contested zone
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, null);
+  rules.checkWinCondition(zones, config, gameState);
+  assert.equal(gameState.victoryPoints.red, 4);
+  assert.equal(rules.getVictoryPoints(gameState, config, 'red'), 6);
+
+  Object.assign(gameState, { turnCount: 2, currentPlayer: 'red' });
+  rules.checkWinCondition(zones, config, gameState);
+  Object.assign(gameState, { turnCount: 3, currentPlayer: 'blue' });
+  rules.checkWinCondition(zones, config, gameState);
+  Object.assign(gameState, { turnCount: 4, currentPlayer: 'red' });
+  const result = rules.checkWinCondition(zones, config, gameState);
+  assert.equal(result.winner, 'red');
+  assert.equal(result.reason, 'Red led 10 points to 8 after 2 rounds');
+
+  // Level on points, the defender takes it
+  gameState.campaignStats.blue.unitsLost = 0;
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, 'blue');
+});
+
+test('breakthrough counts attackers on the back row of defended zones', () => {
+  const config = {
+    winCondition: 'breakthrough',
+    gridSize: GRID_SIZE,
+    victorySettings: { breakthroughUnits: 2, turnLimit: 3 },
+    player1: { name: 'Haig', role: 'defender' },
+    player2: { name: 'Ludendorff' }
+  };
+  const zones = makeZones(2, []);
+  const backRow = (GRID_SIZE - 1) * GRID_SIZE;
+  zones[0].tacticalGrid[backRow].unit = makeUnit({ player: 'blue' });
+  zones[1].tacticalGrid[backRow + 1].unit = makeUnit({ player: 'blue' });
+  zones[1].tacticalGrid[0].unit = makeUnit({ player: 'blue' });
+  const gameState = { turnCount: 2, zoneRoles: { A: { attacker: 'blue', defender: 'red' } } };
+
+  // Zone B was never one red had to defend
+  assert.equal(rules.getBreakthroughCount(zones, config, gameState), 1);
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, null);
+
+  gameState.zoneRoles.B = { attacker: 'blue', defender: 'red' };
+  const result = rules.checkWinCondition(zones, config, gameState);
+  assert.equal(result.winner, 'blue');
+  assert.equal(result.endCondition, 'Breakthrough Victory');
+
+  zones[1].tacticalGrid[backRow + 1].unit = null;
+  gameState.turnCount = 6;
+  assert.deepEqual(rules.checkWinCondition(zones, config, gameState), {
+    winner: 'red',
+    endCondition: 'Defensive Victory',
+    reason: 'Haig held the line for 3 rounds; Ludendorff needed 2 units on the back row and had 1',
+    securedZones: []
+  });
+});
+
+test('attrition is lost on losing the set share of deployed value', () => {
+  const config = { winCondition: 'attrition', gridSize: GRID_SIZE, victorySettings: { attritionPercent: 40 } };
+  const zones = makeZones(1, [['red', 'blue']]);
+  const gameState = {
+    campaignStats: {
+      red: { valueDeployed: 100, valueLost: 30 },
+      blue: { valueDeployed: 50, valueLost: 19 }
+    }
+  };
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, null);
+
+  gameState.campaignStats.blue.valueLost = 20;
+  const result = rules.checkWinCondition(zones, config, gameState);
+  assert.equal(result.winner, 'red');
+  assert.equal(result.reason, 'Blue lost 20 of the 50 points it deployed (40%), reaching the 40% limit');
+
+  // Both broken at once: the heavier losses decide, then the attacker's
+  gameState.campaignStats.red.valueLost = 45;
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, 'blue');
+  gameState.campaignStats.red.valueLost = 40;
+  assert.equal(rules.checkWinCondition(zones, config, gameState).winner, 'blue');
+});
+
+// Content packs
+
+function alpinePack() {
+  return JSON.parse(require('node:fs').readFileSync(require('node:path').join(__dirname, '..', 'packs', 'alpine-corps.json'), 'utf8'));
+}
+
+test('packs are checked before they are loaded', () => {
+  assert.equal(rules.getContentPackError(alpinePack()), null);
+
+  const pack = alpinePack();
+  pack.abilities.ice_climbers.effects[0].when = { season: ['winter'] };
+  assert.match(rules.getContentPackError(pack), /season/);
+
+  const odds = alpinePack();
+  odds.weatherTypes['alpine-winter'].probabilities.clear = 10;
+  assert.match(rules.getContentPackError(odds), /100/);
+
+  const units = alpinePack();
+  units.units[0].special = 'ice_skaters';
+  assert.match(rules.getContentPackError(units), /Alpine Rifles/);
+});
+
+test('the rules checksum ignores key order but not content', () => {
+  const pack = alpinePack();
+  const reordered = Object.fromEntries(Object.entries(pack).reverse());
+  const checksum = rules.getContentPackChecksum([pack]);
+  assert.match(checksum, /^[0-9a-f]{8}$/);
+  assert.equal(rules.getContentPackChecksum([reordered]), checksum);
+  assert.notEqual(checksum, rules.getContentPackChecksum([]));
+
+  pack.terrain.glacier.moveDelay = 3;
+  assert.notEqual(rules.getContentPackChecksum([pack]), checksum);
+});
+
+test('loading packs adds their terrain and abilities and unloading takes them away', () => {
+  try {
+    rules.useContentPacks([alpinePack()]);
+    assert.equal(rules.terrainEffects.glacier.moveDelay, 2);
+    assert.equal(rules.specialAbilities.ice_climbers.pack, 'alpine-corps');
+    assert.equal(rules.weatherEffects.whiteout.attack, -1);
+    assert.equal(rules.getRolledWeather('alpine-winter', 60), 'whiteout');
+    assert.equal(rules.getConstructionError({ terrain: 'road' }, 'snowWall', 5), 'Snow Wall cannot be built on road');
+    assert.ok(rules.getMovementRestriction(makeUnit({ type: 'tank' }), { terrain: 'glacier' }));
+    assert.equal(rules.getMovementCost(makeUnit(), { terrain: 'glacier' }), 2);
+  } finally {
+    rules.useContentPacks([]);
+  }
+  assert.equal(rules.terrainEffects.glacier, undefined);
+  assert.equal(rules.specialAbilities.ice_climbers, undefined);
+  assert.equal(rules.weatherTypes['alpine-winter'], undefined);
+  assert.equal(rules.constructionCosts.snowWall, undefined);
+  assert.ok(rules.specialAbilities.those_who_dare);
+});
+
+test('generated battlefields depend only on their seed, type and zone', () => {
+  const terrainOf = grid => Object.values(grid).map(tile => tile.terrain);
+  const forest = rules.generateTacticalGrid('forest', 'seed', 0, 8);
+  assert.equal(Object.keys(forest).length, 64);
+  assert.deepEqual(forest, rules.generateTacticalGrid('forest', 'seed', 0, 8));
+  assert.notDeepEqual(terrainOf(forest), terrainOf(rules.generateTacticalGrid('forest', 'seed', 1, 8)));
+  assert.ok(terrainOf(forest).every(terrain => rules.terrainEffects[terrain]));
+
+  assert.deepEqual(terrainOf(rules.generateTacticalGrid('naval', 'seed', 0, 6)).slice(0, 6), Array(6).fill('beach'));
+  assert.ok(terrainOf(rules.generateTacticalGrid('urban', 'seed', 0, 6)).includes('road'));
+
+  const hasGlacier = () => [0, 1, 2, 3].some(index => terrainOf(rules.generateTacticalGrid('snow', 'seed', index, 8)).includes('glacier'));
+  assert.equal(hasGlacier(), false);
+  try {
+    rules.useContentPacks([alpinePack()]);
+    assert.equal(hasGlacier(), true);
+  } finally {
+    rules.useContentPacks([]);
+  }
+});
+
+test('pack abilities apply their effects when the conditions hold', () => {
+  try {
+    rules.useContentPacks([alpinePack()]);
+    const climber = makeUnit({ special: 'ice_climbers' });
+    assert.deepEqual(rules.applySpecialAbilities(climber, 0, { terrain: 'glacier' }),
+      { attackBonus: 1, defenseBonus: 1, ignoreBarbedWire: true });
+    assert.deepEqual(rules.applySpecialAbilities(climber, 0, { terrain: 'plains' }), { ignoreBarbedWire: true });
+
+    const gun = makeUnit({ type: 'field_gun', special: 'avalanche_gun' });
+    const target = { terrain: 'hills', unit: makeUnit({ type: 'tank', player: 'blue' }) };
+    assert.deepEqual(rules.applySpecialAbilities(gun, 0, { terrain: 'plains' }, 1, target),
+      { attackBonus: 2, damageBonus: 1 });
+
+    const grid = makeGrid('snow');
+    const skis = makeUnit({ type: 'cavalry', special: 'ski_patrol', movement: 3 });
+    grid[12].unit = skis;
+    grid[13].unit = makeUnit({ player: 'blue' });
+    assert.deepEqual(rules.applySpecialAbilities(skis, 12, grid[12], null, null, context(grid)), { movementBonus: 1 });
+    grid[7].unit = makeUnit();
+    assert.deepEqual(rules.applySpecialAbilities(skis, 12, grid[12], null, null, context(grid)),
+      { movementBonus: 1, defenseBonus: 1 });
+    assert.equal(rules.getMovementPoints(skis, 12, grid[12]), 4);
+  } finally {
+    rules.useContentPacks([]);
+  }
+});
+
+// Scenarios
+
+function makeScenario(overrides = {}) {
+  const zone = (id, adjacent) => ({
+    id,
+    name: `Zone ${id}`,
+    adjacent,
+    terrain: new Array(36).fill('plains'),
+    constructions: [],
+    units: []
+  });
+  return {
+    format: rules.SCENARIO_FORMAT,
+    version: rules.SCENARIO_VERSION,
+    name: 'Test Ground',
+    gridSize: 6,
+    winCondition: 'elimination',
+    weatherType: 'clear',
+    dayNightCycle: 'night',
+    commandPoints: { red: 4, blue: 2 },
+    buildPoints: { red: 0, blue: 12 },
+    zones: [zone('A', ['B']), zone('B', [])],
+    ...overrides
+  };
+}
+
+test('scenarios are checked tile by tile and unit by unit', () => {
+  const scenario = makeScenario();
+  scenario.zones[0].terrain[7] = 'mountains';
+  scenario.zones[0].constructions.push({ pos: 8, type: 'bunker', player: 'blue' });
+  scenario.zones[1].units.push({ pos: 30, player: 'red', unit: saved({ name: 'Guard' }) });
+  assert.equal(rules.getScenarioError(scenario), null);
+
+  scenario.zones[0].units.push({ pos: 7, player: 'red', unit: saved({ name: 'Climber' }) });
+  assert.match(rules.getScenarioError(scenario), /Zone A: .*mountain/);
+  scenario.zones[0].units[0] = { pos: 9, player: 'red', unit: saved({ name: 'Gun', type: 'artillery' }) };
+  assert.match(rules.getScenarioError(scenario), /Gun can't be placed/);
+
+  const bad = makeScenario();
+  bad.zones[1].terrain[0] = 'lava';
+  assert.match(rules.getScenarioError(bad), /unknown terrain "lava"/);
+  assert.match(rules.getScenarioError(makeScenario({ gridSize: 7 })), /Grid size/);
+  assert.match(rules.getScenarioError(makeScenario({ zones: [makeScenario().zones[1]] })), /id A/);
+
+  const border = makeScenario();
+  border.zones[0].adjacent = ['C'];
+  assert.match(rules.getScenarioError(border), /unknown zone "C"/);
+});
+
+test('a scenario fixes the match settings and opens with its units deployed', () => {
+  const scenario = makeScenario();
+  scenario.zones[1].constructions.push({ pos: 3, type: 'trenches', player: 'red' });
+  scenario.zones[1].units.push({ pos: 30, player: 'blue', unit: saved({ name: 'Guard', defense: 3 }) });
+
+  assert.deepEqual(rules.getScenarioSettings(scenario), {
+    gridSize: 6,
+    zoneCount: 2,
+    winCondition: 'elimination',
+    weatherType: 'clear',
+    dayNightCycle: 'night',
+    player1CP: 4,
+    player2CP: 2,
+    player1BuildPoints: 0,
+    player2BuildPoints: 12,
+    buildPoints: 12,
+    victorySettings: {}
+  });
+
+  const [, zone] = rules.createScenarioZones(scenario);
+  assert.equal(zone.name, 'Zone B');
+  assert.deepEqual(zone.tacticalGrid[3].construction, { type: 'trenches', player: 'red', turnsRemaining: 0, completed: true });
+  const unit = zone.tacticalGrid[30].unit;
+  assert.equal(unit.id, 'blue_scenario_B_30');
+  assert.equal(unit.player, 'blue');
+  assert.equal(unit.maxHealth, 5);
+  assert.equal(rules.createScenarioZones(scenario)[1].tacticalGrid[30].unit.id, unit.id);
+});
+
+test('scenario borders count from either side; zones without borders form a line', () => {
+  const line = [{ id: 'A' }, { id: 'B' }, { id: 'C' }];
+  assert.deepEqual(rules.getAdjacentZoneIds(line, 'B'), ['A', 'C']);
+  assert.deepEqual(rules.getAdjacentZoneIds(line, 'C'), ['B']);
+
+  const zones = rules.createScenarioZones(makeScenario());
+  assert.deepEqual(rules.getAdjacentZoneIds(zones, 'A'), ['B']);
+  assert.deepEqual(rules.getAdjacentZoneIds(zones, 'B'), ['A']);
+});
+
+// Supply lines
+
+function laidOut(count, layout, columns, occupants = []) {
+  return rules.applyZoneLayout(makeZones(count, occupants), layout, columns);
+}
+
+test('front line layouts border zones as a line, a ring or a grid', () => {
+  const borders = zones => Object.fromEntries(zones.map(zone => [zone.id, zone.adjacent]));
+  const homes = zones => zones.filter(zone => zone.home).map(zone => `${zone.home}:${zone.id}`);
+
+  const line = laidOut(4, 'line');
+  assert.deepEqual(borders(line), { A: ['B'], B: ['A', 'C'], C: ['B', 'D'], D: ['C'] });
+  assert.deepEqual(homes(line), ['red:A', 'blue:D']);
+
+  const ring = laidOut(6, 'ring');
+  assert.deepEqual(rules.getAdjacentZoneIds(ring, 'A'), ['B', 'F']);
+  assert.deepEqual(homes(ring), ['red:A', 'blue:D']);
+
+  const grid = laidOut(6, 'grid', 3);
+  assert.deepEqual(borders(grid), {
+    A: ['B', 'D'], B: ['A', 'C', 'E'], C: ['B', 'F'],
+    D: ['E', 'A'], E: ['D', 'F', 'B'], F: ['E', 'C']
+  });
+  assert.equal(rules.getHomeZoneId(grid, 'blue'), 'F');
+});
+
+test('zones supply cannot reach are cut off, earn no CP and raise the morale roll', () => {
+  // Red holds A and C with B empty between them; blue holds D
+  const zones = laidOut(4, 'line', null, [['red'], [], ['red'], ['blue']]);
+  zones[2].control = 'red';
+  zones[3].control = 'blue';
+  assert.deepEqual(rules.getSuppliedZoneIds(zones, 'red'), ['A']);
+  assert.deepEqual(rules.getCutOffZoneIds(zones, 'red'), ['C']);
+  assert.deepEqual(rules.getCutOffZoneIds(zones, 'blue'), []);
+
+  const config = { player1CP: 3, player2CP: 3, gridSize: GRID_SIZE };
+  assert.equal(rules.calculateTurnStartCP(config, zones, 'red'), 3);
+  assert.equal(rules.calculateTurnStartCP(config, zones, 'blue'), 5);
+  const unit = zones[2].tacticalGrid[0].unit;
+  assert.equal(rules.getMoraleTarget(unit, zones, 'C'), unit.morale + rules.CUT_OFF_MORALE_PENALTY);
+
+  // Contesting B reopens the route
+  zones[1].control = 'contested';
+  assert.deepEqual(rules.getSuppliedZoneIds(zones, 'red'), ['A', 'B', 'C']);
+  assert.deepEqual(rules.getCutOffZoneIds(zones, 'red'), []);
+  assert.equal(rules.calculateTurnStartCP(config, zones, 'red'), 5);
+
+  // Losing home cuts a side off everywhere
+  zones[0].control = 'blue';
+  assert.deepEqual(rules.getCutOffZoneIds(zones, 'red'), ['A', 'C']);
+});
+
+test('chokepoints are the zones whose loss would strand others; scenarios may move homes', () => {
+  const zones = laidOut(4, 'line', null, [['red'], ['red'], ['red'], ['blue']]);
+  assert.deepEqual(rules.getSupplyChokepoints(zones, 'red'), { A: ['B', 'C'], B: ['C'] });
+  // Around a ring supply can come either way once the far side is held too
+  const ring = laidOut(4, 'ring', null, [['red'], ['red'], ['red'], []]);
+  assert.deepEqual(rules.getSupplyChokepoints(ring, 'red'), { A: ['B', 'C'], B: ['C'] });
+  ring[3].tacticalGrid[0].unit = makeUnit({ player: 'red' });
+  assert.deepEqual(rules.getSupplyChokepoints(ring, 'red'), { A: ['B', 'C', 'D'] });
+
+  const scenario = makeScenario();
+  scenario.zones[1].home = 'red';
+  assert.equal(rules.getScenarioError(scenario), null);
+  assert.equal(rules.getHomeZoneId(rules.createScenarioZones(scenario), 'red'), 'B');
+  scenario.zones[0].home = 'red';
+  assert.match(rules.getScenarioError(scenario), /more than one home zone/);
+  scenario.zones[0].home = 'green';
+  assert.match(rules.getScenarioError(scenario), /home must be red or blue/);
+});
+
+// Campaigns
+
+function westernFront() {
+  return JSON.parse(require('node:fs').readFileSync(require('node:path').join(__dirname, '..', 'campaigns', 'western-front.json'), 'utf8'));
+}
+
+function startCampaign(units = [saved({ name: 'Rifles' }), saved({ name: 'Tank', type: 'tank', defense: 2, armour: 4 })]) {
+  return rules.createCampaignProgress(westernFront(), { name: 'Iron Legion', units });
+}
+
+test('campaigns are checked before they are played', () => {
+  const campaign = westernFront();
+  assert.equal(rules.getCampaignError(campaign), null);
+  assert.equal(rules.getScenarioError(campaign.battles[1].scenario), null);
+
+  assert.match(rules.getCampaignError({ ...campaign, start: 'nowhere' }), /unknown battle "nowhere"/);
+  assert.match(rules.getCampaignError({ ...campaign, battles: campaign.battles.map(b => ({ ...b, final: false })) }), /no final battle/);
+  const loop = westernFront();
+  loop.battles[0].leadsTo = ['frontier'];
+  assert.match(rules.getCampaignError(loop), /leads to unknown battle "frontier"/);
+  const crowded = westernFront();
+  crowded.battles[0].map = { x: 120, y: 50 };
+  assert.match(rules.getCampaignError(crowded), /map x and y/);
+
+  assert.equal(rules.getCampaignLegionError(campaign, [saved()]), null);
+  assert.match(rules.getCampaignLegionError(campaign, []), /no units/);
+  assert.match(rules.getCampaignLegionError(campaign, new Array(12).fill(saved())), /over the 150 point limit/);
+});
+
+test('survivors carry their damage and experience into the next battle and the fallen stay lost', () => {
+  const progress = startCampaign([saved({ name: 'Rifles' }), saved({ name: 'Tank', type: 'tank', armour: 4 }), saved({ name: 'Scouts' })]);
+  const [rifles, tank, scouts] = progress.roster.map(unit => unit.veteran.id);
+  assert.deepEqual(progress.open, ['frontier']);
+  assert.equal(progress.roster[1].veteran.armour, 4);
+
+  const report = rules.recordCampaignBattle(progress, 'frontier', true, {
+    survivors: [
+      { id: rifles, health: 2, armour: 0, kills: 1, moraleChecksPassed: 1 },
+      { id: tank, health: 4, armour: 1, kills: 0, moraleChecksPassed: 0 }
+    ],
+    fallen: [scouts]
+  });
+
+  assert.deepEqual(report.fallen, ['Scouts']);
+  assert.deepEqual(report.promotions, [{ name: 'Rifles', rank: 'Regular' }]);
+  assert.equal(report.requisition, 20);
+  assert.equal(progress.requisition, 30);
+  assert.deepEqual(progress.roster.map(unit => unit.name), ['Rifles', 'Tank']);
+  assert.deepEqual(progress.fallen, [{ name: 'Scouts', battle: 'Battle of the Frontiers', rank: 'Recruit' }]);
+
+  const [veteranRifles, veteranTank] = progress.roster;
+  assert.deepEqual(veteranRifles.veteran, { id: rifles, experience: 4, rank: 1, battles: 1, health: 2, armour: 0 });
+  assert.equal(veteranRifles.morale, 3);
+  assert.equal(veteranTank.veteran.armour, 1);
+  assert.equal(rules.getVeteranRank(veteranTank).name, 'Recruit');
+  assert.deepEqual(progress.open.sort(), ['hill-304', 'the-marshes']);
+
+  // Enough experience earns several ranks at once; a tougher unit heals by what it gained
+  rules.recordCampaignBattle(progress, 'hill-304', false, {
+    survivors: [{ id: rifles, health: 2, kills: 4, moraleChecksPassed: 0 }],
+    fallen: []
+  });
+  assert.equal(rules.getVeteranRank(veteranRifles).name, 'Elite');
+  assert.equal(veteranRifles.attack, 4);
+  assert.equal(veteranRifles.defense, 3);
+  assert.equal(veteranRifles.veteran.health, 3);
+  assert.equal(progress.results['hill-304'], 'defeat');
+  assert.equal(rules.getCampaignBattleStatus(progress, 'hill-304'), 'open');
+  assert.equal(rules.getCampaignBattleStatus(progress, 'the-capital'), 'locked');
+
+  rules.recordCampaignBattle(progress, 'hill-304', true, { survivors: [], fallen: [] });
+  rules.recordCampaignBattle(progress, 'the-capital', true, { survivors: [], fallen: [] });
+  assert.equal(progress.status, 'won');
+  assert.deepEqual(progress.open, ['the-marshes']);
+});
+
+test('requisition pays for repairs and reinforcements', () => {
+  const progress = startCampaign();
+  const tank = progress.roster[1];
+  tank.veteran.health = 1;
+  tank.veteran.armour = 1;
+  assert.equal(rules.getRepairCost(tank), 6);
+
+  assert.equal(rules.repairVeteran(progress, tank.veteran.id), null);
+  assert.equal(progress.requisition, 4);
+  assert.deepEqual([tank.veteran.health, tank.veteran.armour], [4, 4]);
+  assert.equal(rules.repairVeteran(progress, tank.veteran.id), 'Tank needs no repairs');
+
+  const medic = saved({ name: 'Medic', attack: -1, defense: 0, special: 'healer' });
+  assert.equal(rules.recruitVeteran(progress, medic), 'Medic costs 8 requisition');
+  progress.requisition = 8;
+  assert.equal(rules.recruitVeteran(progress, medic), null);
+  assert.equal(progress.requisition, 0);
+  assert.equal(progress.roster[2].veteran.rank, 0);
+  assert.notEqual(progress.roster[2].id, progress.roster[1].id);
+
+  progress.requisition = 1000;
+  const heavy = saved({ name: 'Heavy', type: 'tank' });
+  ['1', '2', '3'].forEach(n => assert.equal(rules.recruitVeteran(progress, { ...heavy, name: `Heavy ${n}` }), null));
+  assert.match(rules.recruitVeteran(progress, heavy), /at most 4 tanks and mechs/);
+});
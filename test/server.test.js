@@ -0,0 +1,73 @@
+/**
+ * Tests for the lobby lifecycle in server.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies). The server is
+ * loaded without listening, restores its lobbies from a fresh temporary
+ * directory, and runs on mocked timers.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rules = require('../rules');
+const match = require('../match');
+
+const ARMY = {
+  name: 'Test Legion',
+  units: [{ name: 'Infantry', type: 'infantry', attack: 0, defense: 1, morale: 4, range: 1, movement: 2 }]
+};
+
+// A saved match on a 15 second turn clock, as snapshotLobby writes it
+function makeSnapshot(id) {
+  const zones = ['A', 'B', 'C'].map((zoneId, index) => {
+    const tacticalGrid = {};
+    for (let pos = 0; pos < 36; pos++) {
+      tacticalGrid[pos] = { terrain: 'plains', unit: null };
+    }
+    return { id: zoneId, name: `Zone ${zoneId}`, control: ['red', 'neutral', 'blue'][index], terrain: 'plains', tacticalGrid, locked: false };
+  });
+  rules.applyZoneLayout(zones, 'line');
+
+  const lobby = {
+    id: id,
+    players: [{ id: 'p1', name: 'Host' }, { id: 'p2', name: 'Guest' }],
+    gameConfig: { gameSettings: { gridSize: 6, startingCP: 10, timeControl: { mode: 'turn', turnSeconds: 15 } } },
+    armyRosters: { p1: { 1: ARMY }, p2: { 2: ARMY } }
+  };
+  match.startAuthoritativeMatch(lobby, {}, zones);
+  const { seed, commitment, sequence, log } = match.createMatchDice();
+  return {
+    ...lobby,
+    clock: { mode: 'turn', turnSeconds: 15, remaining: { red: 15000, blue: 15000 }, turnStartedAt: 0 },
+    dice: { seed, commitment, sequence, log },
+    reconnectTokens: [['token1', { lobbyCode: id, playerId: 'p1' }], ['token2', { lobbyCode: id, playerId: 'p2' }]]
+  };
+}
+
+test('a deleted lobby stops its clock and held slots instead of saving itself back', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aotc-server-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, '123456.json');
+  fs.writeFileSync(file, JSON.stringify(makeSnapshot('123456')));
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  process.env.STORAGE_DIR = directory;
+  const server = require('../server');
+
+  const lobby = server.lobbies.get('123456');
+  assert.ok(lobby.clockTimer);
+  assert.deepEqual(Object.keys(lobby.reconnectTimers), ['p1', 'p2']);
+
+  server.deleteLobby('123456');
+  assert.equal(server.lobbies.has('123456'), false);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(lobby.clockTimer, null);
+  assert.deepEqual(lobby.reconnectTimers, {});
+
+  // Well past the turn limit, the server's own end of turn and the grace period
+  t.mock.timers.tick(10 * 60 * 1000);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(lobby.gameState.turnCount, 0);
+  assert.equal(lobby.players.length, 2);
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the battle simulator in simulator.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies). Batches are
+ * kept to a few short matches on small battlefields.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const simulator = require('../simulator');
+
+function makeSettings(overrides = {}) {
+  return {
+    ...simulator.DEFAULT_SIMULATION,
+    matches: 2,
+    seed: 'test',
+    zoneCount: 2,
+    gridSize: 6,
+    maxRounds: 4,
+    red: simulator.readSide('aggressive'),
+    blue: simulator.readSide('defensive'),
+    ...overrides
+  };
+}
+
+test('a batch played twice from the same seed gives the same report', () => {
+  const settings = makeSettings();
+  assert.equal(simulator.getSimulationError(settings), null);
+  assert.deepEqual(simulator.runBatch(settings), simulator.runBatch(settings));
+});
+
+test('the report counts every match once and lists every unit that took the field', () => {
+  const settings = makeSettings({ matches: 3 });
+  const played = [];
+  const report = simulator.runBatch(settings, result => played.push(result.match));
+
+  assert.deepEqual(played, [1, 2, 3]);
+  assert.equal(report.wins.red + report.wins.blue + report.wins.draw, 3);
+  assert.equal(report.matches.length, 3);
+  assert.ok(report.matches.every(match => match.turns <= settings.maxRounds * 2));
+  assert.deepEqual(report.sides.red, { name: 'Aggressive', personality: 'aggressive', legions: ['Standard Legion'] });
+  assert.ok(report.units.every(unit => unit.deployed >= unit.losses));
+
+  const tables = simulator.formatReportCSV(report).trim().split('\n\n');
+  assert.deepEqual(tables.map(table => table.split('\n')[0]), ['summary', 'units', 'abilities', 'terrain', 'matches']);
+  assert.equal(tables[1].split('\n').length, 2 + report.units.length);
+  assert.equal(tables[4].split('\n').length, 2 + 3);
+});
+
+test('settings the game has no rules for are turned away', () => {
+  assert.match(simulator.getSimulationError(makeSettings({ terrain: 'moon' })), /terrain/);
+  assert.match(simulator.getSimulationError(makeSettings({ matches: 0 })), /matches/);
+  assert.match(simulator.getSimulationError(makeSettings({ winCondition: 'hq', victorySettings: { turnLimit: -1 } })), /turnLimit/);
+
+  const artilleryOnly = { name: 'Guns', units: [{ name: 'Heavy Artillery', type: 'artillery', attack: 3, defense: 0, morale: 4, range: 5, movement: 0, special: 'none' }] };
+  const red = { name: 'Guns', personality: 'balanced', armies: [artilleryOnly] };
+  assert.match(simulator.getSimulationError(makeSettings({ red })), /^red: /);
+});
+
+test('a side is a personality with the standard legion or a legion file', () => {
+  const standard = simulator.readSide('deceptive');
+  assert.equal(standard.personality, 'deceptive');
+  assert.deepEqual(standard.armies, [simulator.DEFAULT_ARMY]);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aotc-')), 'legions.json');
+  const armies = [
+    { name: 'First', units: simulator.DEFAULT_ARMY.units.slice(0, 2) },
+    { name: 'Second', units: simulator.DEFAULT_ARMY.units.slice(2, 4) }
+  ];
+  fs.writeFileSync(file, JSON.stringify({ format: 'ashes-of-the-covenant-legions', version: 1, units: [], armies }));
+  const side = simulator.readSide(file, 'aggressive');
+  assert.deepEqual(side, { name: 'First + Second', personality: 'aggressive', armies });
+
+  assert.throws(() => simulator.readSide(path.join(path.dirname(file), 'missing.json')), /neither an AI personality nor a legion file/);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('command-line options become batch settings', () => {
+  const { settings, csv } = simulator.parseArgs(['--matches', '5', '--blue', 'aggressive', '--win-condition', 'points',
+    '--victory-settings', '{"turnLimit":8}', '--csv', 'out.csv']);
+  assert.equal(settings.matches, 5);
+  assert.equal(settings.winCondition, 'points');
+  assert.deepEqual(settings.victorySettings, { turnLimit: 8 });
+  assert.equal(settings.blue.personality, 'aggressive');
+  assert.equal(csv, 'out.csv');
+
+  assert.deepEqual(simulator.parseArgs(['--help']), { help: true });
+  assert.throws(() => simulator.parseArgs(['--colour', 'red']), /Unknown option --colour/);
+});
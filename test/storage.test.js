@@ -0,0 +1,62 @@
+/**
+ * Tests for the lobby storage backends in storage.js
+ *
+ * Run with `npm test` (plain `node --test`, no dependencies). The file
+ * backend writes to a fresh temporary directory.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+function makeSnapshot(id) {
+  return {
+    id: id,
+    players: [{ id: 'p1', name: 'Host' }],
+    dice: { seed: 'secret', commitment: 'c', sequence: 0, log: [] },
+    reconnectTokens: [['token', { lobbyCode: id, playerId: 'p1' }]]
+  };
+}
+
+test('the file backend keeps one private file per lobby', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aotc-storage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const storage = createStorage({ backend: 'file', directory: path.join(directory, 'lobbies') });
+
+  storage.saveLobby(makeSnapshot('111111'));
+  storage.saveLobby({ ...makeSnapshot('222222'), players: [] });
+  storage.saveLobby(makeSnapshot('222222'));
+  assert.deepEqual(fs.readdirSync(path.join(directory, 'lobbies')).sort(), ['111111.json', '222222.json']);
+  assert.deepEqual(storage.loadLobbies().map(snapshot => snapshot.id).sort(), ['111111', '222222']);
+  assert.deepEqual(storage.loadLobbies()[0].players, [{ id: 'p1', name: 'Host' }]);
+
+  if (process.platform !== 'win32') {
+    const mode = fs.statSync(path.join(directory, 'lobbies', '111111.json')).mode & 0o777;
+    assert.equal(mode & 0o077, 0);
+  }
+
+  storage.deleteLobby('111111');
+  storage.deleteLobby('999999');
+  assert.deepEqual(storage.loadLobbies().map(snapshot => snapshot.id), ['222222']);
+
+  // A corrupt save is skipped and reported
+  const logError = t.mock.method(console, 'error', () => {});
+  fs.writeFileSync(path.join(directory, 'lobbies', '333333.json'), '{ not json');
+  assert.equal(createStorage({ directory: path.join(directory, 'lobbies') }).loadLobbies().length, 1);
+  assert.equal(logError.mock.callCount(), 1);
+  assert.equal(logError.mock.calls[0].arguments[0], '❌ Could not read saved lobby 333333.json:');
+});
+
+test('the memory backend keeps copies, and unknown backends are refused', () => {
+  const storage = createStorage({ backend: 'memory' });
+  const snapshot = makeSnapshot('111111');
+  storage.saveLobby(snapshot);
+  snapshot.players.push({ id: 'p2' });
+  assert.equal(storage.loadLobbies()[0].players.length, 1);
+  storage.deleteLobby('111111');
+  assert.deepEqual(storage.loadLobbies(), []);
+
+  assert.throws(() => createStorage({ backend: 'cloud' }), /Unknown storage backend/);
+});